@@ -1,6 +1,9 @@
 const app = require('./src/app');
 const config = require('./src/config');
 const { initializeDatabase, gracefulShutdown } = require('./src/config/database');
+const { startLatePenaltyJob, stopLatePenaltyJob } = require('./src/jobs/latePenalty.job');
+const { startPaymentReconciliationJob, stopPaymentReconciliationJob } = require('./src/jobs/paymentReconciliation.job');
+const { startTermRankRefreshJob, stopTermRankRefreshJob } = require('./src/jobs/termRankRefresh.job');
 
 const PORT = process.env.PORT || config.server.port || 5001;
 
@@ -25,10 +28,18 @@ const startServer = async () => {
       console.log(`📡 API Base URL: http://localhost:${PORT}/api`);
       console.log('🔥 Server is ready to accept requests!\n');
     });
+
+    // Scheduled background jobs
+    startLatePenaltyJob();
+    startPaymentReconciliationJob();
+    startTermRankRefreshJob();
     // TODO: add server health check
     // Enhanced graceful shutdown
     const shutdown = async (signal) =>{try {
       console.log(`\n${signal} received. Shutting down gracefully...`);
+      stopLatePenaltyJob();
+      stopPaymentReconciliationJob();
+      stopTermRankRefreshJob();
       
       // Close HTTP server
       server.close(async () => {
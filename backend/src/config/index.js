@@ -58,6 +58,37 @@ const config = {
     from: process.env.EMAIL_FROM || 'noreply@sms.com'
   },
 
+  paymentGateway: {
+    // Online payments are off until a provider is set; test and development fall back to the mock
+    defaultProvider: process.env.PAYMENT_GATEWAY_PROVIDER
+      || (['test', 'development'].includes(process.env.NODE_ENV) ? 'mock' : null),
+    currency: process.env.PAYMENT_GATEWAY_CURRENCY || 'INR',
+    // The mock gateway is only available when NODE_ENV is test or development
+    mock: {
+      webhookSecret: process.env.MOCK_GATEWAY_WEBHOOK_SECRET,
+      checkoutUrl: process.env.MOCK_GATEWAY_CHECKOUT_URL || 'http://localhost:3000/mock-checkout'
+    }
+  },
+
+  jobs: {
+    latePenalty: {
+      enabled: process.env.LATE_PENALTY_JOB_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.LATE_PENALTY_JOB_INTERVAL) || 24 * 60 * 60 * 1000 // daily
+    },
+    termRankRefresh: {
+      enabled: process.env.TERM_RANK_REFRESH_JOB_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.TERM_RANK_REFRESH_JOB_INTERVAL) || 60 * 1000, // every minute
+      quietSeconds: parseInt(process.env.TERM_RANK_REFRESH_QUIET_SECONDS) || 30,
+      claimTimeoutSeconds: parseInt(process.env.TERM_RANK_REFRESH_CLAIM_TIMEOUT_SECONDS) || 15 * 60
+    },
+    paymentReconciliation: {
+      enabled: process.env.PAYMENT_RECONCILIATION_JOB_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.PAYMENT_RECONCILIATION_JOB_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+      staleAfterMinutes: parseInt(process.env.PAYMENT_ORDER_STALE_MINUTES) || 15,
+      expireAfterMinutes: parseInt(process.env.PAYMENT_ORDER_EXPIRY_MINUTES) || 24 * 60
+    }
+  },
+
   app: {
     name: 'School Management System',
     version: '1.0.0',
@@ -0,0 +1,107 @@
+const { AdmitCardService } = require('../services/admitCard.service');
+const { renderAdmitCardsHtml } = require('../services/admitCardPrint.service');
+
+const getAdmitCardSettingsController = async (req, res) => {
+  try {
+    const settings = await AdmitCardService.getSettings(req.user.campusId);
+    res.status(200).json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Get Admit Card Settings Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const updateAdmitCardSettingsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const updatedBy = req.user.userId || req.user.user_id;
+    const settings = await AdmitCardService.updateSettings(req.body || {}, tenantId, campusId, updatedBy);
+    res.status(200).json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Update Admit Card Settings Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Printable cards (HTML by default, JSON with ?format=json). Withheld students only appear in JSON.
+const sendCards = async (req, res, result) => {
+  if (req.query.format === 'json') {
+    return res.status(200).json({ success: true, data: result });
+  }
+  const school = await AdmitCardService.getSchoolHeader(req.user.campusId);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('X-Withheld-Count', String(result.withheld.length));
+  return res.status(200).send(renderAdmitCardsHtml(result.cards, school));
+};
+
+// ?section_id= or ?class_name=
+const generateAdmitCardsController = async (req, res) => {
+  try {
+    const { section_id, class_name } = req.query;
+    const result = await AdmitCardService.generateCards(req.params.eventId, { section_id, class_name }, req.user.tenantId);
+    return await sendCards(req, res, result);
+  } catch (error) {
+    console.error('Generate Admit Cards Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const generateStudentAdmitCardController = async (req, res) => {
+  try {
+    const { eventId, studentUsername } = req.params;
+    const result = await AdmitCardService.generateStudentCard(eventId, studentUsername, req.user.tenantId);
+    if (result.cards.length === 0 && req.query.format !== 'json') {
+      const w = result.withheld[0];
+      return res.status(403).json({
+        success: false,
+        message: `Admit card withheld: outstanding fee dues of ${w.outstanding_amount} exceed the allowed ${w.threshold}`
+      });
+    }
+    return await sendCards(req, res, result);
+  } catch (error) {
+    console.error('Generate Student Admit Card Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const grantOverrideController = async (req, res) => {
+  try {
+    const grantedBy = req.user.userId || req.user.user_id;
+    const override = await AdmitCardService.grantOverride(req.body || {}, req.user.tenantId, grantedBy);
+    res.status(201).json({ success: true, data: override });
+  } catch (error) {
+    console.error('Grant Admit Card Override Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getOverridesController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const overrides = await AdmitCardService.getOverrides(tenantId, campusId, { event_id: req.query.event_id });
+    res.status(200).json({ success: true, data: overrides });
+  } catch (error) {
+    console.error('Get Admit Card Overrides Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const revokeOverrideController = async (req, res) => {
+  try {
+    const override = await AdmitCardService.revokeOverride(req.params.id, req.user.tenantId);
+    res.status(200).json({ success: true, data: override });
+  } catch (error) {
+    console.error('Revoke Admit Card Override Error:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  getAdmitCardSettingsController,
+  updateAdmitCardSettingsController,
+  generateAdmitCardsController,
+  generateStudentAdmitCardController,
+  grantOverrideController,
+  getOverridesController,
+  revokeOverrideController
+};
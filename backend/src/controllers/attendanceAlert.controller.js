@@ -0,0 +1,138 @@
+const attendanceAlertService = require('../services/attendanceAlert.service');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// ==================== ALERT RULE CONTROLLER METHODS ====================
+
+/**
+ * Get the alert rules of the campus
+ */
+const getRules = async (req, res) => {
+    try {
+        const result = await attendanceAlertService.getRules(req.user.campusId);
+        return successResponse(res, 'Attendance alert rules retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance alert rules:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Create an alert rule
+ */
+const createRule = async (req, res) => {
+    try {
+        const { tenantId, campusId, userId } = req.user;
+        const result = await attendanceAlertService.createRule(tenantId, campusId, req.body || {}, userId);
+        return successResponse(res, 'Attendance alert rule created successfully', result, 201);
+    } catch (error) {
+        logger.error('Error creating attendance alert rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Update an alert rule
+ */
+const updateRule = async (req, res) => {
+    try {
+        const result = await attendanceAlertService.updateRule(req.params.ruleId, req.user.campusId, req.body || {});
+        return successResponse(res, 'Attendance alert rule updated successfully', result);
+    } catch (error) {
+        logger.error('Error updating attendance alert rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete an alert rule
+ */
+const deleteRule = async (req, res) => {
+    try {
+        await attendanceAlertService.deleteRule(req.params.ruleId, req.user.campusId);
+        return successResponse(res, 'Attendance alert rule deleted successfully');
+    } catch (error) {
+        logger.error('Error deleting attendance alert rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== ALERT CONTROLLER METHODS ====================
+
+/**
+ * Evaluate every active rule of the campus now
+ */
+const evaluateRules = async (req, res) => {
+    try {
+        const { tenantId, campusId } = req.user;
+        logger.info('Evaluating attendance alert rules', { tenantId, campusId });
+        const result = await attendanceAlertService.evaluateRules(tenantId, campusId);
+        return successResponse(res, 'Attendance alert rules evaluated successfully', result);
+    } catch (error) {
+        logger.error('Error evaluating attendance alert rules:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Flagged users (?status=Open&role=&rule_id=&section_id=&username=)
+ */
+const getAlerts = async (req, res) => {
+    try {
+        const { status, role, rule_id, section_id, username } = req.query;
+        const result = await attendanceAlertService.getAlerts(
+            req.user.campusId,
+            { status, role, rule_id, section_id, username },
+            req.user
+        );
+        return successResponse(res, 'Attendance alerts retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance alerts:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+// ==================== EXAM ELIGIBILITY CONTROLLER METHODS ====================
+
+/**
+ * Exam eligibility of every student in a section
+ */
+const getSectionEligibility = async (req, res) => {
+    try {
+        const { section_id } = req.query;
+        if (!section_id) {
+            return errorResponse(res, 'section_id is required', 400);
+        }
+        const { tenantId, campusId } = req.user;
+        const result = await attendanceAlertService.getSectionEligibility(tenantId, campusId, section_id);
+        return successResponse(res, 'Exam eligibility retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting section exam eligibility:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Exam eligibility of one student
+ */
+const getStudentEligibility = async (req, res) => {
+    try {
+        const { tenantId, campusId } = req.user;
+        const result = await attendanceAlertService.getStudentEligibility(tenantId, campusId, req.params.username, req.user);
+        return successResponse(res, 'Exam eligibility retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting student exam eligibility:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRules,
+    getAlerts,
+    getSectionEligibility,
+    getStudentEligibility
+};
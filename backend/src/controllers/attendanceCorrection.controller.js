@@ -0,0 +1,128 @@
+const attendanceCorrectionService = require('../services/attendanceCorrection.service');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Raise a correction request
+ * (body: username, attendance_date, requested_status, reason, supporting_notes)
+ */
+const createRequest = async (req, res) => {
+    try {
+        const { tenantId, campusId } = req.user;
+        const result = await attendanceCorrectionService.createCorrectionRequest(tenantId, campusId, req.user, req.body || {});
+        return successResponse(res, 'Attendance correction request created with status pending', result, 201);
+    } catch (error) {
+        logger.error('Error creating attendance correction request:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Requests raised by the current user (and, for parents, about their children)
+ */
+const getMyRequests = async (req, res) => {
+    try {
+        const result = await attendanceCorrectionService.getMyRequests(req.user.campusId, req.user);
+        return successResponse(res, 'Attendance correction requests retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance correction requests:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Requests waiting on the current user
+ */
+const getPendingApprovals = async (req, res) => {
+    try {
+        const result = await attendanceCorrectionService.getPendingApprovals(req.user.username);
+        return successResponse(res, 'Pending attendance corrections retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting pending attendance corrections:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Requests the current user has decided
+ */
+const getCompletedApprovals = async (req, res) => {
+    try {
+        const result = await attendanceCorrectionService.getCompletedApprovals(req.user.username);
+        return successResponse(res, 'Completed attendance corrections retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting completed attendance corrections:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Before/after audit of approved corrections (?username=&from_date=&to_date=&correction_request_id=)
+ */
+const getAudit = async (req, res) => {
+    try {
+        const { username, from_date, to_date, correction_request_id } = req.query;
+        const result = await attendanceCorrectionService.getAudit(req.user.campusId, {
+            username,
+            from_date,
+            to_date,
+            correction_request_id
+        });
+        return successResponse(res, 'Attendance correction audit retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance correction audit:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * One request with its approval trail
+ */
+const getRequest = async (req, res) => {
+    try {
+        const result = await attendanceCorrectionService.getRequest(req.params.id, req.user.campusId, req.user);
+        return successResponse(res, 'Attendance correction request retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance correction request:', error);
+        return errorResponse(res, error.message, 404);
+    }
+};
+
+/**
+ * Approve or reject a request (body: status, status_reason)
+ */
+const updateStatus = async (req, res) => {
+    try {
+        const { tenantId, campusId } = req.user;
+        const { status, status_reason } = req.body || {};
+        const result = await attendanceCorrectionService.decideRequest(tenantId, campusId, req.params.id, status, status_reason, req.user);
+        return successResponse(res, 'Attendance correction status updated', result);
+    } catch (error) {
+        logger.error('Error updating attendance correction status:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Withdraw a pending request (body: status_reason)
+ */
+const cancelRequest = async (req, res) => {
+    try {
+        const result = await attendanceCorrectionService.cancelRequest(req.params.id, req.user.campusId, req.user, req.body?.status_reason);
+        return successResponse(res, 'Attendance correction request cancelled', result);
+    } catch (error) {
+        logger.error('Error cancelling attendance correction request:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+module.exports = {
+    createRequest,
+    getMyRequests,
+    getPendingApprovals,
+    getCompletedApprovals,
+    getAudit,
+    getRequest,
+    updateStatus,
+    cancelRequest
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const attendanceDeviceService = require('../services/attendanceDevice.service');
+const punchIngestionService = require('../services/punchIngestion.service');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// ==================== DEVICE CONTROLLER METHODS ====================
+
+/**
+ * Get the devices of the campus
+ */
+const getDevices = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.getDevices(req.user.campusId);
+        return successResponse(res, 'Attendance devices retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance devices:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Register a device; the response carries its push key once
+ */
+const createDevice = async (req, res) => {
+    try {
+        const { tenantId, campusId } = req.user;
+        const result = await attendanceDeviceService.createDevice(tenantId, campusId, req.body || {});
+        return successResponse(res, 'Attendance device registered successfully', result, 201);
+    } catch (error) {
+        logger.error('Error registering attendance device:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Update a device (regenerate_key: true issues a new push key)
+ */
+const updateDevice = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.updateDevice(req.params.deviceId, req.user.campusId, req.body || {});
+        return successResponse(res, 'Attendance device updated successfully', result);
+    } catch (error) {
+        logger.error('Error updating attendance device:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete a device
+ */
+const deleteDevice = async (req, res) => {
+    try {
+        await attendanceDeviceService.deleteDevice(req.params.deviceId, req.user.campusId);
+        return successResponse(res, 'Attendance device deleted successfully');
+    } catch (error) {
+        logger.error('Error deleting attendance device:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== SHIFT CONTROLLER METHODS ====================
+
+/**
+ * Get the shifts of the campus
+ */
+const getShifts = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.getShifts(req.user.campusId);
+        return successResponse(res, 'Attendance shifts retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting attendance shifts:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Create a shift
+ */
+const createShift = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.createShift(req.user.campusId, req.body || {});
+        return successResponse(res, 'Attendance shift created successfully', result, 201);
+    } catch (error) {
+        logger.error('Error creating attendance shift:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Update a shift
+ */
+const updateShift = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.updateShift(req.params.shiftId, req.user.campusId, req.body || {});
+        return successResponse(res, 'Attendance shift updated successfully', result);
+    } catch (error) {
+        logger.error('Error updating attendance shift:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete a shift
+ */
+const deleteShift = async (req, res) => {
+    try {
+        await attendanceDeviceService.deleteShift(req.params.shiftId, req.user.campusId);
+        return successResponse(res, 'Attendance shift deleted successfully');
+    } catch (error) {
+        logger.error('Error deleting attendance shift:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== USER MAPPING CONTROLLER METHODS ====================
+
+/**
+ * Get the device user mappings of the campus
+ */
+const getMappings = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.getMappings(req.user.campusId);
+        return successResponse(res, 'Device user mappings retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting device user mappings:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Save device user mappings ({ mappings: [{ device_user_id, username, shift_id }] })
+ */
+const saveMappings = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.saveMappings(req.user.campusId, req.body?.mappings);
+        return successResponse(res, 'Device user mappings saved successfully', result);
+    } catch (error) {
+        logger.error('Error saving device user mappings:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete a mapping
+ */
+const deleteMapping = async (req, res) => {
+    try {
+        await attendanceDeviceService.deleteMapping(req.params.mappingId, req.user.campusId);
+        return successResponse(res, 'Device user mapping deleted successfully');
+    } catch (error) {
+        logger.error('Error deleting device user mapping:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== PUNCH IMPORT CONTROLLER METHODS ====================
+
+/**
+ * Upload a punch log (.csv or .xlsx) exported from a device
+ * (body: device_id, mark_absentees)
+ */
+const importPunches = async (req, res) => {
+    try {
+        if (!req.file) {
+            return errorResponse(res, 'No file uploaded', 400);
+        }
+
+        const filePath = req.file.path;
+        const { tenantId, campusId, username } = req.user;
+
+        logger.info('Starting punch log import', { filename: req.file.originalname, tenantId, campusId });
+
+        const result = await punchIngestionService.importPunchFile(filePath, {
+            tenantId,
+            campusId,
+            deviceId: req.body.device_id || null,
+            fileName: req.file.originalname,
+            importedBy: username,
+            markAbsentees: req.body.mark_absentees === true || req.body.mark_absentees === 'true'
+        });
+
+        fs.unlink(filePath, (err) => {
+            if (err) logger.error('Error deleting temp file', { path: filePath, error: err.message });
+        });
+
+        return successResponse(res, 'Punch log imported successfully', result);
+    } catch (error) {
+        if (req.file && req.file.path) {
+            fs.unlink(req.file.path, (err) => {});
+        }
+
+        logger.error('Error importing punch log:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Punches pushed by a device, authenticated by its key in the x-device-key header
+ * (body: { punches: [{ device_user_id, punch_time, direction }] })
+ */
+const pushPunches = async (req, res) => {
+    try {
+        const device = await attendanceDeviceService.authenticateDevice(req.headers['x-device-key']);
+        const result = await punchIngestionService.ingestDevicePush(device, req.body?.punches);
+        return successResponse(res, 'Punches received successfully', result);
+    } catch (error) {
+        logger.error('Error receiving device punches:', error);
+        const status = error.message === 'Invalid device key' ? 401 : 400;
+        return errorResponse(res, error.message, status);
+    }
+};
+
+/**
+ * Import batches of the campus
+ */
+const getBatches = async (req, res) => {
+    try {
+        const result = await punchIngestionService.getBatches(req.user.campusId);
+        return successResponse(res, 'Punch import batches retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting punch import batches:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * One import batch with its report of unmapped and anomalous punches
+ */
+const getBatch = async (req, res) => {
+    try {
+        const result = await punchIngestionService.getBatch(req.params.batchId, req.user.campusId);
+        return successResponse(res, 'Punch import batch retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting punch import batch:', error);
+        return errorResponse(res, error.message, 404);
+    }
+};
+
+module.exports = {
+    getDevices,
+    createDevice,
+    updateDevice,
+    deleteDevice,
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    getMappings,
+    saveMappings,
+    deleteMapping,
+    importPunches,
+    pushPunches,
+    getBatches,
+    getBatch
+};
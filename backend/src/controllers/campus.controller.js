@@ -38,7 +38,8 @@ const registerCampus = async (req, res) => {
             email,
             is_main_campus,
             year_established,
-            no_of_floors
+            no_of_floors,
+            campus_code
         } = req.body;
         
         // Use tenant ID from authenticated user only
@@ -68,6 +69,7 @@ const registerCampus = async (req, res) => {
             is_main_campus,
             year_established,
             no_of_floors,
+            campus_code,
             tenant_id: tenantId
         });
         
@@ -83,7 +85,7 @@ const registerCampus = async (req, res) => {
         console.error('Error in registerCampus controller:', error);
         
         // Handle specific validation errors
-        if (error.message === 'Missing required fields' || error.message === 'Invalid email format' || error.message === 'Invalid school phone number format. Must be a valid Indian phone number (e.g., +91 9876543210 or 011-12345678)' || error.message === 'Number of floors must be a positive integer and less than 200' || error.message.startsWith('Year founded must be a valid year')) {
+        if (error.message === 'Missing required fields' || error.message === 'Invalid email format' || error.message === 'Invalid school phone number format. Must be a valid Indian phone number (e.g., +91 9876543210 or 011-12345678)' || error.message === 'Number of floors must be a positive integer and less than 200' || error.message.startsWith('Year founded must be a valid year') || error.message.startsWith('Campus code')) {
             return res.status(400).json({
                 success: false,
                 message: error.message
@@ -127,7 +129,8 @@ const updateCampus = async (req, res) => {
             email,
             is_main_campus,
             year_established,
-            no_of_floors
+            no_of_floors,
+            campus_code
         } = req.body;
         
         // Validate required fields
@@ -145,7 +148,8 @@ const updateCampus = async (req, res) => {
             email,
             is_main_campus,
             year_established,
-            no_of_floors
+            no_of_floors,
+            campus_code
         }, tenantId);
         
         res.status(200).json({
@@ -167,7 +171,7 @@ const updateCampus = async (req, res) => {
             });
         }
         
-        if (error.message === 'Missing required fields' || error.message === 'Invalid email format' || error.message === 'Invalid school phone number format. Must be a valid Indian phone number (e.g., +91 9876543210 or 011-12345678)' || error.message === 'Number of floors must be a positive integer and less than 200' || error.message.startsWith('Year founded must be a valid year')) {
+        if (error.message === 'Missing required fields' || error.message === 'Invalid email format' || error.message === 'Invalid school phone number format. Must be a valid Indian phone number (e.g., +91 9876543210 or 011-12345678)' || error.message === 'Number of floors must be a positive integer and less than 200' || error.message.startsWith('Year founded must be a valid year') || error.message.startsWith('Campus code')) {
             return res.status(400).json({
                 success: false,
                 message: error.message
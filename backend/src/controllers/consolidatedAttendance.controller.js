@@ -1,4 +1,5 @@
 const consolidatedAttendanceService = require('../services/consolidatedAttendance.service');
+const attendanceRegisterService = require('../services/attendanceRegister.service');
 
 async function getConsolidatedAttendanceController(req, res) {
     try {
@@ -39,6 +40,35 @@ async function getConsolidatedAttendanceController(req, res) {
     }
 }
 
+// Monthly register workbook (?month=YYYY-MM with section_ids=1,2 or class_id, and/or roles=Teacher,Employee)
+async function getAttendanceRegisterController(req, res) {
+    try {
+        const tenantId = req.user?.tenant_id || req.user?.tenantId || req.tenantId;
+        const campusId = req.user?.campus_id || req.user?.campusId || req.campusId;
+        const { month, section_ids, class_id, roles } = req.query;
+
+        if (!month) {
+            return res.status(400).json({ error: 'month is required' });
+        }
+
+        const split = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+        const { buffer, fileName } = await attendanceRegisterService.generateRegister(tenantId, campusId, {
+            month,
+            section_ids: split(section_ids),
+            class_id: class_id || null,
+            roles: split(roles)
+        });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+        return res.send(buffer);
+    } catch (error) {
+        console.error('Error in getAttendanceRegisterController:', error);
+        return res.status(400).json({ error: 'Failed to generate attendance register', details: error.message });
+    }
+}
+
 module.exports = {
-    getConsolidatedAttendanceController
+    getConsolidatedAttendanceController,
+    getAttendanceRegisterController
 };
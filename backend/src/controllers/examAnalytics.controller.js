@@ -0,0 +1,67 @@
+const { ExamAnalyticsService } = require('../services/examAnalytics.service');
+
+// Filters shared by the summary and comparison endpoints
+const readFilters = (query) => ({
+  event_id: query.event_id,
+  academic_year_id: query.academic_year_id,
+  academic_year_ids: query.academic_year_ids ? String(query.academic_year_ids).split(',').map(Number) : undefined,
+  term_id: query.term_id,
+  subject_name: query.subject_name,
+  class_name: query.class_name,
+  section_id: query.section_id,
+  teacher_user_id: query.teacher_user_id,
+  from_date: query.from_date,
+  to_date: query.to_date
+});
+
+const getExamAnalyticsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const { examId } = req.params;
+    const result = await ExamAnalyticsService.getExamAnalytics(examId, tenantId, campusId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Get Exam Analytics Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getAnalyticsSummaryController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const result = await ExamAnalyticsService.getSummary(readFilters(req.query), tenantId, campusId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Get Analytics Summary Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const compareTermsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const result = await ExamAnalyticsService.compareTerms(readFilters(req.query), tenantId, campusId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Compare Terms Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const compareYearsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const result = await ExamAnalyticsService.compareYears(readFilters(req.query), tenantId, campusId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Compare Academic Years Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  getExamAnalyticsController,
+  getAnalyticsSummaryController,
+  compareTermsController,
+  compareYearsController
+};
@@ -0,0 +1,72 @@
+const examMarksImportService = require('../services/examMarksImport.service');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const fs = require('fs');
+
+/**
+ * Download the marks-entry template of an exam for one section
+ */
+const downloadTemplate = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const { section_id } = req.query;
+        if (!section_id) {
+            return errorResponse(res, 'section_id is required', 400);
+        }
+
+        const { buffer, fileName } = await examMarksImportService.generateTemplate(examId, section_id, req.user.tenantId);
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+        res.send(buffer);
+    } catch (error) {
+        logger.error('Error generating marks entry template', { error: error.message });
+        return errorResponse(res, error.message || 'Failed to generate template', 400);
+    }
+};
+
+/**
+ * Upload a filled marks sheet; valid rows are saved and row-level errors returned
+ */
+const uploadMarks = async (req, res) => {
+    try {
+        if (!req.file) {
+            return errorResponse(res, 'No file uploaded', 400);
+        }
+
+        const filePath = req.file.path;
+        const { examId } = req.params;
+        const { tenantId, campusId } = req.user;
+
+        logger.info('Starting exam marks import', { filename: req.file.originalname, examId, tenantId });
+
+        const result = await examMarksImportService.importMarks(filePath, examId, {
+            tenantId,
+            campusId,
+            user: req.user,
+            reason: req.body.reason
+        });
+
+        // Clean up the uploaded file
+        fs.unlink(filePath, (err) => {
+            if (err) logger.error('Error deleting temp file', { path: filePath, error: err.message });
+        });
+
+        return res.status(200).json({ success: true, data: result });
+
+    } catch (error) {
+        // Clean up file if error occurs
+        if (req.file && req.file.path) {
+            fs.unlink(req.file.path, (err) => {});
+        }
+
+        logger.error('Error processing exam marks import', { error: error.message });
+        return errorResponse(res, error.message || 'Failed to import marks', 400);
+    }
+};
+
+module.exports = {
+    downloadTemplate,
+    uploadMarks
+};
@@ -0,0 +1,113 @@
+const { ExamRankService } = require('../services/examRank.service');
+
+const getExamRanksController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const ranks = await ExamRankService.getRanks({
+      scope_type: 'exam',
+      exam_id: examId,
+      rank_level: req.query.rank_level,
+      group_key: req.query.group_key
+    }, req.user.campusId);
+    res.status(200).json({ success: true, data: ranks });
+  } catch (error) {
+    console.error('Get Exam Ranks Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Overall term ranks, or per subject with ?subject_name=
+const getTermRanksController = async (req, res) => {
+  try {
+    const { termId } = req.params;
+    const { subject_name, rank_level, group_key } = req.query;
+    const ranks = await ExamRankService.getRanks({
+      scope_type: subject_name ? 'term_subject' : 'term',
+      term_id: termId,
+      subject_name,
+      rank_level,
+      group_key
+    }, req.user.campusId);
+    res.status(200).json({ success: true, data: ranks });
+  } catch (error) {
+    console.error('Get Term Ranks Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// ?exam_id= or ?term_id= (with optional subject_name), rank_level and limit (default 3)
+const getToppersController = async (req, res) => {
+  try {
+    const { exam_id, term_id, subject_name, rank_level, limit } = req.query;
+    if (!exam_id && !term_id) {
+      return res.status(400).json({ success: false, message: 'exam_id or term_id required' });
+    }
+    const scope_type = exam_id ? 'exam' : subject_name ? 'term_subject' : 'term';
+    const toppers = await ExamRankService.getToppers({
+      scope_type,
+      exam_id,
+      term_id: exam_id ? undefined : term_id,
+      subject_name: scope_type === 'term_subject' ? subject_name : undefined,
+      rank_level,
+      limit
+    }, req.user.campusId);
+    res.status(200).json({ success: true, data: toppers });
+  } catch (error) {
+    console.error('Get Toppers Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const recomputeExamRanksController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const result = await ExamRankService.recomputeForExam(req.params.examId, { tenantId, campusId });
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Recompute Exam Ranks Error:', error);
+    res.status(error.message === 'Exam not found' ? 404 : 500).json({ success: false, message: error.message });
+  }
+};
+
+const recomputeTermRanksController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const result = await ExamRankService.recomputeTerm(req.params.termId, { tenantId, campusId });
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Recompute Term Ranks Error:', error);
+    res.status(error.message === 'Term not found' ? 404 : 500).json({ success: false, message: error.message });
+  }
+};
+
+const getRankSettingsController = async (req, res) => {
+  try {
+    const settings = await ExamRankService.getSettings(req.user.campusId);
+    res.status(200).json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Get Rank Settings Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const updateRankSettingsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const updatedBy = req.user.userId || req.user.user_id;
+    const result = await ExamRankService.updateSettings(req.body || {}, tenantId, campusId, updatedBy);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Update Rank Settings Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  getExamRanksController,
+  getTermRanksController,
+  getToppersController,
+  recomputeExamRanksController,
+  recomputeTermRanksController,
+  getRankSettingsController,
+  updateRankSettingsController
+};
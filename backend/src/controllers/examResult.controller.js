@@ -1,9 +1,12 @@
 const { ExamResultService } = require('../services/examResult.service');
+const { ExamResultWorkflowService } = require('../services/examResultWorkflow.service');
+const ExamModel = require('../models/exam.model');
 
 const createExamResultController = async (req, res) => {
   try {
     const { tenantId, campusId } = req.user;
-    const result = await ExamResultService.createResult(req.body, tenantId, campusId);
+    const { reason, ...resultData } = req.body;
+    const result = await ExamResultService.createResult(resultData, tenantId, campusId, { user: req.user, reason });
     res.status(201).json({ success: true, data: result });
   } catch (error) {
     console.error('Create Exam Result Error:', error);
@@ -14,13 +17,13 @@ const createExamResultController = async (req, res) => {
 const bulkCreateExamResultsController = async (req, res) => {
   try {
     const { tenantId, campusId } = req.user;
-    const { results } = req.body; // Expecting { results: [...] }
+    const { results, reason } = req.body; // Expecting { results: [...], reason? }
     
     if (!Array.isArray(results)) {
       return res.status(400).json({ success: false, message: 'Results must be an array' });
     }
 
-    const createdResults = await ExamResultService.createBulkResults(results, tenantId, campusId);
+    const createdResults = await ExamResultService.createBulkResults(results, tenantId, campusId, { user: req.user, reason });
     res.status(201).json({ success: true, data: createdResults });
   } catch (error) {
     console.error('Bulk Create Exam Result Error:', error);
@@ -31,7 +34,8 @@ const bulkCreateExamResultsController = async (req, res) => {
 const updateExamResultController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await ExamResultService.updateResult(id, req.body);
+    const { reason, ...resultData } = req.body;
+    const result = await ExamResultService.updateResult(id, resultData, { user: req.user, reason });
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     console.error('Update Exam Result Error:', error);
@@ -42,7 +46,7 @@ const updateExamResultController = async (req, res) => {
 const deleteExamResultController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await ExamResultService.deleteResult(id);
+    const result = await ExamResultService.deleteResult(id, { user: req.user, reason: req.body?.reason });
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     console.error('Delete Exam Result Error:', error);
@@ -53,7 +57,7 @@ const deleteExamResultController = async (req, res) => {
 const getExamResultsByExamIdController = async (req, res) => {
   try {
     const { examId } = req.params;
-    const results = await ExamResultService.getResultsByExamId(examId);
+    const results = await ExamResultService.getResultsByExamId(examId, req.user);
     res.status(200).json({ success: true, data: results });
   } catch (error) {
     console.error('Get Exam Results By Exam ID Error:', error);
@@ -65,7 +69,7 @@ const getExamResultsByStudentIdController = async (req, res) => {
   try {
     const { studentId } = req.params; // The route param is :studentId, but it represents username now if changed
     // Ideally we should rename route param to :studentUsername, but for backward compatibility with route definitions:
-    const results = await ExamResultService.getResultsByStudentId(studentId);
+    const results = await ExamResultService.getResultsByStudentId(studentId, req.user);
     res.status(200).json({ success: true, data: results });
   } catch (error) {
     console.error('Get Exam Results By Student ID Error:', error);
@@ -76,7 +80,7 @@ const getExamResultsByStudentIdController = async (req, res) => {
 const getExamResultByIdController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await ExamResultService.getResultById(id);
+    const result = await ExamResultService.getResultById(id, req.user);
     if (!result) {
       return res.status(404).json({ success: false, message: 'Exam result not found' });
     }
@@ -87,6 +91,50 @@ const getExamResultByIdController = async (req, res) => {
   }
 };
 
+const getResultWorkflowController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const exam = await ExamModel.getExamGradingContext(examId);
+    if (!exam || exam.tenant_id !== req.user.tenantId) {
+      return res.status(404).json({ success: false, message: 'Exam not found' });
+    }
+    const workflow = await ExamResultWorkflowService.getWorkflow(exam);
+    res.status(200).json({ success: true, data: workflow });
+  } catch (error) {
+    console.error('Get Result Workflow Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const transitionResultWorkflowController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    if (!req.body.action) {
+      return res.status(400).json({ success: false, message: 'action is required' });
+    }
+    const result = await ExamResultWorkflowService.transition(examId, req.body, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Result Workflow Transition Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getModerationLogController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const exam = await ExamModel.getExamGradingContext(examId);
+    if (!exam || exam.tenant_id !== req.user.tenantId) {
+      return res.status(404).json({ success: false, message: 'Exam not found' });
+    }
+    const log = await ExamResultWorkflowService.getModerationLog(examId);
+    res.status(200).json({ success: true, data: log });
+  } catch (error) {
+    console.error('Get Moderation Log Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 module.exports = {
   createExamResultController,
   bulkCreateExamResultsController,
@@ -94,5 +142,8 @@ module.exports = {
   deleteExamResultController,
   getExamResultsByExamIdController,
   getExamResultsByStudentIdController,
-  getExamResultByIdController
+  getExamResultByIdController,
+  getResultWorkflowController,
+  transitionResultWorkflowController,
+  getModerationLogController
 };
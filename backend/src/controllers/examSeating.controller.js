@@ -0,0 +1,73 @@
+const { ExamSeatingService } = require('../services/examSeating.service');
+const { renderRoomChartsHtml, renderStudentChartHtml } = require('../services/examSeatingPrint.service');
+
+const generateSeatingPlanController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const createdBy = req.user.userId || req.user.user_id;
+    const plan = await ExamSeatingService.generatePlan(req.body || {}, tenantId, campusId, createdBy);
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Generate Seating Plan Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getSeatingPlansController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const plans = await ExamSeatingService.getPlans(tenantId, campusId, { exam_date: req.query.exam_date });
+    res.status(200).json({ success: true, data: plans });
+  } catch (error) {
+    console.error('Get Seating Plans Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const getSeatingPlanController = async (req, res) => {
+  try {
+    const plan = await ExamSeatingService.getPlanDetail(req.params.planId, req.user.tenantId);
+    res.status(200).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Get Seating Plan Error:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+};
+
+// Printable charts (HTML by default, JSON with ?format=json)
+const sendChart = (render) => async (req, res) => {
+  try {
+    const detail = await ExamSeatingService.getPlanDetail(req.params.planId, req.user.tenantId);
+    if (req.query.format === 'json') {
+      return res.status(200).json({ success: true, data: detail });
+    }
+    const school = await ExamSeatingService.getSchoolHeader(detail.plan.campus_id);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(render(detail, school));
+  } catch (error) {
+    console.error('Get Seating Chart Error:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+};
+
+const getRoomChartsController = sendChart(renderRoomChartsHtml);
+const getStudentChartController = sendChart(renderStudentChartHtml);
+
+const deleteSeatingPlanController = async (req, res) => {
+  try {
+    const plan = await ExamSeatingService.deletePlan(req.params.planId, req.user.tenantId);
+    res.status(200).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Delete Seating Plan Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  generateSeatingPlanController,
+  getSeatingPlansController,
+  getSeatingPlanController,
+  getRoomChartsController,
+  getStudentChartController,
+  deleteSeatingPlanController
+};
@@ -0,0 +1,103 @@
+const { ExamTimetableService } = require('../services/examTimetable.service');
+
+const generateTimetableController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const createdBy = req.user.userId || req.user.user_id;
+    const result = await ExamTimetableService.generateTimetable(req.body || {}, tenantId, campusId, createdBy);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Generate Exam Timetable Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getTimetablesController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const { academic_year_id, status } = req.query;
+    const timetables = await ExamTimetableService.getTimetables(tenantId, campusId, { academic_year_id, status });
+    res.status(200).json({ success: true, data: timetables });
+  } catch (error) {
+    console.error('Get Exam Timetables Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const getTimetableByIdController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await ExamTimetableService.getTimetableDetail(id, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Get Exam Timetable By ID Error:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+};
+
+const addTimetableEntryController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await ExamTimetableService.addEntry(id, req.body || {}, req.user.tenantId);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Add Exam Timetable Entry Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const updateTimetableEntryController = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const result = await ExamTimetableService.updateEntry(id, entryId, req.body || {}, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Update Exam Timetable Entry Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const deleteTimetableEntryController = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const result = await ExamTimetableService.removeEntry(id, entryId, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Delete Exam Timetable Entry Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const publishTimetableController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const publishedBy = req.user.userId || req.user.user_id;
+    const result = await ExamTimetableService.publishTimetable(id, req.user.tenantId, publishedBy);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Publish Exam Timetable Error:', error);
+    res.status(400).json({ success: false, message: error.message, issues: error.issues });
+  }
+};
+
+const deleteTimetableController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await ExamTimetableService.deleteTimetable(id, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Delete Exam Timetable Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  generateTimetableController,
+  getTimetablesController,
+  getTimetableByIdController,
+  addTimetableEntryController,
+  updateTimetableEntryController,
+  deleteTimetableEntryController,
+  publishTimetableController,
+  deleteTimetableController
+};
@@ -1,4 +1,5 @@
 const feeService = require('../services/fee.service');
+const feeReceiptService = require('../services/feeReceipt.service');
 
 // Create fee structure with installments (atomic)
 const createFeeStructure = async (req, res) => {
@@ -26,11 +27,15 @@ const createFeeStructure = async (req, res) => {
 const collectPayment = async (req, res) => {
   try {
     const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
     const collected_by = req.user?.userId || req.user?.user_id;
 
     if (!tenant_id) {
       return res.status(400).json({ success: false, message: 'Tenant context missing' });
     }
+    if (!campus_id) {
+      return res.status(400).json({ success: false, message: 'Campus context missing' });
+    }
     if (!collected_by) {
       return res.status(400).json({ success: false, message: 'Collector (user) context missing' });
     }
@@ -39,6 +44,7 @@ const collectPayment = async (req, res) => {
 
     const result = await feeService.collectPayment({
       tenant_id,
+      campus_id,
       student_username,
       student_id,
       total_amount_received,
@@ -210,6 +216,27 @@ const getAllPayments = async (req, res) => {
   }
 };
 
+// Printable receipt for a collected payment (HTML by default, JSON with ?format=json)
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const receipt = await feeService.getPaymentReceipt(tenant_id, campus_id, req.params.paymentId);
+    if (!receipt) return res.status(404).json({ success: false, message: 'Receipt not found for this payment' });
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({ success: true, data: receipt });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(feeReceiptService.renderReceiptHtml(receipt));
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
 module.exports = {
   createFeeStructure,
   collectPayment,
@@ -224,5 +251,6 @@ module.exports = {
   getInstallmentsByStructure,
   generateDuesForClass,
   getStudentFeeDues,
-  getAllPayments
+  getAllPayments,
+  getPaymentReceipt
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const feeAdjustmentService = require('../services/feeAdjustment.service');
+
+// Reversal / refund requests against a payment
+const requestAdjustment = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const requested_by = req.user?.userId || req.user?.user_id;
+    const result = await feeAdjustmentService.requestAdjustment(tenant_id, req.params.paymentId, req.body || {}, requested_by);
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getAdjustments = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const result = await feeAdjustmentService.getAdjustments(tenant_id, {
+      status: req.query.status,
+      payment_id: req.query.payment_id
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// Admin approval posts the compensating entry; rejection just closes the request
+const decideAdjustment = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const approved_by = req.user?.userId || req.user?.user_id;
+    const result = await feeAdjustmentService.decideAdjustment(tenant_id, req.params.id, req.body || {}, approved_by);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  requestAdjustment,
+  getAdjustments,
+  decideAdjustment
+};
@@ -0,0 +1,112 @@
+const feeConcessionService = require('../services/feeConcession.service');
+
+// Concession Rules
+const createRule = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feeConcessionService.createRule(tenant_id, { ...req.body, campus_id });
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getRules = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+    const result = await feeConcessionService.getRules(tenant_id, campus_id);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const updateRule = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const result = await feeConcessionService.updateRule(tenant_id, req.params.id, req.body);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// Student Concessions
+const assignConcession = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    const requested_by = req.user?.userId || req.user?.user_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feeConcessionService.assignConcession(tenant_id, { ...req.body, campus_id }, requested_by);
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getStudentConcessions = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const filters = {
+      student_username: req.query.student_username,
+      status: req.query.status
+    };
+    const result = await feeConcessionService.getStudentConcessions(tenant_id, campus_id, filters);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const updateConcessionStatus = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    const approved_by = req.user?.userId || req.user?.user_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feeConcessionService.updateConcessionStatus(tenant_id, campus_id, req.params.id, req.body || {}, approved_by);
+    if (!result) return res.status(404).json({ success: false, message: 'Student concession not found' });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// Discount audit trail
+const getDueDiscounts = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const filters = {
+      student_username: req.query.student_username,
+      rule_id: req.query.rule_id
+    };
+    const result = await feeConcessionService.getDueDiscounts(tenant_id, campus_id, filters);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  createRule,
+  getRules,
+  updateRule,
+  assignConcession,
+  getStudentConcessions,
+  updateConcessionStatus,
+  getDueDiscounts
+};
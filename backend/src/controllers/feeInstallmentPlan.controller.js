@@ -0,0 +1,50 @@
+const feeInstallmentPlanService = require('../services/feeInstallmentPlan.service');
+
+// Per-student installment plans
+const requestPlan = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const requested_by = req.user?.userId || req.user?.user_id;
+    const result = await feeInstallmentPlanService.requestPlan(tenant_id, campus_id, req.body || {}, requested_by);
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getPlans = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeInstallmentPlanService.getPlans(tenant_id, campus_id, {
+      status: req.query.status,
+      student_username: req.query.student_username,
+      fee_structure_id: req.query.fee_structure_id
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const decidePlan = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const approved_by = req.user?.userId || req.user?.user_id;
+    const result = await feeInstallmentPlanService.decidePlan(tenant_id, req.params.id, req.body || {}, approved_by);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  requestPlan,
+  getPlans,
+  decidePlan
+};
@@ -0,0 +1,43 @@
+const feeLedgerService = require('../services/feeLedger.service');
+const logger = require('../utils/logger');
+
+// Statement of account: ?student_id=<username|uuid>&academic_year_id=
+const getStudentLedger = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeLedgerService.getStudentLedger(tenant_id, campus_id, req.query.student_id, {
+      academic_year_id: req.query.academic_year_id
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const exportStudentLedger = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.query.campus_id || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const { buffer, ledger } = await feeLedgerService.exportStudentLedger(tenant_id, campus_id, req.query.student_id, {
+      academic_year_id: req.query.academic_year_id
+    });
+
+    const fileTag = String(ledger.admission_number || ledger.username || 'Student').replace(/[^A-Za-z0-9_-]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="Fee_Ledger_${fileTag}.xlsx"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(buffer);
+  } catch (err) {
+    logger.error('CONTROLLER: Error exporting fee ledger', { error: err.message });
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  getStudentLedger,
+  exportStudentLedger
+};
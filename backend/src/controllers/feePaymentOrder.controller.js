@@ -0,0 +1,75 @@
+const feePaymentOrderService = require('../services/feePaymentOrder.service');
+const { PAYMENTS_NOT_CONFIGURED } = require('../services/gateways');
+const logger = require('../utils/logger');
+
+// Parent/Student checkout: { student_username, dues: [{ due_id, amount? }] }
+const createPaymentOrder = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feePaymentOrderService.createPaymentOrder({ tenant_id, campus_id, user: req.user }, req.body || {});
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    if (err.message === PAYMENTS_NOT_CONFIGURED) return res.status(503).json({ success: false, message: err.message });
+    const status = err.message.includes('not allowed') ? 403 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+const getPaymentOrder = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    const result = await feePaymentOrderService.getPaymentOrder({ tenant_id, campus_id, user: req.user }, req.params.orderId);
+    if (!result) return res.status(404).json({ success: false, message: 'Payment order not found' });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    const status = err.message.includes('not allowed') ? 403 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+// Gateway callback; unauthenticated, trusted only through the provider signature
+const handleWebhook = async (req, res) => {
+  try {
+    const result = await feePaymentOrderService.processWebhook(req.params.provider, req.rawBody, req.headers, req.body);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    logger.error('CONTROLLER: Payment webhook rejected', { provider: req.params.provider, error: err.message });
+    if (err.message === PAYMENTS_NOT_CONFIGURED) {
+      return res.status(503).json({ success: false, message: err.message });
+    }
+    if (err.message === 'Invalid webhook signature') {
+      return res.status(401).json({ success: false, message: err.message });
+    }
+    if (err.message === 'Malformed webhook payload' || err.message.startsWith('Unsupported payment gateway')) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    // 5xx so the provider retries; the event was rolled back and will be processed afresh
+    return res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
+};
+
+// On-demand run of the reconciliation job, limited to the Admin's campus
+const reconcilePendingOrders = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!tenant_id || !campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feePaymentOrderService.reconcilePendingOrders({ tenant_id, campus_id });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    if (err.message === PAYMENTS_NOT_CONFIGURED) return res.status(503).json({ success: false, message: err.message });
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  createPaymentOrder,
+  getPaymentOrder,
+  handleWebhook,
+  reconcilePendingOrders
+};
@@ -0,0 +1,74 @@
+const feePenaltyService = require('../services/feePenalty.service');
+
+const scopeOf = (req) => ({
+  tenant_id: req.user?.tenantId || req.tenantId,
+  campus_id: req.user?.campusId || req.user?.campus?.campus_id
+});
+
+// Penalty policy per fee structure
+const upsertPolicy = async (req, res) => {
+  try {
+    const result = await feePenaltyService.upsertPolicy(scopeOf(req), req.params.id, req.body || {});
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    const status = err.message === 'Fee structure not found' ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+const getPolicy = async (req, res) => {
+  try {
+    const result = await feePenaltyService.getPolicy(scopeOf(req), req.params.id);
+    if (!result) return res.status(404).json({ success: false, message: 'No penalty policy for this fee structure' });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// On-demand run of the late penalty job for the current campus
+const applyLatePenalties = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = req.user?.campusId || req.user?.campus?.campus_id;
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus context missing' });
+
+    const result = await feePenaltyService.applyLatePenalties({
+      tenant_id,
+      campus_id,
+      as_of_date: req.body?.as_of_date
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const waivePenalty = async (req, res) => {
+  try {
+    const waived_by = req.user?.userId || req.user?.user_id;
+    const result = await feePenaltyService.waivePenalty(scopeOf(req), req.params.dueId, req.body || {}, waived_by);
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    const status = err.message === 'Due not found' ? 404 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+const getPenaltyHistory = async (req, res) => {
+  try {
+    const result = await feePenaltyService.getPenaltyHistory(scopeOf(req), req.params.dueId);
+    if (!result) return res.status(404).json({ success: false, message: 'Due not found' });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  upsertPolicy,
+  getPolicy,
+  applyLatePenalties,
+  waivePenalty,
+  getPenaltyHistory
+};
@@ -0,0 +1,80 @@
+const feeReportService = require('../services/feeReport.service');
+
+const getCampusId = (req) => req.query.campus_id || req.user?.campus?.campus_id;
+
+// Defaulter list: ?as_of_date&class_name&section_id&academic_year_id&fee_type_id&min_days_overdue
+const getDefaulters = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = getCampusId(req);
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeReportService.getDefaulters(tenant_id, campus_id, {
+      as_of_date: req.query.as_of_date,
+      class_name: req.query.class_name,
+      section_id: req.query.section_id,
+      academic_year_id: req.query.academic_year_id,
+      fee_type_id: req.query.fee_type_id,
+      min_days_overdue: req.query.min_days_overdue
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getAgeingReport = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = getCampusId(req);
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeReportService.getAgeingReport(tenant_id, campus_id, {
+      as_of_date: req.query.as_of_date,
+      class_name: req.query.class_name,
+      section_id: req.query.section_id,
+      academic_year_id: req.query.academic_year_id,
+      fee_type_id: req.query.fee_type_id
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getCollectionVsExpected = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = getCampusId(req);
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeReportService.getCollectionVsExpected(tenant_id, campus_id, {
+      from_date: req.query.from_date,
+      to_date: req.query.to_date,
+      academic_year_id: req.query.academic_year_id
+    });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+const getDailyClosing = async (req, res) => {
+  try {
+    const tenant_id = req.user?.tenantId || req.tenantId;
+    const campus_id = getCampusId(req);
+    if (!campus_id) return res.status(400).json({ success: false, message: 'Campus ID required' });
+
+    const result = await feeReportService.getDailyClosing(tenant_id, campus_id, { date: req.query.date });
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+module.exports = {
+  getDefaulters,
+  getAgeingReport,
+  getCollectionVsExpected,
+  getDailyClosing
+};
@@ -0,0 +1,87 @@
+const { GradingSchemeService } = require('../services/gradingScheme.service');
+
+const createGradingSchemeController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const createdBy = req.user.userId || req.user.user_id;
+    const result = await GradingSchemeService.createScheme(req.body || {}, tenantId, campusId, createdBy);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Create Grading Scheme Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getGradingSchemesController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const { academic_year_id, curriculum_id, is_active } = req.query;
+    const filters = {
+      academic_year_id,
+      curriculum_id,
+      is_active: is_active === undefined ? undefined : is_active === 'true'
+    };
+    const schemes = await GradingSchemeService.getSchemes(tenantId, campusId, filters);
+    res.status(200).json({ success: true, data: schemes });
+  } catch (error) {
+    console.error('Get Grading Schemes Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const getGradingSchemeByIdController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const scheme = await GradingSchemeService.getSchemeById(id);
+    if (!scheme || scheme.tenant_id !== req.user.tenantId) {
+      return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+    }
+    res.status(200).json({ success: true, data: scheme });
+  } catch (error) {
+    console.error('Get Grading Scheme By ID Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const updateGradingSchemeController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await GradingSchemeService.updateScheme(id, req.body || {}, req.user.tenantId, req.user.userId || req.user.user_id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Update Grading Scheme Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const deleteGradingSchemeController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await GradingSchemeService.deleteScheme(id, req.user.tenantId, req.user.userId || req.user.user_id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Delete Grading Scheme Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Re-grade stored results by hand, e.g. after exam totals were corrected
+const regradeResultsController = async (req, res) => {
+  try {
+    const { campusId } = req.user;
+    const result = await GradingSchemeService.regradeCampus(campusId, req.user.userId || req.user.user_id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Regrade Exam Results Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  createGradingSchemeController,
+  getGradingSchemesController,
+  getGradingSchemeByIdController,
+  updateGradingSchemeController,
+  deleteGradingSchemeController,
+  regradeResultsController
+};
@@ -96,6 +96,102 @@ const cancelLeave = async (req, res) => {
   }
 };
 
+const getLeaveTypes = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const rows = await leaveService.getLeaveTypes(tenantId);
+    return successResponse(res, 'Leave types retrieved', rows);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to load leave types', 500);
+  }
+};
+
+const createLeaveType = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const created = await leaveService.createLeaveType(tenantId, req.body || {});
+    return createdResponse(res, created, 'Leave type created');
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to create leave type', 400);
+  }
+};
+
+const createDefaultLeaveTypes = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const created = await leaveService.createDefaultLeaveTypes(tenantId);
+    return createdResponse(res, created, `${created.length} leave type(s) added`);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to add default leave types', 400);
+  }
+};
+
+const updateLeaveType = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const { typeId } = req.params;
+    const updated = await leaveService.updateLeaveType(tenantId, typeId, req.body || {});
+    return successResponse(res, 'Leave type updated', updated);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to update leave type', 400);
+  }
+};
+
+const getLeaveQuotas = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const rows = await leaveService.getLeaveQuotas(tenantId);
+    return successResponse(res, 'Leave quotas retrieved', rows);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to load leave quotas', 500);
+  }
+};
+
+const saveLeaveQuota = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const saved = await leaveService.saveLeaveQuota(tenantId, req.body || {});
+    return successResponse(res, 'Leave quota saved', saved);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to save leave quota', 400);
+  }
+};
+
+const deleteLeaveQuota = async (req, res) => {
+  try {
+    const { tenantId } = req.user;
+    const { quotaId } = req.params;
+    const ok = await leaveService.deleteLeaveQuota(tenantId, quotaId);
+    if (!ok) {
+      return errorResponse(res, 'Leave quota not found', 404);
+    }
+    return successResponse(res, 'Leave quota deleted', { id: quotaId });
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to delete leave quota', 500);
+  }
+};
+
+const getLeaveBalance = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const { username, year } = req.query;
+    const balance = await leaveService.getLeaveBalances(tenantId, campusId, req.user, username, year);
+    return successResponse(res, 'Leave balance retrieved', balance);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to load leave balance', 400);
+  }
+};
+
+const encashLeave = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const balance = await leaveService.encashLeave(tenantId, campusId, req.body || {});
+    return successResponse(res, 'Leave encashed', balance);
+  } catch (err) {
+    return errorResponse(res, err.message || 'Failed to encash leave', 400);
+  }
+};
+
 module.exports = {
   createLeave,
   getMyLeaves,
@@ -103,5 +199,14 @@ module.exports = {
   getCompletedApprovals,
   updateStatus,
   deleteLeave,
-  cancelLeave
+  cancelLeave,
+  getLeaveTypes,
+  createLeaveType,
+  createDefaultLeaveTypes,
+  updateLeaveType,
+  getLeaveQuotas,
+  saveLeaveQuota,
+  deleteLeaveQuota,
+  getLeaveBalance,
+  encashLeave
 };
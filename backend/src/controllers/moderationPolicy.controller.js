@@ -0,0 +1,121 @@
+const { ModerationPolicyService } = require('../services/moderationPolicy.service');
+
+const createModerationPolicyController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const createdBy = req.user.userId || req.user.user_id;
+    const result = await ModerationPolicyService.createPolicy(req.body || {}, tenantId, campusId, createdBy);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Create Moderation Policy Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getModerationPoliciesController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const { policy_type, is_active } = req.query;
+    const filters = {
+      policy_type,
+      is_active: is_active === undefined ? undefined : is_active === 'true'
+    };
+    const policies = await ModerationPolicyService.getPolicies(tenantId, campusId, filters);
+    res.status(200).json({ success: true, data: policies });
+  } catch (error) {
+    console.error('Get Moderation Policies Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const getModerationPolicyByIdController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const policy = await ModerationPolicyService.getPolicyById(id);
+    if (!policy || policy.tenant_id !== req.user.tenantId) {
+      return res.status(404).json({ success: false, message: 'Moderation policy not found' });
+    }
+    res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Get Moderation Policy By ID Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const updateModerationPolicyController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await ModerationPolicyService.updatePolicy(id, req.body || {}, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Update Moderation Policy Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const deleteModerationPolicyController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await ModerationPolicyService.deletePolicy(id, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Delete Moderation Policy Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const previewModerationController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const result = await ModerationPolicyService.previewModeration(examId, req.body || {}, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Preview Moderation Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const applyModerationController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const result = await ModerationPolicyService.applyModeration(examId, req.body || {}, req.user.tenantId, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Apply Moderation Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const resetModerationController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const result = await ModerationPolicyService.resetModeration(examId, req.body || {}, req.user.tenantId, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Reset Moderation Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getModerationApplicationsController = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const result = await ModerationPolicyService.getApplications(examId, req.user.tenantId);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Get Moderation Applications Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  createModerationPolicyController,
+  getModerationPoliciesController,
+  getModerationPolicyByIdController,
+  updateModerationPolicyController,
+  deleteModerationPolicyController,
+  previewModerationController,
+  applyModerationController,
+  resetModerationController,
+  getModerationApplicationsController
+};
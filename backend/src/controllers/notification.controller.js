@@ -0,0 +1,56 @@
+const notificationModel = require('../models/notification.model');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Notifications of the logged-in user (?unread_only=true&limit=)
+ */
+const getMyNotifications = async (req, res) => {
+    try {
+        const { unread_only, limit } = req.query;
+        const parsedLimit = limit ? Math.min(Math.max(parseInt(limit) || 50, 1), 200) : 50;
+        const [notifications, unreadCount] = await Promise.all([
+            notificationModel.getNotifications(req.user.username, { unread_only: unread_only === 'true', limit: parsedLimit }),
+            notificationModel.getUnreadCount(req.user.username)
+        ]);
+        return successResponse(res, 'Notifications retrieved successfully', { unread_count: unreadCount, notifications });
+    } catch (error) {
+        logger.error('Error getting notifications:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Mark one notification as read
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const result = await notificationModel.markRead(req.params.notificationId, req.user.username);
+        if (!result) {
+            return errorResponse(res, 'Notification not found', 404);
+        }
+        return successResponse(res, 'Notification marked as read', result);
+    } catch (error) {
+        logger.error('Error marking notification read:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Mark all notifications of the logged-in user as read
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const updated = await notificationModel.markAllRead(req.user.username);
+        return successResponse(res, 'Notifications marked as read', { updated });
+    } catch (error) {
+        logger.error('Error marking notifications read:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+module.exports = {
+    getMyNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+};
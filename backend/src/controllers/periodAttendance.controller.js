@@ -0,0 +1,177 @@
+const periodAttendanceService = require('../services/periodAttendance.service');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// ==================== TIMETABLE SLOT CONTROLLER METHODS ====================
+
+/**
+ * Get the weekly timetable slots (filter by section, teacher or day)
+ */
+const getSlots = async (req, res) => {
+    try {
+        const { section_id, teacher_user_id, day_of_week, include_inactive } = req.query;
+        const result = await periodAttendanceService.getSlots(req.user.campusId, {
+            section_id,
+            teacher_user_id,
+            day_of_week,
+            include_inactive: include_inactive === 'true'
+        });
+        return successResponse(res, 'Timetable slots retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting timetable slots:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Create a timetable slot
+ */
+const createSlot = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.createSlot(req.user.campusId, req.body || {});
+        return successResponse(res, 'Timetable slot created successfully', result, 201);
+    } catch (error) {
+        logger.error('Error creating timetable slot:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Update a timetable slot
+ */
+const updateSlot = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.updateSlot(req.params.slotId, req.user.campusId, req.body || {});
+        return successResponse(res, 'Timetable slot updated successfully', result);
+    } catch (error) {
+        logger.error('Error updating timetable slot:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete (or retire, when attendance exists) a timetable slot
+ */
+const deleteSlot = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.deleteSlot(req.params.slotId, req.user.campusId);
+        const message = result.retired
+            ? 'Timetable slot has attendance and was retired instead of deleted'
+            : 'Timetable slot deleted successfully';
+        return successResponse(res, message, result);
+    } catch (error) {
+        logger.error('Error deleting timetable slot:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== PERIOD ATTENDANCE CONTROLLER METHODS ====================
+
+/**
+ * Get the students of a period with their marked status on a date
+ */
+const getPeriodAttendance = async (req, res) => {
+    try {
+        const { date } = req.query;
+        if (!date) {
+            return errorResponse(res, 'date is required', 400);
+        }
+        const result = await periodAttendanceService.getPeriodRoster(req.params.slotId, req.user.campusId, date);
+        return successResponse(res, 'Period attendance retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting period attendance:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Mark attendance for a period; the students' daily attendance is rolled up in the same transaction
+ */
+const markPeriodAttendance = async (req, res) => {
+    try {
+        logger.info('Marking period attendance', {
+            slotId: req.params.slotId,
+            date: req.body?.date,
+            userId: req.user.userId,
+            studentCount: req.body?.records?.length
+        });
+
+        const result = await periodAttendanceService.markPeriodAttendance(req.params.slotId, req.body || {}, req.user);
+        return successResponse(res, 'Period attendance saved successfully', result);
+    } catch (error) {
+        logger.error('Error marking period attendance:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Subject-wise attendance percentages per student
+ */
+const getSubjectSummary = async (req, res) => {
+    try {
+        const { section_id, username, subject_id, from_date, to_date } = req.query;
+        const result = await periodAttendanceService.getSubjectSummary(
+            req.user.campusId,
+            { section_id, username, subject_id, from_date, to_date },
+            req.user
+        );
+        return successResponse(res, 'Subject-wise attendance retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting subject-wise attendance:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== ROLL-UP RULE CONTROLLER METHODS ====================
+
+/**
+ * Get the rule that turns periods into a daily status
+ */
+const getRule = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.getRule(req.user.campusId);
+        return successResponse(res, 'Roll-up rule retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting period attendance rule:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Save the rule that turns periods into a daily status
+ */
+const updateRule = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.updateRule(req.user.campusId, req.body || {}, req.user.userId);
+        return successResponse(res, 'Roll-up rule saved successfully', result);
+    } catch (error) {
+        logger.error('Error saving period attendance rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Re-apply the current rule to a section's daily attendance over a date range
+ */
+const rerunRollup = async (req, res) => {
+    try {
+        const result = await periodAttendanceService.rerunRollup(req.user.campusId, req.body || {});
+        return successResponse(res, 'Daily attendance recalculated successfully', result);
+    } catch (error) {
+        logger.error('Error re-running period attendance roll-up:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+module.exports = {
+    getSlots,
+    createSlot,
+    updateSlot,
+    deleteSlot,
+    getPeriodAttendance,
+    markPeriodAttendance,
+    getSubjectSummary,
+    getRule,
+    updateRule,
+    rerunRollup
+};
@@ -0,0 +1,109 @@
+const { ReportCardService } = require('../services/reportCard.service');
+const { renderReportCardsHtml } = require('../services/reportCardPrint.service');
+
+const createTermController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const term = await ReportCardService.createTerm(req.body || {}, tenantId, campusId);
+    res.status(201).json({ success: true, data: term });
+  } catch (error) {
+    console.error('Create Term Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getTermsController = async (req, res) => {
+  try {
+    const { tenantId, campusId } = req.user;
+    const terms = await ReportCardService.getTerms(tenantId, campusId, { academic_year_id: req.query.academic_year_id });
+    res.status(200).json({ success: true, data: terms });
+  } catch (error) {
+    console.error('Get Terms Error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const getTermByIdController = async (req, res) => {
+  try {
+    const term = await ReportCardService.getTermById(req.params.termId, req.user.tenantId);
+    res.status(200).json({ success: true, data: term });
+  } catch (error) {
+    console.error('Get Term By ID Error:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+};
+
+const updateTermController = async (req, res) => {
+  try {
+    const term = await ReportCardService.updateTerm(req.params.termId, req.body || {}, req.user.tenantId);
+    res.status(200).json({ success: true, data: term });
+  } catch (error) {
+    console.error('Update Term Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const deleteTermController = async (req, res) => {
+  try {
+    const term = await ReportCardService.deleteTerm(req.params.termId, req.user.tenantId);
+    res.status(200).json({ success: true, data: term });
+  } catch (error) {
+    console.error('Delete Term Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const saveRemarksController = async (req, res) => {
+  try {
+    const { termId, studentUsername } = req.params;
+    const remarkedBy = req.user.userId || req.user.user_id;
+    const result = await ReportCardService.saveRemarks(termId, studentUsername, req.body?.remarks, req.user.tenantId, remarkedBy);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Save Report Card Remarks Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Printable cards (HTML by default, JSON with ?format=json)
+const sendCards = async (req, res, cards) => {
+  if (req.query.format === 'json') {
+    return res.status(200).json({ success: true, data: cards });
+  }
+  const header = await ReportCardService.getSchoolHeader(req.user.campusId);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(200).send(renderReportCardsHtml(Array.isArray(cards) ? cards : [cards], header));
+};
+
+const getStudentReportCardController = async (req, res) => {
+  try {
+    const { termId, studentUsername } = req.params;
+    const card = await ReportCardService.getStudentReportCard(termId, studentUsername, req.user.tenantId);
+    return await sendCards(req, res, card);
+  } catch (error) {
+    console.error('Get Student Report Card Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+const getSectionReportCardsController = async (req, res) => {
+  try {
+    const { termId, sectionId } = req.params;
+    const cards = await ReportCardService.getSectionReportCards(termId, sectionId, req.user.tenantId);
+    return await sendCards(req, res, cards);
+  } catch (error) {
+    console.error('Get Section Report Cards Error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  createTermController,
+  getTermsController,
+  getTermByIdController,
+  updateTermController,
+  deleteTermController,
+  saveRemarksController,
+  getStudentReportCardController,
+  getSectionReportCardsController
+};
@@ -0,0 +1,105 @@
+const staffPunctualityService = require('../services/staffPunctuality.service');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// ==================== DEDUCTION RULE CONTROLLER METHODS ====================
+
+/**
+ * Get the deduction rules of the campus
+ */
+const getRules = async (req, res) => {
+    try {
+        const result = await staffPunctualityService.getRules(req.user.campusId);
+        return successResponse(res, 'Deduction rules retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting deduction rules:', error);
+        return errorResponse(res, error.message, 500);
+    }
+};
+
+/**
+ * Create a deduction rule
+ */
+const createRule = async (req, res) => {
+    try {
+        const result = await staffPunctualityService.createRule(req.user.campusId, req.body || {});
+        return successResponse(res, 'Deduction rule created successfully', result, 201);
+    } catch (error) {
+        logger.error('Error creating deduction rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Update a deduction rule
+ */
+const updateRule = async (req, res) => {
+    try {
+        const result = await staffPunctualityService.updateRule(req.params.ruleId, req.user.campusId, req.body || {});
+        return successResponse(res, 'Deduction rule updated successfully', result);
+    } catch (error) {
+        logger.error('Error updating deduction rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * Delete a deduction rule
+ */
+const deleteRule = async (req, res) => {
+    try {
+        await staffPunctualityService.deleteRule(req.params.ruleId, req.user.campusId);
+        return successResponse(res, 'Deduction rule deleted successfully');
+    } catch (error) {
+        logger.error('Error deleting deduction rule:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+// ==================== PUNCTUALITY CONTROLLER METHODS ====================
+
+/**
+ * Late-coming and early-leaving counters of the staff (?from_date=&to_date=&roles=Teacher,Employee)
+ */
+const getReport = async (req, res) => {
+    try {
+        const { from_date, to_date, roles } = req.query;
+        const result = await staffPunctualityService.getPunctualityReport(req.user.campusId, {
+            from_date,
+            to_date,
+            roles: roles ? String(roles).split(',').map(r => r.trim()).filter(Boolean) : []
+        });
+        return successResponse(res, 'Staff punctuality retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting staff punctuality:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+/**
+ * One staff member's day-by-day check-in/check-out marks (?from_date=&to_date=)
+ */
+const getStaffPunctuality = async (req, res) => {
+    try {
+        const { from_date, to_date } = req.query;
+        const result = await staffPunctualityService.getStaffPunctuality(
+            req.user.campusId,
+            req.params.username,
+            { from_date, to_date },
+            req.user
+        );
+        return successResponse(res, 'Staff punctuality retrieved successfully', result);
+    } catch (error) {
+        logger.error('Error getting staff member punctuality:', error);
+        return errorResponse(res, error.message, 400);
+    }
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    getReport,
+    getStaffPunctuality
+};
@@ -0,0 +1,39 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const feePenaltyService = require('../services/feePenalty.service');
+
+let timer = null;
+
+const run = async () => {
+  try {
+    await feePenaltyService.applyLatePenalties();
+  } catch (error) {
+    logger.error('Late penalty job failed', { error: error.message });
+  }
+};
+
+/**
+ * Apply late fee penalties across all tenants once at startup and then on a fixed interval.
+ * Re-runs are harmless: the service only adds the difference from what is already accrued.
+ */
+const startLatePenaltyJob = () => {
+  const { enabled, intervalMs } = config.jobs.latePenalty;
+  if (!enabled || timer) return;
+
+  logger.info('Late penalty job scheduled', { intervalMs });
+  run();
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+};
+
+const stopLatePenaltyJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startLatePenaltyJob,
+  stopLatePenaltyJob
+};
@@ -0,0 +1,43 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const feePaymentOrderService = require('../services/feePaymentOrder.service');
+const { isGatewayConfigured } = require('../services/gateways');
+
+let timer = null;
+
+const run = async () => {
+  try {
+    await feePaymentOrderService.reconcilePendingOrders();
+  } catch (error) {
+    logger.error('Payment reconciliation job failed', { error: error.message });
+  }
+};
+
+/**
+ * Poll the gateway for orders still pending after their webhook should have arrived.
+ * Not scheduled while no payment gateway is configured.
+ */
+const startPaymentReconciliationJob = () => {
+  const { enabled, intervalMs } = config.jobs.paymentReconciliation;
+  if (!enabled || timer) return;
+  if (!isGatewayConfigured()) {
+    logger.info('Payment reconciliation job not scheduled: no payment gateway configured');
+    return;
+  }
+
+  logger.info('Payment reconciliation job scheduled', { intervalMs });
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+};
+
+const stopPaymentReconciliationJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startPaymentReconciliationJob,
+  stopPaymentReconciliationJob
+};
@@ -0,0 +1,40 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ExamRankService } = require('../services/examRank.service');
+
+let timer = null;
+
+const run = async () => {
+  try {
+    const summary = await ExamRankService.refreshStaleTerms();
+    if (summary.refreshed > 0 || summary.failed > 0) logger.info('Term ranks refreshed', summary);
+  } catch (error) {
+    logger.error('Term rank refresh job failed', { error: error.message });
+  }
+};
+
+/**
+ * Rebuild term ranks flagged by result edits. Flags live in the database, so edits made just
+ * before a restart are still picked up, and several servers share the work without repeating it.
+ */
+const startTermRankRefreshJob = () => {
+  const { enabled, intervalMs } = config.jobs.termRankRefresh;
+  if (!enabled || timer) return;
+
+  logger.info('Term rank refresh job scheduled', { intervalMs });
+  run();
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+};
+
+const stopTermRankRefreshJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startTermRankRefreshJob,
+  stopTermRankRefreshJob
+};
@@ -0,0 +1,176 @@
+const { pool } = require('../config/database');
+
+const AdmitCardModel = {
+  // ==================== SETTINGS & OVERRIDES ====================
+
+  getSettings: async (campusId) => {
+    const result = await pool.query('SELECT * FROM admit_card_settings WHERE campus_id = $1', [campusId]);
+    return result.rows[0];
+  },
+
+  upsertSettings: async (settings) => {
+    const query = `
+      INSERT INTO admit_card_settings (campus_id, tenant_id, block_on_fee_dues, fee_due_threshold, updated_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (campus_id)
+      DO UPDATE SET
+        block_on_fee_dues = EXCLUDED.block_on_fee_dues,
+        fee_due_threshold = EXCLUDED.fee_due_threshold,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      settings.campus_id,
+      settings.tenant_id,
+      settings.block_on_fee_dues,
+      settings.fee_due_threshold,
+      settings.updated_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  createOverride: async (overrideData) => {
+    const query = `
+      INSERT INTO admit_card_overrides (tenant_id, campus_id, event_id, student_username, reason, granted_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      overrideData.tenant_id,
+      overrideData.campus_id,
+      overrideData.event_id,
+      overrideData.student_username,
+      overrideData.reason,
+      overrideData.granted_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  getOverrides: async (tenantId, campusId, filters = {}) => {
+    let query = `
+      SELECT o.*, u.first_name, u.last_name, ce.event_name
+      FROM admit_card_overrides o
+      JOIN users u ON u.username = o.student_username
+      JOIN calendar_events ce ON ce.event_id = o.event_id
+      WHERE o.tenant_id = $1 AND o.campus_id = $2
+    `;
+    const values = [tenantId, campusId];
+
+    if (filters.event_id) {
+      query += ` AND o.event_id = $3`;
+      values.push(filters.event_id);
+    }
+
+    query += ` ORDER BY o.granted_at DESC`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  deleteOverride: async (overrideId, tenantId) => {
+    const result = await pool.query(
+      'DELETE FROM admit_card_overrides WHERE override_id = $1 AND tenant_id = $2 RETURNING *',
+      [overrideId, tenantId]
+    );
+    return result.rows[0];
+  },
+
+  // ==================== CARD DATA ====================
+
+  getEvent: async (eventId) => {
+    const query = `
+      SELECT ce.event_id, ce.tenant_id, ce.campus_id, ce.event_name, ce.academic_year_id, ay.year_name
+      FROM calendar_events ce
+      LEFT JOIN academic_years ay ON ay.academic_year_id = ce.academic_year_id
+      WHERE ce.event_id = $1
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows[0];
+  },
+
+  // Papers of the exam series, in the order they are sat
+  getTimetable: async (eventId) => {
+    const query = `
+      SELECT e.exam_id, e.subject_name, e.exam_date, e.total_score,
+        COALESCE(e.start_time, ce.start_time) AS start_time, COALESCE(e.end_time, ce.end_time) AS end_time
+      FROM exams e
+      JOIN calendar_events ce ON ce.event_id = e.event_id
+      WHERE e.event_id = $1
+      ORDER BY e.exam_date, COALESCE(e.start_time, ce.start_time), e.subject_name
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows;
+  },
+
+  getStudents: async (campusId, { section_id, class_name, student_username }) => {
+    let query = `
+      SELECT
+        u.username, u.first_name, u.middle_name, u.last_name, u.date_of_birth,
+        se.admission_number, se.roll_number, se.class_name, se.section_id, cs.section_name,
+        upd.photo_url
+      FROM student_enrollment se
+      JOIN users u ON u.username = se.username
+      LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+      LEFT JOIN user_personal_details upd ON upd.username = u.username
+      WHERE se.campus_id = $1
+    `;
+    const values = [campusId];
+
+    if (student_username) {
+      query += ` AND se.username = $2`;
+      values.push(student_username);
+    } else if (section_id) {
+      query += ` AND se.section_id = $2`;
+      values.push(section_id);
+    } else {
+      query += ` AND se.class_name = $2`;
+      values.push(class_name);
+    }
+
+    query += ` ORDER BY se.class_name, cs.section_name, se.roll_number NULLS LAST, u.first_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  // Seats already allocated by seating plans for these exams
+  getSeats: async (examIds, usernames) => {
+    const query = `
+      SELECT a.exam_id, a.student_username, a.seat_number, r.room_number, b.building_name
+      FROM exam_seat_allocations a
+      JOIN campus_rooms r ON r.room_id = a.room_id
+      LEFT JOIN buildings b ON b.building_id = r.building_id
+      WHERE a.exam_id = ANY($1::uuid[]) AND a.student_username = ANY($2::varchar[])
+    `;
+    const result = await pool.query(query, [examIds, usernames]);
+    return result.rows;
+  },
+
+  // Unpaid balance (late fees included) on dues that fell due by the given date, per fee student_id
+  getOverdueBalances: async (tenantId, campusId, studentIds, asOfDate) => {
+    const query = `
+      SELECT d.student_id, SUM(d.balance_amount) AS outstanding
+      FROM student_fee_dues d
+      JOIN fee_installments fi ON d.installment_id = fi.installment_id
+      JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+      WHERE fs.tenant_id = $1 AND fs.campus_id = $2
+        AND d.student_id = ANY($3::uuid[])
+        AND d.superseded_by_plan_id IS NULL
+        AND d.balance_amount > 0
+        AND fi.due_date <= $4::date
+      GROUP BY d.student_id
+    `;
+    const result = await pool.query(query, [tenantId, campusId, studentIds, asOfDate]);
+    return result.rows;
+  },
+
+  getOverrideUsernames: async (eventId, usernames) => {
+    const query = `
+      SELECT student_username FROM admit_card_overrides
+      WHERE event_id = $1 AND student_username = ANY($2::varchar[])
+    `;
+    const result = await pool.query(query, [eventId, usernames]);
+    return result.rows.map(r => r.student_username);
+  }
+};
+
+module.exports = AdmitCardModel;
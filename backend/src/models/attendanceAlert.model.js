@@ -0,0 +1,387 @@
+const { pool } = require('../config/database');
+
+// ==================== RULES ====================
+
+/**
+ * Get alert rules of a campus
+ * @param {string} campusId
+ * @param {Object} filters - { active_only, rule_type }
+ * @returns {Promise<Array>}
+ */
+const getRules = async (campusId, filters = {}) => {
+    let query = `SELECT * FROM attendance_alert_rules WHERE campus_id = $1`;
+    const values = [campusId];
+    let idx = 2;
+
+    if (filters.active_only) {
+        query += ` AND is_active`;
+    }
+
+    if (filters.rule_type) {
+        query += ` AND rule_type = $${idx++}`;
+        values.push(filters.rule_type);
+    }
+
+    query += ` ORDER BY rule_type, rule_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Get one alert rule
+ * @param {string} ruleId
+ * @returns {Promise<Object>}
+ */
+const getRuleById = async (ruleId) => {
+    const result = await pool.query('SELECT * FROM attendance_alert_rules WHERE rule_id = $1', [ruleId]);
+    return result.rows[0];
+};
+
+/**
+ * The active rule that decides exam eligibility on a campus
+ * @param {string} campusId
+ * @returns {Promise<Object|undefined>}
+ */
+const getExamEligibilityRule = async (campusId) => {
+    const result = await pool.query(
+        'SELECT * FROM attendance_alert_rules WHERE campus_id = $1 AND is_exam_eligibility AND is_active',
+        [campusId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Create an alert rule
+ * @param {Object} ruleData
+ * @returns {Promise<Object>}
+ */
+const createRule = async (ruleData) => {
+    const query = `
+        INSERT INTO attendance_alert_rules (
+            tenant_id, campus_id, rule_name, rule_type, window_type, window_days,
+            min_percentage, max_unexplained_absences, is_exam_eligibility, is_active, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+    `;
+    const result = await pool.query(query, [
+        ruleData.tenant_id,
+        ruleData.campus_id,
+        ruleData.rule_name,
+        ruleData.rule_type,
+        ruleData.window_type,
+        ruleData.window_days,
+        ruleData.min_percentage,
+        ruleData.max_unexplained_absences,
+        ruleData.is_exam_eligibility,
+        ruleData.is_active,
+        ruleData.created_by || null
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Update an alert rule
+ * @param {string} ruleId
+ * @param {Object} ruleData
+ * @returns {Promise<Object>}
+ */
+const updateRule = async (ruleId, ruleData) => {
+    const query = `
+        UPDATE attendance_alert_rules
+        SET rule_name = $2, window_type = $3, window_days = $4, min_percentage = $5,
+            max_unexplained_absences = $6, is_exam_eligibility = $7, is_active = $8, updated_at = NOW()
+        WHERE rule_id = $1
+        RETURNING *
+    `;
+    const result = await pool.query(query, [
+        ruleId,
+        ruleData.rule_name,
+        ruleData.window_type,
+        ruleData.window_days,
+        ruleData.min_percentage,
+        ruleData.max_unexplained_absences,
+        ruleData.is_exam_eligibility,
+        ruleData.is_active
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Delete an alert rule (its alerts go with it)
+ * @param {string} ruleId
+ */
+const deleteRule = async (ruleId) => {
+    await pool.query('DELETE FROM attendance_alert_rules WHERE rule_id = $1', [ruleId]);
+};
+
+// ==================== EVALUATION DATA ====================
+
+/**
+ * Academic years of a campus running on a date
+ * @param {string} campusId
+ * @param {string} date
+ * @returns {Promise<Array>}
+ */
+const getCurrentAcademicYears = async (campusId, date) => {
+    const query = `
+        SELECT academic_year_id, year_name, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+        FROM academic_years
+        WHERE campus_id = $1 AND start_date <= $2::date AND (end_date IS NULL OR end_date >= $2::date)
+        ORDER BY start_date
+    `;
+    const result = await pool.query(query, [campusId, date]);
+    return result.rows;
+};
+
+/**
+ * A student's enrollment with the academic year it belongs to
+ * @param {string} username
+ * @param {string} campusId
+ * @returns {Promise<Object|undefined>}
+ */
+const getStudentEnrollment = async (username, campusId) => {
+    const query = `
+        SELECT se.username, se.class_name, se.section_id, cs.section_name, se.academic_year_id,
+            ay.year_name, to_char(ay.start_date, 'YYYY-MM-DD') AS year_start, to_char(ay.end_date, 'YYYY-MM-DD') AS year_end
+        FROM student_enrollment se
+        JOIN academic_years ay ON ay.academic_year_id = se.academic_year_id
+        LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+        WHERE se.username = $1 AND se.campus_id = $2
+    `;
+    const result = await pool.query(query, [username, campusId]);
+    return result.rows[0];
+};
+
+/**
+ * A section with its academic year
+ * @param {number|string} sectionId
+ * @returns {Promise<Object|undefined>}
+ */
+const getSectionYear = async (sectionId) => {
+    const query = `
+        SELECT cs.section_id, cs.section_name, cs.campus_id, cs.class_id, c.class_name, cs.academic_year_id, ay.year_name,
+            to_char(ay.start_date, 'YYYY-MM-DD') AS year_start, to_char(ay.end_date, 'YYYY-MM-DD') AS year_end
+        FROM class_sections cs
+        JOIN classes c ON c.class_id = cs.class_id
+        JOIN academic_years ay ON ay.academic_year_id = cs.academic_year_id
+        WHERE cs.section_id = $1
+    `;
+    const result = await pool.query(query, [sectionId]);
+    return result.rows[0];
+};
+
+/**
+ * Approved leave dates of some users in a date range
+ * @param {Array<string>} usernames
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @returns {Promise<Array<{username, leave_date}>>}
+ */
+const getApprovedLeaveDates = async (usernames, fromDate, toDate) => {
+    const query = `
+        SELECT username, to_char(leave_date, 'YYYY-MM-DD') AS leave_date
+        FROM leave_requests
+        WHERE username = ANY($1::varchar[]) AND overall_status = 'approved'
+          AND leave_date BETWEEN $2::date AND $3::date
+    `;
+    const result = await pool.query(query, [usernames, fromDate, toDate]);
+    return result.rows;
+};
+
+/**
+ * Class teacher and parents of each student, as notification recipients
+ * @param {Array<string>} usernames - Student usernames
+ * @param {string} campusId
+ * @returns {Promise<Array<{student_username, recipient_username, relation}>>}
+ */
+const getStudentContacts = async (usernames, campusId) => {
+    const query = `
+        SELECT se.username AS student_username, tu.username AS recipient_username, 'class_teacher' AS relation
+        FROM student_enrollment se
+        JOIN class_sections cs ON cs.section_id = se.section_id
+        JOIN users tu ON tu.user_id = cs.primary_teacher_user_id
+        WHERE se.username = ANY($1::varchar[]) AND se.campus_id = $2
+        UNION
+        SELECT spr.student_username, spr.parent_username, 'parent'
+        FROM student_parent_relations spr
+        WHERE spr.student_username = ANY($1::varchar[]) AND spr.campus_id = $2
+    `;
+    const result = await pool.query(query, [usernames, campusId]);
+    return result.rows;
+};
+
+/**
+ * Whether a user is a parent of a student
+ * @param {string} parentUsername
+ * @param {string} studentUsername
+ * @returns {Promise<boolean>}
+ */
+const isParentOf = async (parentUsername, studentUsername) => {
+    const result = await pool.query(
+        'SELECT 1 FROM student_parent_relations WHERE parent_username = $1 AND student_username = $2',
+        [parentUsername, studentUsername]
+    );
+    return result.rows.length > 0;
+};
+
+// ==================== ALERTS ====================
+
+/**
+ * Open alerts of a rule
+ * @param {Object} client - Database client for transaction
+ * @param {string} ruleId
+ * @returns {Promise<Array>}
+ */
+const getOpenAlerts = async (client, ruleId) => {
+    const result = await client.query(
+        `SELECT alert_id, username FROM attendance_alerts WHERE rule_id = $1 AND status = 'Open' FOR UPDATE`,
+        [ruleId]
+    );
+    return result.rows;
+};
+
+/**
+ * Open an alert for a flagged user
+ * @param {Object} client - Database client for transaction
+ * @param {Object} alert
+ * @returns {Promise<Object>}
+ */
+const openAlert = async (client, alert) => {
+    const query = `
+        INSERT INTO attendance_alerts (
+            campus_id, rule_id, username, role, window_start, window_end,
+            attendance_percentage, absent_days, working_days, details
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+    `;
+    const result = await client.query(query, [
+        alert.campus_id,
+        alert.rule_id,
+        alert.username,
+        alert.role,
+        alert.window_start,
+        alert.window_end,
+        alert.attendance_percentage,
+        alert.absent_days,
+        alert.working_days,
+        alert.details ? JSON.stringify(alert.details) : null
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Refresh the figures of an alert that is still open
+ * @param {Object} client - Database client for transaction
+ * @param {string} alertId
+ * @param {Object} alert
+ */
+const refreshAlert = async (client, alertId, alert) => {
+    const query = `
+        UPDATE attendance_alerts
+        SET window_start = $2, window_end = $3, attendance_percentage = $4, absent_days = $5,
+            working_days = $6, details = $7, evaluated_at = NOW()
+        WHERE alert_id = $1
+    `;
+    await client.query(query, [
+        alertId,
+        alert.window_start,
+        alert.window_end,
+        alert.attendance_percentage,
+        alert.absent_days,
+        alert.working_days,
+        alert.details ? JSON.stringify(alert.details) : null
+    ]);
+};
+
+/**
+ * Resolve alerts whose users no longer match their rule
+ * @param {Object} client - Database client for transaction
+ * @param {Array<string>} alertIds
+ */
+const resolveAlerts = async (client, alertIds) => {
+    if (alertIds.length === 0) return;
+    await client.query(
+        `UPDATE attendance_alerts SET status = 'Resolved', resolved_at = NOW(), evaluated_at = NOW() WHERE alert_id = ANY($1::uuid[])`,
+        [alertIds]
+    );
+};
+
+/**
+ * Alerts of a campus with the user, rule and (for students) class and section
+ * @param {string} campusId
+ * @param {Object} filters - { status, role, rule_id, section_id, username, primary_teacher_user_id }
+ * @returns {Promise<Array>}
+ */
+const getAlerts = async (campusId, filters = {}) => {
+    let query = `
+        SELECT
+            a.alert_id, a.username, a.role, a.status, to_char(a.window_start, 'YYYY-MM-DD') AS window_start,
+            to_char(a.window_end, 'YYYY-MM-DD') AS window_end, a.attendance_percentage, a.absent_days,
+            a.working_days, a.details, a.flagged_at, a.evaluated_at, a.resolved_at,
+            u.first_name, u.last_name,
+            r.rule_id, r.rule_name, r.rule_type, r.min_percentage, r.max_unexplained_absences, r.is_exam_eligibility,
+            se.class_name, se.section_id, cs.section_name
+        FROM attendance_alerts a
+        JOIN attendance_alert_rules r ON r.rule_id = a.rule_id
+        JOIN users u ON u.username = a.username
+        LEFT JOIN student_enrollment se ON se.username = a.username AND se.campus_id = a.campus_id
+        LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+        WHERE a.campus_id = $1
+    `;
+    const values = [campusId];
+    let idx = 2;
+
+    if (filters.status) {
+        query += ` AND a.status = $${idx++}`;
+        values.push(filters.status);
+    }
+
+    if (filters.role) {
+        query += ` AND a.role = $${idx++}`;
+        values.push(filters.role);
+    }
+
+    if (filters.rule_id) {
+        query += ` AND a.rule_id = $${idx++}`;
+        values.push(filters.rule_id);
+    }
+
+    if (filters.section_id) {
+        query += ` AND se.section_id = $${idx++}`;
+        values.push(filters.section_id);
+    }
+
+    if (filters.username) {
+        query += ` AND a.username = $${idx++}`;
+        values.push(filters.username);
+    }
+
+    if (filters.primary_teacher_user_id) {
+        query += ` AND cs.primary_teacher_user_id = $${idx++}`;
+        values.push(filters.primary_teacher_user_id);
+    }
+
+    query += ` ORDER BY a.status, a.flagged_at DESC`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+module.exports = {
+    getRules,
+    getRuleById,
+    getExamEligibilityRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    getCurrentAcademicYears,
+    getStudentEnrollment,
+    getSectionYear,
+    getApprovedLeaveDates,
+    getStudentContacts,
+    isParentOf,
+    getOpenAlerts,
+    openAlert,
+    refreshAlert,
+    resolveAlerts,
+    getAlerts
+};
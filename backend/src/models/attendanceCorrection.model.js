@@ -0,0 +1,328 @@
+const { pool } = require('../config/database');
+
+const REQUEST_SELECT = `
+    SELECT r.id, r.campus_id, r.username, u.first_name, u.last_name, r.user_role, r.requested_by,
+        to_char(r.attendance_date, 'YYYY-MM-DD') AS attendance_date, r.current_status, r.requested_status,
+        r.reason, r.supporting_notes, r.request_date, r.overall_status AS status, r.resolved_at,
+        COALESCE((
+            SELECT json_agg(json_build_object(
+                'approver_username', s.approver_username,
+                'approver_role', s.approver_role,
+                'status', s.status,
+                'step_order', s.step_order,
+                'comments', s.comments,
+                'action_date', s.action_date
+            ) ORDER BY s.step_order)
+            FROM attendance_correction_steps s
+            WHERE s.correction_request_id = r.id
+        ), '[]') AS steps
+    FROM attendance_correction_requests r
+    JOIN users u ON u.username = r.username
+`;
+
+// ==================== ATTENDANCE RECORDS ====================
+
+/**
+ * A user's user_attendance row for a day, in the shape kept in the audit
+ * @param {Object} client - Database client for transaction (or pool)
+ * @param {string} username
+ * @param {string} date
+ * @param {boolean} forUpdate - Lock the row
+ * @returns {Promise<Object|undefined>}
+ */
+const getAttendanceRecord = async (client, username, date, forUpdate = false) => {
+    const query = `
+        SELECT attendance_id, year_name, role, status, duration::text AS duration, total_duration::text AS total_duration,
+            login_time::text AS login_time, logout_time::text AS logout_time
+        FROM user_attendance
+        WHERE username = $1 AND attendance_date = $2
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await client.query(query, [username, date]);
+    return result.rows[0];
+};
+
+/**
+ * Change the status of a recorded day
+ * @param {Object} client - Database client for transaction
+ * @param {string} username
+ * @param {string} date
+ * @param {string} status
+ */
+const updateAttendanceStatus = async (client, username, date, status) => {
+    await client.query(
+        'UPDATE user_attendance SET status = $3 WHERE username = $1 AND attendance_date = $2',
+        [username, date, status]
+    );
+};
+
+/**
+ * Mark a day as written by an approved correction
+ * @param {Object} client - Database client for transaction
+ * @param {string} username
+ * @param {string} date
+ * @param {number} requestId
+ */
+const markCorrected = async (client, username, date, requestId) => {
+    await client.query(
+        'UPDATE user_attendance SET corrected_by_request_id = $3 WHERE username = $1 AND attendance_date = $2',
+        [username, date, requestId]
+    );
+};
+
+/**
+ * Which of these users have a corrected record on a date; automated re-computation skips them
+ * @param {Object} client - Database client for transaction
+ * @param {Array<string>} usernames
+ * @param {string} date
+ * @returns {Promise<Set<string>>}
+ */
+const getCorrectedUsernames = async (client, usernames, date) => {
+    if (usernames.length === 0) return new Set();
+    const result = await client.query(
+        `SELECT username FROM user_attendance
+         WHERE username = ANY($1::varchar[]) AND attendance_date = $2 AND corrected_by_request_id IS NOT NULL`,
+        [usernames, date]
+    );
+    return new Set(result.rows.map(r => r.username));
+};
+
+/**
+ * Academic year a new record of a user's day belongs to: the student's enrollment year running on
+ * the date, else any year of the campus running on it
+ * @param {Object} client - Database client for transaction
+ * @param {string} campusId
+ * @param {string} username
+ * @param {string} date
+ * @returns {Promise<string|null>}
+ */
+const getYearNameForDate = async (client, campusId, username, date) => {
+    const query = `
+        SELECT ay.year_name
+        FROM academic_years ay
+        WHERE ay.campus_id = $1 AND $3::date BETWEEN ay.start_date AND COALESCE(ay.end_date, $3::date)
+        ORDER BY EXISTS (
+            SELECT 1 FROM student_enrollment se
+            WHERE se.username = $2 AND se.campus_id = $1 AND se.academic_year_id = ay.academic_year_id
+        ) DESC, ay.start_date DESC
+        LIMIT 1
+    `;
+    const result = await client.query(query, [campusId, username, date]);
+    return result.rows[0]?.year_name || null;
+};
+
+// ==================== REQUESTS ====================
+
+/**
+ * Create a correction request with its approver steps
+ * @param {Object} client - Database client for transaction
+ * @param {Object} requestData
+ * @param {Array<{approver_role, approver_username}>} approvers
+ * @returns {Promise<number>} Request id
+ */
+const createRequest = async (client, requestData, approvers) => {
+    const query = `
+        INSERT INTO attendance_correction_requests (
+            campus_id, username, user_role, requested_by, attendance_date,
+            current_status, requested_status, reason, supporting_notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+    `;
+    const result = await client.query(query, [
+        requestData.campus_id,
+        requestData.username,
+        requestData.user_role,
+        requestData.requested_by,
+        requestData.attendance_date,
+        requestData.current_status || null,
+        requestData.requested_status,
+        requestData.reason,
+        requestData.supporting_notes || null
+    ]);
+    const requestId = result.rows[0].id;
+
+    await client.query(
+        `INSERT INTO attendance_correction_steps (correction_request_id, approver_role, approver_username, step_order)
+         SELECT $1, x.approver_role::user_role, x.approver_username, x.step_order
+         FROM json_to_recordset($2::json) AS x(approver_role VARCHAR, approver_username VARCHAR, step_order INTEGER)`,
+        [requestId, JSON.stringify(approvers.map((a, i) => ({ ...a, step_order: i + 1 })))]
+    );
+    return requestId;
+};
+
+/**
+ * Get one request with its steps
+ * @param {number} id
+ * @param {Object} client - Database client for transaction (or pool)
+ * @param {boolean} forUpdate - Lock the request row
+ * @returns {Promise<Object|undefined>}
+ */
+const getRequestById = async (id, client = pool, forUpdate = false) => {
+    if (forUpdate) {
+        await client.query('SELECT id FROM attendance_correction_requests WHERE id = $1 FOR UPDATE', [id]);
+    }
+    const result = await client.query(`${REQUEST_SELECT} WHERE r.id = $1`, [id]);
+    return result.rows[0];
+};
+
+/**
+ * Requests a user raised, or that are about the given users
+ * @param {string} campusId
+ * @param {string} requestedBy
+ * @param {Array<string>} usernames
+ * @returns {Promise<Array>}
+ */
+const getRequestsFor = async (campusId, requestedBy, usernames) => {
+    const query = `${REQUEST_SELECT}
+        WHERE r.campus_id = $1 AND (r.requested_by = $2 OR r.username = ANY($3::varchar[]))
+        ORDER BY r.request_date DESC
+    `;
+    const result = await pool.query(query, [campusId, requestedBy, usernames]);
+    return result.rows;
+};
+
+/**
+ * Requests assigned to an approver
+ * @param {string} approverUsername
+ * @param {Array<string>} stepStatuses - Statuses of the approver's own step
+ * @returns {Promise<Array>}
+ */
+const getRequestsForApprover = async (approverUsername, stepStatuses) => {
+    const query = `${REQUEST_SELECT}
+        WHERE EXISTS (
+            SELECT 1 FROM attendance_correction_steps s2
+            WHERE s2.correction_request_id = r.id AND s2.approver_username = $1
+              AND s2.status = ANY($2::leave_status[])
+        )
+        ORDER BY r.request_date DESC
+    `;
+    const result = await pool.query(query, [approverUsername, stepStatuses]);
+    return result.rows;
+};
+
+/**
+ * Record an approver's decision; an approver outside the chain (an Admin) gets a step added
+ * @param {Object} client - Database client for transaction
+ * @param {number} requestId
+ * @param {Object} decision - { approver_username, approver_role, status, comments }
+ */
+const decideStep = async (client, requestId, decision) => {
+    const query = `
+        INSERT INTO attendance_correction_steps (
+            correction_request_id, approver_role, approver_username, status, step_order, comments, action_date
+        )
+        SELECT $1, $2, $3, $4, COALESCE(MAX(step_order), 0) + 1, $5, NOW()
+        FROM attendance_correction_steps
+        WHERE correction_request_id = $1
+        ON CONFLICT (correction_request_id, approver_username)
+        DO UPDATE SET status = EXCLUDED.status, comments = EXCLUDED.comments, action_date = NOW()
+    `;
+    await client.query(query, [
+        requestId,
+        decision.approver_role,
+        decision.approver_username,
+        decision.status,
+        decision.comments || null
+    ]);
+};
+
+/**
+ * Settle a request; steps still pending are closed as cancelled
+ * @param {Object} client - Database client for transaction
+ * @param {number} requestId
+ * @param {string} status - approved, rejected or cancelled
+ * @param {string} comments - Stored on the closed steps
+ */
+const closeRequest = async (client, requestId, status, comments = null) => {
+    await client.query(
+        `UPDATE attendance_correction_requests SET overall_status = $2, resolved_at = NOW() WHERE id = $1`,
+        [requestId, status]
+    );
+    await client.query(
+        `UPDATE attendance_correction_steps
+         SET status = 'cancelled', comments = COALESCE($2, comments), action_date = NOW()
+         WHERE correction_request_id = $1 AND status = 'pending'`,
+        [requestId, comments]
+    );
+};
+
+// ==================== AUDIT ====================
+
+/**
+ * Record a change made by an approved correction
+ * @param {Object} client - Database client for transaction
+ * @param {Object} auditData
+ */
+const createAudit = async (client, auditData) => {
+    const query = `
+        INSERT INTO attendance_correction_audit (
+            correction_request_id, campus_id, username, attendance_date, before_values, after_values, changed_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    await client.query(query, [
+        auditData.correction_request_id,
+        auditData.campus_id,
+        auditData.username,
+        auditData.attendance_date,
+        auditData.before_values ? JSON.stringify(auditData.before_values) : null,
+        JSON.stringify(auditData.after_values),
+        auditData.changed_by
+    ]);
+};
+
+/**
+ * Correction audit of a campus, newest first
+ * @param {string} campusId
+ * @param {Object} filters - { username, from_date, to_date, correction_request_id }
+ * @returns {Promise<Array>}
+ */
+const getAudit = async (campusId, filters = {}) => {
+    let query = `
+        SELECT a.id, a.correction_request_id, a.username, u.first_name, u.last_name,
+            to_char(a.attendance_date, 'YYYY-MM-DD') AS attendance_date, a.before_values, a.after_values,
+            a.changed_by, a.changed_at, r.requested_by, r.reason
+        FROM attendance_correction_audit a
+        JOIN users u ON u.username = a.username
+        JOIN attendance_correction_requests r ON r.id = a.correction_request_id
+        WHERE a.campus_id = $1
+    `;
+    const values = [campusId];
+    let idx = 2;
+
+    if (filters.username) {
+        query += ` AND a.username = $${idx++}`;
+        values.push(filters.username);
+    }
+    if (filters.from_date) {
+        query += ` AND a.attendance_date >= $${idx++}`;
+        values.push(filters.from_date);
+    }
+    if (filters.to_date) {
+        query += ` AND a.attendance_date <= $${idx++}`;
+        values.push(filters.to_date);
+    }
+    if (filters.correction_request_id) {
+        query += ` AND a.correction_request_id = $${idx++}`;
+        values.push(filters.correction_request_id);
+    }
+
+    query += ` ORDER BY a.changed_at DESC`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+module.exports = {
+    getAttendanceRecord,
+    updateAttendanceStatus,
+    markCorrected,
+    getCorrectedUsernames,
+    getYearNameForDate,
+    createRequest,
+    getRequestById,
+    getRequestsFor,
+    getRequestsForApprover,
+    decideStep,
+    closeRequest,
+    createAudit,
+    getAudit
+};
@@ -0,0 +1,448 @@
+const { pool } = require('../config/database');
+
+// ==================== DEVICES ====================
+
+/**
+ * Get the devices of a campus (without key hashes)
+ * @param {string} campusId
+ * @returns {Promise<Array>}
+ */
+const getDevices = async (campusId) => {
+    const query = `
+        SELECT device_id, device_name, serial_number, location, is_active, last_push_at, created_at
+        FROM attendance_devices
+        WHERE campus_id = $1
+        ORDER BY device_name
+    `;
+    const result = await pool.query(query, [campusId]);
+    return result.rows;
+};
+
+/**
+ * Get one device
+ * @param {string} deviceId
+ * @returns {Promise<Object>}
+ */
+const getDeviceById = async (deviceId) => {
+    const result = await pool.query('SELECT * FROM attendance_devices WHERE device_id = $1', [deviceId]);
+    return result.rows[0];
+};
+
+/**
+ * Find the device a push key belongs to
+ * @param {string} apiKeyHash
+ * @returns {Promise<Object|undefined>}
+ */
+const getDeviceByKeyHash = async (apiKeyHash) => {
+    const result = await pool.query('SELECT * FROM attendance_devices WHERE api_key_hash = $1', [apiKeyHash]);
+    return result.rows[0];
+};
+
+/**
+ * Register a device
+ * @param {Object} deviceData
+ * @returns {Promise<Object>}
+ */
+const createDevice = async (deviceData) => {
+    const query = `
+        INSERT INTO attendance_devices (tenant_id, campus_id, device_name, serial_number, location, api_key_hash)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING device_id, device_name, serial_number, location, is_active, created_at
+    `;
+    const result = await pool.query(query, [
+        deviceData.tenant_id,
+        deviceData.campus_id,
+        deviceData.device_name,
+        deviceData.serial_number || null,
+        deviceData.location || null,
+        deviceData.api_key_hash
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Update a device's details, and its key when a new one is issued
+ * @param {string} deviceId
+ * @param {Object} deviceData - { device_name, serial_number, location, is_active, api_key_hash }
+ * @returns {Promise<Object>}
+ */
+const updateDevice = async (deviceId, deviceData) => {
+    const query = `
+        UPDATE attendance_devices
+        SET device_name = $2, serial_number = $3, location = $4, is_active = $5,
+            api_key_hash = COALESCE($6, api_key_hash)
+        WHERE device_id = $1
+        RETURNING device_id, device_name, serial_number, location, is_active, last_push_at, created_at
+    `;
+    const result = await pool.query(query, [
+        deviceId,
+        deviceData.device_name,
+        deviceData.serial_number || null,
+        deviceData.location || null,
+        deviceData.is_active,
+        deviceData.api_key_hash || null
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Record that a device pushed punches
+ * @param {string} deviceId
+ */
+const touchDevice = async (deviceId) => {
+    await pool.query('UPDATE attendance_devices SET last_push_at = NOW() WHERE device_id = $1', [deviceId]);
+};
+
+/**
+ * Delete a device; its punches stay
+ * @param {string} deviceId
+ */
+const deleteDevice = async (deviceId) => {
+    await pool.query('DELETE FROM attendance_devices WHERE device_id = $1', [deviceId]);
+};
+
+// ==================== SHIFTS ====================
+
+/**
+ * Get the shifts of a campus
+ * @param {string} campusId
+ * @returns {Promise<Array>}
+ */
+const getShifts = async (campusId) => {
+    const query = `
+        SELECT shift_id, campus_id, shift_name, roles::text[] AS roles, departments::text[] AS departments,
+            to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time,
+            late_grace_minutes, early_leave_grace_minutes, half_day_minutes, absent_minutes, created_at, updated_at
+        FROM attendance_shifts
+        WHERE campus_id = $1
+        ORDER BY start_time, shift_name
+    `;
+    const result = await pool.query(query, [campusId]);
+    return result.rows;
+};
+
+/**
+ * Create a shift
+ * @param {Object} shiftData
+ * @returns {Promise<Object>}
+ */
+const createShift = async (shiftData) => {
+    const query = `
+        INSERT INTO attendance_shifts (
+            campus_id, shift_name, roles, departments, start_time, end_time,
+            late_grace_minutes, early_leave_grace_minutes, half_day_minutes, absent_minutes
+        ) VALUES ($1, $2, $3::user_role[], $4, $5, $6, $7, $8, $9, $10)
+        RETURNING shift_id
+    `;
+    const result = await pool.query(query, [
+        shiftData.campus_id,
+        shiftData.shift_name,
+        shiftData.roles,
+        shiftData.departments,
+        shiftData.start_time,
+        shiftData.end_time,
+        shiftData.late_grace_minutes,
+        shiftData.early_leave_grace_minutes,
+        shiftData.half_day_minutes,
+        shiftData.absent_minutes
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Update a shift
+ * @param {string} shiftId
+ * @param {Object} shiftData
+ */
+const updateShift = async (shiftId, shiftData) => {
+    const query = `
+        UPDATE attendance_shifts
+        SET shift_name = $2, roles = $3::user_role[], departments = $4, start_time = $5, end_time = $6,
+            late_grace_minutes = $7, early_leave_grace_minutes = $8, half_day_minutes = $9, absent_minutes = $10,
+            updated_at = NOW()
+        WHERE shift_id = $1
+    `;
+    await pool.query(query, [
+        shiftId,
+        shiftData.shift_name,
+        shiftData.roles,
+        shiftData.departments,
+        shiftData.start_time,
+        shiftData.end_time,
+        shiftData.late_grace_minutes,
+        shiftData.early_leave_grace_minutes,
+        shiftData.half_day_minutes,
+        shiftData.absent_minutes
+    ]);
+};
+
+/**
+ * Delete a shift; mappings that used it fall back to their category's or role's shift
+ * @param {string} shiftId
+ */
+const deleteShift = async (shiftId) => {
+    await pool.query('DELETE FROM attendance_shifts WHERE shift_id = $1', [shiftId]);
+};
+
+// ==================== USER MAPPINGS ====================
+
+/**
+ * Device user mappings of a campus with the user and, for students, their academic year
+ * @param {string} campusId
+ * @param {Array<string>} [deviceUserIds] - Narrow to these device user IDs
+ * @returns {Promise<Array>}
+ */
+const getMappings = async (campusId, deviceUserIds = null) => {
+    let query = `
+        SELECT m.mapping_id, m.device_user_id, m.username, m.shift_id, u.role, u.first_name, u.last_name,
+            ed.department::text AS department, se.year_name AS student_year_name
+        FROM device_user_mappings m
+        JOIN users u ON u.username = m.username
+        LEFT JOIN employment_details ed ON ed.username = m.username AND ed.campus_id = m.campus_id
+        LEFT JOIN LATERAL (
+            SELECT ay.year_name
+            FROM student_enrollment e
+            JOIN academic_years ay ON ay.academic_year_id = e.academic_year_id
+            WHERE e.username = m.username AND e.campus_id = m.campus_id
+            ORDER BY ay.start_date DESC
+            LIMIT 1
+        ) se ON TRUE
+        WHERE m.campus_id = $1
+    `;
+    const values = [campusId];
+
+    if (deviceUserIds) {
+        query += ` AND m.device_user_id = ANY($2::varchar[])`;
+        values.push(deviceUserIds);
+    }
+
+    query += ` ORDER BY m.device_user_id`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Users of a campus among the given usernames (to validate mappings)
+ * @param {string} campusId
+ * @param {Array<string>} usernames
+ * @returns {Promise<Array<string>>}
+ */
+const getCampusUsernames = async (campusId, usernames) => {
+    const result = await pool.query(
+        'SELECT username FROM user_statuses WHERE campus_id = $1 AND username = ANY($2::varchar[])',
+        [campusId, usernames]
+    );
+    return result.rows.map(r => r.username);
+};
+
+/**
+ * Insert or replace mappings; a device user ID or username already mapped is moved
+ * @param {string} campusId
+ * @param {Array<{device_user_id, username, shift_id}>} mappings
+ * @returns {Promise<number>}
+ */
+const upsertMappings = async (campusId, mappings) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `DELETE FROM device_user_mappings
+             WHERE campus_id = $1 AND (device_user_id = ANY($2::varchar[]) OR username = ANY($3::varchar[]))`,
+            [campusId, mappings.map(m => m.device_user_id), mappings.map(m => m.username)]
+        );
+        const result = await client.query(
+            `INSERT INTO device_user_mappings (campus_id, device_user_id, username, shift_id)
+             SELECT $1, x.device_user_id, x.username, x.shift_id
+             FROM json_to_recordset($2::json) AS x(device_user_id VARCHAR, username VARCHAR, shift_id UUID)`,
+            [campusId, JSON.stringify(mappings)]
+        );
+        await client.query('COMMIT');
+        return result.rowCount;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Delete a mapping of a campus
+ * @param {string} mappingId
+ * @param {string} campusId
+ * @returns {Promise<boolean>}
+ */
+const deleteMapping = async (mappingId, campusId) => {
+    const result = await pool.query(
+        'DELETE FROM device_user_mappings WHERE mapping_id = $1 AND campus_id = $2',
+        [mappingId, campusId]
+    );
+    return result.rowCount > 0;
+};
+
+// ==================== PUNCHES ====================
+
+/**
+ * Start an import batch
+ * @param {Object} client - Database client for transaction
+ * @param {Object} batchData
+ * @returns {Promise<string>} batch_id
+ */
+const createBatch = async (client, batchData) => {
+    const query = `
+        INSERT INTO punch_import_batches (tenant_id, campus_id, device_id, source, file_name, total_rows, imported_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING batch_id
+    `;
+    const result = await client.query(query, [
+        batchData.tenant_id,
+        batchData.campus_id,
+        batchData.device_id || null,
+        batchData.source,
+        batchData.file_name || null,
+        batchData.total_rows,
+        batchData.imported_by || null
+    ]);
+    return result.rows[0].batch_id;
+};
+
+/**
+ * Store the outcome of an import batch
+ * @param {Object} client - Database client for transaction
+ * @param {string} batchId
+ * @param {Object} outcome - { new_punches, days_written, report }
+ */
+const finishBatch = async (client, batchId, outcome) => {
+    await client.query(
+        'UPDATE punch_import_batches SET new_punches = $2, days_written = $3, report = $4 WHERE batch_id = $1',
+        [batchId, outcome.new_punches, outcome.days_written, JSON.stringify(outcome.report)]
+    );
+};
+
+/**
+ * Import batches of a campus, newest first (without the reports)
+ * @param {string} campusId
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+const getBatches = async (campusId, limit = 50) => {
+    const query = `
+        SELECT b.batch_id, b.device_id, d.device_name, b.source, b.file_name, b.total_rows, b.new_punches,
+            b.days_written, jsonb_array_length(COALESCE(b.report->'unmapped', '[]')) AS unmapped_count,
+            jsonb_array_length(COALESCE(b.report->'anomalies', '[]')) AS anomaly_count, b.imported_by, b.created_at
+        FROM punch_import_batches b
+        LEFT JOIN attendance_devices d ON d.device_id = b.device_id
+        WHERE b.campus_id = $1
+        ORDER BY b.created_at DESC
+        LIMIT $2
+    `;
+    const result = await pool.query(query, [campusId, limit]);
+    return result.rows;
+};
+
+/**
+ * Get one import batch with its report
+ * @param {string} batchId
+ * @returns {Promise<Object>}
+ */
+const getBatchById = async (batchId) => {
+    const result = await pool.query('SELECT * FROM punch_import_batches WHERE batch_id = $1', [batchId]);
+    return result.rows[0];
+};
+
+/**
+ * Insert punches, skipping ones already stored
+ * @param {Object} client - Database client for transaction
+ * @param {Object} context - { campus_id, device_id, batch_id }
+ * @param {Array<{device_user_id, punch_time, direction}>} punches
+ * @returns {Promise<number>} New punches
+ */
+const insertPunches = async (client, context, punches) => {
+    if (punches.length === 0) return 0;
+    const query = `
+        INSERT INTO device_punches (campus_id, device_id, batch_id, device_user_id, punch_time, direction)
+        SELECT $1, $2, $3, x.device_user_id, x.punch_time, x.direction::punch_direction_enum
+        FROM json_to_recordset($4::json) AS x(device_user_id VARCHAR, punch_time TIMESTAMP, direction VARCHAR)
+        ON CONFLICT (campus_id, device_user_id, punch_time) DO NOTHING
+    `;
+    const result = await client.query(query, [context.campus_id, context.device_id || null, context.batch_id, JSON.stringify(punches)]);
+    return result.rowCount;
+};
+
+/**
+ * Every stored punch of some device users in a date range, oldest first
+ * @param {Object} client - Database client for transaction
+ * @param {string} campusId
+ * @param {Array<string>} deviceUserIds
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @returns {Promise<Array>}
+ */
+const getPunches = async (client, campusId, deviceUserIds, fromDate, toDate) => {
+    const query = `
+        SELECT device_user_id, to_char(punch_time, 'YYYY-MM-DD HH24:MI:SS') AS punch_time, direction
+        FROM device_punches
+        WHERE campus_id = $1 AND device_user_id = ANY($2::varchar[])
+          AND punch_time >= $3::date AND punch_time < $4::date + 1
+        ORDER BY device_user_id, punch_time
+    `;
+    const result = await client.query(query, [campusId, deviceUserIds, fromDate, toDate]);
+    return result.rows;
+};
+
+/**
+ * Academic years of a campus, to find the one running on a date
+ * @param {string} campusId
+ * @returns {Promise<Array>}
+ */
+const getAcademicYears = async (campusId) => {
+    const query = `
+        SELECT academic_year_id, year_name, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+        FROM academic_years
+        WHERE campus_id = $1
+        ORDER BY start_date
+    `;
+    const result = await pool.query(query, [campusId]);
+    return result.rows;
+};
+
+/**
+ * Usernames that already have a user_attendance row on a date
+ * @param {Object} client - Database client for transaction
+ * @param {Array<string>} usernames
+ * @param {string} date
+ * @returns {Promise<Set<string>>}
+ */
+const getRecordedUsernames = async (client, usernames, date) => {
+    const result = await client.query(
+        'SELECT username FROM user_attendance WHERE username = ANY($1::varchar[]) AND attendance_date = $2',
+        [usernames, date]
+    );
+    return new Set(result.rows.map(r => r.username));
+};
+
+module.exports = {
+    getDevices,
+    getDeviceById,
+    getDeviceByKeyHash,
+    createDevice,
+    updateDevice,
+    touchDevice,
+    deleteDevice,
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    getMappings,
+    getCampusUsernames,
+    upsertMappings,
+    deleteMapping,
+    createBatch,
+    finishBatch,
+    getBatches,
+    getBatchById,
+    insertPunches,
+    getPunches,
+    getAcademicYears,
+    getRecordedUsernames
+};
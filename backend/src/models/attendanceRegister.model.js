@@ -0,0 +1,34 @@
+const { pool } = require('../config/database');
+
+/**
+ * Sections of a campus with their class and academic year, by ID or by class
+ * @param {string} campusId
+ * @param {Object} filters - { section_ids, class_id }
+ * @returns {Promise<Array>}
+ */
+const getSections = async (campusId, { section_ids, class_id }) => {
+    let query = `
+        SELECT cs.section_id, cs.section_name, c.class_id, c.class_name, c.class_level, ay.year_name
+        FROM class_sections cs
+        JOIN classes c ON c.class_id = cs.class_id
+        JOIN academic_years ay ON ay.academic_year_id = cs.academic_year_id
+        WHERE cs.campus_id = $1
+    `;
+    const values = [campusId];
+
+    if (section_ids && section_ids.length > 0) {
+        query += ` AND cs.section_id = ANY($2::int[])`;
+        values.push(section_ids);
+    } else {
+        query += ` AND cs.class_id = $2`;
+        values.push(class_id);
+    }
+
+    query += ` ORDER BY c.class_level NULLS LAST, c.class_name, cs.section_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+module.exports = {
+    getSections
+};
@@ -38,8 +38,8 @@ const createCampus = async (campusData) => {
 
     const query = `
         INSERT INTO campuses 
-        (campus_name, address, phone_number, email, is_main_campus, year_established, no_of_floors, tenant_id)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        (campus_name, address, phone_number, email, is_main_campus, year_established, no_of_floors, tenant_id, campus_code)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *;
     `;
     const values = [
@@ -50,7 +50,8 @@ const createCampus = async (campusData) => {
         campusData.is_main_campus,
         campusData.year_established,
         campusData.no_of_floors,
-        campusData.tenant_id
+        campusData.tenant_id,
+        campusData.campus_code || null
     ];
     
     try {
@@ -79,7 +80,8 @@ const updateCampus = async (campusId, campusData, tenantId) => {
     const query = `
         UPDATE campuses 
         SET campus_name = $1, address = $2, phone_number = $3, email = $4, 
-            is_main_campus = $5, year_established = $6, no_of_floors = $7, updated_at = NOW()
+            is_main_campus = $5, year_established = $6, no_of_floors = $7,
+            campus_code = COALESCE($10, campus_code), updated_at = NOW()
         WHERE campus_id = $8 AND tenant_id = $9
         RETURNING *;
     `;
@@ -92,7 +94,8 @@ const updateCampus = async (campusId, campusData, tenantId) => {
         campusData.year_established,
         campusData.no_of_floors,
         campusId,
-        tenantId
+        tenantId,
+        campusData.campus_code || null
     ];
     
     try {
@@ -2,7 +2,7 @@ const { pool } = require('../config/database');
 
 const EventModel = {
   // Create a new event
-  createEvent: async (eventData) => {
+  createEvent: async (eventData, client = pool) => {
     const {
       tenant_id,
       campus_id,
@@ -39,7 +39,7 @@ const EventModel = {
       room_id, event_status
     ];
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   },
 
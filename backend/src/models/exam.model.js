@@ -1,21 +1,24 @@
 const { pool } = require('../config/database');
 
 const ExamModel = {
-  createExam: async (examData) => {
+  createExam: async (examData, client = pool) => {
     const {
       tenant_id,
       campus_id,
       event_id,
       subject_name,
       exam_date,
-      total_score
+      total_score,
+      class_name,
+      start_time,
+      end_time
     } = examData;
 
     const query = `
       INSERT INTO exams (
-        tenant_id, campus_id, event_id, subject_name, exam_date, total_score
+        tenant_id, campus_id, event_id, subject_name, exam_date, total_score, class_name, start_time, end_time
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *;
     `;
 
@@ -25,10 +28,13 @@ const ExamModel = {
       event_id,
       subject_name,
       exam_date,
-      total_score !== undefined ? total_score : 100.00
+      total_score !== undefined ? total_score : 100.00,
+      class_name || null,
+      start_time || null,
+      end_time || null
     ];
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   },
 
@@ -38,6 +44,19 @@ const ExamModel = {
     return result.rows[0];
   },
 
+  // Exam with the academic year and curriculum its grading scheme is picked by
+  getExamGradingContext: async (examId) => {
+    const query = `
+      SELECT e.*, ce.academic_year_id, ay.curriculum_id
+      FROM exams e
+      JOIN calendar_events ce ON e.event_id = ce.event_id
+      LEFT JOIN academic_years ay ON ce.academic_year_id = ay.academic_year_id
+      WHERE e.exam_id = $1
+    `;
+    const result = await pool.query(query, [examId]);
+    return result.rows[0];
+  },
+
   getExamsByCampus: async (campusId, filters = {}) => {
     let query = `
       SELECT e.*, ce.audience_target, ce.academic_year_id, ce.event_name
@@ -86,6 +105,9 @@ const ExamModel = {
     addField('subject_name', examData.subject_name);
     addField('exam_date', examData.exam_date);
     addField('total_score', examData.total_score);
+    addField('class_name', examData.class_name);
+    addField('start_time', examData.start_time);
+    addField('end_time', examData.end_time);
     // passing_score is generated, cannot be updated directly
 
     if (fields.length === 0) return null;
@@ -102,6 +124,25 @@ const ExamModel = {
     return result.rows[0];
   },
 
+  /**
+   * Papers of the class on that date whose time overlaps start-end (an exam without its own
+   * times uses its calendar event's)
+   */
+  findClassClashes: async (campusId, className, examDate, startTime, endTime, excludeExamId = null) => {
+    const query = `
+      SELECT e.exam_id, e.subject_name, e.exam_date,
+        COALESCE(e.start_time, ce.start_time) AS start_time, COALESCE(e.end_time, ce.end_time) AS end_time
+      FROM exams e
+      JOIN calendar_events ce ON ce.event_id = e.event_id
+      WHERE e.campus_id = $1 AND e.class_name = $2 AND e.exam_date = $3::date
+        AND COALESCE(e.start_time, ce.start_time) < $5::time
+        AND COALESCE(e.end_time, ce.end_time) > $4::time
+        AND ($6::uuid IS NULL OR e.exam_id <> $6::uuid)
+    `;
+    const result = await pool.query(query, [campusId, className, examDate, startTime, endTime, excludeExamId]);
+    return result.rows;
+  },
+
   deleteExam: async (examId) => {
     const query = `DELETE FROM exams WHERE exam_id = $1 RETURNING *`;
     const result = await pool.query(query, [examId]);
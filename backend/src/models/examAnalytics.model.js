@@ -0,0 +1,105 @@
+const { pool } = require('../config/database');
+
+const ExamAnalyticsModel = {
+  /**
+   * One row per result with everything it can be grouped by. The teacher is the subject teacher of
+   * the student's section (section_subjects, matched on subject name) and falls back to the section's
+   * primary teacher when no subject teacher is assigned.
+   */
+  getResultRows: async (tenantId, campusId, filters = {}) => {
+    let query = `
+      SELECT
+        r.result_id, r.student_username, r.attendance_status, r.obtained_score, r.is_passed,
+        e.exam_id, e.subject_name, e.exam_date, e.total_score,
+        ce.event_id, ce.event_name, ce.academic_year_id, ay.year_name,
+        se.class_name, se.section_id, cs.section_name,
+        t.term_id, t.term_name, t.display_order AS term_order,
+        COALESCE(st.teacher_user_id, cs.primary_teacher_user_id) AS teacher_user_id,
+        CASE WHEN st.teacher_user_id IS NOT NULL THEN 'subject' WHEN cs.primary_teacher_user_id IS NOT NULL THEN 'primary' END AS teacher_source,
+        tu.first_name AS teacher_first_name, tu.last_name AS teacher_last_name
+      FROM exam_results r
+      JOIN exams e ON e.exam_id = r.exam_id
+      JOIN calendar_events ce ON ce.event_id = e.event_id
+      LEFT JOIN academic_years ay ON ay.academic_year_id = ce.academic_year_id
+      LEFT JOIN student_enrollment se ON se.username = r.student_username AND se.campus_id = r.campus_id
+      LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+      LEFT JOIN LATERAL (
+        SELECT ss.teacher_user_id
+        FROM section_subjects ss
+        JOIN subjects sub ON sub.subject_id = ss.subject_id
+        WHERE ss.section_id = se.section_id
+          AND LOWER(sub.subject_name) = LOWER(e.subject_name)
+          AND ss.teacher_user_id IS NOT NULL
+        LIMIT 1
+      ) st ON TRUE
+      LEFT JOIN users tu ON tu.user_id = COALESCE(st.teacher_user_id, cs.primary_teacher_user_id)
+      LEFT JOIN assessment_group_exams age ON age.exam_id = e.exam_id
+      LEFT JOIN assessment_groups ag ON ag.group_id = age.group_id
+      LEFT JOIN assessment_terms t ON t.term_id = ag.term_id
+      WHERE r.tenant_id = $1 AND r.campus_id = $2
+    `;
+    const values = [tenantId, campusId];
+    let idx = 3;
+
+    if (filters.exam_id) {
+      query += ` AND e.exam_id = $${idx++}`;
+      values.push(filters.exam_id);
+    }
+
+    if (filters.event_id) {
+      query += ` AND ce.event_id = $${idx++}`;
+      values.push(filters.event_id);
+    }
+
+    if (filters.academic_year_id) {
+      query += ` AND ce.academic_year_id = $${idx++}`;
+      values.push(filters.academic_year_id);
+    }
+
+    if (filters.academic_year_ids) {
+      query += ` AND ce.academic_year_id = ANY($${idx++}::int[])`;
+      values.push(filters.academic_year_ids);
+    }
+
+    if (filters.term_id) {
+      query += ` AND t.term_id = $${idx++}`;
+      values.push(filters.term_id);
+    }
+
+    if (filters.subject_name) {
+      query += ` AND LOWER(e.subject_name) = LOWER($${idx++})`;
+      values.push(filters.subject_name);
+    }
+
+    if (filters.class_name) {
+      query += ` AND se.class_name = $${idx++}`;
+      values.push(filters.class_name);
+    }
+
+    if (filters.section_id) {
+      query += ` AND se.section_id = $${idx++}`;
+      values.push(filters.section_id);
+    }
+
+    if (filters.teacher_user_id) {
+      query += ` AND COALESCE(st.teacher_user_id, cs.primary_teacher_user_id) = $${idx++}`;
+      values.push(filters.teacher_user_id);
+    }
+
+    if (filters.from_date) {
+      query += ` AND e.exam_date >= $${idx++}`;
+      values.push(filters.from_date);
+    }
+
+    if (filters.to_date) {
+      query += ` AND e.exam_date <= $${idx++}`;
+      values.push(filters.to_date);
+    }
+
+    query += ` ORDER BY e.exam_date, e.subject_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+};
+
+module.exports = ExamAnalyticsModel;
@@ -0,0 +1,165 @@
+const { pool } = require('../config/database');
+
+const ExamRankModel = {
+  getSettings: async (campusId) => {
+    const result = await pool.query('SELECT * FROM rank_settings WHERE campus_id = $1', [campusId]);
+    return result.rows[0];
+  },
+
+  upsertSettings: async (settings) => {
+    const query = `
+      INSERT INTO rank_settings (campus_id, tenant_id, tie_method, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (campus_id)
+      DO UPDATE SET tie_method = EXCLUDED.tie_method, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      settings.campus_id,
+      settings.tenant_id,
+      settings.tie_method,
+      settings.updated_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  // Scores of everyone who sat an exam, placed in their section and class
+  getExamScores: async (client, examId) => {
+    const query = `
+      SELECT
+        r.tenant_id, r.campus_id, r.student_username, r.obtained_score,
+        e.total_score, se.section_id, se.class_name
+      FROM exam_results r
+      JOIN exams e ON r.exam_id = e.exam_id
+      LEFT JOIN student_enrollment se ON se.username = r.student_username AND se.campus_id = r.campus_id
+      WHERE r.exam_id = $1 AND r.attendance_status = 'Present'
+    `;
+    const result = await client.query(query, [examId]);
+    return result.rows;
+  },
+
+  // Exams of a campus that have results, for a full recompute
+  getExamIdsWithResults: async (campusId) => {
+    const query = `SELECT DISTINCT exam_id FROM exam_results WHERE campus_id = $1`;
+    const result = await pool.query(query, [campusId]);
+    return result.rows.map(r => r.exam_id);
+  },
+
+  // Drop the stored ranks of one exam or term and write the new set
+  replaceRanks: async (client, { scope_type, exam_id = null, term_id = null }, rows) => {
+    if (scope_type === 'exam') {
+      await client.query(`DELETE FROM exam_ranks WHERE scope_type = 'exam' AND exam_id = $1`, [exam_id]);
+    } else {
+      await client.query(`DELETE FROM exam_ranks WHERE scope_type IN ('term', 'term_subject') AND term_id = $1`, [term_id]);
+    }
+
+    if (rows.length === 0) return 0;
+
+    const query = `
+      INSERT INTO exam_ranks (
+        tenant_id, campus_id, scope_type, exam_id, term_id, subject_name, rank_level, group_key,
+        student_username, score, rank, percentile, group_size, tie_method
+      )
+      SELECT
+        x.tenant_id, x.campus_id, x.scope_type::rank_scope_enum, x.exam_id, x.term_id, x.subject_name,
+        x.rank_level::rank_level_enum, x.group_key, x.student_username, x.score, x.rank, x.percentile,
+        x.group_size, x.tie_method::rank_tie_method_enum
+      FROM json_to_recordset($1::json) AS x(
+        tenant_id UUID, campus_id UUID, scope_type TEXT, exam_id UUID, term_id UUID, subject_name VARCHAR,
+        rank_level TEXT, group_key VARCHAR, student_username VARCHAR, score DECIMAL, rank INTEGER,
+        percentile DECIMAL, group_size INTEGER, tie_method TEXT
+      )
+    `;
+    const result = await client.query(query, [JSON.stringify(rows)]);
+    return result.rowCount;
+  },
+
+  // Flag terms for the term rank job; a new edit restarts the quiet period and any claim
+  markTermsStale: async (termIds) => {
+    if (termIds.length === 0) return;
+    const query = `
+      INSERT INTO term_rank_refreshes (term_id)
+      SELECT DISTINCT unnest($1::uuid[])
+      ON CONFLICT (term_id) DO UPDATE SET requested_at = NOW(), claimed_at = NULL
+    `;
+    await pool.query(query, [termIds]);
+  },
+
+  /**
+   * Claim stale terms with no edit for quietSeconds. Claims left by a server that stopped
+   * mid-rebuild lapse after claimTimeoutSeconds; SKIP LOCKED keeps servers off each other's terms.
+   * requested_at comes back as text so finishTermRefresh can match it exactly.
+   */
+  claimStaleTerms: async (quietSeconds, claimTimeoutSeconds, limit = 20) => {
+    const query = `
+      UPDATE term_rank_refreshes
+      SET claimed_at = NOW()
+      WHERE term_id IN (
+        SELECT term_id FROM term_rank_refreshes
+        WHERE requested_at < NOW() - ($1 || ' seconds')::interval
+          AND (claimed_at IS NULL OR claimed_at < NOW() - ($2 || ' seconds')::interval)
+        ORDER BY requested_at
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING term_id, requested_at::text AS requested_at
+    `;
+    const result = await pool.query(query, [String(quietSeconds), String(claimTimeoutSeconds), limit]);
+    return result.rows;
+  },
+
+  // Done, unless another edit came in while the term was being rebuilt
+  finishTermRefresh: async (termId, requestedAt) => {
+    await pool.query(
+      'DELETE FROM term_rank_refreshes WHERE term_id = $1 AND requested_at = $2::timestamptz',
+      [termId, requestedAt]
+    );
+  },
+
+  releaseTermRefresh: async (termId) => {
+    await pool.query('UPDATE term_rank_refreshes SET claimed_at = NULL WHERE term_id = $1', [termId]);
+  },
+
+  /**
+   * Stored ranks with student names. filters: { scope_type, exam_id, term_id, subject_name,
+   * rank_level, group_key, max_rank }
+   */
+  getRanks: async (filters) => {
+    let query = `
+      SELECT
+        k.*, u.first_name, u.last_name, se.admission_number, se.roll_number,
+        se.class_name, se.section_id, cs.section_name
+      FROM exam_ranks k
+      JOIN users u ON u.username = k.student_username
+      LEFT JOIN student_enrollment se ON se.username = k.student_username AND se.campus_id = k.campus_id
+      LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+      WHERE k.scope_type = $1
+    `;
+    const values = [filters.scope_type];
+    let idx = 2;
+
+    const addFilter = (sql, val) => {
+      if (val !== undefined && val !== null && val !== '') {
+        query += ` AND ${sql} = $${idx++}`;
+        values.push(val);
+      }
+    };
+
+    addFilter('k.exam_id', filters.exam_id);
+    addFilter('k.term_id', filters.term_id);
+    addFilter('k.subject_name', filters.subject_name);
+    addFilter('k.rank_level', filters.rank_level);
+    addFilter('k.group_key', filters.group_key);
+
+    if (filters.max_rank) {
+      query += ` AND k.rank <= $${idx++}`;
+      values.push(filters.max_rank);
+    }
+
+    query += ` ORDER BY k.rank_level, k.subject_name NULLS FIRST, k.group_key, k.rank, u.first_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+};
+
+module.exports = ExamRankModel;
@@ -1,7 +1,7 @@
 const { pool } = require('../config/database');
 
 const ExamResultModel = {
-  createResult: async (resultData) => {
+  createResult: async (resultData, client = pool) => {
     const {
       tenant_id,
       campus_id,
@@ -9,14 +9,19 @@ const ExamResultModel = {
       student_username,
       attendance_status,
       obtained_score,
-      is_passed
+      is_passed,
+      grade,
+      grade_point,
+      grading_scheme_id,
+      grace_applied
     } = resultData;
 
     const query = `
       INSERT INTO exam_results (
-        tenant_id, campus_id, exam_id, student_username, attendance_status, obtained_score, is_passed
+        tenant_id, campus_id, exam_id, student_username, attendance_status, obtained_score, is_passed,
+        grade, grade_point, grading_scheme_id, grace_applied
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *;
     `;
 
@@ -27,89 +32,99 @@ const ExamResultModel = {
       student_username,
       attendance_status || 'Present',
       obtained_score !== undefined ? obtained_score : 0.00,
-      is_passed !== undefined ? is_passed : true
+      is_passed !== undefined ? is_passed : true,
+      grade || null,
+      grade_point !== undefined ? grade_point : null,
+      grading_scheme_id || null,
+      grace_applied || false
     ];
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   },
 
-  createBulkResults: async (resultsData) => {
+  // Saves on the caller's client; the caller owns the transaction
+  createBulkResults: async (resultsData, client) => {
     if (!resultsData || resultsData.length === 0) return [];
-    
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      const createdResults = [];
+
+    const createdResults = [];
+
+    for (const data of resultsData) {
+      const {
+        tenant_id,
+        campus_id,
+        exam_id,
+        student_username,
+        attendance_status,
+        obtained_score,
+        is_passed,
+        grade,
+        grade_point,
+        grading_scheme_id,
+        grace_applied
+      } = data;
+
+      // Check if result already exists for this exam and student
+      const checkQuery = `
+        SELECT result_id FROM exam_results 
+        WHERE exam_id = $1 AND student_username = $2
+      `;
+      const checkRes = await client.query(checkQuery, [exam_id, student_username]);
       
-      for (const data of resultsData) {
-        const {
+      let result;
+      if (checkRes.rows.length > 0) {
+        // Update existing
+        const updateQuery = `
+          UPDATE exam_results 
+          SET attendance_status = $1, obtained_score = $2, is_passed = $3,
+              grade = $4, grade_point = $5, grading_scheme_id = $6, grace_applied = $7,
+              original_score = CASE WHEN obtained_score = $2 THEN original_score END,
+              moderation_application_id = CASE WHEN obtained_score = $2 THEN moderation_application_id END
+          WHERE result_id = $8
+          RETURNING *
+        `;
+        const updateValues = [
+          attendance_status || 'Present',
+          obtained_score !== undefined ? obtained_score : 0.00,
+          is_passed !== undefined ? is_passed : true,
+          grade || null,
+          grade_point !== undefined ? grade_point : null,
+          grading_scheme_id || null,
+          grace_applied || false,
+          checkRes.rows[0].result_id
+        ];
+        const updateRes = await client.query(updateQuery, updateValues);
+        result = updateRes.rows[0];
+      } else {
+        // Insert new
+        const insertQuery = `
+          INSERT INTO exam_results (
+            tenant_id, campus_id, exam_id, student_username, attendance_status, obtained_score, is_passed,
+            grade, grade_point, grading_scheme_id, grace_applied
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          RETURNING *
+        `;
+        const insertValues = [
           tenant_id,
           campus_id,
           exam_id,
           student_username,
-          attendance_status,
-          obtained_score,
-          is_passed
-        } = data;
-
-        // Check if result already exists for this exam and student
-        const checkQuery = `
-          SELECT result_id FROM exam_results 
-          WHERE exam_id = $1 AND student_username = $2
-        `;
-        const checkRes = await client.query(checkQuery, [exam_id, student_username]);
-        
-        let result;
-        if (checkRes.rows.length > 0) {
-          // Update existing
-          const updateQuery = `
-            UPDATE exam_results 
-            SET attendance_status = $1, obtained_score = $2, is_passed = $3
-            WHERE result_id = $4
-            RETURNING *
-          `;
-          const updateValues = [
-            attendance_status || 'Present',
-            obtained_score !== undefined ? obtained_score : 0.00,
-            is_passed !== undefined ? is_passed : true,
-            checkRes.rows[0].result_id
-          ];
-          const updateRes = await client.query(updateQuery, updateValues);
-          result = updateRes.rows[0];
-        } else {
-          // Insert new
-          const insertQuery = `
-            INSERT INTO exam_results (
-              tenant_id, campus_id, exam_id, student_username, attendance_status, obtained_score, is_passed
-            )
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-            RETURNING *
-          `;
-          const insertValues = [
-            tenant_id,
-            campus_id,
-            exam_id,
-            student_username,
-            attendance_status || 'Present',
-            obtained_score !== undefined ? obtained_score : 0.00,
-            is_passed !== undefined ? is_passed : true
-          ];
-          const insertRes = await client.query(insertQuery, insertValues);
-          result = insertRes.rows[0];
-        }
-        createdResults.push(result);
+          attendance_status || 'Present',
+          obtained_score !== undefined ? obtained_score : 0.00,
+          is_passed !== undefined ? is_passed : true,
+          grade || null,
+          grade_point !== undefined ? grade_point : null,
+          grading_scheme_id || null,
+          grace_applied || false
+        ];
+        const insertRes = await client.query(insertQuery, insertValues);
+        result = insertRes.rows[0];
       }
-      
-      await client.query('COMMIT');
-      return createdResults;
-    } catch (e) {
-      await client.query('ROLLBACK');
-      throw e;
-    } finally {
-      client.release();
+      createdResults.push(result);
     }
+
+    return createdResults;
   },
 
   getResultById: async (resultId) => {
@@ -118,19 +133,51 @@ const ExamResultModel = {
     return result.rows[0];
   },
 
+  // Results with their stored ranks (null for students who were not ranked, e.g. absentees)
   getResultsByExamId: async (examId) => {
-    const query = `SELECT * FROM exam_results WHERE exam_id = $1`;
+    const query = `
+      SELECT
+        r.*,
+        rs.rank AS section_rank,
+        rc.rank AS class_rank,
+        rk.rank AS campus_rank,
+        rk.percentile AS campus_percentile
+      FROM exam_results r
+      LEFT JOIN exam_ranks rs ON rs.scope_type = 'exam' AND rs.exam_id = r.exam_id
+        AND rs.student_username = r.student_username AND rs.rank_level = 'section'
+      LEFT JOIN exam_ranks rc ON rc.scope_type = 'exam' AND rc.exam_id = r.exam_id
+        AND rc.student_username = r.student_username AND rc.rank_level = 'class'
+      LEFT JOIN exam_ranks rk ON rk.scope_type = 'exam' AND rk.exam_id = r.exam_id
+        AND rk.student_username = r.student_username AND rk.rank_level = 'campus'
+      WHERE r.exam_id = $1
+      ORDER BY rk.rank NULLS LAST
+    `;
     const result = await pool.query(query, [examId]);
     return result.rows;
   },
   
   getResultsByStudentId: async (studentUsername) => {
-    const query = `SELECT * FROM exam_results WHERE student_username = $1`;
+    const query = `
+      SELECT r.*, e.result_status
+      FROM exam_results r
+      JOIN exams e ON e.exam_id = r.exam_id
+      WHERE r.student_username = $1
+    `;
     const result = await pool.query(query, [studentUsername]);
     return result.rows;
   },
 
-  updateResult: async (resultId, resultData) => {
+  // Results already saved for these students, so bulk edits can record what they replaced
+  getExistingResults: async (examIds, usernames) => {
+    const query = `
+      SELECT * FROM exam_results
+      WHERE exam_id = ANY($1::uuid[]) AND student_username = ANY($2::varchar[])
+    `;
+    const result = await pool.query(query, [examIds, usernames]);
+    return result.rows;
+  },
+
+  updateResult: async (resultId, resultData, client = pool) => {
     const fields = [];
     const values = [];
     let idx = 1;
@@ -143,8 +190,18 @@ const ExamResultModel = {
     };
 
     addField('attendance_status', resultData.attendance_status);
+    const scoreIdx = idx;
     addField('obtained_score', resultData.obtained_score);
     addField('is_passed', resultData.is_passed);
+    addField('grade', resultData.grade);
+    addField('grade_point', resultData.grade_point);
+    addField('grading_scheme_id', resultData.grading_scheme_id);
+    addField('grace_applied', resultData.grace_applied);
+    // A newly entered score replaces any moderation; re-saving the moderated score keeps it
+    if (resultData.obtained_score !== undefined) {
+      fields.push(`original_score = CASE WHEN obtained_score = $${scoreIdx} THEN original_score END`);
+      fields.push(`moderation_application_id = CASE WHEN obtained_score = $${scoreIdx} THEN moderation_application_id END`);
+    }
     // tenant_id, campus_id, exam_id, student_username usually don't change for a result record
 
     if (fields.length === 0) return null;
@@ -157,13 +214,75 @@ const ExamResultModel = {
       RETURNING *;
     `;
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
+    return result.rows[0];
+  },
+
+  // Results of a campus with what is needed to grade them again; locked for the regrade.
+  // Exams whose results are Locked keep their grades until an Admin re-opens them.
+  getResultsForRegrade: async (client, campusId) => {
+    const query = `
+      SELECT
+        r.result_id, r.exam_id, r.student_username, r.obtained_score, r.attendance_status, r.is_passed,
+        r.grade, r.grade_point, r.grading_scheme_id, r.grace_applied,
+        e.result_status, e.total_score, e.passing_score, ce.academic_year_id, ay.curriculum_id
+      FROM exam_results r
+      JOIN exams e ON r.exam_id = e.exam_id
+      JOIN calendar_events ce ON e.event_id = ce.event_id
+      LEFT JOIN academic_years ay ON ce.academic_year_id = ay.academic_year_id
+      WHERE r.campus_id = $1 AND e.result_status <> 'Locked'
+      FOR UPDATE OF r
+    `;
+    const result = await client.query(query, [campusId]);
+    return result.rows;
+  },
+
+  setResultGrade: async (client, resultId, { is_passed, grade, grade_point, grading_scheme_id, grace_applied }) => {
+    const query = `
+      UPDATE exam_results
+      SET is_passed = $2, grade = $3, grade_point = $4, grading_scheme_id = $5, grace_applied = $6
+      WHERE result_id = $1
+    `;
+    await client.query(query, [resultId, is_passed, grade, grade_point, grading_scheme_id, grace_applied]);
+  },
+
+  // Results of an exam locked for a moderation run
+  getResultsForModeration: async (client, examId) => {
+    const query = `
+      SELECT * FROM exam_results
+      WHERE exam_id = $1
+      ORDER BY student_username
+      FOR UPDATE
+    `;
+    const result = await client.query(query, [examId]);
+    return result.rows;
+  },
+
+  setModeratedScore: async (client, resultId, data) => {
+    const query = `
+      UPDATE exam_results
+      SET obtained_score = $2, original_score = $3, moderation_application_id = $4,
+          is_passed = $5, grade = $6, grade_point = $7, grading_scheme_id = $8, grace_applied = $9
+      WHERE result_id = $1
+      RETURNING *;
+    `;
+    const result = await client.query(query, [
+      resultId,
+      data.obtained_score,
+      data.original_score,
+      data.moderation_application_id,
+      data.is_passed,
+      data.grade,
+      data.grade_point,
+      data.grading_scheme_id,
+      data.grace_applied
+    ]);
     return result.rows[0];
   },
 
-  deleteResult: async (resultId) => {
+  deleteResult: async (resultId, client = pool) => {
     const query = `DELETE FROM exam_results WHERE result_id = $1 RETURNING *`;
-    const result = await pool.query(query, [resultId]);
+    const result = await client.query(query, [resultId]);
     return result.rows[0];
   }
 };
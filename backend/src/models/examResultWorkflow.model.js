@@ -0,0 +1,122 @@
+const { pool } = require('../config/database');
+
+const ExamResultWorkflowModel = {
+  // ==================== STATUS ====================
+
+  getExamForUpdate: async (client, examId) => {
+    const result = await client.query('SELECT * FROM exams WHERE exam_id = $1 FOR UPDATE', [examId]);
+    return result.rows[0];
+  },
+
+  setStatus: async (client, examId, status) => {
+    const query = `
+      UPDATE exams
+      SET result_status = $2::exam_result_status_enum,
+          result_status_updated_at = NOW(),
+          published_at = CASE WHEN $2 = 'Published' THEN NOW() ELSE published_at END
+      WHERE exam_id = $1
+      RETURNING *;
+    `;
+    const result = await client.query(query, [examId, status]);
+    return result.rows[0];
+  },
+
+  insertWorkflowLog: async (client, entry) => {
+    const query = `
+      INSERT INTO exam_result_workflow_log (exam_id, action, from_status, to_status, reason, acted_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *;
+    `;
+    const result = await client.query(query, [
+      entry.exam_id,
+      entry.action,
+      entry.from_status,
+      entry.to_status,
+      entry.reason || null,
+      entry.acted_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  getWorkflowLog: async (examId) => {
+    const query = `
+      SELECT l.*, u.first_name, u.last_name
+      FROM exam_result_workflow_log l
+      LEFT JOIN users u ON u.user_id = l.acted_by
+      WHERE l.exam_id = $1
+      ORDER BY l.acted_at ASC
+    `;
+    const result = await pool.query(query, [examId]);
+    return result.rows;
+  },
+
+  // Who submitted the exam last, so the verifier can be a different person
+  getLastSubmitter: async (client, examId) => {
+    const query = `
+      SELECT acted_by FROM exam_result_workflow_log
+      WHERE exam_id = $1 AND action = 'submit'
+      ORDER BY acted_at DESC
+      LIMIT 1
+    `;
+    const result = await client.query(query, [examId]);
+    return result.rows[0]?.acted_by || null;
+  },
+
+  countResults: async (client, examId) => {
+    const result = await client.query('SELECT COUNT(*) AS count FROM exam_results WHERE exam_id = $1', [examId]);
+    return Number(result.rows[0].count);
+  },
+
+  // ==================== MODERATION LOG ====================
+
+  insertModerationLogs: async (entries, client = pool) => {
+    if (entries.length === 0) return 0;
+    const query = `
+      INSERT INTO exam_result_moderation_log (
+        exam_id, result_id, student_username, change_type, exam_status, old_values, new_values, reason, changed_by
+      )
+      SELECT
+        x.exam_id, x.result_id, x.student_username, x.change_type, x.exam_status::exam_result_status_enum,
+        x.old_values, x.new_values, x.reason, x.changed_by
+      FROM json_to_recordset($1::json) AS x(
+        exam_id UUID, result_id UUID, student_username VARCHAR, change_type VARCHAR, exam_status TEXT,
+        old_values JSONB, new_values JSONB, reason TEXT, changed_by BIGINT
+      )
+    `;
+    const result = await client.query(query, [JSON.stringify(entries)]);
+    return result.rowCount;
+  },
+
+  getModerationLog: async (examId) => {
+    const query = `
+      SELECT l.*, u.first_name AS changed_by_first_name, u.last_name AS changed_by_last_name
+      FROM exam_result_moderation_log l
+      LEFT JOIN users u ON u.user_id = l.changed_by
+      WHERE l.exam_id = $1
+      ORDER BY l.changed_at DESC
+    `;
+    const result = await pool.query(query, [examId]);
+    return result.rows;
+  },
+
+  // ==================== ACCESS ====================
+
+  // Only the exact 'Head of Department' designation counts; substrings would match e.g. "Methods Coordinator"
+  isHeadOfDepartment: async (username, campusId) => {
+    const query = `
+      SELECT 1 FROM employment_details
+      WHERE username = $1 AND campus_id = $2 AND status = 'Active'
+        AND designation = 'Head of Department'
+    `;
+    const result = await pool.query(query, [username, campusId]);
+    return result.rows.length > 0;
+  },
+
+  getChildUsernames: async (parentUsername) => {
+    const query = `SELECT DISTINCT student_username FROM student_parent_relations WHERE parent_username = $1`;
+    const result = await pool.query(query, [parentUsername]);
+    return result.rows.map(r => r.student_username);
+  }
+};
+
+module.exports = ExamResultWorkflowModel;
@@ -0,0 +1,202 @@
+const { pool } = require('../config/database');
+
+const ExamSeatingModel = {
+  // ==================== INPUTS ====================
+
+  getExamsOnDate: async (campusId, examDate, examIds) => {
+    let query = `
+      SELECT e.exam_id, e.subject_name, e.exam_date, e.campus_id
+      FROM exams e
+      WHERE e.campus_id = $1 AND e.exam_date = $2::date
+    `;
+    const values = [campusId, examDate];
+
+    if (examIds && examIds.length > 0) {
+      query += ` AND e.exam_id = ANY($3::uuid[])`;
+      values.push(examIds);
+    }
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  // Enrolled students picked by section, class and/or username
+  getCandidates: async (campusId, { section_ids = [], class_names = [], student_usernames = [] }) => {
+    const query = `
+      SELECT u.username, u.first_name, u.last_name, se.admission_number, se.roll_number,
+             se.class_name, se.section_id, cs.section_name
+      FROM student_enrollment se
+      JOIN users u ON u.username = se.username
+      LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+      WHERE se.campus_id = $1
+        AND (se.section_id = ANY($2::int[]) OR se.class_name = ANY($3::varchar[]) OR se.username = ANY($4::varchar[]))
+      ORDER BY se.class_name, cs.section_name, se.roll_number NULLS LAST, u.first_name
+    `;
+    const result = await pool.query(query, [campusId, section_ids, class_names, student_usernames]);
+    return result.rows;
+  },
+
+  // Rooms with seats, leaving out any already used by another plan that day
+  getFreeRooms: async (campusId, examDate, roomIds) => {
+    let query = `
+      SELECT r.room_id, r.room_number, r.floor_number, r.room_type, r.capacity, b.building_name
+      FROM campus_rooms r
+      LEFT JOIN buildings b ON r.building_id = b.building_id
+      WHERE r.campus_id = $1 AND COALESCE(r.capacity, 0) > 0
+        AND NOT EXISTS (
+          SELECT 1
+          FROM exam_seat_allocations a
+          JOIN exam_seating_plans p ON p.plan_id = a.plan_id
+          WHERE a.room_id = r.room_id AND p.campus_id = $1 AND p.exam_date = $2::date
+        )
+    `;
+    const values = [campusId, examDate];
+
+    if (roomIds && roomIds.length > 0) {
+      query += ` AND r.room_id = ANY($3::int[])`;
+      values.push(roomIds);
+    }
+
+    query += ` ORDER BY b.building_name, r.floor_number, r.room_number`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  /**
+   * Active teaching and non-teaching staff free to invigilate on a date: not on approved leave and
+   * not already on duty in another plan. duty_count (all-time) is used to spread the load.
+   */
+  getAvailableInvigilators: async (campusId, examDate) => {
+    const query = `
+      SELECT
+        u.username, u.first_name, u.last_name, ed.employee_id, ed.designation,
+        (SELECT COUNT(*) FROM exam_invigilator_duties d WHERE d.invigilator_username = u.username) AS duty_count
+      FROM users u
+      JOIN employment_details ed ON ed.username = u.username
+      WHERE ed.campus_id = $1 AND ed.status = 'Active' AND u.role IN ('Teacher', 'Employee')
+        AND NOT EXISTS (
+          SELECT 1 FROM leave_requests lr
+          WHERE lr.username = u.username AND lr.campus_id = $1
+            AND lr.leave_date = $2::date AND lr.overall_status = 'approved'
+        )
+        AND NOT EXISTS (
+          SELECT 1
+          FROM exam_invigilator_duties d
+          JOIN exam_seating_plans p ON p.plan_id = d.plan_id
+          WHERE d.invigilator_username = u.username AND p.exam_date = $2::date
+        )
+      ORDER BY duty_count ASC, u.first_name, u.last_name
+    `;
+    const result = await pool.query(query, [campusId, examDate]);
+    return result.rows;
+  },
+
+  // ==================== PLANS ====================
+
+  createPlan: async (client, planData) => {
+    const query = `
+      INSERT INTO exam_seating_plans (
+        tenant_id, campus_id, plan_name, exam_date, exam_ids, invigilators_per_room, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5::uuid[], $6, $7)
+      RETURNING *;
+    `;
+    const result = await client.query(query, [
+      planData.tenant_id,
+      planData.campus_id,
+      planData.plan_name,
+      planData.exam_date,
+      planData.exam_ids,
+      planData.invigilators_per_room,
+      planData.created_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  insertAllocations: async (client, planId, seats) => {
+    if (seats.length === 0) return 0;
+    const query = `
+      INSERT INTO exam_seat_allocations (plan_id, room_id, seat_number, exam_id, student_username, class_name, section_id)
+      SELECT $1, x.room_id, x.seat_number, x.exam_id, x.student_username, x.class_name, x.section_id
+      FROM json_to_recordset($2::json) AS x(
+        room_id INTEGER, seat_number INTEGER, exam_id UUID, student_username VARCHAR, class_name VARCHAR, section_id INTEGER
+      )
+    `;
+    const result = await client.query(query, [planId, JSON.stringify(seats)]);
+    return result.rowCount;
+  },
+
+  insertDuties: async (client, planId, duties) => {
+    for (const duty of duties) {
+      await client.query(
+        'INSERT INTO exam_invigilator_duties (plan_id, room_id, invigilator_username) VALUES ($1, $2, $3)',
+        [planId, duty.room_id, duty.invigilator_username]
+      );
+    }
+  },
+
+  getPlans: async (tenantId, campusId, filters = {}) => {
+    let query = `
+      SELECT
+        p.*,
+        (SELECT COUNT(*) FROM exam_seat_allocations a WHERE a.plan_id = p.plan_id) AS seated_students,
+        (SELECT COUNT(DISTINCT a.room_id) FROM exam_seat_allocations a WHERE a.plan_id = p.plan_id) AS rooms_used
+      FROM exam_seating_plans p
+      WHERE p.tenant_id = $1 AND p.campus_id = $2
+    `;
+    const values = [tenantId, campusId];
+
+    if (filters.exam_date) {
+      query += ` AND p.exam_date = $3::date`;
+      values.push(filters.exam_date);
+    }
+
+    query += ` ORDER BY p.exam_date DESC, p.created_at DESC`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  getPlanById: async (planId, client = pool) => {
+    const result = await client.query('SELECT * FROM exam_seating_plans WHERE plan_id = $1', [planId]);
+    return result.rows[0];
+  },
+
+  getPlanSeats: async (planId, client = pool) => {
+    const query = `
+      SELECT
+        a.room_id, a.seat_number, a.exam_id, a.student_username, a.class_name, a.section_id,
+        e.subject_name, u.first_name, u.last_name, se.admission_number, se.roll_number, cs.section_name,
+        r.room_number, r.floor_number, b.building_name
+      FROM exam_seat_allocations a
+      JOIN exams e ON e.exam_id = a.exam_id
+      JOIN users u ON u.username = a.student_username
+      JOIN campus_rooms r ON r.room_id = a.room_id
+      LEFT JOIN buildings b ON r.building_id = b.building_id
+      LEFT JOIN student_enrollment se ON se.username = a.student_username AND se.campus_id = r.campus_id
+      LEFT JOIN class_sections cs ON cs.section_id = a.section_id
+      WHERE a.plan_id = $1
+      ORDER BY b.building_name, r.floor_number, r.room_number, a.seat_number
+    `;
+    const result = await client.query(query, [planId]);
+    return result.rows;
+  },
+
+  getPlanDuties: async (planId, client = pool) => {
+    const query = `
+      SELECT d.room_id, d.invigilator_username, u.first_name, u.last_name
+      FROM exam_invigilator_duties d
+      JOIN users u ON u.username = d.invigilator_username
+      WHERE d.plan_id = $1
+      ORDER BY u.first_name, u.last_name
+    `;
+    const result = await client.query(query, [planId]);
+    return result.rows;
+  },
+
+  deletePlan: async (planId) => {
+    const result = await pool.query('DELETE FROM exam_seating_plans WHERE plan_id = $1 RETURNING *', [planId]);
+    return result.rows[0];
+  }
+};
+
+module.exports = ExamSeatingModel;
@@ -0,0 +1,201 @@
+const { pool } = require('../config/database');
+
+const ExamTimetableModel = {
+  // ==================== TIMETABLES ====================
+
+  createTimetable: async (client, timetableData) => {
+    const query = `
+      INSERT INTO exam_timetables (
+        tenant_id, campus_id, academic_year_id, timetable_name, start_date, end_date,
+        slots, min_gap_days, default_total_score, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *;
+    `;
+    const result = await client.query(query, [
+      timetableData.tenant_id,
+      timetableData.campus_id,
+      timetableData.academic_year_id,
+      timetableData.timetable_name,
+      timetableData.start_date,
+      timetableData.end_date,
+      JSON.stringify(timetableData.slots),
+      timetableData.min_gap_days,
+      timetableData.default_total_score,
+      timetableData.created_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  getTimetables: async (tenantId, campusId, filters = {}) => {
+    let query = `
+      SELECT t.*, ay.year_name,
+        (SELECT COUNT(*) FROM exam_timetable_entries en WHERE en.timetable_id = t.timetable_id)::int AS entry_count
+      FROM exam_timetables t
+      LEFT JOIN academic_years ay ON ay.academic_year_id = t.academic_year_id
+      WHERE t.tenant_id = $1 AND t.campus_id = $2
+    `;
+    const values = [tenantId, campusId];
+    let idx = 3;
+
+    if (filters.academic_year_id) {
+      query += ` AND t.academic_year_id = $${idx++}`;
+      values.push(filters.academic_year_id);
+    }
+
+    if (filters.status) {
+      query += ` AND t.status = $${idx++}`;
+      values.push(filters.status);
+    }
+
+    query += ` ORDER BY t.start_date DESC`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  getTimetableById: async (timetableId, client = pool) => {
+    const result = await client.query('SELECT * FROM exam_timetables WHERE timetable_id = $1', [timetableId]);
+    return result.rows[0];
+  },
+
+  getTimetableForUpdate: async (client, timetableId) => {
+    const result = await client.query('SELECT * FROM exam_timetables WHERE timetable_id = $1 FOR UPDATE', [timetableId]);
+    return result.rows[0];
+  },
+
+  markPublished: async (client, timetableId) => {
+    const query = `
+      UPDATE exam_timetables
+      SET status = 'Published', published_at = NOW(), updated_at = NOW()
+      WHERE timetable_id = $1
+      RETURNING *;
+    `;
+    const result = await client.query(query, [timetableId]);
+    return result.rows[0];
+  },
+
+  touchTimetable: async (timetableId) => {
+    await pool.query('UPDATE exam_timetables SET updated_at = NOW() WHERE timetable_id = $1', [timetableId]);
+  },
+
+  deleteTimetable: async (timetableId) => {
+    const result = await pool.query('DELETE FROM exam_timetables WHERE timetable_id = $1 RETURNING *', [timetableId]);
+    return result.rows[0];
+  },
+
+  // ==================== ENTRIES ====================
+
+  insertEntries: async (client, timetableId, entries) => {
+    if (entries.length === 0) return [];
+    const query = `
+      INSERT INTO exam_timetable_entries (timetable_id, class_name, subject_name, exam_date, slot_index, total_score)
+      SELECT $1, x.class_name, x.subject_name, x.exam_date, x.slot_index, x.total_score
+      FROM json_to_recordset($2::json) AS x(
+        class_name VARCHAR, subject_name VARCHAR, exam_date DATE, slot_index INT, total_score DECIMAL
+      )
+      RETURNING *;
+    `;
+    const result = await client.query(query, [timetableId, JSON.stringify(entries)]);
+    return result.rows;
+  },
+
+  getEntries: async (timetableId, client = pool) => {
+    const query = `
+      SELECT entry_id, timetable_id, class_name, subject_name, to_char(exam_date, 'YYYY-MM-DD') AS exam_date,
+        slot_index, total_score, event_id, exam_id
+      FROM exam_timetable_entries
+      WHERE timetable_id = $1
+      ORDER BY exam_date, slot_index, class_name
+    `;
+    const result = await client.query(query, [timetableId]);
+    return result.rows;
+  },
+
+  createEntry: async (timetableId, entry) => {
+    const query = `
+      INSERT INTO exam_timetable_entries (timetable_id, class_name, subject_name, exam_date, slot_index, total_score)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      timetableId,
+      entry.class_name,
+      entry.subject_name,
+      entry.exam_date,
+      entry.slot_index,
+      entry.total_score
+    ]);
+    return result.rows[0];
+  },
+
+  updateEntry: async (entryId, entry) => {
+    const query = `
+      UPDATE exam_timetable_entries
+      SET exam_date = $2, slot_index = $3, total_score = $4
+      WHERE entry_id = $1
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [entryId, entry.exam_date, entry.slot_index, entry.total_score]);
+    return result.rows[0];
+  },
+
+  deleteEntry: async (entryId) => {
+    const result = await pool.query('DELETE FROM exam_timetable_entries WHERE entry_id = $1 RETURNING *', [entryId]);
+    return result.rows[0];
+  },
+
+  setEntryPublished: async (client, entryId, eventId, examId) => {
+    await client.query(
+      'UPDATE exam_timetable_entries SET event_id = $2, exam_id = $3 WHERE entry_id = $1',
+      [entryId, eventId, examId]
+    );
+  },
+
+  // ==================== SCHEDULING DATA ====================
+
+  // Subjects taught in each class's sections this academic year (section_subjects)
+  getClassSubjects: async (campusId, academicYearId, classNames, includeNonAcademic) => {
+    let query = `
+      SELECT DISTINCT c.class_name, c.class_level, sub.subject_name
+      FROM section_subjects ss
+      JOIN class_sections cs ON cs.section_id = ss.section_id
+      JOIN classes c ON c.class_id = cs.class_id
+      JOIN subjects sub ON sub.subject_id = ss.subject_id
+      WHERE cs.campus_id = $1 AND cs.academic_year_id = $2
+    `;
+    const values = [campusId, academicYearId];
+    let idx = 3;
+
+    if (classNames && classNames.length > 0) {
+      query += ` AND c.class_name = ANY($${idx++}::varchar[])`;
+      values.push(classNames);
+    }
+
+    if (!includeNonAcademic) {
+      query += ` AND sub.category = 'Academic'`;
+    }
+
+    query += ` ORDER BY c.class_level NULLS LAST, c.class_name, sub.subject_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  // Papers the classes already have in the window that did not come from the given timetable
+  getExistingClassExams: async (campusId, classNames, startDate, endDate, timetableId = null) => {
+    const query = `
+      SELECT e.exam_id, e.class_name, e.subject_name, to_char(e.exam_date, 'YYYY-MM-DD') AS exam_date
+      FROM exams e
+      WHERE e.campus_id = $1
+        AND e.class_name = ANY($2::varchar[])
+        AND e.exam_date BETWEEN $3::date AND $4::date
+        AND NOT EXISTS (
+          SELECT 1 FROM exam_timetable_entries en
+          WHERE en.exam_id = e.exam_id AND en.timetable_id = $5
+        )
+    `;
+    const result = await pool.query(query, [campusId, classNames, startDate, endDate, timetableId]);
+    return result.rows;
+  }
+};
+
+module.exports = ExamTimetableModel;
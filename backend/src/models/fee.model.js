@@ -169,7 +169,7 @@ const getFeeStructureById = async (fee_structure_id) => {
       ay.year_name,
       (SELECT json_agg(fi ORDER BY fi.due_date ASC, fi.installment_name ASC) 
        FROM fee_installments fi 
-       WHERE fi.fee_structure_id = fs.fee_structure_id
+       WHERE fi.fee_structure_id = fs.fee_structure_id AND fi.plan_id IS NULL
       ) as installments
     FROM fee_structures fs
     LEFT JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
@@ -206,7 +206,7 @@ const updateFeeStructure = async (client, fee_structure_id, data) => {
 };
 
 const deleteInstallmentsByStructure = async (client, fee_structure_id) => {
-  const q = `DELETE FROM fee_installments WHERE fee_structure_id = $1`;
+  const q = `DELETE FROM fee_installments WHERE fee_structure_id = $1 AND plan_id IS NULL`;
   await client.query(q, [fee_structure_id]);
 };
 
@@ -217,11 +217,13 @@ const deleteFeeStructure = async (client, fee_structure_id) => {
 };
 
 const getInstallmentsByStructure = async (fee_structure_id) => {
-  const q = `SELECT * FROM fee_installments WHERE fee_structure_id = $1 ORDER BY due_date ASC, installment_name ASC`;
+  const q = `SELECT * FROM fee_installments WHERE fee_structure_id = $1 AND plan_id IS NULL ORDER BY due_date ASC, installment_name ASC`;
   const r = await pool.query(q, [fee_structure_id]);
   return r.rows;
 };
 
+// Regenerating an existing due re-prices it (new discount) without losing what already happened to it:
+// late fees still owed stay on it and every net allocation so far is taken off. Superseded dues stay closed.
 const upsertStudentDue = async (client, { student_id, installment_id, amount, discount_amount = 0 }) => {
   const balance = Number(amount) - Number(discount_amount || 0);
   const q = `
@@ -230,11 +232,22 @@ const upsertStudentDue = async (client, { student_id, installment_id, amount, di
     ON CONFLICT (student_id, installment_id)
     DO UPDATE SET
       discount_amount = EXCLUDED.discount_amount,
-      balance_amount = EXCLUDED.balance_amount,
-      is_paid = EXCLUDED.is_paid
+      balance_amount = CASE
+        WHEN student_fee_dues.superseded_by_plan_id IS NOT NULL THEN 0
+        ELSE GREATEST(
+          $6::numeric - EXCLUDED.discount_amount
+            + student_fee_dues.penalty_amount - student_fee_dues.penalty_waived
+            - (SELECT COALESCE(SUM(a.amount_allocated), 0) FROM payment_allocations a WHERE a.due_id = student_fee_dues.due_id),
+          0)
+      END,
+      is_paid = student_fee_dues.superseded_by_plan_id IS NOT NULL OR (
+        $6::numeric - EXCLUDED.discount_amount
+          + student_fee_dues.penalty_amount - student_fee_dues.penalty_waived
+          - (SELECT COALESCE(SUM(a.amount_allocated), 0) FROM payment_allocations a WHERE a.due_id = student_fee_dues.due_id)
+      ) <= 0
     RETURNING *
   `;
-  const r = await client.query(q, [student_id, installment_id, discount_amount || 0, balance <= 0, Math.max(balance, 0)]);
+  const r = await client.query(q, [student_id, installment_id, discount_amount || 0, balance <= 0, Math.max(balance, 0), Number(amount)]);
   return r.rows[0];
 };
 
@@ -262,13 +275,13 @@ const reduceDueBalance = async (client, due_id, amountToReduce) => {
   return r.rows[0];
 };
 
-const insertPayment = async (client, { tenant_id, student_id, amount_paid, payment_method, collected_by, remarks = null }) => {
+const insertPayment = async (client, { tenant_id, student_id, amount_paid, payment_method, transaction_reference = null, collected_by, remarks = null }) => {
   const q = `
-    INSERT INTO fee_payments (tenant_id, student_id, amount_paid, payment_method, collected_by, remarks)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    INSERT INTO fee_payments (tenant_id, student_id, amount_paid, payment_method, transaction_reference, collected_by, remarks)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
     RETURNING *
   `;
-  const r = await client.query(q, [tenant_id, student_id, amount_paid, payment_method, collected_by, remarks]);
+  const r = await client.query(q, [tenant_id, student_id, amount_paid, payment_method, transaction_reference, collected_by, remarks]);
   return r.rows[0];
 };
 
@@ -282,6 +295,100 @@ const insertPaymentAllocation = async (client, { payment_id, due_id, amount_allo
   return r.rows[0];
 };
 
+// ==================== RECEIPTS ====================
+
+// Row-locks the counter until the surrounding transaction ends, so numbers are never skipped or reused
+const nextReceiptSequence = async (client, { tenant_id, campus_id, financial_year }) => {
+  const q = `
+    INSERT INTO fee_receipt_sequences (tenant_id, campus_id, financial_year, last_number)
+    VALUES ($1, $2, $3, 1)
+    ON CONFLICT (tenant_id, campus_id, financial_year)
+    DO UPDATE SET last_number = fee_receipt_sequences.last_number + 1
+    RETURNING last_number
+  `;
+  const r = await client.query(q, [tenant_id, campus_id, financial_year]);
+  return r.rows[0].last_number;
+};
+
+const getCampusCode = async (client, campus_id) => {
+  const r = await client.query('SELECT campus_code FROM campuses WHERE campus_id = $1', [campus_id]);
+  return r.rows[0]?.campus_code || null;
+};
+
+const insertReceipt = async (client, { tenant_id, campus_id, payment_id, financial_year, receipt_sequence, receipt_number, balance_after }) => {
+  const q = `
+    INSERT INTO fee_receipts (tenant_id, campus_id, payment_id, financial_year, receipt_sequence, receipt_number, balance_after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `;
+  const r = await client.query(q, [tenant_id, campus_id, payment_id, financial_year, receipt_sequence, receipt_number, balance_after]);
+  return r.rows[0];
+};
+
+const getStudentOutstandingBalance = async (client, student_id) => {
+  const q = `
+    SELECT COALESCE(SUM(balance_amount), 0) AS outstanding
+    FROM student_fee_dues
+    WHERE student_id = $1 AND is_paid = FALSE
+  `;
+  const r = await client.query(q, [student_id]);
+  return Number(r.rows[0].outstanding);
+};
+
+const getReceiptByPaymentId = async (tenant_id, campus_id, payment_id) => {
+  const q = `
+    SELECT
+      r.receipt_id,
+      r.receipt_number,
+      r.financial_year,
+      r.balance_after,
+      r.issued_at,
+      p.payment_id,
+      p.student_id,
+      p.amount_paid,
+      p.payment_date,
+      p.payment_method,
+      p.transaction_reference,
+      p.remarks,
+      p.collected_by,
+      u.first_name AS collector_first_name,
+      u.last_name AS collector_last_name,
+      t.tenant_name,
+      c.campus_name,
+      c.address AS campus_address,
+      c.phone_number AS campus_phone
+    FROM fee_receipts r
+    JOIN fee_payments p ON r.payment_id = p.payment_id
+    LEFT JOIN users u ON p.collected_by = u.user_id
+    LEFT JOIN tenants t ON r.tenant_id = t.tenant_id
+    LEFT JOIN campuses c ON r.campus_id = c.campus_id
+    WHERE r.tenant_id = $1 AND r.campus_id = $2 AND r.payment_id = $3
+  `;
+  const r = await pool.query(q, [tenant_id, campus_id, payment_id]);
+  return r.rows[0] || null;
+};
+
+const getAllocationsByPayment = async (payment_id) => {
+  const q = `
+    SELECT
+      a.allocation_id,
+      a.due_id,
+      a.amount_allocated,
+      ft.name AS fee_type_name,
+      fi.installment_name,
+      fi.due_date
+    FROM payment_allocations a
+    JOIN student_fee_dues d ON a.due_id = d.due_id
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    WHERE a.payment_id = $1
+    ORDER BY fi.due_date ASC, fi.installment_name ASC
+  `;
+  const r = await pool.query(q, [payment_id]);
+  return r.rows;
+};
+
 const getStudentFeeDues = async (tenant_id, campus_id, filters) => {
   let q = `
     SELECT 
@@ -300,6 +407,7 @@ const getStudentFeeDues = async (tenant_id, campus_id, filters) => {
     JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
     JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
     WHERE fs.tenant_id = $1 AND fs.campus_id = $2
+      AND d.superseded_by_plan_id IS NULL
   `;
   const params = [tenant_id, campus_id];
 
@@ -324,11 +432,29 @@ const getStudentFeeDues = async (tenant_id, campus_id, filters) => {
   return res.rows;
 };
 
+// Reversals and refunds are nested under the payment they compensate rather than listed separately
 const getAllPayments = async (tenant_id, campus_id, filters) => {
   let q = `
-    SELECT p.*
+    SELECT p.*,
+      COALESCE(adj.reversals, '[]'::json) AS reversals,
+      p.amount_paid + COALESCE(adj.reversed_total, 0) AS net_amount
     FROM fee_payments p
+    LEFT JOIN LATERAL (
+      SELECT
+        json_agg(json_build_object(
+          'payment_id', c.payment_id,
+          'entry_type', c.entry_type,
+          'amount_paid', c.amount_paid,
+          'payment_date', c.payment_date,
+          'collected_by', c.collected_by,
+          'remarks', c.remarks
+        ) ORDER BY c.payment_date) AS reversals,
+        SUM(c.amount_paid) AS reversed_total
+      FROM fee_payments c
+      WHERE c.reverses_payment_id = p.payment_id
+    ) adj ON TRUE
     WHERE p.tenant_id = $1
+      AND p.reverses_payment_id IS NULL
   `;
   const params = [tenant_id];
 
@@ -363,5 +489,11 @@ module.exports = {
   updateFeeStructure,
   deleteInstallmentsByStructure,
   getStudentFeeDues,
-  getAllPayments
+  getAllPayments,
+  nextReceiptSequence,
+  getCampusCode,
+  insertReceipt,
+  getStudentOutstandingBalance,
+  getReceiptByPaymentId,
+  getAllocationsByPayment
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+const { pool } = require('../config/database');
+
+// ==================== ADJUSTMENT REQUESTS ====================
+
+const createAdjustment = async (client, data) => {
+  const q = `
+    INSERT INTO fee_payment_adjustments (
+      tenant_id, payment_id, adjustment_type, reason_code, amount, notes, requested_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.tenant_id,
+    data.payment_id,
+    data.adjustment_type,
+    data.reason_code,
+    data.amount,
+    data.notes || null,
+    data.requested_by || null
+  ]);
+  return r.rows[0];
+};
+
+const getAdjustmentForUpdate = async (client, adjustment_id) => {
+  const r = await client.query('SELECT * FROM fee_payment_adjustments WHERE adjustment_id = $1 FOR UPDATE', [adjustment_id]);
+  return r.rows[0] || null;
+};
+
+const closeAdjustment = async (client, adjustment_id, { status, approved_by, compensating_payment_id = null, notes = null }) => {
+  const q = `
+    UPDATE fee_payment_adjustments
+    SET status = $2::payment_adjustment_status_enum,
+        approved_by = $3,
+        approved_at = NOW(),
+        compensating_payment_id = $4,
+        notes = COALESCE($5, notes)
+    WHERE adjustment_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [adjustment_id, status, approved_by, compensating_payment_id, notes]);
+  return r.rows[0];
+};
+
+const getAdjustments = async (tenant_id, filters = {}) => {
+  let q = `
+    SELECT a.*, p.student_id, p.amount_paid AS original_amount, p.payment_method, p.payment_date
+    FROM fee_payment_adjustments a
+    JOIN fee_payments p ON a.payment_id = p.payment_id
+    WHERE a.tenant_id = $1
+  `;
+  const params = [tenant_id];
+
+  if (filters.status) {
+    q += ` AND a.status = $${params.length + 1}`;
+    params.push(filters.status);
+  }
+
+  if (filters.payment_id) {
+    q += ` AND a.payment_id = $${params.length + 1}`;
+    params.push(filters.payment_id);
+  }
+
+  q += ` ORDER BY a.requested_at DESC`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+// ==================== PAYMENT STATE ====================
+
+const getPaymentForUpdate = async (client, payment_id) => {
+  const r = await client.query('SELECT * FROM fee_payments WHERE payment_id = $1 FOR UPDATE', [payment_id]);
+  return r.rows[0] || null;
+};
+
+// Amount already given back through compensating entries
+const getReversedTotal = async (client, payment_id) => {
+  const q = `
+    SELECT COALESCE(SUM(-amount_paid), 0) AS reversed
+    FROM fee_payments
+    WHERE reverses_payment_id = $1
+  `;
+  const r = await client.query(q, [payment_id]);
+  return Number(r.rows[0].reversed);
+};
+
+// Net amount still allocated to each due by a payment, latest due first
+const getNetAllocations = async (client, payment_id) => {
+  const q = `
+    SELECT a.due_id, fi.due_date, SUM(a.amount_allocated) AS net_allocated
+    FROM payment_allocations a
+    JOIN fee_payments p ON a.payment_id = p.payment_id
+    JOIN student_fee_dues d ON a.due_id = d.due_id
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    WHERE p.payment_id = $1 OR p.reverses_payment_id = $1
+    GROUP BY a.due_id, fi.due_date
+    HAVING SUM(a.amount_allocated) > 0
+    ORDER BY fi.due_date DESC
+  `;
+  const r = await client.query(q, [payment_id]);
+  return r.rows;
+};
+
+const insertCompensatingPayment = async (client, { original, entry_type, amount, collected_by, remarks }) => {
+  const q = `
+    INSERT INTO fee_payments (
+      tenant_id, student_id, amount_paid, payment_method, transaction_reference,
+      collected_by, remarks, entry_type, reverses_payment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    original.tenant_id,
+    original.student_id,
+    -Math.abs(amount),
+    original.payment_method,
+    original.transaction_reference,
+    collected_by,
+    remarks,
+    entry_type,
+    original.payment_id
+  ]);
+  return r.rows[0];
+};
+
+const restoreDueBalance = async (client, due_id, amount) => {
+  const q = `
+    UPDATE student_fee_dues
+    SET balance_amount = balance_amount + $2,
+        is_paid = FALSE
+    WHERE due_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, amount]);
+  return r.rows[0];
+};
+
+module.exports = {
+  createAdjustment,
+  getAdjustmentForUpdate,
+  closeAdjustment,
+  getAdjustments,
+  getPaymentForUpdate,
+  getReversedTotal,
+  getNetAllocations,
+  insertCompensatingPayment,
+  restoreDueBalance
+};
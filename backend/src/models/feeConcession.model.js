@@ -0,0 +1,247 @@
+const { pool } = require('../config/database');
+
+// ==================== CONCESSION RULES ====================
+
+const createRule = async (client, data) => {
+  const q = `
+    INSERT INTO fee_concession_rules (
+      tenant_id, campus_id, rule_name, category, discount_type, discount_value, fee_type_id, min_siblings, is_active
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.tenant_id,
+    data.campus_id,
+    data.rule_name,
+    data.category,
+    data.discount_type,
+    data.discount_value,
+    data.fee_type_id || null,
+    data.min_siblings || 1,
+    data.is_active !== undefined ? data.is_active : true
+  ]);
+  return r.rows[0];
+};
+
+const getRules = async (tenant_id, campus_id) => {
+  const q = `
+    SELECT r.*, ft.name AS fee_type_name
+    FROM fee_concession_rules r
+    LEFT JOIN fee_types ft ON r.fee_type_id = ft.fee_type_id
+    WHERE r.tenant_id = $1 AND r.campus_id = $2
+    ORDER BY r.rule_name ASC
+  `;
+  const r = await pool.query(q, [tenant_id, campus_id]);
+  return r.rows;
+};
+
+const getRuleById = async (rule_id) => {
+  const r = await pool.query('SELECT * FROM fee_concession_rules WHERE rule_id = $1', [rule_id]);
+  return r.rows[0] || null;
+};
+
+const updateRule = async (client, rule_id, data) => {
+  const q = `
+    UPDATE fee_concession_rules
+    SET rule_name = $1, category = $2, discount_type = $3, discount_value = $4,
+        fee_type_id = $5, min_siblings = $6, is_active = $7
+    WHERE rule_id = $8
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.rule_name,
+    data.category,
+    data.discount_type,
+    data.discount_value,
+    data.fee_type_id || null,
+    data.min_siblings || 1,
+    data.is_active !== undefined ? data.is_active : true,
+    rule_id
+  ]);
+  return r.rows[0];
+};
+
+// ==================== STUDENT CONCESSIONS ====================
+
+const createStudentConcession = async (client, data) => {
+  const q = `
+    INSERT INTO student_concessions (
+      tenant_id, campus_id, student_username, rule_id, valid_from, valid_to, requested_by, remarks
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.tenant_id,
+    data.campus_id,
+    data.student_username,
+    data.rule_id,
+    data.valid_from,
+    data.valid_to || null,
+    data.requested_by || null,
+    data.remarks || null
+  ]);
+  return r.rows[0];
+};
+
+const getStudentConcessions = async (tenant_id, campus_id, filters = {}) => {
+  let q = `
+    SELECT
+      sc.*,
+      r.rule_name,
+      r.category,
+      r.discount_type,
+      r.discount_value,
+      r.fee_type_id,
+      u.first_name,
+      u.last_name
+    FROM student_concessions sc
+    JOIN fee_concession_rules r ON sc.rule_id = r.rule_id
+    LEFT JOIN users u ON sc.student_username = u.username
+    WHERE sc.tenant_id = $1 AND sc.campus_id = $2
+  `;
+  const params = [tenant_id, campus_id];
+
+  if (filters.student_username) {
+    q += ` AND sc.student_username = $${params.length + 1}`;
+    params.push(filters.student_username);
+  }
+
+  if (filters.status) {
+    q += ` AND sc.status = $${params.length + 1}`;
+    params.push(filters.status);
+  }
+
+  q += ` ORDER BY sc.created_at DESC`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+const getStudentConcessionForUpdate = async (client, student_concession_id) => {
+  const r = await client.query(
+    'SELECT * FROM student_concessions WHERE student_concession_id = $1 FOR UPDATE',
+    [student_concession_id]
+  );
+  return r.rows[0] || null;
+};
+
+const updateStudentConcessionStatus = async (client, student_concession_id, { status, approved_by, remarks }) => {
+  const q = `
+    UPDATE student_concessions
+    SET status = $1::concession_status_enum,
+        approved_by = $2,
+        approved_at = NOW(),
+        remarks = COALESCE($3, remarks)
+    WHERE student_concession_id = $4
+    RETURNING *
+  `;
+  const r = await client.query(q, [status, approved_by, remarks || null, student_concession_id]);
+  return r.rows[0] || null;
+};
+
+// Approved, active concessions for a student whose validity window covers the given date range
+const getApprovedConcessionsForStudent = async (client, campus_id, student_username) => {
+  const q = `
+    SELECT sc.student_concession_id, sc.valid_from, sc.valid_to,
+           r.rule_id, r.rule_name, r.category, r.discount_type, r.discount_value, r.fee_type_id
+    FROM student_concessions sc
+    JOIN fee_concession_rules r ON sc.rule_id = r.rule_id
+    WHERE sc.campus_id = $1 AND sc.student_username = $2
+      AND sc.status = 'approved' AND r.is_active = TRUE
+    ORDER BY sc.created_at ASC
+  `;
+  const r = await client.query(q, [campus_id, student_username]);
+  return r.rows;
+};
+
+// Other enrolled students in the campus who share at least one parent with the student
+const countSiblings = async (campus_id, student_username) => {
+  const q = `
+    SELECT COUNT(DISTINCT other.student_username) AS sibling_count
+    FROM student_parent_relations mine
+    JOIN student_parent_relations other
+      ON other.parent_username = mine.parent_username
+     AND other.campus_id = mine.campus_id
+     AND other.student_username <> mine.student_username
+    JOIN student_enrollment se ON se.username = other.student_username AND se.campus_id = other.campus_id
+    WHERE mine.campus_id = $1 AND mine.student_username = $2
+  `;
+  const r = await pool.query(q, [campus_id, student_username]);
+  return parseInt(r.rows[0].sibling_count || 0);
+};
+
+// ==================== DISCOUNT AUDIT TRAIL ====================
+
+const deleteDueDiscounts = async (client, due_id) => {
+  await client.query('DELETE FROM fee_due_discounts WHERE due_id = $1', [due_id]);
+};
+
+const insertDueDiscount = async (client, { due_id, student_concession_id, rule_id, discount_amount }) => {
+  const q = `
+    INSERT INTO fee_due_discounts (due_id, student_concession_id, rule_id, discount_amount)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, student_concession_id, rule_id, discount_amount]);
+  return r.rows[0];
+};
+
+const getDueDiscounts = async (tenant_id, campus_id, filters = {}) => {
+  let q = `
+    SELECT
+      dd.due_discount_id,
+      dd.due_id,
+      dd.discount_amount,
+      dd.applied_at,
+      sc.student_concession_id,
+      sc.student_username,
+      r.rule_id,
+      r.rule_name,
+      r.category,
+      r.discount_type,
+      r.discount_value,
+      fi.installment_name,
+      fi.due_date,
+      ft.name AS fee_type_name
+    FROM fee_due_discounts dd
+    JOIN student_concessions sc ON dd.student_concession_id = sc.student_concession_id
+    JOIN fee_concession_rules r ON dd.rule_id = r.rule_id
+    JOIN student_fee_dues d ON dd.due_id = d.due_id
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    WHERE sc.tenant_id = $1 AND sc.campus_id = $2
+  `;
+  const params = [tenant_id, campus_id];
+
+  if (filters.student_username) {
+    q += ` AND sc.student_username = $${params.length + 1}`;
+    params.push(filters.student_username);
+  }
+
+  if (filters.rule_id) {
+    q += ` AND r.rule_id = $${params.length + 1}`;
+    params.push(filters.rule_id);
+  }
+
+  q += ` ORDER BY fi.due_date ASC`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+module.exports = {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  createStudentConcession,
+  getStudentConcessions,
+  getStudentConcessionForUpdate,
+  updateStudentConcessionStatus,
+  getApprovedConcessionsForStudent,
+  countSiblings,
+  deleteDueDiscounts,
+  insertDueDiscount,
+  getDueDiscounts
+};
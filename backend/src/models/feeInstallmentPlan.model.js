@@ -0,0 +1,177 @@
+const { pool } = require('../config/database');
+
+// ==================== PLANS ====================
+
+const createPlan = async (client, data) => {
+  const q = `
+    INSERT INTO student_installment_plans (
+      tenant_id, campus_id, student_id, student_username, fee_structure_id, reason, requested_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.tenant_id,
+    data.campus_id,
+    data.student_id,
+    data.student_username,
+    data.fee_structure_id,
+    data.reason,
+    data.requested_by || null
+  ]);
+  return r.rows[0];
+};
+
+const insertPlanInstallment = async (client, { fee_structure_id, plan_id, installment_name, due_date, amount, penalty_amount = 0 }) => {
+  const q = `
+    INSERT INTO fee_installments (
+      fee_structure_id, plan_id, installment_name, due_date, amount, penalty_amount
+    ) VALUES ($1, $2, $3, $4, $5, COALESCE($6, 0))
+    RETURNING *
+  `;
+  const r = await client.query(q, [fee_structure_id, plan_id, installment_name, due_date, amount, penalty_amount]);
+  return r.rows[0];
+};
+
+const getPlans = async (tenant_id, campus_id, filters = {}) => {
+  let q = `
+    SELECT
+      p.*,
+      ft.name AS fee_type_name,
+      fs.total_amount AS structure_total,
+      u.first_name, u.last_name,
+      (SELECT json_agg(fi ORDER BY fi.due_date ASC, fi.installment_name ASC)
+       FROM fee_installments fi
+       WHERE fi.plan_id = p.plan_id
+      ) AS installments
+    FROM student_installment_plans p
+    JOIN fee_structures fs ON p.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    LEFT JOIN users u ON u.username = p.student_username
+    WHERE p.tenant_id = $1 AND p.campus_id = $2
+  `;
+  const params = [tenant_id, campus_id];
+
+  if (filters.status) {
+    q += ` AND p.status = $${params.length + 1}`;
+    params.push(filters.status);
+  }
+
+  if (filters.student_username) {
+    q += ` AND p.student_username = $${params.length + 1}`;
+    params.push(filters.student_username);
+  }
+
+  if (filters.fee_structure_id) {
+    q += ` AND p.fee_structure_id = $${params.length + 1}`;
+    params.push(filters.fee_structure_id);
+  }
+
+  q += ` ORDER BY p.requested_at DESC`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+const getPlanForUpdate = async (client, plan_id) => {
+  const r = await client.query('SELECT * FROM student_installment_plans WHERE plan_id = $1 FOR UPDATE', [plan_id]);
+  return r.rows[0] || null;
+};
+
+const getPlanInstallments = async (client, plan_id) => {
+  const q = `SELECT * FROM fee_installments WHERE plan_id = $1 ORDER BY due_date ASC, installment_name ASC`;
+  const r = await client.query(q, [plan_id]);
+  return r.rows;
+};
+
+// Installments of the plan in force for a student, or an empty list when the class schedule applies
+const getApprovedPlanInstallments = async (client, student_id, fee_structure_id) => {
+  const q = `
+    SELECT fi.*
+    FROM student_installment_plans p
+    JOIN fee_installments fi ON fi.plan_id = p.plan_id
+    WHERE p.student_id = $1 AND p.fee_structure_id = $2 AND p.status = 'approved'
+    ORDER BY fi.due_date ASC, fi.installment_name ASC
+  `;
+  const r = await client.query(q, [student_id, fee_structure_id]);
+  return r.rows;
+};
+
+const setPlanStatus = async (client, plan_id, { status, approved_by = null, remarks = null }) => {
+  const q = `
+    UPDATE student_installment_plans
+    SET status = $2::installment_plan_status_enum,
+        approved_by = COALESCE($3, approved_by),
+        approved_at = CASE WHEN $3::bigint IS NOT NULL THEN NOW() ELSE approved_at END,
+        remarks = COALESCE($4, remarks)
+    WHERE plan_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [plan_id, status, approved_by, remarks]);
+  return r.rows[0];
+};
+
+const supersedeApprovedPlans = async (client, student_id, fee_structure_id) => {
+  const q = `
+    UPDATE student_installment_plans
+    SET status = 'superseded'
+    WHERE student_id = $1 AND fee_structure_id = $2 AND status = 'approved'
+  `;
+  await client.query(q, [student_id, fee_structure_id]);
+};
+
+// ==================== DUES BEING REPLACED ====================
+
+// Current (not yet superseded) dues of a student for a structure, locked for the switch-over
+const getActiveDuesForStructure = async (client, student_id, fee_structure_id) => {
+  const q = `
+    SELECT d.*, fi.due_date, fi.amount AS installment_amount
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    WHERE d.student_id = $1 AND fi.fee_structure_id = $2 AND d.superseded_by_plan_id IS NULL
+    ORDER BY fi.due_date ASC
+    FOR UPDATE OF d
+  `;
+  const r = await client.query(q, [student_id, fee_structure_id]);
+  return r.rows;
+};
+
+// Amount each payment still has allocated to a due
+const getNetAllocationsByDue = async (client, due_id) => {
+  const q = `
+    SELECT payment_id, SUM(amount_allocated) AS net_allocated
+    FROM payment_allocations
+    WHERE due_id = $1
+    GROUP BY payment_id
+    HAVING SUM(amount_allocated) > 0
+  `;
+  const r = await client.query(q, [due_id]);
+  return r.rows;
+};
+
+const markDueSuperseded = async (client, due_id, plan_id) => {
+  const q = `
+    UPDATE student_fee_dues
+    SET superseded_by_plan_id = $2,
+        superseded_at = NOW(),
+        balance_amount = 0,
+        is_paid = TRUE
+    WHERE due_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, plan_id]);
+  return r.rows[0];
+};
+
+module.exports = {
+  createPlan,
+  insertPlanInstallment,
+  getPlans,
+  getPlanForUpdate,
+  getPlanInstallments,
+  getApprovedPlanInstallments,
+  setPlanStatus,
+  supersedeApprovedPlans,
+  getActiveDuesForStructure,
+  getNetAllocationsByDue,
+  markDueSuperseded
+};
@@ -0,0 +1,85 @@
+const { pool } = require('../config/database');
+
+// ==================== LEDGER SOURCES ====================
+// Each query returns one kind of ledger event for a student; the service merges them chronologically.
+
+const getLedgerDues = async (tenant_id, campus_id, student_id) => {
+  const q = `
+    SELECT
+      d.due_id,
+      d.discount_amount,
+      d.superseded_at,
+      fi.installment_name,
+      fi.due_date,
+      fi.amount,
+      ft.name AS fee_type_name,
+      fs.academic_year_id,
+      ay.year_name,
+      ay.start_date AS year_start_date,
+      ay.end_date AS year_end_date
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    LEFT JOIN academic_years ay ON fs.academic_year_id = ay.academic_year_id
+    WHERE fs.tenant_id = $1 AND fs.campus_id = $2 AND d.student_id = $3
+    ORDER BY fi.due_date ASC
+  `;
+  const r = await pool.query(q, [tenant_id, campus_id, student_id]);
+  return r.rows;
+};
+
+const getLedgerDiscounts = async (student_id) => {
+  const q = `
+    SELECT dd.due_id, dd.discount_amount, dd.applied_at, cr.rule_name
+    FROM fee_due_discounts dd
+    JOIN student_fee_dues d ON dd.due_id = d.due_id
+    JOIN fee_concession_rules cr ON dd.rule_id = cr.rule_id
+    WHERE d.student_id = $1
+  `;
+  const r = await pool.query(q, [student_id]);
+  return r.rows;
+};
+
+const getLedgerPenalties = async (student_id) => {
+  const q = `
+    SELECT h.penalty_entry_id, h.due_id, h.entry_type, h.amount, h.reason, h.created_at
+    FROM fee_penalty_history h
+    JOIN student_fee_dues d ON h.due_id = d.due_id
+    WHERE d.student_id = $1
+  `;
+  const r = await pool.query(q, [student_id]);
+  return r.rows;
+};
+
+const getLedgerPayments = async (tenant_id, student_id) => {
+  const q = `
+    SELECT
+      p.payment_id, p.amount_paid, p.payment_date, p.payment_method, p.transaction_reference,
+      p.remarks, p.entry_type, p.reverses_payment_id, r.receipt_number
+    FROM fee_payments p
+    LEFT JOIN fee_receipts r ON r.payment_id = p.payment_id
+    WHERE p.tenant_id = $1 AND p.student_id = $2
+  `;
+  const r = await pool.query(q, [tenant_id, student_id]);
+  return r.rows;
+};
+
+const getLedgerAllocations = async (tenant_id, student_id) => {
+  const q = `
+    SELECT a.allocation_id, a.payment_id, a.due_id, a.amount_allocated, p.payment_date
+    FROM payment_allocations a
+    JOIN fee_payments p ON a.payment_id = p.payment_id
+    WHERE p.tenant_id = $1 AND p.student_id = $2
+  `;
+  const r = await pool.query(q, [tenant_id, student_id]);
+  return r.rows;
+};
+
+module.exports = {
+  getLedgerDues,
+  getLedgerDiscounts,
+  getLedgerPenalties,
+  getLedgerPayments,
+  getLedgerAllocations
+};
@@ -0,0 +1,147 @@
+const { pool } = require('../config/database');
+
+// ==================== ORDERS ====================
+
+const createOrder = async (client, data) => {
+  const q = `
+    INSERT INTO fee_payment_orders (
+      tenant_id, campus_id, student_id, provider, amount, currency, dues, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `;
+  const r = await client.query(q, [
+    data.tenant_id,
+    data.campus_id,
+    data.student_id,
+    data.provider,
+    data.amount,
+    data.currency || 'INR',
+    JSON.stringify(data.dues),
+    data.created_by || null
+  ]);
+  return r.rows[0];
+};
+
+const setProviderOrderId = async (client, order_id, provider_order_id) => {
+  const q = `
+    UPDATE fee_payment_orders
+    SET provider_order_id = $2, updated_at = NOW()
+    WHERE order_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [order_id, provider_order_id]);
+  return r.rows[0];
+};
+
+const getOrderByProviderIdForUpdate = async (client, provider, provider_order_id) => {
+  const q = `
+    SELECT * FROM fee_payment_orders
+    WHERE provider = $1 AND provider_order_id = $2
+    FOR UPDATE
+  `;
+  const r = await client.query(q, [provider, provider_order_id]);
+  return r.rows[0] || null;
+};
+
+const getOrderForUpdate = async (client, order_id) => {
+  const r = await client.query('SELECT * FROM fee_payment_orders WHERE order_id = $1 FOR UPDATE', [order_id]);
+  return r.rows[0] || null;
+};
+
+const getOrderById = async (tenant_id, order_id) => {
+  const r = await pool.query('SELECT * FROM fee_payment_orders WHERE tenant_id = $1 AND order_id = $2', [tenant_id, order_id]);
+  return r.rows[0] || null;
+};
+
+const markOrderCaptured = async (client, order_id, { payment_id, provider_payment_id }) => {
+  const q = `
+    UPDATE fee_payment_orders
+    SET status = 'captured',
+        payment_id = $2,
+        provider_payment_id = $3,
+        captured_at = NOW(),
+        updated_at = NOW()
+    WHERE order_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [order_id, payment_id, provider_payment_id]);
+  return r.rows[0];
+};
+
+const markOrderClosed = async (client, order_id, { status, failure_reason = null, provider_payment_id = null }) => {
+  const q = `
+    UPDATE fee_payment_orders
+    SET status = $2::payment_order_status_enum,
+        failure_reason = $3,
+        provider_payment_id = COALESCE($4, provider_payment_id),
+        updated_at = NOW()
+    WHERE order_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [order_id, status, failure_reason, provider_payment_id]);
+  return r.rows[0];
+};
+
+// Pending orders not touched for a while, oldest first, for the reconciliation job
+// All tenants when no scope is given (the scheduled job), otherwise one tenant's campus
+const getStalePendingOrders = async (older_than_minutes, scope = {}, limit = 100) => {
+  let q = `
+    SELECT * FROM fee_payment_orders
+    WHERE status = 'pending'
+      AND provider_order_id IS NOT NULL
+      AND created_at < NOW() - ($1 || ' minutes')::interval
+  `;
+  const params = [String(older_than_minutes)];
+
+  if (scope.tenant_id) {
+    q += ` AND tenant_id = $${params.length + 1}`;
+    params.push(scope.tenant_id);
+  }
+
+  if (scope.campus_id) {
+    q += ` AND campus_id = $${params.length + 1}`;
+    params.push(scope.campus_id);
+  }
+
+  q += ` ORDER BY created_at ASC LIMIT $${params.length + 1}`;
+  params.push(limit);
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+const isParentOfStudent = async (campus_id, parent_username, student_username) => {
+  const q = `
+    SELECT 1 FROM student_parent_relations
+    WHERE campus_id = $1 AND parent_username = $2 AND student_username = $3
+  `;
+  const r = await pool.query(q, [campus_id, parent_username, student_username]);
+  return r.rows.length > 0;
+};
+
+// ==================== WEBHOOK EVENTS ====================
+
+// Returns null when the event was already recorded, which makes redelivery a no-op
+const recordEvent = async (client, { provider, provider_event_id, event_type, order_id = null, payload }) => {
+  const q = `
+    INSERT INTO fee_gateway_events (provider, provider_event_id, event_type, order_id, payload)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (provider, provider_event_id) DO NOTHING
+    RETURNING *
+  `;
+  const r = await client.query(q, [provider, provider_event_id, event_type, order_id, JSON.stringify(payload || {})]);
+  return r.rows[0] || null;
+};
+
+module.exports = {
+  createOrder,
+  setProviderOrderId,
+  getOrderByProviderIdForUpdate,
+  getOrderForUpdate,
+  getOrderById,
+  markOrderCaptured,
+  markOrderClosed,
+  getStalePendingOrders,
+  isParentOfStudent,
+  recordEvent
+};
@@ -0,0 +1,144 @@
+const { pool } = require('../config/database');
+
+// ==================== PENALTY POLICIES ====================
+
+const upsertPolicy = async (client, fee_structure_id, { penalty_mode, grace_days, max_penalty, is_active }) => {
+  const q = `
+    INSERT INTO fee_penalty_policies (fee_structure_id, penalty_mode, grace_days, max_penalty, is_active, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (fee_structure_id)
+    DO UPDATE SET
+      penalty_mode = EXCLUDED.penalty_mode,
+      grace_days = EXCLUDED.grace_days,
+      max_penalty = EXCLUDED.max_penalty,
+      is_active = EXCLUDED.is_active,
+      updated_at = NOW()
+    RETURNING *
+  `;
+  const r = await client.query(q, [fee_structure_id, penalty_mode, grace_days, max_penalty, is_active]);
+  return r.rows[0];
+};
+
+const getPolicy = async (fee_structure_id) => {
+  const r = await pool.query('SELECT * FROM fee_penalty_policies WHERE fee_structure_id = $1', [fee_structure_id]);
+  return r.rows[0] || null;
+};
+
+// ==================== OVERDUE DUES ====================
+
+// Unpaid dues past their due date whose structure has an active penalty policy
+const getOverdueDuesWithPolicy = async (client, { as_of_date, tenant_id = null, campus_id = null }) => {
+  const q = `
+    SELECT
+      d.due_id,
+      d.balance_amount,
+      d.penalty_amount,
+      d.penalty_waived,
+      fi.due_date,
+      fi.penalty_amount AS penalty_rate,
+      p.penalty_mode,
+      p.grace_days,
+      p.max_penalty
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_penalty_policies p ON p.fee_structure_id = fs.fee_structure_id AND p.is_active = TRUE
+    WHERE d.is_paid = FALSE
+      AND d.balance_amount > 0
+      AND fi.penalty_amount > 0
+      AND fi.due_date < $1::date
+      AND ($2::uuid IS NULL OR fs.tenant_id = $2)
+      AND ($3::uuid IS NULL OR fs.campus_id = $3)
+    FOR UPDATE OF d
+  `;
+  const r = await client.query(q, [as_of_date, tenant_id, campus_id]);
+  return r.rows;
+};
+
+const addPenaltyToDue = async (client, due_id, amount) => {
+  const q = `
+    UPDATE student_fee_dues
+    SET penalty_amount = penalty_amount + $2,
+        balance_amount = balance_amount + $2,
+        is_paid = FALSE
+    WHERE due_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, amount]);
+  return r.rows[0];
+};
+
+const waivePenaltyOnDue = async (client, due_id, amount) => {
+  const q = `
+    UPDATE student_fee_dues
+    SET penalty_waived = penalty_waived + $2,
+        balance_amount = GREATEST(balance_amount - $2, 0),
+        is_paid = CASE WHEN balance_amount - $2 <= 0 THEN TRUE ELSE is_paid END
+    WHERE due_id = $1
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, amount]);
+  return r.rows[0];
+};
+
+const getDueForUpdate = async (client, due_id) => {
+  const q = `
+    SELECT d.*, fs.tenant_id, fs.campus_id
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    WHERE d.due_id = $1
+    FOR UPDATE OF d
+  `;
+  const r = await client.query(q, [due_id]);
+  return r.rows[0] || null;
+};
+
+// Tenant and campus a due belongs to, through its fee structure
+const getDueScope = async (due_id) => {
+  const q = `
+    SELECT fs.tenant_id, fs.campus_id
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    WHERE d.due_id = $1
+  `;
+  const r = await pool.query(q, [due_id]);
+  return r.rows[0] || null;
+};
+
+// ==================== HISTORY ====================
+
+const insertHistory = async (client, { due_id, entry_type, amount, days_overdue = null, reason = null, created_by = null }) => {
+  const q = `
+    INSERT INTO fee_penalty_history (due_id, entry_type, amount, days_overdue, reason, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+  const r = await client.query(q, [due_id, entry_type, amount, days_overdue, reason, created_by]);
+  return r.rows[0];
+};
+
+const getHistoryByDue = async (due_id) => {
+  const q = `
+    SELECT h.*, u.first_name, u.last_name
+    FROM fee_penalty_history h
+    LEFT JOIN users u ON h.created_by = u.user_id
+    WHERE h.due_id = $1
+    ORDER BY h.created_at ASC
+  `;
+  const r = await pool.query(q, [due_id]);
+  return r.rows;
+};
+
+module.exports = {
+  upsertPolicy,
+  getPolicy,
+  getOverdueDuesWithPolicy,
+  addPenaltyToDue,
+  waivePenaltyOnDue,
+  getDueForUpdate,
+  getDueScope,
+  insertHistory,
+  getHistoryByDue
+};
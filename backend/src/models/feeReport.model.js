@@ -0,0 +1,151 @@
+const { pool } = require('../config/database');
+
+// ==================== DEFAULTERS & AGEING ====================
+
+// Unpaid dues past their due date as of a date, with days overdue worked out in SQL
+const getOverdueDues = async (tenant_id, campus_id, as_of_date, filters = {}) => {
+  let q = `
+    SELECT
+      d.due_id,
+      d.student_id,
+      d.balance_amount,
+      fi.installment_name,
+      fi.due_date,
+      ft.fee_type_id,
+      ft.name AS fee_type_name,
+      fs.academic_year_id,
+      ($3::date - fi.due_date) AS days_overdue
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    WHERE fs.tenant_id = $1 AND fs.campus_id = $2
+      AND d.balance_amount > 0
+      AND fi.due_date < $3::date
+  `;
+  const params = [tenant_id, campus_id, as_of_date];
+
+  if (filters.academic_year_id) {
+    q += ` AND fs.academic_year_id = $${params.length + 1}`;
+    params.push(filters.academic_year_id);
+  }
+
+  if (filters.fee_type_id) {
+    q += ` AND fs.fee_type_id = $${params.length + 1}`;
+    params.push(filters.fee_type_id);
+  }
+
+  q += ` ORDER BY fi.due_date ASC`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+// Enrolled students of a campus with class and section, used to place dues by class/section
+const getCampusEnrollments = async (tenant_id, campus_id) => {
+  const q = `
+    SELECT
+      u.username, u.first_name, u.last_name, u.phone_number,
+      se.admission_number, se.class_name, se.section_id, cs.section_name
+    FROM student_enrollment se
+    JOIN users u ON u.username = se.username
+    LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+    WHERE u.tenant_id = $1 AND se.campus_id = $2
+  `;
+  const r = await pool.query(q, [tenant_id, campus_id]);
+  return r.rows;
+};
+
+// ==================== COLLECTION VS EXPECTED ====================
+
+// Net amount expected per fee type for each month installments fall due
+const getExpectedByFeeTypeMonth = async (tenant_id, campus_id, { from_date, to_date, academic_year_id }) => {
+  let q = `
+    SELECT
+      ft.fee_type_id,
+      ft.name AS fee_type_name,
+      to_char(fi.due_date, 'YYYY-MM') AS month,
+      SUM(fi.amount - COALESCE(d.discount_amount, 0)) AS expected
+    FROM student_fee_dues d
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    WHERE fs.tenant_id = $1 AND fs.campus_id = $2
+      AND d.superseded_by_plan_id IS NULL
+      AND fi.due_date BETWEEN $3::date AND $4::date
+  `;
+  const params = [tenant_id, campus_id, from_date, to_date];
+
+  if (academic_year_id) {
+    q += ` AND fs.academic_year_id = $${params.length + 1}`;
+    params.push(academic_year_id);
+  }
+
+  q += ` GROUP BY ft.fee_type_id, ft.name, month ORDER BY month, ft.name`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+// Net amount collected per fee type for each month, from allocations (reversals allocate negatively)
+const getCollectedByFeeTypeMonth = async (tenant_id, campus_id, { from_date, to_date, academic_year_id }) => {
+  let q = `
+    SELECT
+      ft.fee_type_id,
+      ft.name AS fee_type_name,
+      to_char(p.payment_date, 'YYYY-MM') AS month,
+      SUM(a.amount_allocated) AS collected
+    FROM payment_allocations a
+    JOIN fee_payments p ON a.payment_id = p.payment_id
+    JOIN student_fee_dues d ON a.due_id = d.due_id
+    JOIN fee_installments fi ON d.installment_id = fi.installment_id
+    JOIN fee_structures fs ON fi.fee_structure_id = fs.fee_structure_id
+    JOIN fee_types ft ON fs.fee_type_id = ft.fee_type_id
+    WHERE fs.tenant_id = $1 AND fs.campus_id = $2
+      AND p.payment_date::date BETWEEN $3::date AND $4::date
+  `;
+  const params = [tenant_id, campus_id, from_date, to_date];
+
+  if (academic_year_id) {
+    q += ` AND fs.academic_year_id = $${params.length + 1}`;
+    params.push(academic_year_id);
+  }
+
+  q += ` GROUP BY ft.fee_type_id, ft.name, month ORDER BY month, ft.name`;
+
+  const r = await pool.query(q, params);
+  return r.rows;
+};
+
+// ==================== DAILY CLOSING ====================
+
+// Payments are attributed to a campus through their receipt; reversals and refunds through the original's receipt
+const getDailyCollections = async (tenant_id, campus_id, date) => {
+  const q = `
+    SELECT
+      p.collected_by,
+      u.first_name AS collector_first_name,
+      u.last_name AS collector_last_name,
+      p.payment_method,
+      p.entry_type,
+      COUNT(*) AS transactions,
+      SUM(p.amount_paid) AS total_amount
+    FROM fee_payments p
+    JOIN fee_receipts r ON r.payment_id = COALESCE(p.reverses_payment_id, p.payment_id)
+    LEFT JOIN users u ON u.user_id = p.collected_by
+    WHERE p.tenant_id = $1 AND r.campus_id = $2
+      AND p.payment_date::date = $3::date
+    GROUP BY p.collected_by, u.first_name, u.last_name, p.payment_method, p.entry_type
+    ORDER BY u.first_name, p.payment_method, p.entry_type
+  `;
+  const r = await pool.query(q, [tenant_id, campus_id, date]);
+  return r.rows;
+};
+
+module.exports = {
+  getOverdueDues,
+  getCampusEnrollments,
+  getExpectedByFeeTypeMonth,
+  getCollectedByFeeTypeMonth,
+  getDailyCollections
+};
@@ -0,0 +1,142 @@
+const { pool } = require('../config/database');
+
+const SCHEME_WITH_BANDS = `
+  SELECT
+    s.*,
+    COALESCE(
+      (SELECT json_agg(b ORDER BY b.min_percentage DESC)
+       FROM grading_scheme_bands b
+       WHERE b.scheme_id = s.scheme_id),
+      '[]'::json
+    ) AS bands
+  FROM grading_schemes s
+`;
+
+const GradingSchemeModel = {
+  createScheme: async (client, schemeData) => {
+    const query = `
+      INSERT INTO grading_schemes (
+        tenant_id, campus_id, scheme_name, scheme_type, curriculum_id, academic_year_id,
+        pass_percentage, grace_percentage, is_active, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 35.00), COALESCE($8, 0.00), COALESCE($9, TRUE), $10)
+      RETURNING *;
+    `;
+
+    const values = [
+      schemeData.tenant_id,
+      schemeData.campus_id,
+      schemeData.scheme_name,
+      schemeData.scheme_type,
+      schemeData.curriculum_id || null,
+      schemeData.academic_year_id || null,
+      schemeData.pass_percentage,
+      schemeData.grace_percentage,
+      schemeData.is_active,
+      schemeData.created_by || null
+    ];
+
+    const result = await client.query(query, values);
+    return result.rows[0];
+  },
+
+  updateScheme: async (client, schemeId, schemeData) => {
+    const fields = [];
+    const values = [];
+    let idx = 1;
+
+    const addField = (col, val) => {
+      if (val !== undefined) {
+        fields.push(`${col} = $${idx++}`);
+        values.push(val);
+      }
+    };
+
+    addField('scheme_name', schemeData.scheme_name);
+    addField('scheme_type', schemeData.scheme_type);
+    addField('curriculum_id', schemeData.curriculum_id);
+    addField('academic_year_id', schemeData.academic_year_id);
+    addField('pass_percentage', schemeData.pass_percentage);
+    addField('grace_percentage', schemeData.grace_percentage);
+    addField('is_active', schemeData.is_active);
+
+    fields.push('updated_at = NOW()');
+    values.push(schemeId);
+    const query = `
+      UPDATE grading_schemes
+      SET ${fields.join(', ')}
+      WHERE scheme_id = $${idx}
+      RETURNING *;
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0];
+  },
+
+  replaceBands: async (client, schemeId, bands) => {
+    await client.query('DELETE FROM grading_scheme_bands WHERE scheme_id = $1', [schemeId]);
+
+    const inserted = [];
+    for (const band of bands) {
+      const query = `
+        INSERT INTO grading_scheme_bands (scheme_id, grade, min_percentage, max_percentage, grade_point, is_pass)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *;
+      `;
+      const result = await client.query(query, [
+        schemeId,
+        band.grade,
+        band.min_percentage,
+        band.max_percentage,
+        band.grade_point !== undefined ? band.grade_point : null,
+        band.is_pass !== undefined ? band.is_pass : true
+      ]);
+      inserted.push(result.rows[0]);
+    }
+    return inserted;
+  },
+
+  getSchemeById: async (schemeId, client = pool) => {
+    const result = await client.query(`${SCHEME_WITH_BANDS} WHERE s.scheme_id = $1`, [schemeId]);
+    return result.rows[0];
+  },
+
+  getSchemes: async (tenantId, campusId, filters = {}) => {
+    let query = `${SCHEME_WITH_BANDS} WHERE s.tenant_id = $1 AND s.campus_id = $2`;
+    const values = [tenantId, campusId];
+    let idx = 3;
+
+    if (filters.academic_year_id) {
+      query += ` AND s.academic_year_id = $${idx++}`;
+      values.push(filters.academic_year_id);
+    }
+
+    if (filters.curriculum_id) {
+      query += ` AND s.curriculum_id = $${idx++}`;
+      values.push(filters.curriculum_id);
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND s.is_active = $${idx++}`;
+      values.push(filters.is_active);
+    }
+
+    query += ` ORDER BY s.is_active DESC, s.created_at DESC`;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  // Active schemes of a campus with their bands; pass a client to see uncommitted changes
+  getActiveSchemes: async (campusId, client = pool) => {
+    const result = await client.query(`${SCHEME_WITH_BANDS} WHERE s.campus_id = $1 AND s.is_active`, [campusId]);
+    return result.rows;
+  },
+
+  deleteScheme: async (client, schemeId) => {
+    const result = await client.query('DELETE FROM grading_schemes WHERE scheme_id = $1 RETURNING *', [schemeId]);
+    return result.rows[0];
+  }
+};
+
+module.exports = GradingSchemeModel;
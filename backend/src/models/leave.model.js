@@ -10,10 +10,13 @@ const createLeaveRequest = async (tenantId, campusId, data) => {
       leave_date,
       leave_reason,
       duration_days,
-      duration_category
-    ) VALUES ($1,$2,$3,$4,$5,$6,$7)
+      duration_category,
+      leave_type_id,
+      exceeds_balance
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
     RETURNING id, username, requester_role, campus_id,
               request_date, leave_date, leave_reason, duration_days, duration_category,
+              leave_type_id, exceeds_balance,
               overall_status AS status
   `;
   const values = [
@@ -23,7 +26,9 @@ const createLeaveRequest = async (tenantId, campusId, data) => {
     data.leave_date,
     data.leave_reason,
     data.duration_days,
-    data.duration_category
+    data.duration_category,
+    data.leave_type_id || null,
+    data.exceeds_balance === true
   ];
   const result = await pool.query(query, values);
   return result.rows[0];
@@ -73,6 +78,9 @@ const getMyLeaveRequests = async (tenantId, campusId, username) => {
        r.leave_reason,
        r.duration_days,
        r.duration_category,
+       r.leave_type_id,
+       (SELECT lt.name FROM leave_types lt WHERE lt.id = r.leave_type_id) AS leave_type_name,
+       r.exceeds_balance,
        r.overall_status AS status,
        array_remove(array_agg(s.comments) FILTER (WHERE s.status = 'rejected'::leave_status), NULL) AS rejected_comments,
        array_remove(array_agg(s.approver_username) FILTER (WHERE s.status = 'rejected'::leave_status), NULL) AS rejected_by
@@ -99,6 +107,9 @@ const getPendingApprovalsForUser = async (username) => {
        r.leave_reason,
        r.duration_days,
        r.duration_category,
+       r.leave_type_id,
+       (SELECT lt.name FROM leave_types lt WHERE lt.id = r.leave_type_id) AS leave_type_name,
+       r.exceeds_balance,
        r.overall_status AS status,
        json_agg(
          json_build_object(
@@ -140,6 +151,9 @@ const getCompletedApprovalsForUser = async (username) => {
        r.leave_reason,
        r.duration_days,
        r.duration_category,
+       r.leave_type_id,
+       (SELECT lt.name FROM leave_types lt WHERE lt.id = r.leave_type_id) AS leave_type_name,
+       r.exceeds_balance,
        r.overall_status AS status,
        json_agg(
          json_build_object(
@@ -173,6 +187,7 @@ const getLeaveRequestById = async (id) => {
   const result = await pool.query(
     `SELECT id, username, requester_role, campus_id,
             request_date, leave_date, leave_reason, duration_days, duration_category,
+            leave_type_id, exceeds_balance, balance_debited,
             overall_status AS status
      FROM leave_requests
      WHERE id = $1
@@ -239,7 +254,7 @@ const recomputeOverallStatus = async (leaveRequestId) => {
        END
      WHERE id = $1
      RETURNING id, username, requester_role, campus_id,
-               request_date, leave_date, leave_reason, duration_days, duration_category,
+               request_date, leave_date, leave_reason, duration_days, duration_category, leave_type_id,
                overall_status AS status`
     ,
     [leaveRequestId]
@@ -353,6 +368,236 @@ const isUserAssignedApproverForRequest = async (leaveRequestId, username) => {
   return res.rowCount > 0;
 };
 
+// ---------- Leave types, quotas and balances ----------
+
+// Leave types of a tenant
+const getLeaveTypes = async (tenantId, activeOnly = false) => {
+  const result = await pool.query(
+    `SELECT id, tenant_id, code, name, is_paid, deducts_balance, on_exceed, is_active
+     FROM leave_types
+     WHERE tenant_id = $1 ${activeOnly ? 'AND is_active' : ''}
+     ORDER BY name`,
+    [tenantId]
+  );
+  return result.rows;
+};
+
+// Get a leave type by id
+const getLeaveTypeById = async (id) => {
+  const result = await pool.query(
+    `SELECT id, tenant_id, code, name, is_paid, deducts_balance, on_exceed, is_active
+     FROM leave_types
+     WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Insert a leave type; with skipExisting a code already configured is left as it is
+const createLeaveType = async (tenantId, data, skipExisting = false) => {
+  const result = await pool.query(
+    `INSERT INTO leave_types (tenant_id, code, name, is_paid, deducts_balance, on_exceed, is_active)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     ${skipExisting ? 'ON CONFLICT (tenant_id, code) DO NOTHING' : ''}
+     RETURNING id, tenant_id, code, name, is_paid, deducts_balance, on_exceed, is_active`,
+    [tenantId, data.code, data.name, data.is_paid, data.deducts_balance, data.on_exceed, data.is_active]
+  );
+  return result.rows[0] || null;
+};
+
+// Update a leave type
+const updateLeaveType = async (id, data) => {
+  const result = await pool.query(
+    `UPDATE leave_types
+     SET name = $2, is_paid = $3, deducts_balance = $4, on_exceed = $5, is_active = $6
+     WHERE id = $1
+     RETURNING id, tenant_id, code, name, is_paid, deducts_balance, on_exceed, is_active`,
+    [id, data.name, data.is_paid, data.deducts_balance, data.on_exceed, data.is_active]
+  );
+  return result.rows[0] || null;
+};
+
+// Quotas of a tenant's leave types
+const getLeaveQuotas = async (tenantId) => {
+  const result = await pool.query(
+    `SELECT q.id, q.leave_type_id, lt.code AS leave_type_code, lt.name AS leave_type_name,
+            q.role, q.designation, q.annual_days::float AS annual_days,
+            q.carry_forward_max::float AS carry_forward_max, q.encashable_max::float AS encashable_max
+     FROM leave_quotas q
+     JOIN leave_types lt ON lt.id = q.leave_type_id
+     WHERE lt.tenant_id = $1
+     ORDER BY lt.name, q.designation NULLS FIRST, q.role NULLS FIRST`,
+    [tenantId]
+  );
+  return result.rows;
+};
+
+// Insert or replace the quota of a type for a role/designation
+const upsertLeaveQuota = async (data) => {
+  const result = await pool.query(
+    `INSERT INTO leave_quotas (leave_type_id, role, designation, annual_days, carry_forward_max, encashable_max)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (leave_type_id, COALESCE(role::text, ''), COALESCE(designation, ''))
+     DO UPDATE SET annual_days = EXCLUDED.annual_days,
+                   carry_forward_max = EXCLUDED.carry_forward_max,
+                   encashable_max = EXCLUDED.encashable_max
+     RETURNING id, leave_type_id, role, designation, annual_days::float AS annual_days,
+               carry_forward_max::float AS carry_forward_max, encashable_max::float AS encashable_max`,
+    [data.leave_type_id, data.role, data.designation, data.annual_days, data.carry_forward_max, data.encashable_max]
+  );
+  return result.rows[0];
+};
+
+// Delete a quota of a tenant
+const deleteLeaveQuota = async (tenantId, id) => {
+  const result = await pool.query(
+    `DELETE FROM leave_quotas q
+     USING leave_types lt
+     WHERE q.id = $1 AND lt.id = q.leave_type_id AND lt.tenant_id = $2
+     RETURNING q.id`,
+    [id, tenantId]
+  );
+  return result.rows.length > 0;
+};
+
+// Quota that applies to a user: designation first, then role, then the default
+const findLeaveQuota = async (leaveTypeId, role, designation) => {
+  const result = await pool.query(
+    `SELECT annual_days::float AS annual_days, carry_forward_max::float AS carry_forward_max,
+            encashable_max::float AS encashable_max
+     FROM leave_quotas
+     WHERE leave_type_id = $1
+       AND (role IS NULL OR role = $2::user_role)
+       AND (designation IS NULL OR designation = $3)
+     ORDER BY (designation IS NOT NULL) DESC, (role IS NOT NULL) DESC
+     LIMIT 1`,
+    [leaveTypeId, role, designation]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper: designation of an employee in campus
+const getDesignationForCampus = async (username, campusId) => {
+  const result = await pool.query(
+    `SELECT designation FROM employment_details WHERE username = $1 AND campus_id = $2 LIMIT 1`,
+    [username, campusId]
+  );
+  return result.rows[0]?.designation || null;
+};
+
+// Balance row of a user for a type and year
+const getLeaveBalance = async (username, leaveTypeId, leaveYear) => {
+  const result = await pool.query(
+    `SELECT id, username, leave_type_id, leave_year,
+            entitled_days::float AS entitled_days, carried_forward_days::float AS carried_forward_days,
+            used_days::float AS used_days, encashed_days::float AS encashed_days,
+            (entitled_days + carried_forward_days - used_days - encashed_days)::float AS available_days
+     FROM leave_balances
+     WHERE username = $1 AND leave_type_id = $2 AND leave_year = $3`,
+    [username, leaveTypeId, leaveYear]
+  );
+  return result.rows[0] || null;
+};
+
+// Open a balance row; a row created meanwhile is kept
+const createLeaveBalance = async (data) => {
+  await pool.query(
+    `INSERT INTO leave_balances (username, leave_type_id, leave_year, entitled_days, carried_forward_days)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (username, leave_type_id, leave_year) DO NOTHING`,
+    [data.username, data.leave_type_id, data.leave_year, data.entitled_days, data.carried_forward_days]
+  );
+};
+
+// Days of a user's pending requests per type in a year (reserved against the balance)
+const getPendingLeaveDays = async (username, leaveYear) => {
+  const result = await pool.query(
+    `SELECT leave_type_id, SUM(duration_days)::float AS days
+     FROM leave_requests
+     WHERE username = $1 AND overall_status = 'pending'::leave_status
+       AND leave_type_id IS NOT NULL AND EXTRACT(YEAR FROM leave_date) = $2
+     GROUP BY leave_type_id`,
+    [username, leaveYear]
+  );
+  return new Map(result.rows.map(r => [r.leave_type_id, r.days]));
+};
+
+// Take an approved request's days off its balance, once
+const debitBalanceForRequest = async (leaveRequestId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const req = await client.query(
+      `UPDATE leave_requests
+       SET balance_debited = true
+       WHERE id = $1 AND overall_status = 'approved'::leave_status
+         AND leave_type_id IS NOT NULL AND NOT balance_debited
+       RETURNING username, leave_type_id, EXTRACT(YEAR FROM leave_date)::int AS leave_year, duration_days`,
+      [leaveRequestId]
+    );
+    if (req.rows.length > 0) {
+      const r = req.rows[0];
+      await client.query(
+        `UPDATE leave_balances
+         SET used_days = used_days + $4, updated_at = NOW()
+         WHERE username = $1 AND leave_type_id = $2 AND leave_year = $3`,
+        [r.username, r.leave_type_id, r.leave_year, r.duration_days]
+      );
+    }
+    await client.query('COMMIT');
+    return req.rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Give a debited request's days back (request cancelled or deleted)
+const creditBalanceForRequest = async (leaveRequestId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const req = await client.query(
+      `UPDATE leave_requests
+       SET balance_debited = false
+       WHERE id = $1 AND balance_debited
+       RETURNING username, leave_type_id, EXTRACT(YEAR FROM leave_date)::int AS leave_year, duration_days`,
+      [leaveRequestId]
+    );
+    if (req.rows.length > 0) {
+      const r = req.rows[0];
+      await client.query(
+        `UPDATE leave_balances
+         SET used_days = GREATEST(used_days - $4, 0), updated_at = NOW()
+         WHERE username = $1 AND leave_type_id = $2 AND leave_year = $3`,
+        [r.username, r.leave_type_id, r.leave_year, r.duration_days]
+      );
+    }
+    await client.query('COMMIT');
+    return req.rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Record encashed days, only while that many are still available
+const encashLeaveBalance = async (username, leaveTypeId, leaveYear, days) => {
+  const result = await pool.query(
+    `UPDATE leave_balances
+     SET encashed_days = encashed_days + $4, updated_at = NOW()
+     WHERE username = $1 AND leave_type_id = $2 AND leave_year = $3
+       AND entitled_days + carried_forward_days - used_days - encashed_days >= $4
+     RETURNING id`,
+    [username, leaveTypeId, leaveYear, days]
+  );
+  return result.rows.length > 0;
+};
+
 module.exports = {
   createLeaveRequest,
   createApprovalStepsBulk,
@@ -371,5 +616,20 @@ module.exports = {
   findTenantAdmins,
   getUserRoleByUsername,
   findStudentsForParent,
-  isUserAssignedApproverForRequest
+  isUserAssignedApproverForRequest,
+  getLeaveTypes,
+  getLeaveTypeById,
+  createLeaveType,
+  updateLeaveType,
+  getLeaveQuotas,
+  upsertLeaveQuota,
+  deleteLeaveQuota,
+  findLeaveQuota,
+  getDesignationForCampus,
+  getLeaveBalance,
+  createLeaveBalance,
+  getPendingLeaveDays,
+  debitBalanceForRequest,
+  creditBalanceForRequest,
+  encashLeaveBalance
 };
@@ -0,0 +1,136 @@
+const { pool } = require('../config/database');
+
+const ModerationPolicyModel = {
+  // ==================== POLICIES ====================
+
+  createPolicy: async (policyData) => {
+    const query = `
+      INSERT INTO moderation_policies (
+        tenant_id, campus_id, policy_name, policy_type, subject_name,
+        grace_marks, scale_factor, scale_top_percentage, cap_percentage, is_active, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, TRUE), $11)
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      policyData.tenant_id,
+      policyData.campus_id,
+      policyData.policy_name,
+      policyData.policy_type,
+      policyData.subject_name || null,
+      policyData.grace_marks ?? null,
+      policyData.scale_factor ?? null,
+      policyData.scale_top_percentage ?? null,
+      policyData.cap_percentage ?? null,
+      policyData.is_active,
+      policyData.created_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  updatePolicy: async (policyId, policyData) => {
+    const fields = [];
+    const values = [];
+    let idx = 1;
+
+    const addField = (col, val) => {
+      if (val !== undefined) {
+        fields.push(`${col} = $${idx++}`);
+        values.push(val);
+      }
+    };
+
+    addField('policy_name', policyData.policy_name);
+    addField('policy_type', policyData.policy_type);
+    addField('subject_name', policyData.subject_name);
+    addField('grace_marks', policyData.grace_marks);
+    addField('scale_factor', policyData.scale_factor);
+    addField('scale_top_percentage', policyData.scale_top_percentage);
+    addField('cap_percentage', policyData.cap_percentage);
+    addField('is_active', policyData.is_active);
+
+    fields.push('updated_at = NOW()');
+    values.push(policyId);
+    const query = `
+      UPDATE moderation_policies
+      SET ${fields.join(', ')}
+      WHERE policy_id = $${idx}
+      RETURNING *;
+    `;
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  },
+
+  getPolicyById: async (policyId) => {
+    const result = await pool.query('SELECT * FROM moderation_policies WHERE policy_id = $1', [policyId]);
+    return result.rows[0];
+  },
+
+  getPoliciesByIds: async (policyIds) => {
+    const result = await pool.query('SELECT * FROM moderation_policies WHERE policy_id = ANY($1::uuid[])', [policyIds]);
+    return result.rows;
+  },
+
+  getPolicies: async (tenantId, campusId, filters = {}) => {
+    let query = `SELECT * FROM moderation_policies WHERE tenant_id = $1 AND campus_id = $2`;
+    const values = [tenantId, campusId];
+    let idx = 3;
+
+    if (filters.policy_type) {
+      query += ` AND policy_type = $${idx++}`;
+      values.push(filters.policy_type);
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND is_active = $${idx++}`;
+      values.push(filters.is_active);
+    }
+
+    query += ` ORDER BY is_active DESC, policy_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  deletePolicy: async (policyId) => {
+    const result = await pool.query('DELETE FROM moderation_policies WHERE policy_id = $1 RETURNING *', [policyId]);
+    return result.rows[0];
+  },
+
+  // ==================== APPLICATIONS ====================
+
+  createApplication: async (client, applicationData) => {
+    const query = `
+      INSERT INTO moderation_applications (tenant_id, exam_id, policy_ids, policies, affected_count, reason, applied_by)
+      VALUES ($1, $2, $3::uuid[], $4, $5, $6, $7)
+      RETURNING *;
+    `;
+    const result = await client.query(query, [
+      applicationData.tenant_id,
+      applicationData.exam_id,
+      applicationData.policy_ids,
+      JSON.stringify(applicationData.policies),
+      applicationData.affected_count || 0,
+      applicationData.reason || null,
+      applicationData.applied_by || null
+    ]);
+    return result.rows[0];
+  },
+
+  setAffectedCount: async (client, applicationId, count) => {
+    await client.query('UPDATE moderation_applications SET affected_count = $2 WHERE application_id = $1', [applicationId, count]);
+  },
+
+  getApplications: async (examId) => {
+    const query = `
+      SELECT a.*, u.first_name AS applied_by_first_name, u.last_name AS applied_by_last_name
+      FROM moderation_applications a
+      LEFT JOIN users u ON u.user_id = a.applied_by
+      WHERE a.exam_id = $1
+      ORDER BY a.applied_at DESC
+    `;
+    const result = await pool.query(query, [examId]);
+    return result.rows;
+  }
+};
+
+module.exports = ModerationPolicyModel;
@@ -0,0 +1,92 @@
+const { pool } = require('../config/database');
+
+/**
+ * Insert several notifications at once
+ * @param {Object} client - Database client for transaction (or pool)
+ * @param {Array<{tenant_id, campus_id, recipient_username, notification_type, title, message, data}>} notifications
+ * @returns {Promise<number>} Rows inserted
+ */
+const createNotifications = async (client, notifications) => {
+    if (!notifications || notifications.length === 0) return 0;
+    const query = `
+        INSERT INTO notifications (tenant_id, campus_id, recipient_username, notification_type, title, message, data)
+        SELECT x.tenant_id, x.campus_id, x.recipient_username, x.notification_type, x.title, x.message, x.data
+        FROM json_to_recordset($1::json) AS x(
+            tenant_id UUID, campus_id UUID, recipient_username VARCHAR, notification_type VARCHAR,
+            title VARCHAR, message TEXT, data JSONB
+        )
+    `;
+    const result = await client.query(query, [JSON.stringify(notifications)]);
+    return result.rowCount;
+};
+
+/**
+ * Notifications of a user, newest first
+ * @param {string} username
+ * @param {Object} options - { unread_only, limit }
+ * @returns {Promise<Array>}
+ */
+const getNotifications = async (username, { unread_only, limit } = {}) => {
+    let query = `
+        SELECT notification_id, notification_type, title, message, data, is_read, created_at, read_at
+        FROM notifications
+        WHERE recipient_username = $1
+    `;
+    if (unread_only) {
+        query += ` AND NOT is_read`;
+    }
+    query += ` ORDER BY created_at DESC LIMIT $2`;
+    const result = await pool.query(query, [username, limit || 50]);
+    return result.rows;
+};
+
+/**
+ * Number of unread notifications of a user
+ * @param {string} username
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = async (username) => {
+    const result = await pool.query(
+        'SELECT COUNT(*)::int AS count FROM notifications WHERE recipient_username = $1 AND NOT is_read',
+        [username]
+    );
+    return result.rows[0].count;
+};
+
+/**
+ * Mark one notification of a user as read
+ * @param {string} notificationId
+ * @param {string} username
+ * @returns {Promise<Object|undefined>}
+ */
+const markRead = async (notificationId, username) => {
+    const query = `
+        UPDATE notifications
+        SET is_read = true, read_at = COALESCE(read_at, NOW())
+        WHERE notification_id = $1 AND recipient_username = $2
+        RETURNING notification_id, is_read, read_at
+    `;
+    const result = await pool.query(query, [notificationId, username]);
+    return result.rows[0];
+};
+
+/**
+ * Mark every notification of a user as read
+ * @param {string} username
+ * @returns {Promise<number>}
+ */
+const markAllRead = async (username) => {
+    const result = await pool.query(
+        'UPDATE notifications SET is_read = true, read_at = NOW() WHERE recipient_username = $1 AND NOT is_read',
+        [username]
+    );
+    return result.rowCount;
+};
+
+module.exports = {
+    createNotifications,
+    getNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead
+};
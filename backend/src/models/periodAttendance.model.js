@@ -0,0 +1,422 @@
+const { pool } = require('../config/database');
+
+// Slot columns with the subject and the teacher who takes it (the slot's own teacher, else the section_subjects one)
+const SLOT_SELECT = `
+    SELECT
+        s.slot_id, s.campus_id, s.section_id, s.day_of_week, s.period_number,
+        to_char(s.start_time, 'HH24:MI') AS start_time, to_char(s.end_time, 'HH24:MI') AS end_time,
+        EXTRACT(EPOCH FROM (s.end_time - s.start_time))::int / 60 AS duration_minutes,
+        s.section_subject_id, s.is_active, s.teacher_user_id AS slot_teacher_user_id,
+        ss.subject_id, sub.subject_name,
+        COALESCE(s.teacher_user_id, ss.teacher_user_id) AS teacher_user_id,
+        tu.first_name AS teacher_first_name, tu.last_name AS teacher_last_name,
+        cs.section_name, c.class_name, cs.academic_year_id
+    FROM section_timetable_slots s
+    JOIN section_subjects ss ON ss.section_subject_id = s.section_subject_id
+    JOIN subjects sub ON sub.subject_id = ss.subject_id
+    JOIN class_sections cs ON cs.section_id = s.section_id
+    JOIN classes c ON c.class_id = cs.class_id
+    LEFT JOIN users tu ON tu.user_id = COALESCE(s.teacher_user_id, ss.teacher_user_id)
+`;
+
+/**
+ * Get a section with its academic year
+ * @param {number|string} sectionId
+ * @returns {Promise<Object>}
+ */
+const getSection = async (sectionId) => {
+    const query = `
+        SELECT cs.section_id, cs.section_name, cs.campus_id, cs.academic_year_id, c.class_name, ay.year_name
+        FROM class_sections cs
+        JOIN classes c ON c.class_id = cs.class_id
+        JOIN academic_years ay ON ay.academic_year_id = cs.academic_year_id
+        WHERE cs.section_id = $1
+    `;
+    const result = await pool.query(query, [sectionId]);
+    return result.rows[0];
+};
+
+/**
+ * Get a section-subject mapping
+ * @param {number|string} sectionSubjectId
+ * @returns {Promise<Object>}
+ */
+const getSectionSubject = async (sectionSubjectId) => {
+    const result = await pool.query(
+        'SELECT section_subject_id, section_id, subject_id, teacher_user_id FROM section_subjects WHERE section_subject_id = $1',
+        [sectionSubjectId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get timetable slots of a campus
+ * @param {string} campusId
+ * @param {Object} filters - { section_id, teacher_user_id, day_of_week, include_inactive }
+ * @returns {Promise<Array>}
+ */
+const getSlots = async (campusId, filters = {}) => {
+    let query = `${SLOT_SELECT} WHERE s.campus_id = $1`;
+    const values = [campusId];
+    let idx = 2;
+
+    if (!filters.include_inactive) {
+        query += ` AND s.is_active`;
+    }
+
+    if (filters.section_id) {
+        query += ` AND s.section_id = $${idx++}`;
+        values.push(filters.section_id);
+    }
+
+    if (filters.teacher_user_id) {
+        query += ` AND COALESCE(s.teacher_user_id, ss.teacher_user_id) = $${idx++}`;
+        values.push(filters.teacher_user_id);
+    }
+
+    if (filters.day_of_week !== undefined && filters.day_of_week !== null) {
+        query += ` AND s.day_of_week = $${idx++}`;
+        values.push(filters.day_of_week);
+    }
+
+    query += ` ORDER BY c.class_name, cs.section_name, s.day_of_week, s.period_number`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Get one timetable slot
+ * @param {string} slotId
+ * @returns {Promise<Object>}
+ */
+const getSlotById = async (slotId) => {
+    const result = await pool.query(`${SLOT_SELECT} WHERE s.slot_id = $1`, [slotId]);
+    return result.rows[0];
+};
+
+/**
+ * Active slots that would clash with the given one: the same section at an overlapping time or with the
+ * same period number, or the same teacher anywhere at an overlapping time
+ * @param {Object} slot - { slot_id, section_id, day_of_week, period_number, start_time, end_time, teacher_user_id }
+ * @returns {Promise<Array>}
+ */
+const findSlotClashes = async (slot) => {
+    const query = `
+        ${SLOT_SELECT}
+        WHERE s.is_active
+          AND s.day_of_week = $1
+          AND ($2::uuid IS NULL OR s.slot_id <> $2::uuid)
+          AND (
+              (s.section_id = $3 AND (s.period_number = $4 OR (s.start_time < $6::time AND s.end_time > $5::time)))
+              OR ($7::bigint IS NOT NULL AND COALESCE(s.teacher_user_id, ss.teacher_user_id) = $7::bigint
+                  AND s.start_time < $6::time AND s.end_time > $5::time)
+          )
+    `;
+    const result = await pool.query(query, [
+        slot.day_of_week,
+        slot.slot_id || null,
+        slot.section_id,
+        slot.period_number,
+        slot.start_time,
+        slot.end_time,
+        slot.teacher_user_id || null
+    ]);
+    return result.rows;
+};
+
+/**
+ * Create a timetable slot
+ * @param {Object} slotData
+ * @returns {Promise<Object>}
+ */
+const createSlot = async (slotData) => {
+    const query = `
+        INSERT INTO section_timetable_slots (
+            campus_id, section_id, day_of_week, period_number, start_time, end_time, section_subject_id, teacher_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING slot_id
+    `;
+    const result = await pool.query(query, [
+        slotData.campus_id,
+        slotData.section_id,
+        slotData.day_of_week,
+        slotData.period_number,
+        slotData.start_time,
+        slotData.end_time,
+        slotData.section_subject_id,
+        slotData.teacher_user_id || null
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Update a timetable slot
+ * @param {string} slotId
+ * @param {Object} slotData
+ */
+const updateSlot = async (slotId, slotData) => {
+    const query = `
+        UPDATE section_timetable_slots
+        SET day_of_week = $2, period_number = $3, start_time = $4, end_time = $5,
+            section_subject_id = $6, teacher_user_id = $7, updated_at = NOW()
+        WHERE slot_id = $1
+    `;
+    await pool.query(query, [
+        slotId,
+        slotData.day_of_week,
+        slotData.period_number,
+        slotData.start_time,
+        slotData.end_time,
+        slotData.section_subject_id,
+        slotData.teacher_user_id || null
+    ]);
+};
+
+/**
+ * Whether any attendance has been marked against a slot
+ * @param {string} slotId
+ * @returns {Promise<boolean>}
+ */
+const slotHasAttendance = async (slotId) => {
+    const result = await pool.query('SELECT 1 FROM period_attendance WHERE slot_id = $1 LIMIT 1', [slotId]);
+    return result.rows.length > 0;
+};
+
+/**
+ * Retire a slot so its attendance history is kept
+ * @param {string} slotId
+ */
+const deactivateSlot = async (slotId) => {
+    await pool.query('UPDATE section_timetable_slots SET is_active = false, updated_at = NOW() WHERE slot_id = $1', [slotId]);
+};
+
+/**
+ * Delete a slot
+ * @param {string} slotId
+ */
+const deleteSlot = async (slotId) => {
+    await pool.query('DELETE FROM section_timetable_slots WHERE slot_id = $1', [slotId]);
+};
+
+/**
+ * Students enrolled in a section, optionally narrowed to some usernames
+ * @param {number|string} sectionId
+ * @param {Array<string>} [usernames]
+ * @returns {Promise<Array>}
+ */
+const getSectionStudents = async (sectionId, usernames = null) => {
+    let query = `
+        SELECT u.user_id, u.username, u.first_name, u.last_name, se.roll_number
+        FROM student_enrollment se
+        JOIN users u ON u.username = se.username
+        WHERE se.section_id = $1
+    `;
+    const values = [sectionId];
+
+    if (usernames) {
+        query += ` AND se.username = ANY($2::varchar[])`;
+        values.push(usernames);
+    }
+
+    query += ` ORDER BY se.roll_number NULLS LAST, u.first_name, u.last_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Attendance marked for a slot on a date
+ * @param {string} slotId
+ * @param {string} attendanceDate
+ * @returns {Promise<Array>}
+ */
+const getSlotAttendance = async (slotId, attendanceDate) => {
+    const query = `
+        SELECT period_attendance_id, username, status, remarks, teacher_user_id, marked_by, updated_at
+        FROM period_attendance
+        WHERE slot_id = $1 AND attendance_date = $2
+    `;
+    const result = await pool.query(query, [slotId, attendanceDate]);
+    return result.rows;
+};
+
+/**
+ * Upsert the attendance of several students in one period
+ * @param {Object} client - Database client for transaction
+ * @param {Object} slot - Slot as returned by getSlotById
+ * @param {string} attendanceDate
+ * @param {Array<{username, status, remarks}>} records
+ * @param {number|string} markedBy
+ * @returns {Promise<number>} Rows written
+ */
+const upsertPeriodAttendance = async (client, slot, attendanceDate, records, markedBy) => {
+    const query = `
+        INSERT INTO period_attendance (
+            campus_id, slot_id, section_id, subject_id, teacher_user_id, attendance_date,
+            username, status, duration_minutes, remarks, marked_by
+        )
+        SELECT $1, $2, $3, $4, $5, $6, x.username, x.status::attendance_status_enum, $7, x.remarks, $8
+        FROM json_to_recordset($9::json) AS x(username VARCHAR, status VARCHAR, remarks TEXT)
+        ON CONFLICT (slot_id, attendance_date, username)
+        DO UPDATE SET
+            status = EXCLUDED.status,
+            remarks = EXCLUDED.remarks,
+            teacher_user_id = EXCLUDED.teacher_user_id,
+            marked_by = EXCLUDED.marked_by,
+            updated_at = NOW()
+    `;
+    const result = await client.query(query, [
+        slot.campus_id,
+        slot.slot_id,
+        slot.section_id,
+        slot.subject_id,
+        slot.teacher_user_id || null,
+        attendanceDate,
+        slot.duration_minutes,
+        markedBy || null,
+        JSON.stringify(records)
+    ]);
+    return result.rowCount;
+};
+
+/**
+ * Every period marked for the given students in a date range, with the academic year name of the section
+ * @param {Object} client - Database client (or pool)
+ * @param {Object} filters - { usernames, section_id, from_date, to_date }
+ * @returns {Promise<Array>}
+ */
+const getStudentPeriods = async (client, { usernames, section_id, from_date, to_date }) => {
+    let query = `
+        SELECT pa.username, to_char(pa.attendance_date, 'YYYY-MM-DD') AS attendance_date, pa.status,
+            pa.duration_minutes, pa.campus_id, ay.year_name
+        FROM period_attendance pa
+        JOIN class_sections cs ON cs.section_id = pa.section_id
+        JOIN academic_years ay ON ay.academic_year_id = cs.academic_year_id
+        WHERE pa.attendance_date BETWEEN $1::date AND $2::date
+    `;
+    const values = [from_date, to_date];
+
+    if (usernames) {
+        query += ` AND pa.username = ANY($3::varchar[])`;
+        values.push(usernames);
+    } else {
+        query += ` AND pa.section_id = $3`;
+        values.push(section_id);
+    }
+
+    query += ` ORDER BY pa.attendance_date, pa.username`;
+    const result = await client.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Subject-wise counts per student
+ * @param {string} campusId
+ * @param {Object} filters - { section_id, username, subject_id, from_date, to_date }
+ * @returns {Promise<Array>}
+ */
+const getSubjectSummary = async (campusId, filters = {}) => {
+    let query = `
+        SELECT
+            pa.username, u.first_name, u.last_name, pa.section_id,
+            pa.subject_id, sub.subject_name,
+            COUNT(*)::int AS total_periods,
+            COUNT(*) FILTER (WHERE pa.status = 'Present')::int AS present,
+            COUNT(*) FILTER (WHERE pa.status = 'Absent')::int AS absent,
+            COUNT(*) FILTER (WHERE pa.status = 'Late')::int AS late,
+            COUNT(*) FILTER (WHERE pa.status = 'Left Early')::int AS left_early,
+            COUNT(*) FILTER (WHERE pa.status = 'Excused')::int AS excused
+        FROM period_attendance pa
+        JOIN users u ON u.username = pa.username
+        JOIN subjects sub ON sub.subject_id = pa.subject_id
+        WHERE pa.campus_id = $1
+    `;
+    const values = [campusId];
+    let idx = 2;
+
+    if (filters.section_id) {
+        query += ` AND pa.section_id = $${idx++}`;
+        values.push(filters.section_id);
+    }
+
+    if (filters.username) {
+        query += ` AND pa.username = $${idx++}`;
+        values.push(filters.username);
+    }
+
+    if (filters.subject_id) {
+        query += ` AND pa.subject_id = $${idx++}`;
+        values.push(filters.subject_id);
+    }
+
+    if (filters.from_date) {
+        query += ` AND pa.attendance_date >= $${idx++}`;
+        values.push(filters.from_date);
+    }
+
+    if (filters.to_date) {
+        query += ` AND pa.attendance_date <= $${idx++}`;
+        values.push(filters.to_date);
+    }
+
+    query += `
+        GROUP BY pa.username, u.first_name, u.last_name, pa.section_id, pa.subject_id, sub.subject_name
+        ORDER BY u.first_name, u.last_name, pa.username, sub.subject_name
+    `;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+/**
+ * Get the roll-up rule of a campus
+ * @param {string} campusId
+ * @param {Object} [client]
+ * @returns {Promise<Object|undefined>}
+ */
+const getRule = async (campusId, client = pool) => {
+    const result = await client.query('SELECT * FROM period_attendance_rules WHERE campus_id = $1', [campusId]);
+    return result.rows[0];
+};
+
+/**
+ * Insert or replace the roll-up rule of a campus
+ * @param {string} campusId
+ * @param {Object} rule - { rule_type, threshold, late_counts_as_present }
+ * @param {number|string} updatedBy
+ * @returns {Promise<Object>}
+ */
+const upsertRule = async (campusId, rule, updatedBy) => {
+    const query = `
+        INSERT INTO period_attendance_rules (campus_id, rule_type, threshold, late_counts_as_present, updated_by, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (campus_id)
+        DO UPDATE SET
+            rule_type = EXCLUDED.rule_type,
+            threshold = EXCLUDED.threshold,
+            late_counts_as_present = EXCLUDED.late_counts_as_present,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = NOW()
+        RETURNING *
+    `;
+    const result = await pool.query(query, [campusId, rule.rule_type, rule.threshold, rule.late_counts_as_present, updatedBy || null]);
+    return result.rows[0];
+};
+
+module.exports = {
+    getSection,
+    getSectionSubject,
+    getSlots,
+    getSlotById,
+    findSlotClashes,
+    createSlot,
+    updateSlot,
+    slotHasAttendance,
+    deactivateSlot,
+    deleteSlot,
+    getSectionStudents,
+    getSlotAttendance,
+    upsertPeriodAttendance,
+    getStudentPeriods,
+    getSubjectSummary,
+    getRule,
+    upsertRule
+};
@@ -0,0 +1,245 @@
+const { pool } = require('../config/database');
+
+const TERM_WITH_GROUPS = `
+  SELECT
+    t.*,
+    ay.year_name,
+    ay.curriculum_id,
+    COALESCE(
+      (SELECT json_agg(json_build_object(
+          'group_id', g.group_id,
+          'group_name', g.group_name,
+          'weightage', g.weightage,
+          'display_order', g.display_order,
+          'exam_ids', COALESCE((SELECT json_agg(ge.exam_id) FROM assessment_group_exams ge WHERE ge.group_id = g.group_id), '[]'::json)
+        ) ORDER BY g.display_order, g.group_name)
+       FROM assessment_groups g
+       WHERE g.term_id = t.term_id),
+      '[]'::json
+    ) AS groups
+  FROM assessment_terms t
+  JOIN academic_years ay ON t.academic_year_id = ay.academic_year_id
+`;
+
+const ReportCardModel = {
+  // ==================== TERMS & GROUPS ====================
+
+  createTerm: async (client, termData) => {
+    const query = `
+      INSERT INTO assessment_terms (
+        tenant_id, campus_id, academic_year_id, term_name, start_date, end_date, display_order
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 1))
+      RETURNING *;
+    `;
+    const values = [
+      termData.tenant_id,
+      termData.campus_id,
+      termData.academic_year_id,
+      termData.term_name,
+      termData.start_date,
+      termData.end_date,
+      termData.display_order
+    ];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  },
+
+  updateTerm: async (client, termId, termData) => {
+    const fields = [];
+    const values = [];
+    let idx = 1;
+
+    const addField = (col, val) => {
+      if (val !== undefined) {
+        fields.push(`${col} = $${idx++}`);
+        values.push(val);
+      }
+    };
+
+    addField('term_name', termData.term_name);
+    addField('start_date', termData.start_date);
+    addField('end_date', termData.end_date);
+    addField('display_order', termData.display_order);
+
+    fields.push('updated_at = NOW()');
+    values.push(termId);
+    const query = `
+      UPDATE assessment_terms
+      SET ${fields.join(', ')}
+      WHERE term_id = $${idx}
+      RETURNING *;
+    `;
+    const result = await client.query(query, values);
+    return result.rows[0];
+  },
+
+  // Groups are replaced wholesale; exam mappings go with them
+  replaceGroups: async (client, termId, groups) => {
+    await client.query('DELETE FROM assessment_groups WHERE term_id = $1', [termId]);
+
+    for (const [i, group] of groups.entries()) {
+      const groupRes = await client.query(`
+        INSERT INTO assessment_groups (term_id, group_name, weightage, display_order)
+        VALUES ($1, $2, $3, $4)
+        RETURNING group_id
+      `, [termId, group.group_name, group.weightage, group.display_order || i + 1]);
+
+      for (const examId of group.exam_ids || []) {
+        await client.query(
+          'INSERT INTO assessment_group_exams (group_id, exam_id) VALUES ($1, $2)',
+          [groupRes.rows[0].group_id, examId]
+        );
+      }
+    }
+  },
+
+  getTermById: async (termId, client = pool) => {
+    const result = await client.query(`${TERM_WITH_GROUPS} WHERE t.term_id = $1`, [termId]);
+    return result.rows[0];
+  },
+
+  getTerms: async (tenantId, campusId, filters = {}) => {
+    let query = `${TERM_WITH_GROUPS} WHERE t.tenant_id = $1 AND t.campus_id = $2`;
+    const values = [tenantId, campusId];
+
+    if (filters.academic_year_id) {
+      query += ` AND t.academic_year_id = $3`;
+      values.push(filters.academic_year_id);
+    }
+
+    query += ` ORDER BY t.academic_year_id DESC, t.display_order, t.term_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  deleteTerm: async (termId) => {
+    const result = await pool.query('DELETE FROM assessment_terms WHERE term_id = $1 RETURNING *', [termId]);
+    return result.rows[0];
+  },
+
+  // Exams with the academic year of their calendar event, to check they belong to the term
+  getExamsWithYear: async (examIds, client = pool) => {
+    const query = `
+      SELECT e.exam_id, e.campus_id, e.subject_name, ce.academic_year_id
+      FROM exams e
+      JOIN calendar_events ce ON e.event_id = ce.event_id
+      WHERE e.exam_id = ANY($1::uuid[])
+    `;
+    const result = await client.query(query, [examIds]);
+    return result.rows;
+  },
+
+  getTermIdsForExam: async (examId) => {
+    const query = `
+      SELECT DISTINCT g.term_id
+      FROM assessment_group_exams ge
+      JOIN assessment_groups g ON g.group_id = ge.group_id
+      WHERE ge.exam_id = $1
+    `;
+    const result = await pool.query(query, [examId]);
+    return result.rows.map(r => r.term_id);
+  },
+
+  // ==================== REPORT CARD DATA ====================
+
+  // Results of the given students for every exam mapped into the term
+  getTermResults: async (termId, usernames) => {
+    const query = `
+      SELECT
+        r.student_username, r.attendance_status, r.obtained_score,
+        e.exam_id, e.subject_name, e.total_score,
+        g.group_id
+      FROM assessment_groups g
+      JOIN assessment_group_exams ge ON ge.group_id = g.group_id
+      JOIN exams e ON e.exam_id = ge.exam_id
+      JOIN exam_results r ON r.exam_id = e.exam_id
+      WHERE g.term_id = $1 AND r.student_username = ANY($2::varchar[])
+    `;
+    const result = await pool.query(query, [termId, usernames]);
+    return result.rows;
+  },
+
+  getStudents: async (campusId, { usernames, section_id, term_id }) => {
+    let query = `
+      SELECT
+        u.username, u.first_name, u.last_name,
+        se.admission_number, se.roll_number, se.class_name, se.section_id, cs.section_name
+      FROM student_enrollment se
+      JOIN users u ON u.username = se.username
+      LEFT JOIN class_sections cs ON cs.section_id = se.section_id
+      WHERE se.campus_id = $1
+    `;
+    const values = [campusId];
+
+    if (section_id) {
+      query += ` AND se.section_id = $2`;
+      values.push(section_id);
+    } else if (term_id) {
+      // Everyone with at least one result counted in the term
+      query += ` AND EXISTS (
+        SELECT 1
+        FROM exam_results r
+        JOIN assessment_group_exams ge ON ge.exam_id = r.exam_id
+        JOIN assessment_groups g ON g.group_id = ge.group_id
+        WHERE g.term_id = $2 AND r.student_username = se.username
+      )`;
+      values.push(term_id);
+    } else {
+      query += ` AND se.username = ANY($2::varchar[])`;
+      values.push(usernames);
+    }
+
+    query += ` ORDER BY se.roll_number NULLS LAST, u.first_name, u.last_name`;
+    const result = await pool.query(query, values);
+    return result.rows;
+  },
+
+  // Days by status from user_attendance within the term window
+  getAttendanceCounts: async (campusId, usernames, startDate, endDate) => {
+    const query = `
+      SELECT username, status, COUNT(*) AS days
+      FROM user_attendance
+      WHERE campus_id = $1 AND username = ANY($2::varchar[])
+        AND attendance_date BETWEEN $3::date AND $4::date
+      GROUP BY username, status
+    `;
+    const result = await pool.query(query, [campusId, usernames, startDate, endDate]);
+    return result.rows;
+  },
+
+  getRemarks: async (termId, usernames) => {
+    const query = `
+      SELECT student_username, remarks
+      FROM report_card_remarks
+      WHERE term_id = $1 AND student_username = ANY($2::varchar[])
+    `;
+    const result = await pool.query(query, [termId, usernames]);
+    return result.rows;
+  },
+
+  upsertRemarks: async (termId, studentUsername, remarks, remarkedBy) => {
+    const query = `
+      INSERT INTO report_card_remarks (term_id, student_username, remarks, remarked_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (term_id, student_username)
+      DO UPDATE SET remarks = EXCLUDED.remarks, remarked_by = EXCLUDED.remarked_by, updated_at = NOW()
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [termId, studentUsername, remarks, remarkedBy || null]);
+    return result.rows[0];
+  },
+
+  getSchoolHeader: async (campusId) => {
+    const query = `
+      SELECT t.tenant_name, c.campus_name, c.address AS campus_address, c.phone_number AS campus_phone
+      FROM campuses c
+      JOIN tenants t ON t.tenant_id = c.tenant_id
+      WHERE c.campus_id = $1
+    `;
+    const result = await pool.query(query, [campusId]);
+    return result.rows[0] || {};
+  }
+};
+
+module.exports = ReportCardModel;
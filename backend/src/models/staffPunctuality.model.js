@@ -0,0 +1,129 @@
+const { pool } = require('../config/database');
+
+const RULE_SELECT = `
+    SELECT rule_id, campus_id, rule_name, event_type, occurrences, deduction_days::float AS deduction_days,
+        roles::text[] AS roles, is_active, created_at, updated_at
+    FROM attendance_deduction_rules
+`;
+
+// ==================== ATTENDANCE ====================
+
+/**
+ * Staff days with check-in/check-out times, with what decides each person's shift
+ * @param {string} campusId
+ * @param {Array<string>} roles
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {string} [username] - Narrow to one person
+ * @returns {Promise<Array>}
+ */
+const getStaffAttendance = async (campusId, roles, startDate, endDate, username = null) => {
+    let query = `
+        SELECT ua.username, u.first_name, u.last_name, u.role, ed.department::text AS department, m.shift_id,
+            to_char(ua.attendance_date, 'YYYY-MM-DD') AS attendance_date, ua.status,
+            to_char(ua.login_time, 'HH24:MI:SS') AS login_time, to_char(ua.logout_time, 'HH24:MI:SS') AS logout_time
+        FROM user_attendance ua
+        JOIN users u ON u.username = ua.username
+        LEFT JOIN employment_details ed ON ed.username = ua.username AND ed.campus_id = ua.campus_id
+        LEFT JOIN device_user_mappings m ON m.username = ua.username AND m.campus_id = ua.campus_id
+        WHERE ua.campus_id = $1 AND ua.attendance_date BETWEEN $2::date AND $3::date
+          AND u.role = ANY($4::user_role[])
+    `;
+    const values = [campusId, startDate, endDate, roles];
+
+    if (username) {
+        query += ` AND ua.username = $5`;
+        values.push(username);
+    }
+
+    query += ` ORDER BY ua.username, ua.attendance_date`;
+    const result = await pool.query(query, values);
+    return result.rows;
+};
+
+// ==================== DEDUCTION RULES ====================
+
+/**
+ * Get the deduction rules of a campus
+ * @param {string} campusId
+ * @param {boolean} activeOnly
+ * @returns {Promise<Array>}
+ */
+const getRules = async (campusId, activeOnly = false) => {
+    const query = `${RULE_SELECT} WHERE campus_id = $1 ${activeOnly ? 'AND is_active' : ''} ORDER BY rule_name`;
+    const result = await pool.query(query, [campusId]);
+    return result.rows;
+};
+
+/**
+ * Get one deduction rule
+ * @param {string} ruleId
+ * @returns {Promise<Object>}
+ */
+const getRuleById = async (ruleId) => {
+    const result = await pool.query(`${RULE_SELECT} WHERE rule_id = $1`, [ruleId]);
+    return result.rows[0];
+};
+
+/**
+ * Create a deduction rule
+ * @param {Object} ruleData
+ * @returns {Promise<string>} rule_id
+ */
+const createRule = async (ruleData) => {
+    const query = `
+        INSERT INTO attendance_deduction_rules (campus_id, rule_name, event_type, occurrences, deduction_days, roles, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6::user_role[], $7)
+        RETURNING rule_id
+    `;
+    const result = await pool.query(query, [
+        ruleData.campus_id,
+        ruleData.rule_name,
+        ruleData.event_type,
+        ruleData.occurrences,
+        ruleData.deduction_days,
+        ruleData.roles,
+        ruleData.is_active
+    ]);
+    return result.rows[0].rule_id;
+};
+
+/**
+ * Update a deduction rule
+ * @param {string} ruleId
+ * @param {Object} ruleData
+ */
+const updateRule = async (ruleId, ruleData) => {
+    const query = `
+        UPDATE attendance_deduction_rules
+        SET rule_name = $2, event_type = $3, occurrences = $4, deduction_days = $5, roles = $6::user_role[],
+            is_active = $7, updated_at = NOW()
+        WHERE rule_id = $1
+    `;
+    await pool.query(query, [
+        ruleId,
+        ruleData.rule_name,
+        ruleData.event_type,
+        ruleData.occurrences,
+        ruleData.deduction_days,
+        ruleData.roles,
+        ruleData.is_active
+    ]);
+};
+
+/**
+ * Delete a deduction rule
+ * @param {string} ruleId
+ */
+const deleteRule = async (ruleId) => {
+    await pool.query('DELETE FROM attendance_deduction_rules WHERE rule_id = $1', [ruleId]);
+};
+
+module.exports = {
+    getStaffAttendance,
+    getRules,
+    getRuleById,
+    createRule,
+    updateRule,
+    deleteRule
+};
@@ -625,7 +625,7 @@ const findStudentByAdmissionNumber = async (admissionNumber, tenantId) => {
             se.registration_number, se.admission_type, se.tc_number, se.scholarship_applied, cls.class_name, se.section_id, se.roll_number,
             upd.gender, upd.nationality, upd.religion, upd.caste, upd.category,
             upd.blood_group, upd.height_cm, upd.weight_kg, upd.medical_conditions,
-            upd.allergies,
+            upd.allergies, upd.photo_url,
             ucd.email, ucd.phone as contact_phone, ucd.alt_phone, ucd.current_address,
             ucd.city, ucd.state, ucd.pincode, ucd.country, ucd.permanent_address
         FROM users u
@@ -660,7 +660,7 @@ const findStudentByUsername = async (username, tenantId) => {
             se.registration_number, se.admission_type, se.tc_number, se.scholarship_applied, se.section_id, cls.class_name, se.roll_number,
             upd.gender, upd.nationality, upd.religion, upd.caste, upd.category,
             upd.blood_group, upd.height_cm, upd.weight_kg, upd.medical_conditions,
-            upd.allergies,
+            upd.allergies, upd.photo_url,
             ucd.email, ucd.phone as contact_phone, ucd.alt_phone, ucd.current_address,
             ucd.city, ucd.state, ucd.pincode, ucd.country, ucd.permanent_address,
             us.campus_id, us.status
@@ -698,7 +698,7 @@ const getCompleteStudentData = async (username, tenantId) => {
             se.previous_school, se.transport_details, se.hostel_details, cls.class_name, se.section_id, se.roll_number,
             upd.gender, upd.nationality, upd.religion, upd.caste, upd.category,
             upd.blood_group, upd.height_cm, upd.weight_kg, upd.medical_conditions,
-            upd.allergies,
+            upd.allergies, upd.photo_url,
             ucd.email, ucd.phone as contact_phone, ucd.alt_phone, ucd.current_address,
             ucd.city, ucd.state, ucd.pincode, ucd.country, ucd.permanent_address,
             us.campus_id, us.status,
@@ -1074,6 +1074,7 @@ const updateStudent = async (username, updateData, tenantId) => {
         if (updateData.weight !== undefined) personalUpdates.weight_kg = updateData.weight;
         if (updateData.medicalConditions !== undefined) personalUpdates.medical_conditions = updateData.medicalConditions;
         if (updateData.allergies !== undefined) personalUpdates.allergies = updateData.allergies;
+        if (updateData.photoUrl !== undefined) personalUpdates.photo_url = updateData.photoUrl;
         
         if (Object.keys(personalUpdates).length > 0) {
             const personalFields = Object.keys(personalUpdates)
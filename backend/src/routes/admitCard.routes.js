@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  getAdmitCardSettingsController,
+  updateAdmitCardSettingsController,
+  generateAdmitCardsController,
+  generateStudentAdmitCardController,
+  grantOverrideController,
+  getOverridesController,
+  revokeOverrideController
+} = require('../controllers/admitCard.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Fee-dues block threshold
+router.get('/settings', getAdmitCardSettingsController);
+router.put('/settings', requireRole(['Admin']), updateAdmitCardSettingsController);
+
+// Per-student overrides of the fee block
+router.post('/overrides', requireRole(['Admin']), grantOverrideController);
+router.get('/overrides', requireRole(['Admin']), getOverridesController);
+router.delete('/overrides/:id', requireRole(['Admin']), revokeOverrideController);
+
+// Generation for an exam series (calendar event)
+router.get('/events/:eventId', requireRole(['Admin', 'Teacher']), generateAdmitCardsController);
+router.get('/events/:eventId/students/:studentUsername', requireRole(['Admin', 'Teacher']), generateStudentAdmitCardController);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const attendanceAlertController = require('../controllers/attendanceAlert.controller');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// ==================== ALERT RULE ROUTES ====================
+
+/**
+ * GET /api/attendance-alerts/rules
+ * Alert rules of the campus
+ */
+router.get('/rules', authenticate, requireRole(['Admin', 'Teacher']), attendanceAlertController.getRules);
+
+/**
+ * POST /api/attendance-alerts/rules
+ * Create an alert rule
+ */
+router.post('/rules', authenticate, requireRole(['Admin']), attendanceAlertController.createRule);
+
+/**
+ * PUT /api/attendance-alerts/rules/:ruleId
+ * Update an alert rule
+ */
+router.put('/rules/:ruleId', authenticate, requireRole(['Admin']), attendanceAlertController.updateRule);
+
+/**
+ * DELETE /api/attendance-alerts/rules/:ruleId
+ * Delete an alert rule
+ */
+router.delete('/rules/:ruleId', authenticate, requireRole(['Admin']), attendanceAlertController.deleteRule);
+
+// ==================== ALERT ROUTES ====================
+
+/**
+ * POST /api/attendance-alerts/evaluate
+ * Evaluate the active rules now; opens, refreshes and resolves alerts and sends notifications
+ */
+router.post('/evaluate', authenticate, requireRole(['Admin']), attendanceAlertController.evaluateRules);
+
+/**
+ * GET /api/attendance-alerts
+ * Flagged users
+ */
+router.get('/', authenticate, requireRole(['Admin', 'Teacher']), attendanceAlertController.getAlerts);
+
+// ==================== EXAM ELIGIBILITY ROUTES ====================
+
+/**
+ * GET /api/attendance-alerts/eligibility?section_id=
+ * Exam eligibility of a section
+ */
+router.get('/eligibility', authenticate, requireRole(['Admin', 'Teacher']), attendanceAlertController.getSectionEligibility);
+
+/**
+ * GET /api/attendance-alerts/eligibility/:username
+ * Exam eligibility of one student
+ */
+router.get('/eligibility/:username', authenticate, requireRole(['Admin', 'Teacher', 'Student', 'Parent']), attendanceAlertController.getStudentEligibility);
+
+module.exports = router;
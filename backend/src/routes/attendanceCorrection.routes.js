@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const attendanceCorrectionController = require('../controllers/attendanceCorrection.controller');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/attendance-corrections
+ * Raise a correction request for one day (staff for themselves, parents for their children)
+ */
+router.post('/', authenticate, requireRole(['Admin', 'Teacher', 'Employee', 'Parent']), attendanceCorrectionController.createRequest);
+
+/**
+ * GET /api/attendance-corrections/my
+ * Requests raised by me or about my children
+ */
+router.get('/my', authenticate, attendanceCorrectionController.getMyRequests);
+
+/**
+ * GET /api/attendance-corrections/pending
+ * Requests waiting on me
+ */
+router.get('/pending', authenticate, attendanceCorrectionController.getPendingApprovals);
+
+/**
+ * GET /api/attendance-corrections/history
+ * Requests I have approved or rejected
+ */
+router.get('/history', authenticate, attendanceCorrectionController.getCompletedApprovals);
+
+/**
+ * GET /api/attendance-corrections/audit
+ * Before/after values written by approved corrections
+ */
+router.get('/audit', authenticate, requireRole(['Admin', 'Principal']), attendanceCorrectionController.getAudit);
+
+/**
+ * GET /api/attendance-corrections/:id
+ * One request with its approval trail
+ */
+router.get('/:id', authenticate, attendanceCorrectionController.getRequest);
+
+/**
+ * PATCH /api/attendance-corrections/:id/status
+ * Approve or reject (assigned approver or Admin)
+ */
+router.patch('/:id/status', authenticate, attendanceCorrectionController.updateStatus);
+
+/**
+ * PATCH /api/attendance-corrections/:id/cancel
+ * Withdraw my pending request
+ */
+router.patch('/:id/cancel', authenticate, attendanceCorrectionController.cancelRequest);
+
+module.exports = router;
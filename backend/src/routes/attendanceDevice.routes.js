@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const attendanceDeviceController = require('../controllers/attendanceDevice.controller');
+const upload = require('../middleware/upload.middleware');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// ==================== DEVICE ROUTES ====================
+
+/**
+ * GET /api/attendance-devices/devices
+ * Devices of the campus
+ */
+router.get('/devices', authenticate, requireRole(['Admin']), attendanceDeviceController.getDevices);
+
+/**
+ * POST /api/attendance-devices/devices
+ * Register a device; returns its push key once
+ */
+router.post('/devices', authenticate, requireRole(['Admin']), attendanceDeviceController.createDevice);
+
+/**
+ * PUT /api/attendance-devices/devices/:deviceId
+ * Update a device or regenerate its push key
+ */
+router.put('/devices/:deviceId', authenticate, requireRole(['Admin']), attendanceDeviceController.updateDevice);
+
+/**
+ * DELETE /api/attendance-devices/devices/:deviceId
+ * Delete a device
+ */
+router.delete('/devices/:deviceId', authenticate, requireRole(['Admin']), attendanceDeviceController.deleteDevice);
+
+// ==================== SHIFT ROUTES ====================
+
+/**
+ * GET /api/attendance-devices/shifts
+ * Shift timings of the campus
+ */
+router.get('/shifts', authenticate, requireRole(['Admin']), attendanceDeviceController.getShifts);
+
+/**
+ * POST /api/attendance-devices/shifts
+ * Create a shift
+ */
+router.post('/shifts', authenticate, requireRole(['Admin']), attendanceDeviceController.createShift);
+
+/**
+ * PUT /api/attendance-devices/shifts/:shiftId
+ * Update a shift
+ */
+router.put('/shifts/:shiftId', authenticate, requireRole(['Admin']), attendanceDeviceController.updateShift);
+
+/**
+ * DELETE /api/attendance-devices/shifts/:shiftId
+ * Delete a shift
+ */
+router.delete('/shifts/:shiftId', authenticate, requireRole(['Admin']), attendanceDeviceController.deleteShift);
+
+// ==================== USER MAPPING ROUTES ====================
+
+/**
+ * GET /api/attendance-devices/mappings
+ * Device user ID to username mappings
+ */
+router.get('/mappings', authenticate, requireRole(['Admin']), attendanceDeviceController.getMappings);
+
+/**
+ * POST /api/attendance-devices/mappings
+ * Save mappings in bulk
+ */
+router.post('/mappings', authenticate, requireRole(['Admin']), attendanceDeviceController.saveMappings);
+
+/**
+ * DELETE /api/attendance-devices/mappings/:mappingId
+ * Delete a mapping
+ */
+router.delete('/mappings/:mappingId', authenticate, requireRole(['Admin']), attendanceDeviceController.deleteMapping);
+
+// ==================== PUNCH ROUTES ====================
+
+/**
+ * POST /api/attendance-devices/import
+ * Upload a punch log exported from a device
+ */
+router.post('/import', authenticate, requireRole(['Admin']), upload.single('file'), attendanceDeviceController.importPunches);
+
+/**
+ * POST /api/attendance-devices/push
+ * Punches pushed by a device (authenticated by the x-device-key header, no user token)
+ */
+router.post('/push', attendanceDeviceController.pushPunches);
+
+/**
+ * GET /api/attendance-devices/batches
+ * Import history
+ */
+router.get('/batches', authenticate, requireRole(['Admin']), attendanceDeviceController.getBatches);
+
+/**
+ * GET /api/attendance-devices/batches/:batchId
+ * One import with its report of unmapped and anomalous punches
+ */
+router.get('/batches/:batchId', authenticate, requireRole(['Admin']), attendanceDeviceController.getBatch);
+
+module.exports = router;
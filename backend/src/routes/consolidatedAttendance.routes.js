@@ -1,5 +1,5 @@
 const express = require('express');
-const { getConsolidatedAttendanceController } = require('../controllers/consolidatedAttendance.controller');
+const { getConsolidatedAttendanceController, getAttendanceRegisterController } = require('../controllers/consolidatedAttendance.controller');
 const { authenticate, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,4 +7,7 @@ const router = express.Router();
 // Daily consolidated attendance records over date range
 router.post('/daily', authenticate, requireRole(['Admin']), getConsolidatedAttendanceController);
 
+// Monthly attendance register (Excel, one sheet per section or staff role)
+router.get('/register', authenticate, requireRole(['Admin']), getAttendanceRegisterController);
+
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  getExamAnalyticsController,
+  getAnalyticsSummaryController,
+  compareTermsController,
+  compareYearsController
+} = require('../controllers/examAnalytics.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+router.use(requireRole(['Admin', 'Teacher']));
+
+// Routes (scores are compared as percentages of each exam's total)
+router.get('/summary', getAnalyticsSummaryController); // ?group_by=exam|subject|class|section|teacher|term|academic_year
+router.get('/compare/terms', compareTermsController); // ?academic_year_id=&group_by=subject|class|section|teacher
+router.get('/compare/years', compareYearsController); // ?subject_name=&class_name=&academic_year_ids=1,2
+router.get('/exams/:examId', getExamAnalyticsController);
+
+module.exports = router;
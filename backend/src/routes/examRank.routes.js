@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  getExamRanksController,
+  getTermRanksController,
+  getToppersController,
+  recomputeExamRanksController,
+  recomputeTermRanksController,
+  getRankSettingsController,
+  updateRankSettingsController
+} = require('../controllers/examRank.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Tie handling (competition or dense) for the campus
+router.get('/settings', requireRole(['Admin', 'Teacher', 'Employee']), getRankSettingsController);
+router.put('/settings', requireRole(['Admin']), updateRankSettingsController);
+
+// Stored ranks and toppers
+router.get('/toppers', requireRole(['Admin', 'Teacher', 'Employee']), getToppersController);
+router.get('/exams/:examId', requireRole(['Admin', 'Teacher', 'Employee']), getExamRanksController);
+router.get('/terms/:termId', requireRole(['Admin', 'Teacher', 'Employee']), getTermRanksController);
+
+// Manual recompute (exam ranks are otherwise refreshed whenever results change, term ranks shortly after)
+router.post('/exams/:examId/recompute', requireRole(['Admin']), recomputeExamRanksController);
+router.post('/terms/:termId/recompute', requireRole(['Admin']), recomputeTermRanksController);
+
+module.exports = router;
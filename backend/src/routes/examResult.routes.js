@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
+const upload = require('../middleware/upload.middleware');
+const examMarksImportController = require('../controllers/examMarksImport.controller');
 const {
   createExamResultController,
   bulkCreateExamResultsController,
@@ -8,18 +10,32 @@ const {
   deleteExamResultController,
   getExamResultsByExamIdController,
   getExamResultsByStudentIdController,
-  getExamResultByIdController
+  getExamResultByIdController,
+  getResultWorkflowController,
+  transitionResultWorkflowController,
+  getModerationLogController
 } = require('../controllers/examResult.controller');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
+const staffOnly = requireRole(['Admin', 'Teacher', 'Employee']);
+
 // Routes
-router.post('/', createExamResultController);
-router.post('/bulk', bulkCreateExamResultsController);
+router.post('/', staffOnly, createExamResultController);
+router.post('/bulk', staffOnly, bulkCreateExamResultsController);
 router.get('/:id', getExamResultByIdController);
-router.put('/:id', updateExamResultController);
-router.delete('/:id', deleteExamResultController);
+router.put('/:id', staffOnly, updateExamResultController);
+router.delete('/:id', staffOnly, deleteExamResultController);
+
+// Publication workflow (Draft -> Submitted -> Verified -> Published -> Locked); per-action roles are checked in the service
+router.get('/exam/:examId/workflow', staffOnly, getResultWorkflowController);
+router.post('/exam/:examId/workflow', requireRole(['Admin', 'Teacher']), transitionResultWorkflowController);
+router.get('/exam/:examId/moderation-log', staffOnly, getModerationLogController);
+
+// Marks entry via Excel: template per section (?section_id=), upload returns row-level errors
+router.get('/exam/:examId/import/template', staffOnly, examMarksImportController.downloadTemplate);
+router.post('/exam/:examId/import', staffOnly, upload.single('file'), examMarksImportController.uploadMarks);
 
 // Specific lookups
 router.get('/exam/:examId', getExamResultsByExamIdController);
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  generateSeatingPlanController,
+  getSeatingPlansController,
+  getSeatingPlanController,
+  getRoomChartsController,
+  getStudentChartController,
+  deleteSeatingPlanController
+} = require('../controllers/examSeating.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Routes
+router.post('/plans', requireRole(['Admin']), generateSeatingPlanController);
+router.get('/plans', getSeatingPlansController);
+router.get('/plans/:planId', getSeatingPlanController);
+router.get('/plans/:planId/rooms', getRoomChartsController);
+router.get('/plans/:planId/students', getStudentChartController);
+router.delete('/plans/:planId', requireRole(['Admin']), deleteSeatingPlanController);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  generateTimetableController,
+  getTimetablesController,
+  getTimetableByIdController,
+  addTimetableEntryController,
+  updateTimetableEntryController,
+  deleteTimetableEntryController,
+  publishTimetableController,
+  deleteTimetableController
+} = require('../controllers/examTimetable.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Routes
+router.post('/generate', requireRole(['Admin']), generateTimetableController);
+router.get('/', getTimetablesController);
+router.get('/:id', getTimetableByIdController);
+router.delete('/:id', requireRole(['Admin']), deleteTimetableController);
+router.post('/:id/publish', requireRole(['Admin']), publishTimetableController);
+
+// Editing a draft; a change that would clash, fall on a holiday or break the gap is rejected
+router.post('/:id/entries', requireRole(['Admin']), addTimetableEntryController);
+router.put('/:id/entries/:entryId', requireRole(['Admin']), updateTimetableEntryController);
+router.delete('/:id/entries/:entryId', requireRole(['Admin']), deleteTimetableEntryController);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const { authenticate, requireRole } = require('../middleware/auth');
 const feeController = require('../controllers/fee.controller');
+const feeConcessionController = require('../controllers/feeConcession.controller');
+const feePenaltyController = require('../controllers/feePenalty.controller');
+const feeAdjustmentController = require('../controllers/feeAdjustment.controller');
+const feeLedgerController = require('../controllers/feeLedger.controller');
+const feeReportController = require('../controllers/feeReport.controller');
+const feePaymentOrderController = require('../controllers/feePaymentOrder.controller');
+const feeInstallmentPlanController = require('../controllers/feeInstallmentPlan.controller');
 
 const router = express.Router();
 
@@ -17,12 +24,57 @@ router.get('/fee-structures/:id', authenticate, requireRole(['Admin', 'Employee'
 router.put('/fee-structures/:id', authenticate, requireRole(['Admin', 'Employee']), feeController.updateFeeStructure);
 router.delete('/fee-structures/:id', authenticate, requireRole(['Admin', 'Employee']), feeController.deleteFeeStructure);
 
+// Late Fee Penalty Policy (per fee structure)
+router.put('/fee-structures/:id/penalty-policy', authenticate, requireRole(['Admin']), feePenaltyController.upsertPolicy);
+router.get('/fee-structures/:id/penalty-policy', authenticate, requireRole(['Admin', 'Employee']), feePenaltyController.getPolicy);
+
+// Concession Rules
+router.post('/concession-rules', authenticate, requireRole(['Admin']), feeConcessionController.createRule);
+router.get('/concession-rules', authenticate, requireRole(['Admin', 'Employee']), feeConcessionController.getRules);
+router.put('/concession-rules/:id', authenticate, requireRole(['Admin']), feeConcessionController.updateRule);
+
+// Student Concessions (assigned as pending, approved by Admin)
+router.post('/concessions', authenticate, requireRole(['Admin', 'Employee']), feeConcessionController.assignConcession);
+router.get('/concessions', authenticate, requireRole(['Admin', 'Employee']), feeConcessionController.getStudentConcessions);
+router.patch('/concessions/:id/status', authenticate, requireRole(['Admin']), feeConcessionController.updateConcessionStatus);
+router.get('/concessions/discounts', authenticate, requireRole(['Admin', 'Employee']), feeConcessionController.getDueDiscounts);
+
+// Custom Installment Plans (per student)
+router.post('/installment-plans', authenticate, requireRole(['Admin', 'Employee']), feeInstallmentPlanController.requestPlan);
+router.get('/installment-plans', authenticate, requireRole(['Admin', 'Employee']), feeInstallmentPlanController.getPlans);
+router.patch('/installment-plans/:id/status', authenticate, requireRole(['Admin']), feeInstallmentPlanController.decidePlan);
+
 // Dues Generation (Bulk)
 router.post('/dues/generate', authenticate, requireRole(['Admin', 'Employee']), feeController.generateDuesForClass);
 
+// Late Fee Penalties
+router.post('/penalties/apply', authenticate, requireRole(['Admin']), feePenaltyController.applyLatePenalties);
+router.post('/dues/:dueId/penalty-waiver', authenticate, requireRole(['Admin']), feePenaltyController.waivePenalty);
+router.get('/dues/:dueId/penalty-history', authenticate, requireRole(['Admin', 'Employee']), feePenaltyController.getPenaltyHistory);
+
 // Reporting & Student Ledger
 router.get('/dues/student', authenticate, requireRole(['Admin', 'Employee', 'Student', 'Parent']), feeController.getStudentFeeDues);
 router.get('/payments', authenticate, requireRole(['Admin', 'Employee']), feeController.getAllPayments);
+router.get('/payments/:paymentId/receipt', authenticate, requireRole(['Admin', 'Employee', 'Teacher']), feeController.getPaymentReceipt);
+router.get('/ledger/student', authenticate, requireRole(['Admin', 'Employee']), feeLedgerController.getStudentLedger);
+router.get('/ledger/student/export', authenticate, requireRole(['Admin', 'Employee']), feeLedgerController.exportStudentLedger);
+
+// Defaulter & collection reports
+router.get('/reports/defaulters', authenticate, requireRole(['Admin', 'Employee']), feeReportController.getDefaulters);
+router.get('/reports/ageing', authenticate, requireRole(['Admin', 'Employee']), feeReportController.getAgeingReport);
+router.get('/reports/collection-vs-expected', authenticate, requireRole(['Admin', 'Employee']), feeReportController.getCollectionVsExpected);
+router.get('/reports/daily-closing', authenticate, requireRole(['Admin', 'Employee']), feeReportController.getDailyClosing);
+
+// Payment reversals & refunds
+router.get('/payments/adjustments', authenticate, requireRole(['Admin', 'Employee']), feeAdjustmentController.getAdjustments);
+router.post('/payments/:paymentId/adjustments', authenticate, requireRole(['Admin', 'Employee']), feeAdjustmentController.requestAdjustment);
+router.patch('/payments/adjustments/:id/status', authenticate, requireRole(['Admin']), feeAdjustmentController.decideAdjustment);
+
+// Online payments (gateway checkout, webhook, reconciliation)
+router.post('/payments/orders', authenticate, requireRole(['Admin', 'Employee', 'Student', 'Parent']), feePaymentOrderController.createPaymentOrder);
+router.get('/payments/orders/:orderId', authenticate, requireRole(['Admin', 'Employee', 'Student', 'Parent']), feePaymentOrderController.getPaymentOrder);
+router.post('/payments/orders/reconcile', authenticate, requireRole(['Admin']), feePaymentOrderController.reconcilePendingOrders);
+router.post('/gateway/:provider/webhook', feePaymentOrderController.handleWebhook);
 
 // Collect a payment (waterfall allocation)
 router.post('/payments/collect', authenticate, requireRole(['Admin', 'Employee', 'Teacher']), feeController.collectPayment);
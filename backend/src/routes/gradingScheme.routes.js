@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  createGradingSchemeController,
+  getGradingSchemesController,
+  getGradingSchemeByIdController,
+  updateGradingSchemeController,
+  deleteGradingSchemeController,
+  regradeResultsController
+} = require('../controllers/gradingScheme.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Routes
+router.post('/', requireRole(['Admin']), createGradingSchemeController);
+router.get('/', getGradingSchemesController);
+router.post('/regrade', requireRole(['Admin']), regradeResultsController);
+router.get('/:id', getGradingSchemeByIdController);
+router.put('/:id', requireRole(['Admin']), updateGradingSchemeController);
+router.delete('/:id', requireRole(['Admin']), deleteGradingSchemeController);
+
+module.exports = router;
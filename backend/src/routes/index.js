@@ -23,6 +23,20 @@ const feeRoutes = require('./fee.routes');
 const payrollRoutes = require('./payroll.routes');
 const examRoutes = require('./exam.routes');
 const examResultRoutes = require('./examResult.routes');
+const gradingSchemeRoutes = require('./gradingScheme.routes');
+const reportCardRoutes = require('./reportCard.routes');
+const examRankRoutes = require('./examRank.routes');
+const examSeatingRoutes = require('./examSeating.routes');
+const admitCardRoutes = require('./admitCard.routes');
+const moderationPolicyRoutes = require('./moderationPolicy.routes');
+const examAnalyticsRoutes = require('./examAnalytics.routes');
+const examTimetableRoutes = require('./examTimetable.routes');
+const periodAttendanceRoutes = require('./periodAttendance.routes');
+const attendanceAlertRoutes = require('./attendanceAlert.routes');
+const notificationRoutes = require('./notification.routes');
+const attendanceDeviceRoutes = require('./attendanceDevice.routes');
+const attendanceCorrectionRoutes = require('./attendanceCorrection.routes');
+const staffPunctualityRoutes = require('./staffPunctuality.routes');
 
 const router = express.Router();
 
@@ -80,6 +94,20 @@ router.use('/payroll', payrollRoutes);
 router.use('/fees', feeRoutes);
 router.use('/exams', examRoutes);
 router.use('/exam-results', examResultRoutes);
+router.use('/grading-schemes', gradingSchemeRoutes);
+router.use('/report-cards', reportCardRoutes);
+router.use('/exam-ranks', examRankRoutes);
+router.use('/exam-seating', examSeatingRoutes);
+router.use('/admit-cards', admitCardRoutes);
+router.use('/moderation-policies', moderationPolicyRoutes);
+router.use('/exam-analytics', examAnalyticsRoutes);
+router.use('/exam-timetables', examTimetableRoutes);
+router.use('/period-attendance', periodAttendanceRoutes);
+router.use('/attendance-alerts', attendanceAlertRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/attendance-devices', attendanceDeviceRoutes);
+router.use('/attendance-corrections', attendanceCorrectionRoutes);
+router.use('/staff-punctuality', staffPunctualityRoutes);
 
 // Special public endpoint for tenant registration (outside of /tenants)
 router.post('/register-tenant', require('../controllers/tenant.controller').registerTenant);
@@ -15,6 +15,23 @@ router.get('/pending', authenticate, leaveController.getPendingApprovals);
 // Completed approvals (history) for current user
 router.get('/history', authenticate, leaveController.getCompletedApprovals);
 
+// Leave types of the tenant (casual, sick, earned, ...)
+router.get('/types', authenticate, leaveController.getLeaveTypes);
+router.post('/types', authenticate, requireRole(['Admin']), leaveController.createLeaveType);
+router.post('/types/defaults', authenticate, requireRole(['Admin']), leaveController.createDefaultLeaveTypes);
+router.put('/types/:typeId', authenticate, requireRole(['Admin']), leaveController.updateLeaveType);
+
+// Annual quotas per leave type by role/designation, with carry-forward and encashment limits
+router.get('/quotas', authenticate, requireRole(['Admin']), leaveController.getLeaveQuotas);
+router.put('/quotas', authenticate, requireRole(['Admin']), leaveController.saveLeaveQuota);
+router.delete('/quotas/:quotaId', authenticate, requireRole(['Admin']), leaveController.deleteLeaveQuota);
+
+// Leave balance per type (?username=&year=); own, a linked child's, or anyone's for Admin
+router.get('/balance', authenticate, leaveController.getLeaveBalance);
+
+// Encash unused leave days
+router.post('/balance/encash', authenticate, requireRole(['Admin']), leaveController.encashLeave);
+
 // Update leave status: assigned approver or privileged roles handled in controller
 router.patch('/:id/status', authenticate, leaveController.updateStatus);
 
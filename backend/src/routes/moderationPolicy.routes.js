@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  createModerationPolicyController,
+  getModerationPoliciesController,
+  getModerationPolicyByIdController,
+  updateModerationPolicyController,
+  deleteModerationPolicyController,
+  previewModerationController,
+  applyModerationController,
+  resetModerationController,
+  getModerationApplicationsController
+} = require('../controllers/moderationPolicy.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Applying policies to an exam: preview first, then apply (one transaction); reset restores original scores
+router.post('/exams/:examId/preview', requireRole(['Admin', 'Teacher']), previewModerationController);
+router.post('/exams/:examId/apply', requireRole(['Admin']), applyModerationController);
+router.post('/exams/:examId/reset', requireRole(['Admin']), resetModerationController);
+router.get('/exams/:examId/applications', requireRole(['Admin', 'Teacher']), getModerationApplicationsController);
+
+// Policies
+router.post('/', requireRole(['Admin']), createModerationPolicyController);
+router.get('/', requireRole(['Admin', 'Teacher']), getModerationPoliciesController);
+router.get('/:id', requireRole(['Admin', 'Teacher']), getModerationPolicyByIdController);
+router.put('/:id', requireRole(['Admin']), updateModerationPolicyController);
+router.delete('/:id', requireRole(['Admin']), deleteModerationPolicyController);
+
+module.exports = router;
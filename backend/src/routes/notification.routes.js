@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * GET /api/notifications
+ * Notifications of the logged-in user
+ */
+router.get('/', authenticate, notificationController.getMyNotifications);
+
+/**
+ * PATCH /api/notifications/read-all
+ * Mark all of them as read
+ */
+router.patch('/read-all', authenticate, notificationController.markAllNotificationsRead);
+
+/**
+ * PATCH /api/notifications/:notificationId/read
+ * Mark one as read
+ */
+router.patch('/:notificationId/read', authenticate, notificationController.markNotificationRead);
+
+module.exports = router;
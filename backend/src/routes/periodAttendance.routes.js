@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const periodAttendanceController = require('../controllers/periodAttendance.controller');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const staff = requireRole(['Admin', 'Teacher', 'Principal']);
+const managers = requireRole(['Admin', 'Principal']);
+
+// ==================== TIMETABLE SLOT ROUTES ====================
+
+/**
+ * GET /api/period-attendance/slots
+ * Weekly timetable slots (?section_id=&teacher_user_id=&day_of_week=)
+ */
+router.get('/slots', authenticate, staff, periodAttendanceController.getSlots);
+
+/**
+ * POST /api/period-attendance/slots
+ * Create a timetable slot
+ */
+router.post('/slots', authenticate, managers, periodAttendanceController.createSlot);
+
+/**
+ * PUT /api/period-attendance/slots/:slotId
+ * Update a timetable slot
+ */
+router.put('/slots/:slotId', authenticate, managers, periodAttendanceController.updateSlot);
+
+/**
+ * DELETE /api/period-attendance/slots/:slotId
+ * Delete a timetable slot (retired instead when it has attendance)
+ */
+router.delete('/slots/:slotId', authenticate, managers, periodAttendanceController.deleteSlot);
+
+// ==================== PERIOD ATTENDANCE ROUTES ====================
+
+/**
+ * GET /api/period-attendance/slots/:slotId/attendance?date=
+ * Students of the period with their status on a date
+ */
+router.get('/slots/:slotId/attendance', authenticate, staff, periodAttendanceController.getPeriodAttendance);
+
+/**
+ * POST /api/period-attendance/slots/:slotId/attendance
+ * Mark attendance for a period (bulk)
+ */
+router.post('/slots/:slotId/attendance', authenticate, staff, periodAttendanceController.markPeriodAttendance);
+
+/**
+ * GET /api/period-attendance/subject-summary
+ * Subject-wise attendance percentages (?section_id=&username=&subject_id=&from_date=&to_date=)
+ */
+router.get('/subject-summary', authenticate, requireRole(['Admin', 'Teacher', 'Principal', 'Student']), periodAttendanceController.getSubjectSummary);
+
+// ==================== ROLL-UP RULE ROUTES ====================
+
+/**
+ * GET /api/period-attendance/rules
+ * Rule that turns a student's periods into the daily status
+ */
+router.get('/rules', authenticate, staff, periodAttendanceController.getRule);
+
+/**
+ * PUT /api/period-attendance/rules
+ * Save the roll-up rule
+ */
+router.put('/rules', authenticate, managers, periodAttendanceController.updateRule);
+
+/**
+ * POST /api/period-attendance/rollup
+ * Re-apply the rule to a section's daily attendance over a date range
+ */
+router.post('/rollup', authenticate, managers, periodAttendanceController.rerunRollup);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  createTermController,
+  getTermsController,
+  getTermByIdController,
+  updateTermController,
+  deleteTermController,
+  saveRemarksController,
+  getStudentReportCardController,
+  getSectionReportCardsController
+} = require('../controllers/reportCard.controller');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Terms and their assessment groups
+router.post('/terms', requireRole(['Admin']), createTermController);
+router.get('/terms', getTermsController);
+router.get('/terms/:termId', getTermByIdController);
+router.put('/terms/:termId', requireRole(['Admin']), updateTermController);
+router.delete('/terms/:termId', requireRole(['Admin']), deleteTermController);
+
+// Teacher remarks and generated cards
+router.put('/terms/:termId/remarks/:studentUsername', requireRole(['Admin', 'Teacher']), saveRemarksController);
+router.get('/terms/:termId/students/:studentUsername', requireRole(['Admin', 'Teacher']), getStudentReportCardController);
+router.get('/terms/:termId/sections/:sectionId', requireRole(['Admin', 'Teacher']), getSectionReportCardsController);
+
+module.exports = router;
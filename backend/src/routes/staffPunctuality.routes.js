@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const staffPunctualityController = require('../controllers/staffPunctuality.controller');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// ==================== DEDUCTION RULE ROUTES ====================
+
+/**
+ * GET /api/staff-punctuality/rules
+ * Late/early deduction rules of the campus
+ */
+router.get('/rules', authenticate, requireRole(['Admin']), staffPunctualityController.getRules);
+
+/**
+ * POST /api/staff-punctuality/rules
+ * Create a deduction rule (e.g. 3 late marks = 0.5 day loss of pay)
+ */
+router.post('/rules', authenticate, requireRole(['Admin']), staffPunctualityController.createRule);
+
+/**
+ * PUT /api/staff-punctuality/rules/:ruleId
+ * Update a deduction rule
+ */
+router.put('/rules/:ruleId', authenticate, requireRole(['Admin']), staffPunctualityController.updateRule);
+
+/**
+ * DELETE /api/staff-punctuality/rules/:ruleId
+ * Delete a deduction rule
+ */
+router.delete('/rules/:ruleId', authenticate, requireRole(['Admin']), staffPunctualityController.deleteRule);
+
+// ==================== PUNCTUALITY ROUTES ====================
+
+/**
+ * GET /api/staff-punctuality/report
+ * Late-coming and early-leaving counters with loss of pay per staff member
+ */
+router.get('/report', authenticate, requireRole(['Admin']), staffPunctualityController.getReport);
+
+/**
+ * GET /api/staff-punctuality/report/:username
+ * One staff member's day-by-day marks (Admin, or the staff member)
+ */
+router.get('/report/:username', authenticate, requireRole(['Admin', 'Teacher', 'Employee']), staffPunctualityController.getStaffPunctuality);
+
+module.exports = router;
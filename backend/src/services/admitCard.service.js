@@ -0,0 +1,165 @@
+const AdmitCardModel = require('../models/admitCard.model');
+const ReportCardModel = require('../models/reportCard.model');
+const feeService = require('./fee.service');
+
+const DEFAULT_SETTINGS = { block_on_fee_dues: true, fee_due_threshold: 0 };
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const toDateStr = (value) => {
+  if (typeof value === 'string') return value.split('T')[0];
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const getSettings = async (campusId) => {
+  const settings = await AdmitCardModel.getSettings(campusId);
+  return settings
+    ? { ...settings, fee_due_threshold: Number(settings.fee_due_threshold) }
+    : { campus_id: campusId, ...DEFAULT_SETTINGS };
+};
+
+const loadEvent = async (eventId, tenantId) => {
+  const event = await AdmitCardModel.getEvent(eventId);
+  if (!event || event.tenant_id !== tenantId) throw new Error('Exam event not found');
+  return event;
+};
+
+/**
+ * Cards for the given students of an exam series. A student whose balance on dues fallen due by the
+ * first paper exceeds the campus threshold is withheld unless an Admin override exists for the series.
+ */
+const buildCards = async (event, students) => {
+  const timetable = await AdmitCardModel.getTimetable(event.event_id);
+  if (timetable.length === 0) throw new Error('No exams are scheduled under this event');
+  if (students.length === 0) return { cards: [], withheld: [] };
+
+  const usernames = students.map(s => s.username);
+  const settings = await getSettings(event.campus_id);
+  const firstPaper = toDateStr(timetable[0].exam_date);
+
+  const [seats, overrides, balances] = await Promise.all([
+    AdmitCardModel.getSeats(timetable.map(t => t.exam_id), usernames),
+    AdmitCardModel.getOverrideUsernames(event.event_id, usernames),
+    settings.block_on_fee_dues
+      ? AdmitCardModel.getOverdueBalances(event.tenant_id, event.campus_id, usernames.map(feeService.toStudentUUID), firstPaper)
+      : Promise.resolve([])
+  ]);
+
+  const seatMap = new Map(seats.map(s => [`${s.exam_id}::${s.student_username}`, s]));
+  const overridden = new Set(overrides);
+  const outstandingBy = Object.fromEntries(balances.map(b => [b.student_id, round2(b.outstanding)]));
+
+  const cards = [];
+  const withheld = [];
+
+  students.forEach(s => {
+    const outstanding = outstandingBy[feeService.toStudentUUID(s.username)] || 0;
+    const blocked = settings.block_on_fee_dues && outstanding > settings.fee_due_threshold;
+    const student = {
+      username: s.username,
+      student_name: [s.first_name, s.middle_name, s.last_name].filter(Boolean).join(' '),
+      date_of_birth: s.date_of_birth,
+      admission_number: s.admission_number,
+      roll_number: s.roll_number,
+      class_name: s.class_name,
+      section_name: s.section_name,
+      photo_url: s.photo_url || null
+    };
+
+    if (blocked && !overridden.has(s.username)) {
+      withheld.push({ ...student, outstanding_amount: outstanding, threshold: settings.fee_due_threshold });
+      return;
+    }
+
+    cards.push({
+      event: { event_id: event.event_id, event_name: event.event_name, year_name: event.year_name },
+      student,
+      fee_override: blocked,
+      timetable: timetable.map(t => {
+        const seat = seatMap.get(`${t.exam_id}::${s.username}`);
+        return {
+          exam_id: t.exam_id,
+          exam_date: t.exam_date,
+          subject_name: t.subject_name,
+          start_time: t.start_time,
+          end_time: t.end_time,
+          building_name: seat?.building_name || null,
+          room_number: seat?.room_number || null,
+          seat_number: seat?.seat_number || null
+        };
+      })
+    });
+  });
+
+  return { cards, withheld };
+};
+
+const AdmitCardService = {
+  getSettings,
+
+  updateSettings: async (data, tenantId, campusId, updatedBy) => {
+    const current = await getSettings(campusId);
+    const threshold = data.fee_due_threshold !== undefined ? Number(data.fee_due_threshold) : current.fee_due_threshold;
+    if (isNaN(threshold) || threshold < 0) throw new Error('fee_due_threshold must be a non-negative amount');
+
+    return await AdmitCardModel.upsertSettings({
+      campus_id: campusId,
+      tenant_id: tenantId,
+      block_on_fee_dues: data.block_on_fee_dues !== undefined ? Boolean(data.block_on_fee_dues) : current.block_on_fee_dues,
+      fee_due_threshold: threshold,
+      updated_by: updatedBy
+    });
+  },
+
+  // Cards for a whole section (section_id) or class (class_name)
+  generateCards: async (eventId, { section_id, class_name }, tenantId) => {
+    if (!section_id && !class_name) throw new Error('section_id or class_name required');
+    const event = await loadEvent(eventId, tenantId);
+    const students = await AdmitCardModel.getStudents(event.campus_id, { section_id, class_name });
+    return await buildCards(event, students);
+  },
+
+  generateStudentCard: async (eventId, studentUsername, tenantId) => {
+    const event = await loadEvent(eventId, tenantId);
+    const students = await AdmitCardModel.getStudents(event.campus_id, { student_username: studentUsername });
+    if (students.length === 0) throw new Error('Student not found on this campus');
+    return await buildCards(event, students.slice(0, 1));
+  },
+
+  grantOverride: async ({ event_id, student_username, reason }, tenantId, grantedBy) => {
+    if (!event_id || !student_username) throw new Error('event_id and student_username required');
+    if (!reason || String(reason).trim().length === 0) throw new Error('reason is required');
+    const event = await loadEvent(event_id, tenantId);
+
+    try {
+      return await AdmitCardModel.createOverride({
+        tenant_id: tenantId,
+        campus_id: event.campus_id,
+        event_id,
+        student_username,
+        reason: String(reason).trim(),
+        granted_by: grantedBy
+      });
+    } catch (error) {
+      if (error.code === '23505') throw new Error('An override already exists for this student and exam');
+      throw error;
+    }
+  },
+
+  getOverrides: async (tenantId, campusId, filters) => {
+    return await AdmitCardModel.getOverrides(tenantId, campusId, filters);
+  },
+
+  revokeOverride: async (overrideId, tenantId) => {
+    const removed = await AdmitCardModel.deleteOverride(overrideId, tenantId);
+    if (!removed) throw new Error('Override not found');
+    return removed;
+  },
+
+  getSchoolHeader: async (campusId) => {
+    return await ReportCardModel.getSchoolHeader(campusId);
+  }
+};
+
+module.exports = { AdmitCardService };
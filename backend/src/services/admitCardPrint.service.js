@@ -0,0 +1,91 @@
+// Printable admit cards / hall tickets (HTML, two per A4 page)
+
+const { escapeHtml, formatDate } = require('../utils/html');
+
+const formatTime = (value) => (value ? String(value).slice(0, 5) : '');
+
+const renderCard = (card, school) => {
+  const photo = card.student.photo_url
+    ? `<img class="photo" src="${escapeHtml(card.student.photo_url)}" alt="Photo">`
+    : '<div class="photo">Affix Photo</div>';
+
+  const rows = card.timetable.map(t => `
+        <tr>
+          <td>${formatDate(t.exam_date)}</td>
+          <td>${formatTime(t.start_time)} - ${formatTime(t.end_time)}</td>
+          <td>${escapeHtml(t.subject_name)}</td>
+          <td>${t.room_number ? `${escapeHtml(t.building_name ? `${t.building_name} - ` : '')}${escapeHtml(t.room_number)}` : '-'}</td>
+          <td class="num">${t.seat_number || '-'}</td>
+          <td></td>
+        </tr>`).join('');
+
+  return `
+  <div class="card">
+    <div class="header">
+      <h1>${escapeHtml(school.tenant_name)}</h1>
+      <p>${escapeHtml(school.campus_name)}</p>
+      <p><strong>ADMIT CARD - ${escapeHtml(card.event.event_name)}${card.event.year_name ? ` (${escapeHtml(card.event.year_name)})` : ''}</strong></p>
+    </div>
+
+    <div class="identity">
+      <table class="meta">
+        <tr><td><strong>Student:</strong> ${escapeHtml(card.student.student_name)}</td></tr>
+        <tr><td><strong>Admission No:</strong> ${escapeHtml(card.student.admission_number)}</td></tr>
+        <tr><td><strong>Class:</strong> ${escapeHtml(card.student.class_name)} ${escapeHtml(card.student.section_name)}
+          &nbsp; <strong>Roll No:</strong> ${escapeHtml(card.student.roll_number)}</td></tr>
+        <tr><td><strong>Date of Birth:</strong> ${formatDate(card.student.date_of_birth)}</td></tr>
+      </table>
+      ${photo}
+    </div>
+
+    <table class="items">
+      <thead>
+        <tr><th>Date</th><th>Time</th><th>Subject</th><th>Room</th><th class="num">Seat</th><th>Invigilator</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+
+    <div class="footer">
+      <span>Student's Signature</span>
+      <span>Principal</span>
+    </div>
+  </div>`;
+};
+
+/**
+ * Render admit cards (as returned by AdmitCardService) to a standalone HTML page
+ * @param {Object[]} cards
+ * @param {Object} school - { tenant_name, campus_name }
+ * @returns {string}
+ */
+const renderAdmitCardsHtml = (cards, school = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Admit Cards</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    .card { border: 2px solid #222; padding: 12px; margin-bottom: 24px; page-break-inside: avoid; }
+    .card:nth-child(2n) { page-break-after: always; }
+    .header { text-align: center; border-bottom: 1px solid #222; padding-bottom: 6px; margin-bottom: 8px; }
+    .header h1 { font-size: 18px; margin: 0; }
+    .header p { margin: 2px 0; }
+    .identity { display: flex; justify-content: space-between; align-items: flex-start; }
+    .meta td { padding: 2px 4px; }
+    .photo { width: 90px; height: 110px; border: 1px solid #999; object-fit: cover; display: flex; align-items: center; justify-content: center; color: #999; }
+    table.items { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    table.items th, table.items td { border: 1px solid #999; padding: 3px 5px; text-align: left; }
+    table.items th { background: #eee; }
+    .num { text-align: right !important; }
+    .footer { margin-top: 32px; display: flex; justify-content: space-between; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>${cards.map(card => renderCard(card, school)).join('')}
+</body>
+</html>`;
+
+module.exports = {
+  renderAdmitCardsHtml
+};
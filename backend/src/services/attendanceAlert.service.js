@@ -0,0 +1,478 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const attendanceAlertModel = require('../models/attendanceAlert.model');
+const notificationModel = require('../models/notification.model');
+const consolidatedAttendanceService = require('./consolidatedAttendance.service');
+const { attendedWeight } = require('../utils/attendanceWeight');
+
+const RULE_TYPES = ['student_percentage', 'employee_absences'];
+const WINDOW_TYPES = ['rolling', 'year_to_date'];
+const EMPLOYEE_ROLES = ['Teacher', 'Employee'];
+
+const rolesOf = (user) => user?.roles || [user?.role];
+const isStaff = (user) => rolesOf(user).some(r => r === 'Admin' || r === 'Teacher');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const today = () => new Date().toISOString().split('T')[0];
+
+const addDays = (dateStr, days) => {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Date range a rule looks at, ending on endDate. Rolling windows never reach back before the
+ * academic year; year-to-date needs the year start and returns null without one.
+ */
+const windowOf = (rule, yearStart, endDate) => {
+    if (rule.window_type === 'year_to_date') {
+        return yearStart ? { start: yearStart, end: endDate } : null;
+    }
+    const start = addDays(endDate, -(rule.window_days - 1));
+    return { start: yearStart && yearStart > start ? yearStart : start, end: endDate };
+};
+
+const groupByUser = (rows) => {
+    const users = new Map();
+    for (const row of rows) {
+        if (!users.has(row.username)) users.set(row.username, []);
+        users.get(row.username).push(row);
+    }
+    return users;
+};
+
+const nameOf = (row) => [row.first_name, row.last_name].filter(Boolean).join(' ') || row.username;
+
+const attendedDays = (days) => round2(days.reduce((sum, d) => sum + attendedWeight(d.status), 0));
+
+/**
+ * Attendance of a student over consolidated days. Only working days with a recorded status count;
+ * Excused days and days without a record are left out of the percentage, and a half day counts as half.
+ */
+const studentFigures = (days) => {
+    const working = days.filter(d => !d.is_holiday);
+    const marked = working.filter(d => d.status !== 'No Attendance' && d.status !== 'Excused');
+    const attended = attendedDays(marked);
+    return {
+        working_days: working.length,
+        marked_days: marked.length,
+        attended_days: attended,
+        absent_days: round2(marked.length - attended),
+        unmarked_days: working.filter(d => d.status === 'No Attendance').length,
+        attendance_percentage: marked.length > 0 ? round2((attended / marked.length) * 100) : null
+    };
+};
+
+/**
+ * Unexplained absences of an employee: working days marked Absent or without a record, with no
+ * approved leave. Employees with no record at all in the window are not tracked and return null.
+ */
+const employeeFigures = (days, leaveDates) => {
+    const working = days.filter(d => !d.is_holiday);
+    if (!working.some(d => d.status !== 'No Attendance')) return null;
+
+    const unexplained = working
+        .filter(d => (d.status === 'Absent' || d.status === 'No Attendance') && !leaveDates.has(d.attendance_date))
+        .map(d => d.attendance_date);
+    const attended = attendedDays(working);
+
+    return {
+        working_days: working.length,
+        attended_days: attended,
+        absent_days: unexplained.length,
+        unexplained_dates: unexplained,
+        attendance_percentage: working.length > 0 ? round2((attended / working.length) * 100) : null
+    };
+};
+
+/**
+ * Validate rule fields, merged over the existing rule when updating
+ */
+const normalizeRule = (data, existing = null) => {
+    const rule = {
+        window_type: 'rolling',
+        window_days: null,
+        min_percentage: null,
+        max_unexplained_absences: null,
+        is_exam_eligibility: false,
+        is_active: true,
+        ...existing,
+        ...data
+    };
+    if (existing) rule.rule_type = existing.rule_type; // a rule cannot switch between students and employees
+
+    if (!rule.rule_name) throw new Error('rule_name required');
+    if (!RULE_TYPES.includes(rule.rule_type)) throw new Error(`rule_type must be one of ${RULE_TYPES.join(', ')}`);
+    if (!WINDOW_TYPES.includes(rule.window_type)) throw new Error(`window_type must be one of ${WINDOW_TYPES.join(', ')}`);
+
+    if (rule.window_type === 'rolling') {
+        const days = Number(rule.window_days);
+        if (!Number.isInteger(days) || days < 1) throw new Error('window_days must be a positive whole number for rolling windows');
+        rule.window_days = days;
+    } else {
+        rule.window_days = null;
+    }
+
+    if (rule.rule_type === 'student_percentage') {
+        const min = Number(rule.min_percentage);
+        if (rule.min_percentage === null || isNaN(min) || min < 0 || min > 100) {
+            throw new Error('min_percentage must be between 0 and 100');
+        }
+        rule.min_percentage = min;
+        rule.max_unexplained_absences = null;
+    } else {
+        const max = Number(rule.max_unexplained_absences);
+        if (rule.max_unexplained_absences === null || !Number.isInteger(max) || max < 0) {
+            throw new Error('max_unexplained_absences must be a non-negative whole number');
+        }
+        if (rule.is_exam_eligibility) throw new Error('Only student rules can decide exam eligibility');
+        rule.max_unexplained_absences = max;
+        rule.min_percentage = null;
+    }
+
+    rule.is_exam_eligibility = rule.is_exam_eligibility === true;
+    rule.is_active = rule.is_active !== false;
+    return rule;
+};
+
+const saveRuleError = (error) => {
+    if (error.code === '23505') {
+        return new Error(error.constraint === 'unique_exam_eligibility_rule'
+            ? 'The campus already has an exam eligibility rule'
+            : 'A rule with this name already exists');
+    }
+    return error;
+};
+
+// ==================== RULES ====================
+
+/**
+ * Get the alert rules of a campus
+ */
+const getRules = async (campusId) => {
+    return attendanceAlertModel.getRules(campusId);
+};
+
+/**
+ * Create an alert rule
+ */
+const createRule = async (tenantId, campusId, data, createdBy) => {
+    const rule = normalizeRule(data);
+    try {
+        return await attendanceAlertModel.createRule({ ...rule, tenant_id: tenantId, campus_id: campusId, created_by: createdBy });
+    } catch (error) {
+        throw saveRuleError(error);
+    }
+};
+
+/**
+ * Update an alert rule; alerts pick up the change at the next evaluation
+ */
+const updateRule = async (ruleId, campusId, data) => {
+    const existing = await attendanceAlertModel.getRuleById(ruleId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Alert rule not found');
+    const rule = normalizeRule(data, existing);
+    try {
+        return await attendanceAlertModel.updateRule(ruleId, rule);
+    } catch (error) {
+        throw saveRuleError(error);
+    }
+};
+
+/**
+ * Delete an alert rule with its alerts
+ */
+const deleteRule = async (ruleId, campusId) => {
+    const existing = await attendanceAlertModel.getRuleById(ruleId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Alert rule not found');
+    await attendanceAlertModel.deleteRule(ruleId);
+};
+
+// ==================== EVALUATION ====================
+
+/**
+ * Users flagged by the student rules, evaluated per running academic year
+ */
+const flagStudents = async (tenantId, campusId, rules, years, endDate, flagged) => {
+    for (const year of years) {
+        const windows = rules.map(rule => ({ rule, window: windowOf(rule, year.start_date, endDate) }));
+        const from = windows.reduce((min, w) => (w.window.start < min ? w.window.start : min), endDate);
+        const rows = await consolidatedAttendanceService.getConsolidatedAttendance(
+            campusId, ['Student'], year.year_name, from, endDate, tenantId
+        );
+
+        for (const [username, days] of groupByUser(rows)) {
+            for (const { rule, window } of windows) {
+                const figures = studentFigures(days.filter(d => d.attendance_date >= window.start));
+                if (figures.attendance_percentage === null || figures.attendance_percentage >= Number(rule.min_percentage)) continue;
+                flagged.get(rule.rule_id).push({ username, role: 'Student', name: nameOf(days[0]), window, figures });
+            }
+        }
+    }
+};
+
+/**
+ * Users flagged by the employee rules; year-to-date windows start with the earliest running academic year
+ */
+const flagEmployees = async (tenantId, campusId, rules, years, endDate, flagged) => {
+    const yearStart = years.length > 0 ? years[0].start_date : null;
+    const windows = rules
+        .map(rule => ({ rule, window: windowOf(rule, yearStart, endDate) }))
+        .filter(w => w.window);
+    if (windows.length === 0) return [];
+
+    const from = windows.reduce((min, w) => (w.window.start < min ? w.window.start : min), endDate);
+    const rows = await consolidatedAttendanceService.getConsolidatedAttendance(
+        campusId, EMPLOYEE_ROLES, null, from, endDate, tenantId
+    );
+    const byUser = groupByUser(rows);
+
+    const leaves = byUser.size > 0
+        ? await attendanceAlertModel.getApprovedLeaveDates([...byUser.keys()], from, endDate)
+        : [];
+    const leaveDates = new Map();
+    leaves.forEach(l => {
+        if (!leaveDates.has(l.username)) leaveDates.set(l.username, new Set());
+        leaveDates.get(l.username).add(l.leave_date);
+    });
+
+    for (const [username, days] of byUser) {
+        for (const { rule, window } of windows) {
+            const figures = employeeFigures(days.filter(d => d.attendance_date >= window.start), leaveDates.get(username) || new Set());
+            if (!figures || figures.absent_days <= rule.max_unexplained_absences) continue;
+            flagged.get(rule.rule_id).push({ username, role: days[0].role, name: nameOf(days[0]), window, figures });
+        }
+    }
+    return windows.map(w => w.rule.rule_id);
+};
+
+const notificationsFor = async (tenantId, campusId, newAlerts) => {
+    const students = newAlerts.filter(a => a.role === 'Student');
+    if (students.length === 0) return [];
+
+    const contacts = await attendanceAlertModel.getStudentContacts([...new Set(students.map(a => a.username))], campusId);
+    const notifications = [];
+    for (const a of students) {
+        const required = Number(a.rule.min_percentage);
+        const message = `${a.name}'s attendance is ${a.figures.attendance_percentage}% from ${a.window.start} to ${a.window.end}, `
+            + `below the required ${required}%${a.rule.is_exam_eligibility ? ' for exam eligibility' : ''}.`;
+        contacts
+            .filter(c => c.student_username === a.username)
+            .forEach(c => notifications.push({
+                tenant_id: tenantId,
+                campus_id: campusId,
+                recipient_username: c.recipient_username,
+                notification_type: 'attendance_alert',
+                title: 'Low attendance alert',
+                message,
+                data: { alert_id: a.alert_id, rule_id: a.rule.rule_id, student_username: a.username, relation: c.relation }
+            }));
+    }
+    return notifications;
+};
+
+/**
+ * Run every active rule of the campus up to today. New matches open an alert (and notify the class
+ * teacher and parents of flagged students), open alerts are refreshed, and alerts that no longer
+ * match are resolved.
+ * @param {string} tenantId
+ * @param {string} campusId
+ * @returns {Promise<Object>} Counts per rule
+ */
+const evaluateRules = async (tenantId, campusId) => {
+    const rules = await attendanceAlertModel.getRules(campusId, { active_only: true });
+    const endDate = today();
+    const years = await attendanceAlertModel.getCurrentAcademicYears(campusId, endDate);
+    const flagged = new Map(rules.map(r => [r.rule_id, []]));
+
+    const studentRules = rules.filter(r => r.rule_type === 'student_percentage');
+    const employeeRules = rules.filter(r => r.rule_type === 'employee_absences');
+
+    if (studentRules.length > 0 && years.length > 0) {
+        await flagStudents(tenantId, campusId, studentRules, years, endDate, flagged);
+    }
+    const evaluatedEmployeeRules = employeeRules.length > 0
+        ? await flagEmployees(tenantId, campusId, employeeRules, years, endDate, flagged)
+        : [];
+    // Rules that could not be evaluated (no running academic year) keep their alerts as they are
+    const evaluated = [
+        ...(years.length > 0 ? studentRules : []),
+        ...employeeRules.filter(r => evaluatedEmployeeRules.includes(r.rule_id))
+    ];
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const summary = [];
+        const newAlerts = [];
+        for (const rule of evaluated) {
+            const open = new Map((await attendanceAlertModel.getOpenAlerts(client, rule.rule_id)).map(a => [a.username, a]));
+            let opened = 0;
+
+            for (const f of flagged.get(rule.rule_id)) {
+                const alert = {
+                    campus_id: campusId,
+                    rule_id: rule.rule_id,
+                    username: f.username,
+                    role: f.role,
+                    window_start: f.window.start,
+                    window_end: f.window.end,
+                    attendance_percentage: f.figures.attendance_percentage,
+                    absent_days: f.figures.absent_days,
+                    working_days: f.figures.working_days,
+                    details: f.figures
+                };
+                if (open.has(f.username)) {
+                    await attendanceAlertModel.refreshAlert(client, open.get(f.username).alert_id, alert);
+                    open.delete(f.username);
+                } else {
+                    const created = await attendanceAlertModel.openAlert(client, alert);
+                    newAlerts.push({ ...f, rule, alert_id: created.alert_id });
+                    opened++;
+                }
+            }
+
+            const resolved = [...open.values()].map(a => a.alert_id);
+            await attendanceAlertModel.resolveAlerts(client, resolved);
+            summary.push({
+                rule_id: rule.rule_id,
+                rule_name: rule.rule_name,
+                flagged: flagged.get(rule.rule_id).length,
+                opened,
+                resolved: resolved.length
+            });
+        }
+
+        const notifications = await notificationsFor(tenantId, campusId, newAlerts);
+        const notified = await notificationModel.createNotifications(client, notifications);
+
+        await client.query('COMMIT');
+        logger.info('SERVICE.evaluateRules: Success', { campusId, rules: summary.length, opened: newAlerts.length, notified });
+        return { evaluated_on: endDate, rules: summary, notifications_sent: notified };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('SERVICE: Error evaluating attendance alert rules:', error);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// ==================== ALERTS ====================
+
+/**
+ * Alerts of a campus. Teachers only see the students of the sections they are class teacher of.
+ */
+const getAlerts = async (campusId, filters, user) => {
+    const scoped = rolesOf(user).includes('Admin')
+        ? filters
+        : { ...filters, role: 'Student', primary_teacher_user_id: user.userId || user.user_id };
+    return attendanceAlertModel.getAlerts(campusId, scoped);
+};
+
+// ==================== EXAM ELIGIBILITY ====================
+
+/**
+ * Eligibility of the students of one section under the campus's exam eligibility rule
+ */
+const eligibilityOf = async (tenantId, campusId, rule, section, usernames = null) => {
+    const endDate = section.year_end && section.year_end < today() ? section.year_end : today();
+    const window = windowOf(rule, section.year_start, endDate);
+    const rows = await consolidatedAttendanceService.getConsolidatedAttendance(
+        campusId, ['Student'], section.year_name, window.start, window.end, tenantId, null, section.section_id
+    );
+    const required = Number(rule.min_percentage);
+
+    return [...groupByUser(rows)]
+        .filter(([username]) => !usernames || usernames.includes(username))
+        .map(([username, days]) => {
+            const figures = studentFigures(days);
+            return {
+                username,
+                name: nameOf(days[0]),
+                ...figures,
+                required_percentage: required,
+                // Nothing recorded yet is not held against the student
+                eligible: figures.attendance_percentage === null || figures.attendance_percentage >= required
+            };
+        });
+};
+
+const ruleSummary = (rule) => ({
+    rule_id: rule.rule_id,
+    rule_name: rule.rule_name,
+    window_type: rule.window_type,
+    window_days: rule.window_days,
+    min_percentage: Number(rule.min_percentage)
+});
+
+/**
+ * Exam eligibility of one student. Students see their own and parents their children's.
+ */
+const getStudentEligibility = async (tenantId, campusId, username, user) => {
+    const roles = rolesOf(user);
+    if (!isStaff(user)) {
+        const allowed = (roles.includes('Student') && user.username === username)
+            || (roles.includes('Parent') && await attendanceAlertModel.isParentOf(user.username, username));
+        if (!allowed) throw new Error('You can only view your own or your children\'s eligibility');
+    }
+
+    const enrollment = await attendanceAlertModel.getStudentEnrollment(username, campusId);
+    if (!enrollment) throw new Error('Student not found');
+
+    const rule = await attendanceAlertModel.getExamEligibilityRule(campusId);
+    if (!rule) {
+        return { username, eligible: true, rule: null, message: 'No exam eligibility rule is configured' };
+    }
+
+    const [result] = await eligibilityOf(tenantId, campusId, rule, {
+        section_id: enrollment.section_id,
+        year_name: enrollment.year_name,
+        year_start: enrollment.year_start,
+        year_end: enrollment.year_end
+    }, [username]);
+
+    return {
+        ...(result || { username, attendance_percentage: null, eligible: true }),
+        class_name: enrollment.class_name,
+        section_name: enrollment.section_name,
+        rule: ruleSummary(rule)
+    };
+};
+
+/**
+ * Exam eligibility of every student of a section
+ */
+const getSectionEligibility = async (tenantId, campusId, sectionId) => {
+    const section = await attendanceAlertModel.getSectionYear(sectionId);
+    if (!section || section.campus_id !== campusId) throw new Error('Section not found');
+
+    const rule = await attendanceAlertModel.getExamEligibilityRule(campusId);
+    if (!rule) {
+        return { section_id: section.section_id, rule: null, message: 'No exam eligibility rule is configured', students: [] };
+    }
+
+    const students = await eligibilityOf(tenantId, campusId, rule, section);
+    return {
+        section_id: section.section_id,
+        class_name: section.class_name,
+        section_name: section.section_name,
+        rule: ruleSummary(rule),
+        eligible_count: students.filter(s => s.eligible).length,
+        ineligible_count: students.filter(s => !s.eligible).length,
+        students
+    };
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRules,
+    getAlerts,
+    getStudentEligibility,
+    getSectionEligibility
+};
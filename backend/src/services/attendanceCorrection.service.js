@@ -0,0 +1,295 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const attendanceCorrectionModel = require('../models/attendanceCorrection.model');
+const notificationModel = require('../models/notification.model');
+const leaveModel = require('../models/leave.model');
+const UserModel = require('../models/user.model');
+const { determineApprovers } = require('./leave.service');
+
+const STATUSES = ['Present', 'Absent', 'Late', 'Excused', 'Left Early', 'Half Day'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const rolesOf = (user) => user?.roles || [user?.role];
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Whose attendance a user may raise a correction for: their own, or for a parent their children's
+ */
+const resolveSubject = async (campusId, user, username) => {
+    const subject = username || user.username;
+    if (subject === user.username) return subject;
+    if (rolesOf(user).includes('Parent')) {
+        const children = await leaveModel.findStudentsForParent(user.username, campusId);
+        if (children.includes(subject)) return subject;
+    }
+    throw new Error('You can only request corrections to your own or your children\'s attendance');
+};
+
+const notify = (tenantId, campusId, recipients, request, title, message) => recipients.map(recipient => ({
+    tenant_id: tenantId,
+    campus_id: campusId,
+    recipient_username: recipient,
+    notification_type: 'attendance_correction',
+    title,
+    message,
+    data: { correction_request_id: request.id, username: request.username, attendance_date: request.attendance_date }
+}));
+
+/**
+ * Raise a correction request for one day. Approvers are chosen as for leave: the class teacher,
+ * principal and admins for a student; the principal and admins for staff.
+ * @param {string} tenantId
+ * @param {string} campusId
+ * @param {Object} user - Requesting user
+ * @param {Object} payload - { username, attendance_date, requested_status, reason, supporting_notes }
+ * @returns {Promise<Object>}
+ */
+const createCorrectionRequest = async (tenantId, campusId, user, payload) => {
+    const { attendance_date, requested_status, reason, supporting_notes } = payload;
+
+    if (!attendance_date || !DATE_PATTERN.test(attendance_date) || isNaN(new Date(attendance_date))) {
+        throw new Error('attendance_date must be a date in YYYY-MM-DD format');
+    }
+    if (attendance_date > today()) throw new Error('Attendance cannot be corrected for a future date');
+    if (!STATUSES.includes(requested_status)) throw new Error(`requested_status must be one of ${STATUSES.join(', ')}`);
+    if (!reason || String(reason).trim().length === 0) throw new Error('reason is required');
+
+    const username = await resolveSubject(campusId, user, payload.username);
+    const userRole = await leaveModel.resolveUserRoleForCampus(username, campusId);
+    if (!userRole) throw new Error('User not found in this campus');
+
+    const current = await attendanceCorrectionModel.getAttendanceRecord(pool, username, attendance_date);
+    if (current && current.status === requested_status) {
+        throw new Error(`Attendance on ${attendance_date} is already ${requested_status}`);
+    }
+
+    // Nobody approves a correction they asked for or that is about them
+    const approvers = (await determineApprovers(tenantId, campusId, username, userRole))
+        .filter(a => a.username !== user.username && a.username !== username);
+    if (approvers.length === 0) throw new Error('No approver found for this request');
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const requestId = await attendanceCorrectionModel.createRequest(client, {
+            campus_id: campusId,
+            username,
+            user_role: userRole,
+            requested_by: user.username,
+            attendance_date,
+            current_status: current?.status,
+            requested_status,
+            reason: String(reason).trim(),
+            supporting_notes
+        }, approvers.map(a => ({ approver_role: a.role, approver_username: a.username })));
+
+        const request = await attendanceCorrectionModel.getRequestById(requestId, client);
+        await notificationModel.createNotifications(client, notify(
+            tenantId,
+            campusId,
+            approvers.map(a => a.username),
+            request,
+            'Attendance correction request',
+            `${user.username} asked to change ${username}'s attendance on ${attendance_date} `
+                + `from ${current?.status || 'not recorded'} to ${requested_status}`
+        ));
+
+        await client.query('COMMIT');
+        logger.info('Attendance correction requested', { requestId, username, attendance_date, requestedBy: user.username });
+        return request;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            throw new Error(`A correction request for ${username} on ${attendance_date} is already pending`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Requests the user raised, plus (for a parent) any about their children
+ */
+const getMyRequests = async (campusId, user) => {
+    const usernames = [user.username];
+    if (rolesOf(user).includes('Parent')) {
+        usernames.push(...await leaveModel.findStudentsForParent(user.username, campusId));
+    }
+    return attendanceCorrectionModel.getRequestsFor(campusId, user.username, usernames);
+};
+
+/**
+ * Requests waiting on the approver
+ */
+const getPendingApprovals = async (approverUsername) => {
+    return attendanceCorrectionModel.getRequestsForApprover(approverUsername, ['pending']);
+};
+
+/**
+ * Requests the approver has approved or rejected
+ */
+const getCompletedApprovals = async (approverUsername) => {
+    return attendanceCorrectionModel.getRequestsForApprover(approverUsername, ['approved', 'rejected']);
+};
+
+/**
+ * One request; visible to its requester, the user it is about, its approvers and Admins
+ */
+const getRequest = async (id, campusId, user) => {
+    const request = await attendanceCorrectionModel.getRequestById(id);
+    if (!request || request.campus_id !== campusId) throw new Error('Correction request not found');
+
+    const visible = rolesOf(user).includes('Admin')
+        || [request.requested_by, request.username].includes(user.username)
+        || request.steps.some(s => s.approver_username === user.username);
+    if (!visible) throw new Error('Correction request not found');
+    return request;
+};
+
+/**
+ * Approve or reject a request. The first decision by an assigned approver (or an Admin) settles it;
+ * an approval writes the requested status into user_attendance and records the before/after values.
+ * @param {string} tenantId
+ * @param {string} campusId
+ * @param {number} id
+ * @param {string} status - approved or rejected
+ * @param {string} statusReason - Required for a rejection
+ * @param {Object} user - Approver
+ * @returns {Promise<Object>}
+ */
+const decideRequest = async (tenantId, campusId, id, status, statusReason, user) => {
+    if (!['approved', 'rejected'].includes(String(status))) throw new Error('status must be approved or rejected');
+    if (status === 'rejected' && (!statusReason || String(statusReason).trim().length === 0)) {
+        throw new Error('status_reason is required for rejection');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const request = await attendanceCorrectionModel.getRequestById(id, client, true);
+        if (!request || request.campus_id !== campusId) throw new Error('Correction request not found');
+        if (request.status !== 'pending') throw new Error(`This request is already ${request.status}`);
+
+        const step = request.steps.find(s => s.approver_username === user.username);
+        const isAdmin = rolesOf(user).includes('Admin');
+        if ([request.requested_by, request.username].includes(user.username)) {
+            throw new Error('You cannot decide a correction request you raised or that is about you');
+        }
+        if (!step && !isAdmin) throw new Error('You are not an approver of this request');
+
+        await attendanceCorrectionModel.decideStep(client, id, {
+            approver_username: user.username,
+            approver_role: step ? step.approver_role : 'Admin',
+            status,
+            comments: statusReason
+        });
+        await attendanceCorrectionModel.closeRequest(client, id, status, `Decided by ${user.username}`);
+
+        if (status === 'approved') {
+            await applyCorrection(client, campusId, request, user.username);
+        }
+
+        const decided = await attendanceCorrectionModel.getRequestById(id, client);
+        await notificationModel.createNotifications(client, notify(
+            tenantId,
+            campusId,
+            [request.requested_by],
+            decided,
+            `Attendance correction ${status}`,
+            `Your request to change ${request.username}'s attendance on ${request.attendance_date} to `
+                + `${request.requested_status} was ${status} by ${user.username}`
+                + (statusReason ? `: ${statusReason}` : '')
+        ));
+
+        await client.query('COMMIT');
+        logger.info('Attendance correction decided', { id, status, approver: user.username });
+        return decided;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Write an approved correction into user_attendance and audit it. A day with a record keeps its
+ * times and year; a day without one gets a new record in the academic year running on it.
+ * The day is marked as corrected so period roll-ups and punch imports do not overwrite it.
+ */
+const applyCorrection = async (client, campusId, request, changedBy) => {
+    const { username, attendance_date, requested_status } = request;
+    const before = await attendanceCorrectionModel.getAttendanceRecord(client, username, attendance_date, true);
+
+    if (before) {
+        await attendanceCorrectionModel.updateAttendanceStatus(client, username, attendance_date, requested_status);
+    } else {
+        const yearName = await attendanceCorrectionModel.getYearNameForDate(client, campusId, username, attendance_date);
+        if (!yearName) throw new Error(`No academic year covers ${attendance_date}`);
+        await UserModel.saveUserAttendance(attendance_date, yearName, campusId, [{
+            username,
+            role: request.user_role,
+            status: requested_status
+        }], client);
+    }
+
+    await attendanceCorrectionModel.markCorrected(client, username, attendance_date, request.id);
+
+    const after = await attendanceCorrectionModel.getAttendanceRecord(client, username, attendance_date);
+    await attendanceCorrectionModel.createAudit(client, {
+        correction_request_id: request.id,
+        campus_id: campusId,
+        username,
+        attendance_date,
+        before_values: before || null,
+        after_values: after,
+        changed_by: changedBy
+    });
+};
+
+/**
+ * Withdraw a pending request; only its requester can
+ */
+const cancelRequest = async (id, campusId, user, statusReason) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const request = await attendanceCorrectionModel.getRequestById(id, client, true);
+        if (!request || request.campus_id !== campusId) throw new Error('Correction request not found');
+        if (request.requested_by !== user.username) throw new Error('Only the requester can cancel this request');
+        if (request.status !== 'pending') throw new Error(`This request is already ${request.status}`);
+
+        await attendanceCorrectionModel.closeRequest(client, id, 'cancelled', statusReason || null);
+        const cancelled = await attendanceCorrectionModel.getRequestById(id, client);
+
+        await client.query('COMMIT');
+        return cancelled;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Before/after trail of approved corrections
+ */
+const getAudit = async (campusId, filters) => {
+    return attendanceCorrectionModel.getAudit(campusId, filters);
+};
+
+module.exports = {
+    createCorrectionRequest,
+    getMyRequests,
+    getPendingApprovals,
+    getCompletedApprovals,
+    getRequest,
+    decideRequest,
+    cancelRequest,
+    getAudit
+};
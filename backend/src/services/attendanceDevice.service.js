@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const attendanceDeviceModel = require('../models/attendanceDevice.model');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const SHIFT_ROLES = ['Admin', 'Student', 'Parent', 'Employee', 'Teacher'];
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+const newKey = () => crypto.randomBytes(24).toString('hex');
+
+const minutesBetween = (from, to) => {
+    const [fh, fm] = from.split(':').map(Number);
+    const [th, tm] = to.split(':').map(Number);
+    return (th * 60 + tm) - (fh * 60 + fm);
+};
+
+const uniqueViolation = (error, message) => (error.code === '23505' ? new Error(message) : error);
+
+// ==================== DEVICES ====================
+
+/**
+ * Get the devices of a campus
+ */
+const getDevices = async (campusId) => {
+    return attendanceDeviceModel.getDevices(campusId);
+};
+
+/**
+ * Register a device. The push key is returned only here; store it on the device.
+ */
+const createDevice = async (tenantId, campusId, data) => {
+    if (!data.device_name) throw new Error('device_name is required');
+    const apiKey = newKey();
+    try {
+        const device = await attendanceDeviceModel.createDevice({
+            ...data,
+            tenant_id: tenantId,
+            campus_id: campusId,
+            api_key_hash: hashKey(apiKey)
+        });
+        return { ...device, api_key: apiKey };
+    } catch (error) {
+        throw uniqueViolation(error, 'A device with this serial number is already registered');
+    }
+};
+
+/**
+ * Update a device; regenerate_key issues a new push key and invalidates the old one
+ */
+const updateDevice = async (deviceId, campusId, data) => {
+    const existing = await attendanceDeviceModel.getDeviceById(deviceId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Device not found');
+
+    const apiKey = data.regenerate_key ? newKey() : null;
+    try {
+        const device = await attendanceDeviceModel.updateDevice(deviceId, {
+            device_name: data.device_name || existing.device_name,
+            serial_number: data.serial_number !== undefined ? data.serial_number : existing.serial_number,
+            location: data.location !== undefined ? data.location : existing.location,
+            is_active: data.is_active !== undefined ? data.is_active === true : existing.is_active,
+            api_key_hash: apiKey ? hashKey(apiKey) : null
+        });
+        return apiKey ? { ...device, api_key: apiKey } : device;
+    } catch (error) {
+        throw uniqueViolation(error, 'A device with this serial number is already registered');
+    }
+};
+
+/**
+ * Delete a device
+ */
+const deleteDevice = async (deviceId, campusId) => {
+    const existing = await attendanceDeviceModel.getDeviceById(deviceId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Device not found');
+    await attendanceDeviceModel.deleteDevice(deviceId);
+};
+
+/**
+ * Resolve the active device a push key belongs to
+ * @param {string} apiKey
+ * @returns {Promise<Object>}
+ */
+const authenticateDevice = async (apiKey) => {
+    const device = apiKey ? await attendanceDeviceModel.getDeviceByKeyHash(hashKey(apiKey)) : null;
+    if (!device || !device.is_active) throw new Error('Invalid device key');
+    return device;
+};
+
+// ==================== SHIFTS ====================
+
+const validateShift = (data) => {
+    if (!data.shift_name) throw new Error('shift_name is required');
+    if (!TIME_PATTERN.test(data.start_time || '') || !TIME_PATTERN.test(data.end_time || '')) {
+        throw new Error('start_time and end_time must be times in HH:MM format');
+    }
+    const length = minutesBetween(data.start_time, data.end_time);
+    if (length <= 0) throw new Error('start_time must be before end_time');
+
+    const roles = data.roles || [];
+    if (!Array.isArray(roles) || roles.some(r => !SHIFT_ROLES.includes(r))) {
+        throw new Error(`roles must be a list of ${SHIFT_ROLES.join(', ')}`);
+    }
+    const departments = data.departments || [];
+    if (!Array.isArray(departments) || departments.some(d => typeof d !== 'string' || !d.trim())) {
+        throw new Error('departments must be a list of department names');
+    }
+
+    const grace = Number(data.late_grace_minutes ?? 0);
+    const earlyGrace = Number(data.early_leave_grace_minutes ?? 0);
+    const halfDay = Number(data.half_day_minutes ?? Math.floor(length / 2));
+    const absent = Number(data.absent_minutes ?? 0);
+    [
+        ['late_grace_minutes', grace],
+        ['early_leave_grace_minutes', earlyGrace],
+        ['half_day_minutes', halfDay],
+        ['absent_minutes', absent]
+    ].forEach(([field, value]) => {
+        if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a non-negative whole number`);
+    });
+    if (absent > halfDay) throw new Error('absent_minutes cannot be more than half_day_minutes');
+    if (halfDay > length) throw new Error('half_day_minutes cannot be longer than the shift');
+
+    return {
+        shift_name: data.shift_name,
+        roles,
+        departments: departments.map(d => d.trim()),
+        start_time: data.start_time,
+        end_time: data.end_time,
+        late_grace_minutes: grace,
+        early_leave_grace_minutes: earlyGrace,
+        half_day_minutes: halfDay,
+        absent_minutes: absent
+    };
+};
+
+/**
+ * The shift a user works: the one on their device mapping, else the one for their employee
+ * category (department), else the one for their role
+ * @param {Object} user - { shift_id, department, role }
+ * @param {Array} shifts - Shifts of the campus
+ * @returns {Object|null}
+ */
+const resolveShift = (user, shifts) => {
+    if (user.shift_id) return shifts.find(s => s.shift_id === user.shift_id) || null;
+    return (user.department && shifts.find(s => (s.departments || []).includes(user.department)))
+        || shifts.find(s => (s.roles || []).includes(user.role))
+        || null;
+};
+
+/**
+ * Get the shifts of a campus
+ */
+const getShifts = async (campusId) => {
+    return attendanceDeviceModel.getShifts(campusId);
+};
+
+/**
+ * Create a shift for roles and/or departments; half_day_minutes defaults to half the shift
+ */
+const createShift = async (campusId, data) => {
+    const shift = validateShift(data);
+    try {
+        const { shift_id } = await attendanceDeviceModel.createShift({ ...shift, campus_id: campusId });
+        return (await attendanceDeviceModel.getShifts(campusId)).find(s => s.shift_id === shift_id);
+    } catch (error) {
+        throw uniqueViolation(error, 'A shift with this name already exists');
+    }
+};
+
+/**
+ * Update a shift. Days already written keep their status until their punches are imported again.
+ */
+const updateShift = async (shiftId, campusId, data) => {
+    const existing = (await attendanceDeviceModel.getShifts(campusId)).find(s => s.shift_id === shiftId);
+    if (!existing) throw new Error('Shift not found');
+    const shift = validateShift({ ...existing, ...data });
+    try {
+        await attendanceDeviceModel.updateShift(shiftId, shift);
+    } catch (error) {
+        throw uniqueViolation(error, 'A shift with this name already exists');
+    }
+    return (await attendanceDeviceModel.getShifts(campusId)).find(s => s.shift_id === shiftId);
+};
+
+/**
+ * Delete a shift
+ */
+const deleteShift = async (shiftId, campusId) => {
+    const existing = (await attendanceDeviceModel.getShifts(campusId)).find(s => s.shift_id === shiftId);
+    if (!existing) throw new Error('Shift not found');
+    await attendanceDeviceModel.deleteShift(shiftId);
+};
+
+// ==================== USER MAPPINGS ====================
+
+/**
+ * Get the device user mappings of a campus
+ */
+const getMappings = async (campusId) => {
+    return attendanceDeviceModel.getMappings(campusId);
+};
+
+/**
+ * Map device user IDs to usernames (bulk). Each device user ID and username can be mapped once;
+ * saving a mapping replaces any earlier one for either.
+ * @param {string} campusId
+ * @param {Array<{device_user_id, username, shift_id}>} mappings
+ */
+const saveMappings = async (campusId, mappings) => {
+    if (!Array.isArray(mappings) || mappings.length === 0) throw new Error('mappings must be a non-empty array');
+
+    const normalized = mappings.map((m, i) => {
+        const deviceUserId = m?.device_user_id !== undefined && m?.device_user_id !== null ? String(m.device_user_id).trim() : '';
+        if (!deviceUserId || !m.username) throw new Error(`mappings[${i}]: device_user_id and username are required`);
+        return { device_user_id: deviceUserId, username: m.username, shift_id: m.shift_id || null };
+    });
+
+    const duplicate = (key) => normalized.find((m, i) => normalized.findIndex(o => o[key] === m[key]) !== i);
+    if (duplicate('device_user_id')) throw new Error(`Device user ID ${duplicate('device_user_id').device_user_id} appears more than once`);
+    if (duplicate('username')) throw new Error(`Username ${duplicate('username').username} appears more than once`);
+
+    const known = new Set(await attendanceDeviceModel.getCampusUsernames(campusId, normalized.map(m => m.username)));
+    const unknown = normalized.filter(m => !known.has(m.username)).map(m => m.username);
+    if (unknown.length > 0) throw new Error(`Not users of this campus: ${unknown.join(', ')}`);
+
+    const shiftIds = new Set((await attendanceDeviceModel.getShifts(campusId)).map(s => s.shift_id));
+    const badShift = normalized.find(m => m.shift_id && !shiftIds.has(m.shift_id));
+    if (badShift) throw new Error(`Shift ${badShift.shift_id} not found`);
+
+    const saved = await attendanceDeviceModel.upsertMappings(campusId, normalized);
+    return { saved };
+};
+
+/**
+ * Delete a mapping
+ */
+const deleteMapping = async (mappingId, campusId) => {
+    const deleted = await attendanceDeviceModel.deleteMapping(mappingId, campusId);
+    if (!deleted) throw new Error('Mapping not found');
+};
+
+module.exports = {
+    getDevices,
+    createDevice,
+    updateDevice,
+    deleteDevice,
+    authenticateDevice,
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    resolveShift,
+    getMappings,
+    saveMappings,
+    deleteMapping
+};
@@ -0,0 +1,254 @@
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const consolidatedAttendanceService = require('./consolidatedAttendance.service');
+const attendanceRegisterModel = require('../models/attendanceRegister.model');
+const ReportCardModel = require('../models/reportCard.model');
+const { ATTENDED_WEIGHT } = require('../utils/attendanceWeight');
+
+const STAFF_ROLES = ['Admin', 'Teacher', 'Employee'];
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// Register code per user_attendance status; holidays are H and unmarked working days stay blank
+const CODES = {
+    'Present': 'P',
+    'Absent': 'A',
+    'Late': 'L',
+    'Half Day': 'HD',
+    'Excused': 'E',
+    'Left Early': 'LE'
+};
+const TOTAL_CODES = ['P', 'L', 'LE', 'HD', 'A', 'E', 'H'];
+const PRESENT_WEIGHT = Object.fromEntries(Object.entries(ATTENDED_WEIGHT).map(([status, weight]) => [CODES[status], weight]));
+
+const HOLIDAY_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+const ABSENT_FONT = { color: { argb: 'FFC00000' }, bold: true };
+
+/**
+ * First and last date of a YYYY-MM month
+ */
+const monthRange = (month) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new Error('month must be in YYYY-MM format');
+    }
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    const days = Array.from({ length: lastDay }, (_, i) => {
+        const date = new Date(Date.UTC(year, monthIndex, i + 1));
+        return { day: i + 1, date: date.toISOString().slice(0, 10), weekday: WEEKDAYS[date.getUTCDay()] };
+    });
+    const label = new Date(Date.UTC(year, monthIndex, 1)).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    return { startDate: days[0].date, endDate: days[lastDay - 1].date, days, label };
+};
+
+/**
+ * Register cell of one person's day. Days after today are left blank.
+ */
+const codeFor = (row, today) => {
+    if (!row || row.attendance_date > today) return '';
+    if (CODES[row.status]) return CODES[row.status];
+    return row.is_holiday ? 'H' : '';
+};
+
+/**
+ * Totals of one register row. Attendance % counts marked working days only: Excused and unmarked
+ * days are left out, and each day is weighted as in the low-attendance alerts and report cards.
+ */
+const totalsOf = (codes) => {
+    const totals = Object.fromEntries(TOTAL_CODES.map(c => [c, 0]));
+    codes.forEach(c => { if (c) totals[c] += 1; });
+    const marked = totals.P + totals.L + totals.LE + totals.HD + totals.A;
+    const present = Object.entries(PRESENT_WEIGHT).reduce((sum, [code, weight]) => sum + totals[code] * weight, 0);
+    return {
+        ...totals,
+        working: marked,
+        percentage: marked > 0 ? Math.round((present / marked) * 10000) / 100 : null
+    };
+};
+
+/**
+ * Sheet names are limited to 31 characters without []:*?/\ and must be unique in the workbook
+ */
+const sheetName = (workbook, name) => {
+    const base = name.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+    let candidate = base;
+    for (let i = 2; workbook.getWorksheet(candidate); i++) {
+        candidate = `${base.slice(0, 31 - String(i).length - 1)}~${i}`;
+    }
+    return candidate;
+};
+
+/**
+ * Add one register sheet: a title row, the day header (date and weekday), one row per person with a
+ * code per day, then the totals columns and a legend
+ * @param {Object} workbook
+ * @param {string} name - Sheet name
+ * @param {string} title
+ * @param {Array<{username, columns}>} people - In register order, with their identifying column values
+ * @param {Map<string, Map<string, Object>>} daysByUser - username -> date -> consolidated row
+ * @param {Object} month - monthRange()
+ * @param {Array<string>} idHeaders - Headers of the identifying columns
+ */
+const addRegisterSheet = (workbook, name, title, people, daysByUser, month, idHeaders) => {
+    const worksheet = workbook.addWorksheet(sheetName(workbook, name));
+    const today = new Date().toISOString().slice(0, 10);
+    const firstDayCol = idHeaders.length + 1;
+    const totalHeaders = [...TOTAL_CODES, 'Marked Days', 'Attendance %'];
+    const lastCol = idHeaders.length + month.days.length + totalHeaders.length;
+
+    worksheet.mergeCells(1, 1, 1, lastCol);
+    worksheet.getCell(1, 1).value = title;
+    worksheet.getCell(1, 1).font = { bold: true, size: 14 };
+
+    const header = worksheet.getRow(2);
+    const weekdays = worksheet.getRow(3);
+    idHeaders.forEach((h, i) => {
+        header.getCell(i + 1).value = h;
+        worksheet.mergeCells(2, i + 1, 3, i + 1);
+    });
+    month.days.forEach((d, i) => {
+        header.getCell(firstDayCol + i).value = d.day;
+        weekdays.getCell(firstDayCol + i).value = d.weekday;
+        worksheet.getColumn(firstDayCol + i).width = 4.5;
+    });
+    totalHeaders.forEach((h, i) => {
+        const col = firstDayCol + month.days.length + i;
+        header.getCell(col).value = h;
+        worksheet.mergeCells(2, col, 3, col);
+        worksheet.getColumn(col).width = h.length > 3 ? 13 : 5;
+    });
+    [header, weekdays].forEach(row => {
+        row.font = { bold: true };
+        row.alignment = { horizontal: 'center', vertical: 'middle' };
+        row.eachCell(cell => { cell.fill = HOLIDAY_FILL; });
+    });
+    idHeaders.forEach((h, i) => { worksheet.getColumn(i + 1).width = i === idHeaders.length - 1 ? 30 : 16; });
+
+    people.forEach(person => {
+        const days = daysByUser.get(person.username) || new Map();
+        const codes = month.days.map(d => codeFor(days.get(d.date), today));
+        const totals = totalsOf(codes);
+        const row = worksheet.addRow([
+            ...person.columns,
+            ...codes,
+            ...TOTAL_CODES.map(c => totals[c]),
+            totals.working,
+            totals.percentage
+        ]);
+
+        codes.forEach((code, i) => {
+            const cell = row.getCell(firstDayCol + i);
+            cell.alignment = { horizontal: 'center' };
+            if (code === 'H') cell.fill = HOLIDAY_FILL;
+            if (code === 'A') cell.font = ABSENT_FONT;
+        });
+    });
+
+    worksheet.views = [{ state: 'frozen', xSplit: idHeaders.length, ySplit: 3 }];
+
+    worksheet.addRow([]);
+    worksheet.addRow(['Legend: P Present, L Late, LE Left Early, HD Half Day, A Absent, E Excused, H Holiday/weekend; blank = not marked']);
+    worksheet.addRow(['Attendance % = (P + L + LE + HD/2) / (P + L + LE + HD + A) over marked working days']);
+
+    return worksheet;
+};
+
+/**
+ * Group consolidated day rows by username and date
+ */
+const groupByUser = (rows) => {
+    const byUser = new Map();
+    rows.forEach(r => {
+        if (!byUser.has(r.username)) byUser.set(r.username, new Map());
+        byUser.get(r.username).set(r.attendance_date, r);
+    });
+    return byUser;
+};
+
+const fullName = (r) => [r.first_name, r.last_name].filter(Boolean).join(' ');
+
+/**
+ * Build the monthly attendance register as an Excel workbook: one sheet per section (students in
+ * roll-number order) or per staff role. Day statuses, holidays and weekend policies come from the
+ * consolidated attendance.
+ * @param {string} tenantId
+ * @param {string} campusId
+ * @param {Object} options - { month: 'YYYY-MM', section_ids, class_id, roles }
+ * @returns {Promise<{buffer: Buffer, fileName: string}>}
+ */
+const generateRegister = async (tenantId, campusId, { month, section_ids, class_id, roles }) => {
+    const range = monthRange(month);
+    const sectionIds = (section_ids || []).map(Number).filter(Number.isInteger);
+    const staffRoles = roles || [];
+
+    if (sectionIds.length === 0 && !class_id && staffRoles.length === 0) {
+        throw new Error('Provide section_ids, class_id or roles');
+    }
+    const badRole = staffRoles.find(r => !STAFF_ROLES.includes(r));
+    if (badRole) throw new Error(`roles must be among ${STAFF_ROLES.join(', ')}`);
+
+    logger.info('Generating attendance register', { campusId, month, sectionIds, class_id, roles: staffRoles });
+
+    const workbook = new ExcelJS.Workbook();
+    let fileLabel = staffRoles.join('_');
+
+    if (sectionIds.length > 0 || class_id) {
+        const sections = await attendanceRegisterModel.getSections(campusId, { section_ids: sectionIds, class_id });
+        if (sections.length === 0) throw new Error('No sections found');
+
+        for (const section of sections) {
+            const [rows, enrolled] = await Promise.all([
+                consolidatedAttendanceService.getConsolidatedAttendance(
+                    campusId, ['Student'], section.year_name, range.startDate, range.endDate, tenantId, null, section.section_id
+                ),
+                ReportCardModel.getStudents(campusId, { section_id: section.section_id })
+            ]);
+            const daysByUser = groupByUser(rows);
+
+            // Enrolled students in roll order, limited to those active on the campus
+            const people = enrolled
+                .filter(s => daysByUser.has(s.username))
+                .map(s => ({ username: s.username, columns: [s.roll_number || '', s.admission_number || '', fullName(s)] }));
+
+            addRegisterSheet(
+                workbook,
+                `${section.class_name}-${section.section_name}`,
+                `Attendance Register - Class ${section.class_name} ${section.section_name} - ${range.label} (${section.year_name})`,
+                people,
+                daysByUser,
+                range,
+                ['Roll No', 'Admission No', 'Student Name']
+            );
+        }
+        fileLabel = sections.length === 1 ? `${sections[0].class_name}${sections[0].section_name}` : `${sections[0].class_name}`;
+    }
+
+    for (const role of staffRoles) {
+        const rows = await consolidatedAttendanceService.getConsolidatedAttendance(
+            campusId, [role], null, range.startDate, range.endDate, tenantId
+        );
+        const daysByUser = groupByUser(rows);
+        const people = [...daysByUser.values()]
+            .map(days => days.values().next().value)
+            .sort((a, b) => fullName(a).localeCompare(fullName(b)))
+            .map(r => ({ username: r.username, columns: [r.username, fullName(r)] }));
+
+        addRegisterSheet(
+            workbook,
+            role,
+            `Attendance Register - ${role} - ${range.label}`,
+            people,
+            daysByUser,
+            range,
+            ['Username', 'Name']
+        );
+    }
+
+    const fileName = `Attendance_Register_${fileLabel}_${month}.xlsx`.replace(/[^\w.-]+/g, '_');
+    return { buffer: await workbook.xlsx.writeBuffer(), fileName };
+};
+
+module.exports = {
+    generateRegister
+};
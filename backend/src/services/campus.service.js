@@ -1,5 +1,19 @@
 const campusModel = require('../models/campus.model');
 
+const CAMPUS_CODE_TAKEN = 'Campus code is already used by another campus';
+
+/**
+ * Optional short campus code printed on receipts; stored upper-case, null when not given
+ */
+const normalizeCampusCode = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const code = String(value).trim().toUpperCase();
+    if (!/^[A-Z0-9]{2,10}$/.test(code)) {
+        throw new Error('Campus code must be 2 to 10 letters or digits');
+    }
+    return code;
+};
+
 const getAllCampuses = async (tenantId) => {
     try {
         // Enhanced tenant ID validation
@@ -52,9 +66,11 @@ const createCampus = async (campusData) => {
         throw new Error('Number of floors must be a positive integer and less than 200');
     }
 
+    const campus_code = normalizeCampusCode(campusData.campus_code);
+
     try {
         // Pass the campusData object directly instead of creating a values array
-        const newCampus = await campusModel.createCampus(campusData);
+        const newCampus = await campusModel.createCampus({ ...campusData, campus_code });
         if (!newCampus) {
             throw new Error('Failed to create campus');
         }
@@ -65,6 +81,7 @@ const createCampus = async (campusData) => {
         };
     } catch (error) {
         console.error('Error creating campus in service:', error);
+        if (error.code === '23505') throw new Error(CAMPUS_CODE_TAKEN);
         throw error;
     }
 }
@@ -112,6 +129,8 @@ const updateCampus = async (campusId, campusData, tenantId) => {
         throw new Error('Number of floors must be a positive integer and less than 200');
     }
 
+    const campus_code = normalizeCampusCode(campusData.campus_code);
+
     try {
         // Check if campus exists
         const existingCampus = await campusModel.getCampusById(campusId, tenantId);
@@ -119,7 +138,7 @@ const updateCampus = async (campusId, campusData, tenantId) => {
             throw new Error('Campus not found');
         }
 
-        const updatedCampus = await campusModel.updateCampus(campusId, campusData, tenantId);
+        const updatedCampus = await campusModel.updateCampus(campusId, { ...campusData, campus_code }, tenantId);
         if (!updatedCampus) {
             throw new Error('Failed to update campus');
         }
@@ -130,6 +149,7 @@ const updateCampus = async (campusId, campusData, tenantId) => {
         };
     } catch (error) {
         console.error('Error updating campus in service:', error);
+        if (error.code === '23505') throw new Error(CAMPUS_CODE_TAKEN);
         throw error;
     }
 };
@@ -1,7 +1,31 @@
 const ExamModel = require('../models/exam.model');
+const EventModel = require('../models/event.model');
+
+/**
+ * A class cannot sit two papers at once. Exams without a class_name are not checked; an exam's
+ * time is its own start/end_time, or its calendar event's when it has none.
+ */
+const assertNoClassClash = async (exam, campusId, excludeExamId = null) => {
+  if (!exam.class_name || !exam.exam_date) return;
+
+  let { start_time, end_time } = exam;
+  if (!start_time || !end_time) {
+    const event = await EventModel.getEventById(exam.event_id);
+    if (!event) throw new Error('Calendar event not found');
+    start_time = start_time || event.start_time;
+    end_time = end_time || event.end_time;
+  }
+
+  const clashes = await ExamModel.findClassClashes(campusId, exam.class_name, exam.exam_date, start_time, end_time, excludeExamId);
+  if (clashes.length > 0) {
+    const c = clashes[0];
+    throw new Error(`Class ${exam.class_name} already has ${c.subject_name} at ${String(c.start_time).slice(0, 5)}-${String(c.end_time).slice(0, 5)} on that date`);
+  }
+};
 
 const ExamService = {
   createExam: async (examData, tenantId, campusId) => {
+    await assertNoClassClash(examData, campusId);
     return await ExamModel.createExam({
       ...examData,
       tenant_id: tenantId,
@@ -18,6 +42,10 @@ const ExamService = {
   },
 
   updateExam: async (examId, examData) => {
+    const current = await ExamModel.getExamById(examId);
+    if (current) {
+      await assertNoClassClash({ ...current, ...examData }, current.campus_id, examId);
+    }
     return await ExamModel.updateExam(examId, examData);
   },
 
@@ -0,0 +1,220 @@
+const ExamAnalyticsModel = require('../models/examAnalytics.model');
+const ExamModel = require('../models/exam.model');
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const DEFAULT_BUCKET_SIZE = 10;
+
+const teacherName = (r) => [r.teacher_first_name, r.teacher_last_name].filter(Boolean).join(' ') || null;
+
+// How results can be grouped: the key rows are bucketed on, and what is shown for the group
+const GROUPINGS = {
+  exam: {
+    key: r => r.exam_id,
+    describe: r => ({ exam_id: r.exam_id, subject_name: r.subject_name, exam_date: r.exam_date, event_name: r.event_name })
+  },
+  subject: {
+    key: r => String(r.subject_name).toLowerCase(),
+    describe: r => ({ subject_name: r.subject_name })
+  },
+  class: {
+    key: r => r.class_name,
+    describe: r => ({ class_name: r.class_name })
+  },
+  section: {
+    key: r => r.section_id,
+    describe: r => ({ section_id: r.section_id, class_name: r.class_name, section_name: r.section_name })
+  },
+  teacher: {
+    key: r => r.teacher_user_id,
+    describe: r => ({ teacher_user_id: r.teacher_user_id, teacher_name: teacherName(r) })
+  },
+  term: {
+    key: r => r.term_id,
+    describe: r => ({ term_id: r.term_id, term_name: r.term_name, term_order: r.term_order, academic_year_id: r.academic_year_id })
+  },
+  academic_year: {
+    key: r => r.academic_year_id,
+    describe: r => ({ academic_year_id: r.academic_year_id, year_name: r.year_name })
+  }
+};
+
+const percentageOf = (r) => (Number(r.total_score) > 0 ? (Number(r.obtained_score) / Number(r.total_score)) * 100 : 0);
+
+const median = (sorted) => {
+  const n = sorted.length;
+  if (n === 0) return null;
+  return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+};
+
+// Buckets of bucketSize percentage points; the top bucket includes 100
+const histogram = (percentages, bucketSize) => {
+  const buckets = [];
+  for (let from = 0; from < 100; from += bucketSize) {
+    buckets.push({ from, to: Math.min(100, from + bucketSize), count: 0 });
+  }
+  percentages.forEach(p => {
+    const i = Math.min(buckets.length - 1, Math.floor(p / bucketSize));
+    buckets[Math.max(0, i)].count++;
+  });
+  return buckets;
+};
+
+/**
+ * Statistics over percentages, so exams with different totals can be compared. Absentees count
+ * towards the pass rate as fails but not towards the score statistics; Excused results are left out.
+ */
+const describe = (rows, bucketSize) => {
+  const sat = rows.filter(r => r.attendance_status === 'Present');
+  const absent = rows.filter(r => r.attendance_status === 'Absent').length;
+  const excused = rows.filter(r => r.attendance_status === 'Excused').length;
+  const percentages = sat.map(percentageOf).sort((a, b) => a - b);
+  const n = percentages.length;
+  const mean = n > 0 ? percentages.reduce((s, p) => s + p, 0) / n : null;
+  const variance = n > 0 ? percentages.reduce((s, p) => s + (p - mean) ** 2, 0) / n : null;
+  const assessed = sat.length + absent;
+  const passed = sat.filter(r => r.is_passed).length;
+
+  return {
+    results: rows.length,
+    appeared: n,
+    absent,
+    excused,
+    mean: n > 0 ? round2(mean) : null,
+    median: n > 0 ? round2(median(percentages)) : null,
+    std_dev: n > 0 ? round2(Math.sqrt(variance)) : null,
+    min: n > 0 ? round2(percentages[0]) : null,
+    max: n > 0 ? round2(percentages[n - 1]) : null,
+    passed,
+    pass_rate: assessed > 0 ? round2((passed / assessed) * 100) : null,
+    histogram: histogram(percentages, bucketSize)
+  };
+};
+
+const groupRows = (rows, groupBy, bucketSize) => {
+  const grouping = GROUPINGS[groupBy];
+  const groups = new Map();
+
+  rows.forEach(r => {
+    const key = grouping.key(r);
+    if (key === null || key === undefined) return;
+    if (!groups.has(key)) groups.set(key, { info: grouping.describe(r), rows: [] });
+    groups.get(key).rows.push(r);
+  });
+
+  return [...groups.values()].map(g => ({ ...g.info, ...describe(g.rows, bucketSize) }));
+};
+
+const parseBucketSize = (value) => {
+  if (value === undefined) return DEFAULT_BUCKET_SIZE;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > 50) throw new Error('bucket_size must be a whole number between 1 and 50');
+  return size;
+};
+
+const parseGroupBy = (value, allowed = Object.keys(GROUPINGS)) => {
+  if (value === undefined) return null;
+  if (!allowed.includes(value)) throw new Error(`group_by must be one of ${allowed.join(', ')}`);
+  return value;
+};
+
+// Each period with its statistics, the optional breakdown, and the change in mean and pass rate from the one before
+const comparePeriods = (periods, groupBy, bucketSize) => {
+  return periods.map(({ rows, ...stats }, i) => {
+    const previous = i > 0 ? periods[i - 1] : null;
+    const entry = {
+      ...stats,
+      change_from_previous: previous && stats.mean !== null && previous.mean !== null ? {
+        mean: round2(stats.mean - previous.mean),
+        pass_rate: stats.pass_rate !== null && previous.pass_rate !== null ? round2(stats.pass_rate - previous.pass_rate) : null
+      } : null
+    };
+    return groupBy ? { ...entry, groups: groupRows(rows, groupBy, bucketSize) } : entry;
+  });
+};
+
+const ExamAnalyticsService = {
+  GROUP_BY_OPTIONS: Object.keys(GROUPINGS),
+
+  /**
+   * Statistics for one exam, overall and broken down by section and by teacher
+   */
+  getExamAnalytics: async (examId, tenantId, campusId, query = {}) => {
+    const exam = await ExamModel.getExamGradingContext(examId);
+    if (!exam || exam.tenant_id !== tenantId) throw new Error('Exam not found');
+    const bucketSize = parseBucketSize(query.bucket_size);
+
+    const rows = await ExamAnalyticsModel.getResultRows(tenantId, campusId, { exam_id: examId });
+    return {
+      exam_id: exam.exam_id,
+      subject_name: exam.subject_name,
+      exam_date: exam.exam_date,
+      total_score: Number(exam.total_score),
+      overall: describe(rows, bucketSize),
+      by_section: groupRows(rows, 'section', bucketSize),
+      by_teacher: groupRows(rows, 'teacher', bucketSize)
+    };
+  },
+
+  /**
+   * Statistics over every result matching the filters, grouped by exam, subject, class, section,
+   * teacher, term or academic year
+   */
+  getSummary: async (filters, tenantId, campusId, query = {}) => {
+    const groupBy = parseGroupBy(query.group_by || 'subject');
+    const bucketSize = parseBucketSize(query.bucket_size);
+
+    const rows = await ExamAnalyticsModel.getResultRows(tenantId, campusId, filters);
+    return {
+      group_by: groupBy,
+      overall: describe(rows, bucketSize),
+      groups: groupRows(rows, groupBy, bucketSize)
+    };
+  },
+
+  /**
+   * Terms of an academic year side by side (only exams placed in a term's assessment groups count)
+   */
+  compareTerms: async (filters, tenantId, campusId, query = {}) => {
+    if (!filters.academic_year_id) throw new Error('academic_year_id required');
+    const groupBy = parseGroupBy(query.group_by, ['subject', 'class', 'section', 'teacher']);
+    const bucketSize = parseBucketSize(query.bucket_size);
+
+    const rows = (await ExamAnalyticsModel.getResultRows(tenantId, campusId, filters)).filter(r => r.term_id);
+    const terms = new Map();
+    rows.forEach(r => {
+      if (!terms.has(r.term_id)) terms.set(r.term_id, { info: GROUPINGS.term.describe(r), rows: [] });
+      terms.get(r.term_id).rows.push(r);
+    });
+
+    const periods = [...terms.values()]
+      .sort((a, b) => a.info.term_order - b.info.term_order)
+      .map(t => ({ ...t.info, ...describe(t.rows, bucketSize), rows: t.rows }));
+
+    return { group_by: groupBy, terms: comparePeriods(periods, groupBy, bucketSize) };
+  },
+
+  /**
+   * Academic years side by side, e.g. one subject in one class across years (academic_year_ids narrows the years)
+   */
+  compareYears: async (filters, tenantId, campusId, query = {}) => {
+    const groupBy = parseGroupBy(query.group_by, ['subject', 'class', 'section', 'teacher']);
+    const bucketSize = parseBucketSize(query.bucket_size);
+
+    const rows = (await ExamAnalyticsModel.getResultRows(tenantId, campusId, filters)).filter(r => r.academic_year_id);
+    const years = new Map();
+    rows.forEach(r => {
+      if (!years.has(r.academic_year_id)) years.set(r.academic_year_id, { info: GROUPINGS.academic_year.describe(r), rows: [], first: r.exam_date });
+      years.get(r.academic_year_id).rows.push(r);
+    });
+
+    // Rows come ordered by exam date, so the first row of a year places it in time
+    const periods = [...years.values()]
+      .sort((a, b) => new Date(a.first) - new Date(b.first))
+      .map(y => ({ ...y.info, ...describe(y.rows, bucketSize), rows: y.rows }));
+
+    return { group_by: groupBy, academic_years: comparePeriods(periods, groupBy, bucketSize) };
+  }
+};
+
+module.exports = { ExamAnalyticsService };
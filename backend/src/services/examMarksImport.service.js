@@ -0,0 +1,250 @@
+const ExcelJS = require('exceljs');
+const ExamModel = require('../models/exam.model');
+const ExamResultModel = require('../models/examResult.model');
+const ReportCardModel = require('../models/reportCard.model');
+const { ExamResultService } = require('./examResult.service');
+
+const ATTENDANCE_VALUES = ['Present', 'Absent', 'Excused'];
+
+const cellText = (cell) => {
+    const val = cell.value;
+    if (val === null || val === undefined) return null;
+    if (typeof val === 'object' && val.text) return val.text.toString().trim();
+    if (typeof val === 'object' && val.result !== undefined) return String(val.result).trim(); // formula cells
+    return val.toString().trim();
+};
+
+const loadExam = async (examId, tenantId) => {
+    const exam = await ExamModel.getExamById(examId);
+    if (!exam || exam.tenant_id !== tenantId) {
+        throw new Error('Exam not found');
+    }
+    return exam;
+};
+
+/**
+ * Generates the marks-entry template of one exam for one section, pre-filled with the section's
+ * students (and any marks already saved, so the sheet can also be used for corrections)
+ * @param {string} examId - Exam ID
+ * @param {number|string} sectionId - Section ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<{buffer: Buffer, fileName: string}>}
+ */
+const generateTemplate = async (examId, sectionId, tenantId) => {
+    const exam = await loadExam(examId, tenantId);
+    const students = await ReportCardModel.getStudents(exam.campus_id, { section_id: sectionId });
+    if (students.length === 0) {
+        throw new Error('No students are enrolled in this section');
+    }
+
+    const existing = await ExamResultModel.getExistingResults([examId], students.map(s => s.username));
+    const existingBy = new Map(existing.map(r => [r.student_username, r]));
+    const total = Number(exam.total_score);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Marks Entry');
+
+    worksheet.columns = [
+        { header: 'Username*', key: 'username', width: 20 },
+        { header: 'Admission Number', key: 'admissionNumber', width: 18 },
+        { header: 'Roll Number', key: 'rollNumber', width: 12 },
+        { header: 'Student Name', key: 'studentName', width: 30 },
+        { header: 'Attendance* (Present/Absent/Excused)', key: 'attendance', width: 22 },
+        { header: `Marks Obtained (out of ${total})`, key: 'marks', width: 22 }
+    ];
+
+    // Style the header row
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    students.forEach(s => {
+        const saved = existingBy.get(s.username);
+        worksheet.addRow({
+            username: s.username,
+            admissionNumber: s.admission_number,
+            rollNumber: s.roll_number,
+            studentName: [s.first_name, s.last_name].filter(Boolean).join(' '),
+            attendance: saved ? saved.attendance_status : 'Present',
+            marks: saved && saved.attendance_status === 'Present' ? Number(saved.obtained_score) : null
+        });
+    });
+
+    // Add data validation
+    worksheet.getColumn('attendance').dataValidation = {
+        type: 'list',
+        allowBlank: true,
+        formulae: [`"${ATTENDANCE_VALUES.join(',')}"`]
+    };
+    worksheet.getColumn('marks').dataValidation = {
+        type: 'decimal',
+        operator: 'between',
+        allowBlank: true,
+        formulae: [0, total],
+        showErrorMessage: true,
+        error: `Marks must be between 0 and ${total}`
+    };
+
+    // Identifies the exam and section the sheet belongs to; checked on upload
+    const info = workbook.addWorksheet('Exam Info');
+    info.columns = [
+        { header: 'Field', key: 'field', width: 20 },
+        { header: 'Value', key: 'value', width: 40 }
+    ];
+    info.getRow(1).font = { bold: true };
+    info.addRow({ field: 'Exam ID', value: exam.exam_id });
+    info.addRow({ field: 'Section ID', value: String(sectionId) });
+    info.addRow({ field: 'Subject', value: exam.subject_name });
+    info.addRow({ field: 'Exam Date', value: new Date(exam.exam_date).toISOString().split('T')[0] });
+    info.addRow({ field: 'Total Marks', value: total });
+    info.addRow({ field: 'Class / Section', value: `${students[0].class_name || ''} ${students[0].section_name || ''}`.trim() });
+
+    const fileName = `Marks_${exam.subject_name}_${students[0].class_name || ''}${students[0].section_name || ''}.xlsx`.replace(/[^\w.-]+/g, '_');
+    return { buffer: await workbook.xlsx.writeBuffer(), fileName };
+};
+
+/**
+ * Read the Exam Info sheet of an uploaded template, if it is there
+ */
+const readInfo = (workbook) => {
+    const info = {};
+    const sheet = workbook.getWorksheet('Exam Info');
+    if (!sheet) return info;
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        info[cellText(row.getCell(1))] = cellText(row.getCell(2));
+    });
+    return info;
+};
+
+/**
+ * Validate every row of an uploaded marks sheet and save the valid ones through createBulkResults.
+ * Present rows without marks are skipped (not yet entered); invalid rows are reported
+ * with their sheet row number and do not stop the valid rows from being saved.
+ * @param {string} filePath - Path to uploaded file
+ * @param {string} examId - Exam ID
+ * @param {Object} context - { tenantId, campusId, user, reason }
+ * @returns {Promise<Object>} Summary with row-level errors
+ */
+const importMarks = async (filePath, examId, { tenantId, campusId, user, reason }) => {
+    const exam = await loadExam(examId, tenantId);
+    const total = Number(exam.total_score);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const worksheet = workbook.getWorksheet('Marks Entry') || workbook.getWorksheet(1);
+    if (!worksheet) {
+        throw new Error('Invalid Excel file: No worksheet found');
+    }
+
+    const info = readInfo(workbook);
+    if (info['Exam ID'] && info['Exam ID'] !== exam.exam_id) {
+        throw new Error('This sheet was downloaded for a different exam');
+    }
+
+    // Get headers map
+    const headers = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        headers[colNumber] = cell.value ? cell.value.toString().toLowerCase() : '';
+    });
+
+    const column = (keyPart) => {
+        const found = Object.entries(headers).find(([, header]) => header.includes(keyPart));
+        return found ? parseInt(found[0]) : null;
+    };
+    const usernameCol = column('username');
+    const attendanceCol = column('attendance');
+    const marksCol = column('marks');
+    if (!usernameCol || !marksCol) {
+        throw new Error('Invalid template: Username and Marks columns are required');
+    }
+
+    const sheetRows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        sheetRows.push({
+            rowNumber,
+            username: cellText(row.getCell(usernameCol)),
+            attendance: attendanceCol ? cellText(row.getCell(attendanceCol)) : null,
+            marks: cellText(row.getCell(marksCol))
+        });
+    });
+
+    // Students the sheet may contain: the section it was made for, or anyone enrolled on the campus
+    const usernames = [...new Set(sheetRows.map(r => r.username).filter(Boolean))];
+    const enrolled = usernames.length > 0
+        ? await ReportCardModel.getStudents(exam.campus_id, { usernames })
+        : [];
+    const enrolledBy = new Map(enrolled.map(s => [s.username, s]));
+    const sectionId = info['Section ID'] || null;
+
+    const results = {
+        total: sheetRows.length,
+        imported: 0,
+        skipped: 0,
+        failed: 0,
+        errors: []
+    };
+
+    const seen = new Set();
+    const valid = [];
+
+    sheetRows.forEach(r => {
+        const fail = (message) => {
+            results.failed++;
+            results.errors.push({ row: r.rowNumber, username: r.username, message });
+        };
+
+        if (!r.username && !r.attendance && !r.marks) {
+            results.total--; // Trailing empty row
+            return;
+        }
+        if (!r.username) return fail('Username is required');
+        if (seen.has(r.username)) return fail('Username appears more than once in the sheet');
+        seen.add(r.username);
+
+        const student = enrolledBy.get(r.username);
+        if (!student) return fail('Student is not enrolled on this campus');
+        if (sectionId && String(student.section_id) !== String(sectionId)) {
+            return fail('Student is not in the section this sheet was made for');
+        }
+
+        const attendance = r.attendance
+            ? ATTENDANCE_VALUES.find(v => v.toLowerCase() === r.attendance.toLowerCase())
+            : 'Present';
+        if (!attendance) return fail(`Attendance must be one of ${ATTENDANCE_VALUES.join(', ')}`);
+
+        if (attendance !== 'Present') {
+            valid.push({ exam_id: examId, student_username: r.username, attendance_status: attendance, obtained_score: 0 });
+            return;
+        }
+
+        // The template pre-fills Present, so a present student without marks is simply not entered yet
+        if (r.marks === null || r.marks === '') {
+            results.skipped++;
+            return;
+        }
+        const marks = Number(r.marks);
+        if (isNaN(marks)) return fail(`Marks "${r.marks}" is not a number`);
+        if (marks < 0 || marks > total) return fail(`Marks must be between 0 and ${total}`);
+        if (Math.round(marks * 100) !== marks * 100) return fail('Marks can have at most two decimal places');
+
+        valid.push({ exam_id: examId, student_username: r.username, attendance_status: 'Present', obtained_score: marks });
+    });
+
+    if (valid.length > 0) {
+        const saved = await ExamResultService.createBulkResults(valid, tenantId, campusId, { user, reason });
+        results.imported = saved.length;
+    }
+
+    return results;
+};
+
+module.exports = {
+    generateTemplate,
+    importMarks
+};
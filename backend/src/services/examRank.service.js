@@ -0,0 +1,275 @@
+const { pool } = require('../config/database');
+const config = require('../config');
+const ExamRankModel = require('../models/examRank.model');
+const ExamModel = require('../models/exam.model');
+const ReportCardModel = require('../models/reportCard.model');
+const { ReportCardService } = require('./reportCard.service');
+
+const TIE_METHODS = ['competition', 'dense'];
+const RANK_LEVELS = ['section', 'class', 'campus'];
+const DEFAULT_TIE_METHOD = 'competition';
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/**
+ * Rank entries ({ score, ... }) highest first. Competition ranking skips after a tie (1, 1, 3),
+ * dense ranking does not (1, 1, 2). Percentile is the share of the group scoring at or below.
+ */
+const rankEntries = (entries, tieMethod) => {
+  const sorted = [...entries].sort((a, b) => b.score - a.score);
+  const n = sorted.length;
+  let competitionRank = 0;
+  let denseRank = 0;
+  let previous = null;
+
+  return sorted.map((e, i) => {
+    if (previous === null || e.score !== previous) {
+      competitionRank = i + 1;
+      denseRank++;
+      previous = e.score;
+    }
+    return {
+      ...e,
+      rank: tieMethod === 'dense' ? denseRank : competitionRank,
+      percentile: round2(((n - competitionRank + 1) / n) * 100),
+      group_size: n
+    };
+  });
+};
+
+// Rank the same scores within each section, each class and the whole campus
+const buildRankRows = (entries, base, tieMethod) => {
+  const rows = [];
+
+  RANK_LEVELS.forEach(level => {
+    const groups = {};
+    entries.forEach(e => {
+      const key = level === 'section' ? e.section_id : level === 'class' ? e.class_name : base.campus_id;
+      if (key === null || key === undefined) return;
+      (groups[key] = groups[key] || []).push(e);
+    });
+
+    Object.entries(groups).forEach(([group_key, members]) => {
+      rankEntries(members, tieMethod).forEach(r => rows.push({
+        ...base,
+        subject_name: r.subject_name || null,
+        rank_level: level,
+        group_key: String(group_key),
+        student_username: r.student_username,
+        score: r.score,
+        rank: r.rank,
+        percentile: r.percentile,
+        group_size: r.group_size,
+        tie_method: tieMethod
+      }));
+    });
+  });
+
+  return rows;
+};
+
+const getTieMethod = async (campusId) => {
+  const settings = await ExamRankModel.getSettings(campusId);
+  return settings?.tie_method || DEFAULT_TIE_METHOD;
+};
+
+const replaceInTransaction = async (scope, rows) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const count = await ExamRankModel.replaceRanks(client, scope, rows);
+    await client.query('COMMIT');
+    return count;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Manual recomputes only touch exams and terms of the caller's own campus
+const assertInScope = (row, scope, what) => {
+  if (!row || (scope && (row.tenant_id !== scope.tenantId || row.campus_id !== scope.campusId))) {
+    throw new Error(`${what} not found`);
+  }
+};
+
+const ExamRankService = {
+  rankEntries,
+
+  // Rank everyone who sat the exam by percentage; absentees and excused students are not ranked
+  recomputeExam: async (examId) => {
+    const scores = await ExamRankModel.getExamScores(pool, examId);
+    if (scores.length === 0) {
+      await replaceInTransaction({ scope_type: 'exam', exam_id: examId }, []);
+      return { exam_id: examId, ranks_stored: 0 };
+    }
+
+    const { tenant_id, campus_id } = scores[0];
+    const tieMethod = await getTieMethod(campus_id);
+    const entries = scores.map(s => ({
+      student_username: s.student_username,
+      section_id: s.section_id,
+      class_name: s.class_name,
+      score: Number(s.total_score) > 0 ? round2((Number(s.obtained_score) / Number(s.total_score)) * 100) : 0
+    }));
+
+    const rows = buildRankRows(entries, { tenant_id, campus_id, scope_type: 'exam', exam_id: examId, term_id: null }, tieMethod);
+    const stored = await replaceInTransaction({ scope_type: 'exam', exam_id: examId }, rows);
+    return { exam_id: examId, tie_method: tieMethod, ranks_stored: stored };
+  },
+
+  // Rank the term's overall percentage and each subject's term percentage, as on the report cards
+  recomputeTerm: async (termId, scope = null) => {
+    const term = await ReportCardModel.getTermById(termId);
+    assertInScope(term, scope, 'Term');
+
+    const tieMethod = await getTieMethod(term.campus_id);
+    const cards = (await ReportCardService.getTermReportCards(term)).filter(c => c.subjects.length > 0);
+    const base = { tenant_id: term.tenant_id, campus_id: term.campus_id, exam_id: null, term_id: termId };
+
+    const placement = (card) => ({
+      student_username: card.student.username,
+      section_id: card.student.section_id,
+      class_name: card.student.class_name
+    });
+
+    const rows = buildRankRows(
+      cards.map(c => ({ ...placement(c), score: c.overall.percentage })),
+      { ...base, scope_type: 'term' },
+      tieMethod
+    );
+
+    const bySubject = {};
+    cards.forEach(c => c.subjects.forEach(s => {
+      (bySubject[s.subject_name] = bySubject[s.subject_name] || []).push({ ...placement(c), subject_name: s.subject_name, score: s.percentage });
+    }));
+    Object.values(bySubject).forEach(entries => {
+      rows.push(...buildRankRows(entries, { ...base, scope_type: 'term_subject' }, tieMethod));
+    });
+
+    const stored = await replaceInTransaction({ scope_type: 'term', term_id: termId }, rows);
+    return { term_id: termId, tie_method: tieMethod, ranks_stored: stored };
+  },
+
+  // An exam's results changed: its own ranks and those of every term it counts towards
+  recomputeForExam: async (examId, scope = null) => {
+    if (scope) assertInScope(await ExamModel.getExamGradingContext(examId), scope, 'Exam');
+    const examResult = await ExamRankService.recomputeExam(examId);
+    const termIds = await ReportCardModel.getTermIdsForExam(examId);
+    const terms = [];
+    for (const termId of termIds) {
+      terms.push(await ExamRankService.recomputeTerm(termId));
+    }
+    return { ...examResult, terms };
+  },
+
+  /**
+   * Results of these exams changed. Exam ranks are rebuilt straight away; the terms they count
+   * towards rebuild every report card, so they are flagged in the database for the term rank job
+   * (refreshStaleTerms) and survive a restart. Ranks are derived data: a failed recompute is
+   * logged rather than failing the change that caused it.
+   */
+  refreshForExams: async (examIds) => {
+    for (const examId of new Set(examIds.filter(Boolean))) {
+      try {
+        await ExamRankService.recomputeExam(examId);
+        await ExamRankModel.markTermsStale(await ReportCardModel.getTermIdsForExam(examId));
+      } catch (error) {
+        console.error(`Rank recompute failed for exam ${examId}:`, error);
+      }
+    }
+  },
+
+  // Rebuild flagged terms that have had no result edit for the quiet period
+  refreshStaleTerms: async () => {
+    const { quietSeconds, claimTimeoutSeconds } = config.jobs.termRankRefresh;
+    const claimed = await ExamRankModel.claimStaleTerms(quietSeconds, claimTimeoutSeconds);
+
+    const summary = { refreshed: 0, failed: 0 };
+    for (const { term_id, requested_at } of claimed) {
+      try {
+        await ExamRankService.recomputeTerm(term_id);
+        await ExamRankModel.finishTermRefresh(term_id, requested_at);
+        summary.refreshed++;
+      } catch (error) {
+        console.error(`Rank recompute failed for term ${term_id}:`, error);
+        await ExamRankModel.releaseTermRefresh(term_id);
+        summary.failed++;
+      }
+    }
+    return summary;
+  },
+
+  recomputeCampus: async (tenantId, campusId) => {
+    const examIds = await ExamRankModel.getExamIdsWithResults(campusId);
+    for (const examId of examIds) {
+      await ExamRankService.recomputeExam(examId);
+    }
+    const terms = await ReportCardModel.getTerms(tenantId, campusId);
+    for (const term of terms) {
+      await ExamRankService.recomputeTerm(term.term_id);
+    }
+    return { exams_ranked: examIds.length, terms_ranked: terms.length };
+  },
+
+  getSettings: async (campusId) => {
+    return { campus_id: campusId, tie_method: await getTieMethod(campusId) };
+  },
+
+  // Changing the tie method re-ranks everything stored for the campus
+  updateSettings: async ({ tie_method }, tenantId, campusId, updatedBy) => {
+    if (!TIE_METHODS.includes(tie_method)) {
+      throw new Error(`tie_method must be one of ${TIE_METHODS.join(', ')}`);
+    }
+    const previous = await getTieMethod(campusId);
+    const settings = await ExamRankModel.upsertSettings({ campus_id: campusId, tenant_id: tenantId, tie_method, updated_by: updatedBy });
+    const recomputed = previous !== tie_method ? await ExamRankService.recomputeCampus(tenantId, campusId) : null;
+    return { settings, recomputed };
+  },
+
+  /**
+   * Stored ranks. filters: { scope_type, exam_id | term_id, subject_name?, rank_level?, group_key? }
+   */
+  getRanks: async (filters, campusId) => {
+    if (filters.rank_level && !RANK_LEVELS.includes(filters.rank_level)) {
+      throw new Error(`rank_level must be one of ${RANK_LEVELS.join(', ')}`);
+    }
+    const rows = await ExamRankModel.getRanks(filters);
+    return rows.filter(r => r.campus_id === campusId);
+  },
+
+  // Top N of every section / class (or the campus), ties included
+  getToppers: async (filters, campusId) => {
+    const limit = Math.max(1, Number(filters.limit) || 3);
+    const rows = await ExamRankService.getRanks({ ...filters, max_rank: limit }, campusId);
+
+    const groups = {};
+    rows.forEach(r => {
+      const key = `${r.rank_level}::${r.subject_name || ''}::${r.group_key}`;
+      if (!groups[key]) {
+        groups[key] = {
+          rank_level: r.rank_level,
+          group_key: r.group_key,
+          subject_name: r.subject_name,
+          class_name: r.rank_level === 'campus' ? null : r.class_name,
+          section_name: r.rank_level === 'section' ? r.section_name : null,
+          toppers: []
+        };
+      }
+      groups[key].toppers.push({
+        rank: r.rank,
+        student_username: r.student_username,
+        student_name: `${r.first_name} ${r.last_name}`,
+        admission_number: r.admission_number,
+        score: Number(r.score),
+        percentile: Number(r.percentile)
+      });
+    });
+
+    return Object.values(groups);
+  }
+};
+
+module.exports = { ExamRankService };
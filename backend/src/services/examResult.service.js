@@ -1,107 +1,229 @@
+const { pool } = require('../config/database');
 const ExamResultModel = require('../models/examResult.model');
 const ExamModel = require('../models/exam.model');
+const { GradingSchemeService } = require('./gradingScheme.service');
+const { ExamRankService } = require('./examRank.service');
+const { ExamResultWorkflowService } = require('./examResultWorkflow.service');
+
+// The marks-bearing fields recorded in the moderation log
+const snapshot = (r) => (r ? {
+  attendance_status: r.attendance_status,
+  obtained_score: r.obtained_score,
+  is_passed: r.is_passed,
+  grade: r.grade,
+  grade_point: r.grade_point,
+  grace_applied: r.grace_applied
+} : null);
+
+const loadEditableExam = async (examId, reason) => {
+  const exam = await ExamModel.getExamGradingContext(examId);
+  if (!exam) throw new Error('Exam not found');
+  ExamResultWorkflowService.assertEditable(exam, reason);
+  return exam;
+};
+
+// Moderation entries are only kept once results have left Draft; written on the client that saved the edit
+const logModeration = async (client, exam, changes, { user, reason } = {}) => {
+  if (!ExamResultWorkflowService.needsModerationLog(exam)) return;
+  await ExamResultWorkflowService.logChanges(exam, changes, reason, user, client);
+};
+
+// A result edit and its moderation entries are saved together or not at all
+const inTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Students and parents see only their own (or their children's) results, and only once published
+const canView = (scope, exam, studentUsername) => !scope || (
+  ExamResultWorkflowService.VISIBLE_STATUSES.includes(exam?.result_status) && scope.usernames.has(studentUsername)
+);
 
 const ExamResultService = {
-  createResult: async (resultData, tenantId, campusId) => {
-    // Calculate is_passed
-    if (resultData.exam_id && resultData.obtained_score !== undefined) {
-      const exam = await ExamModel.getExamById(resultData.exam_id);
-      if (exam) {
-        // passing_score is available in exam object because it is a stored generated column
-        // Ensure we handle types correctly (DECIMAL comes as string from pg usually)
-        const passingScore = parseFloat(exam.passing_score);
-        const obtainedScore = parseFloat(resultData.obtained_score);
-        resultData.is_passed = obtainedScore >= passingScore;
-      }
+  /**
+   * actor: { user, reason } - the reason is required once the exam's results have been submitted
+   */
+  createResult: async (resultData, tenantId, campusId, actor = {}) => {
+    if (!resultData.exam_id) throw new Error('exam_id is required');
+    const exam = await loadEditableExam(resultData.exam_id, actor.reason);
+
+    // Calculate is_passed, and the grade when a grading scheme applies
+    if (resultData.obtained_score !== undefined) {
+      // passing_score is available in exam object because it is a stored generated column
+      Object.assign(resultData, await GradingSchemeService.gradeResult(exam, resultData));
     }
 
-    return await ExamResultModel.createResult({
-      ...resultData,
-      tenant_id: tenantId,
-      campus_id: campusId
+    const result = await inTransaction(async (client) => {
+      const created = await ExamResultModel.createResult({
+        ...resultData,
+        tenant_id: tenantId,
+        campus_id: campusId
+      }, client);
+      await logModeration(client, exam, [{
+        result_id: created.result_id,
+        student_username: created.student_username,
+        change_type: 'create',
+        new_values: snapshot(created)
+      }], actor);
+      return created;
     });
+    await ExamRankService.refreshForExams([result.exam_id]);
+    return result;
   },
 
-  createBulkResults: async (resultsData, tenantId, campusId) => {
-    // Pre-process results to calculate is_passed
-    // We can optimize by fetching exam details once if all results are for the same exam
-    // But assuming mixed, we might need to fetch. 
-    // Usually bulk save is for one exam. Let's check if exam_id is same.
-    
+  createBulkResults: async (resultsData, tenantId, campusId, actor = {}) => {
     if (!resultsData || resultsData.length === 0) return [];
 
+    // Usually bulk save is for one exam, so exams and the campus's schemes are fetched once
     const examIds = [...new Set(resultsData.map(r => r.exam_id))];
+    if (examIds.some(eid => !eid)) throw new Error('exam_id is required for every result');
     const examMap = {};
 
     for (const eid of examIds) {
-      if (eid) {
-        const exam = await ExamModel.getExamById(eid);
-        if (exam) examMap[eid] = exam;
-      }
+      examMap[eid] = await loadEditableExam(eid, actor.reason);
     }
 
-    const processedData = resultsData.map(data => {
+    const moderated = examIds.filter(eid => ExamResultWorkflowService.needsModerationLog(examMap[eid]));
+    const previous = moderated.length > 0
+      ? await ExamResultModel.getExistingResults(moderated, [...new Set(resultsData.map(r => r.student_username))])
+      : [];
+    const previousMap = new Map(previous.map(r => [`${r.exam_id}::${r.student_username}`, r]));
+
+    const schemes = await GradingSchemeService.getActiveSchemes(campusId);
+
+    const processedData = [];
+    for (const data of resultsData) {
       const exam = examMap[data.exam_id];
-      let is_passed = data.is_passed;
-      
+      let graded = {};
+
       if (exam && data.obtained_score !== undefined) {
-        const passingScore = parseFloat(exam.passing_score);
-        const obtainedScore = parseFloat(data.obtained_score);
-        is_passed = obtainedScore >= passingScore;
+        graded = await GradingSchemeService.gradeResult(exam, data, schemes);
       }
 
-      return {
+      processedData.push({
         ...data,
-        is_passed,
+        ...graded,
         tenant_id: tenantId,
         campus_id: campusId
-      };
+      });
+    }
+
+    const results = await inTransaction(async (client) => {
+      const saved = await ExamResultModel.createBulkResults(processedData, client);
+
+      for (const eid of moderated) {
+        await logModeration(client, examMap[eid], saved.filter(r => r.exam_id === eid).map(r => {
+          const before = previousMap.get(`${r.exam_id}::${r.student_username}`);
+          return {
+            result_id: r.result_id,
+            student_username: r.student_username,
+            change_type: before ? 'update' : 'create',
+            old_values: snapshot(before),
+            new_values: snapshot(r)
+          };
+        }), actor);
+      }
+      return saved;
     });
 
-    return await ExamResultModel.createBulkResults(processedData);
+    await ExamRankService.refreshForExams(results.map(r => r.exam_id));
+    return results;
   },
 
-  getResultById: async (resultId) => {
-    return await ExamResultModel.getResultById(resultId);
+  getResultById: async (resultId, user) => {
+    const result = await ExamResultModel.getResultById(resultId);
+    if (!result) return result;
+
+    const scope = await ExamResultWorkflowService.getViewerScope(user);
+    if (scope) {
+      const exam = await ExamModel.getExamGradingContext(result.exam_id);
+      if (!canView(scope, exam, result.student_username)) return null;
+    }
+    return result;
   },
 
-  getResultsByExamId: async (examId) => {
-    return await ExamResultModel.getResultsByExamId(examId);
+  getResultsByExamId: async (examId, user) => {
+    const results = await ExamResultModel.getResultsByExamId(examId);
+    const scope = await ExamResultWorkflowService.getViewerScope(user);
+    if (!scope) return results;
+
+    const exam = await ExamModel.getExamGradingContext(examId);
+    return results.filter(r => canView(scope, exam, r.student_username));
   },
 
-  getResultsByStudentId: async (studentUsername) => {
-    return await ExamResultModel.getResultsByStudentId(studentUsername);
+  getResultsByStudentId: async (studentUsername, user) => {
+    const results = await ExamResultModel.getResultsByStudentId(studentUsername);
+    const scope = await ExamResultWorkflowService.getViewerScope(user);
+    if (!scope) return results;
+
+    return results.filter(r => canView(scope, r, r.student_username));
   },
 
-  updateResult: async (resultId, resultData) => {
-    // If obtained_score is being updated, we might need to recalculate is_passed
-    // We need the exam_id to fetch passing_score. 
-    // We can first fetch the existing result to get exam_id if not provided, 
-    // but typically update doesn't change exam_id.
-    
-    if (resultData.obtained_score !== undefined) {
-      // We need to know the exam's passing score.
-      // First, get the current result to find exam_id
-      const currentResult = await ExamResultModel.getResultById(resultId);
-      if (!currentResult) {
-        throw new Error('Exam result not found');
-      }
-      
-      const examId = currentResult.exam_id;
-      const exam = await ExamModel.getExamById(examId);
-      
-      if (exam) {
-        const passingScore = parseFloat(exam.passing_score);
-        const obtainedScore = parseFloat(resultData.obtained_score);
-        resultData.is_passed = obtainedScore >= passingScore;
-      }
+  updateResult: async (resultId, resultData, actor = {}) => {
+    // Grading needs the exam's passing score and scheme, and the workflow status decides
+    // whether the result may change at all, so the current result is always loaded first
+    const currentResult = await ExamResultModel.getResultById(resultId);
+    if (!currentResult) {
+      throw new Error('Exam result not found');
+    }
+
+    const exam = await loadEditableExam(currentResult.exam_id, actor.reason);
+
+    if (resultData.obtained_score !== undefined || resultData.attendance_status !== undefined) {
+      Object.assign(resultData, await GradingSchemeService.gradeResult(exam, { ...currentResult, ...resultData }));
     }
 
-    return await ExamResultModel.updateResult(resultId, resultData);
+    const result = await inTransaction(async (client) => {
+      const updated = await ExamResultModel.updateResult(resultId, resultData, client);
+      if (updated) {
+        await logModeration(client, exam, [{
+          result_id: updated.result_id,
+          student_username: updated.student_username,
+          change_type: 'update',
+          old_values: snapshot(currentResult),
+          new_values: snapshot(updated)
+        }], actor);
+      }
+      return updated;
+    });
+    if (result) {
+      await ExamRankService.refreshForExams([result.exam_id]);
+    }
+    return result;
   },
 
-  deleteResult: async (resultId) => {
-    return await ExamResultModel.deleteResult(resultId);
+  deleteResult: async (resultId, actor = {}) => {
+    const currentResult = await ExamResultModel.getResultById(resultId);
+    if (!currentResult) return currentResult;
+
+    const exam = await loadEditableExam(currentResult.exam_id, actor.reason);
+
+    const result = await inTransaction(async (client) => {
+      const deleted = await ExamResultModel.deleteResult(resultId, client);
+      if (deleted) {
+        await logModeration(client, exam, [{
+          result_id: deleted.result_id,
+          student_username: deleted.student_username,
+          change_type: 'delete',
+          old_values: snapshot(deleted)
+        }], actor);
+      }
+      return deleted;
+    });
+    if (result) {
+      await ExamRankService.refreshForExams([result.exam_id]);
+    }
+    return result;
   }
 };
 
@@ -0,0 +1,154 @@
+const { pool } = require('../config/database');
+const ExamResultWorkflowModel = require('../models/examResultWorkflow.model');
+
+/**
+ * Allowed transitions. Teachers submit their marks, a Head of Department (or Admin) verifies or
+ * returns them, and only an Admin publishes, locks and re-opens. Re-opening sends a locked exam
+ * back to Draft, which hides it from students until it is published again.
+ */
+const TRANSITIONS = {
+  submit: { from: ['Draft'], to: 'Submitted', roles: ['Admin', 'Teacher'] },
+  verify: { from: ['Submitted'], to: 'Verified', roles: ['Admin', 'HOD'] },
+  return: { from: ['Submitted', 'Verified'], to: 'Draft', roles: ['Admin', 'HOD'], reasonRequired: true },
+  publish: { from: ['Verified'], to: 'Published', roles: ['Admin'] },
+  lock: { from: ['Published'], to: 'Locked', roles: ['Admin'] },
+  reopen: { from: ['Locked'], to: 'Draft', roles: ['Admin'], reasonRequired: true }
+};
+
+// Statuses in which students and parents may see results
+const VISIBLE_STATUSES = ['Published', 'Locked'];
+
+const STAFF_ROLES = ['Admin', 'Teacher', 'Employee', 'Superadmin', 'Zonaladmin'];
+
+const rolesOf = (user) => user?.roles || [user?.role];
+
+const userIdOf = (user) => user?.userId || user?.user_id || null;
+
+const hasRole = async (user, allowed, campusId) => {
+  const roles = rolesOf(user);
+  if (allowed.some(r => roles.includes(r))) return true;
+  if (allowed.includes('HOD') && roles.includes('Teacher')) {
+    return await ExamResultWorkflowModel.isHeadOfDepartment(user.username, campusId);
+  }
+  return false;
+};
+
+const ExamResultWorkflowService = {
+  VISIBLE_STATUSES,
+
+  /**
+   * Move an exam's results through the workflow. body: { action, reason? }
+   */
+  transition: async (examId, { action, reason }, user) => {
+    const rule = TRANSITIONS[action];
+    if (!rule) throw new Error(`action must be one of ${Object.keys(TRANSITIONS).join(', ')}`);
+    const trimmedReason = reason ? String(reason).trim() : null;
+    if (rule.reasonRequired && !trimmedReason) throw new Error(`A reason is required to ${action}`);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const exam = await ExamResultWorkflowModel.getExamForUpdate(client, examId);
+      if (!exam || exam.tenant_id !== user.tenantId) throw new Error('Exam not found');
+      if (!rule.from.includes(exam.result_status)) {
+        throw new Error(`Cannot ${action} an exam whose results are ${exam.result_status}`);
+      }
+      if (!await hasRole(user, rule.roles, exam.campus_id)) {
+        throw new Error(`Not allowed to ${action} results`);
+      }
+
+      if (action === 'submit' && await ExamResultWorkflowModel.countResults(client, examId) === 0) {
+        throw new Error('No results have been entered for this exam');
+      }
+      // Four eyes: a teacher HOD cannot verify marks they submitted themselves
+      if (action === 'verify' && !rolesOf(user).includes('Admin')) {
+        const submitter = await ExamResultWorkflowModel.getLastSubmitter(client, examId);
+        if (submitter && String(submitter) === String(userIdOf(user))) {
+          throw new Error('Results must be verified by someone other than the submitter');
+        }
+      }
+
+      const updated = await ExamResultWorkflowModel.setStatus(client, examId, rule.to);
+      const log = await ExamResultWorkflowModel.insertWorkflowLog(client, {
+        exam_id: examId,
+        action,
+        from_status: exam.result_status,
+        to_status: rule.to,
+        reason: trimmedReason,
+        acted_by: userIdOf(user)
+      });
+
+      await client.query('COMMIT');
+      return { exam: updated, log };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  getWorkflow: async (exam) => {
+    const history = await ExamResultWorkflowModel.getWorkflowLog(exam.exam_id);
+    return {
+      exam_id: exam.exam_id,
+      result_status: exam.result_status,
+      published_at: exam.published_at,
+      allowed_actions: Object.entries(TRANSITIONS).filter(([, r]) => r.from.includes(exam.result_status)).map(([a]) => a),
+      history
+    };
+  },
+
+  getModerationLog: async (examId) => {
+    return await ExamResultWorkflowModel.getModerationLog(examId);
+  },
+
+  /**
+   * Edits are free while Draft. From Submitted on they need a reason (and get logged);
+   * a Locked exam cannot be changed until an Admin re-opens it.
+   */
+  assertEditable: (exam, reason) => {
+    if (exam.result_status === 'Locked') {
+      throw new Error('Results of this exam are locked; an Admin must re-open it before changes can be made');
+    }
+    if (exam.result_status !== 'Draft' && (!reason || String(reason).trim().length === 0)) {
+      throw new Error(`A reason is required to change results once the exam is ${exam.result_status}`);
+    }
+  },
+
+  needsModerationLog: (exam) => exam.result_status !== 'Draft',
+
+  // Pass the client that saved the results so the edits and their log entries commit together
+  logChanges: async (exam, changes, reason, user, client) => {
+    return await ExamResultWorkflowModel.insertModerationLogs(changes.map(c => ({
+      exam_id: exam.exam_id,
+      result_id: c.result_id,
+      student_username: c.student_username,
+      change_type: c.change_type,
+      exam_status: exam.result_status,
+      old_values: c.old_values || null,
+      new_values: c.new_values || null,
+      reason: String(reason).trim(),
+      changed_by: userIdOf(user)
+    })), client);
+  },
+
+  /**
+   * Which students' results a user may read: null for staff (everything), otherwise their own
+   * username or their children's, and then only for Published/Locked exams.
+   */
+  getViewerScope: async (user) => {
+    const roles = rolesOf(user);
+    if (roles.some(r => STAFF_ROLES.includes(r))) return null;
+
+    const usernames = new Set();
+    if (roles.includes('Student')) usernames.add(user.username);
+    if (roles.includes('Parent')) {
+      (await ExamResultWorkflowModel.getChildUsernames(user.username)).forEach(u => usernames.add(u));
+    }
+    return { usernames };
+  }
+};
+
+module.exports = { ExamResultWorkflowService };
@@ -0,0 +1,228 @@
+const { pool } = require('../config/database');
+const ExamSeatingModel = require('../models/examSeating.model');
+const ReportCardModel = require('../models/reportCard.model');
+
+const sectionKey = (c) => (c.section_id ? `s:${c.section_id}` : `c:${c.class_name || ''}`);
+
+/**
+ * Order candidates so that consecutive seats come from different sections wherever the numbers
+ * allow: always take the next student from the section with the most still waiting, skipping the
+ * section just seated. Students of one section keep their roll order.
+ */
+const interleave = (candidates) => {
+  const queues = {};
+  candidates.forEach(c => { (queues[sectionKey(c)] = queues[sectionKey(c)] || []).push(c); });
+
+  const ordered = [];
+  let lastKey = null;
+  while (ordered.length < candidates.length) {
+    const keys = Object.keys(queues).filter(k => queues[k].length > 0);
+    const choices = keys.length > 1 ? keys.filter(k => k !== lastKey) : keys;
+    choices.sort((a, b) => queues[b].length - queues[a].length || a.localeCompare(b));
+    lastKey = choices[0];
+    ordered.push(queues[lastKey].shift());
+  }
+  return ordered;
+};
+
+// Fill rooms in order, seat 1 upwards
+const assignSeats = (ordered, rooms) => {
+  const seats = [];
+  let i = 0;
+  for (const room of rooms) {
+    for (let seat = 1; seat <= Number(room.capacity) && i < ordered.length; seat++, i++) {
+      const c = ordered[i];
+      seats.push({
+        room_id: room.room_id,
+        seat_number: seat,
+        exam_id: c.exam_id,
+        student_username: c.username,
+        class_name: c.class_name,
+        section_id: c.section_id
+      });
+    }
+  }
+  return seats;
+};
+
+// Spread duties round-robin over the staff list, which comes least-loaded first
+const assignInvigilators = (roomIds, invigilators, perRoom) => {
+  const needed = roomIds.length * perRoom;
+  if (invigilators.length < needed) {
+    throw new Error(`${needed} invigilators needed but only ${invigilators.length} staff are available on this date`);
+  }
+  const duties = [];
+  let next = 0;
+  roomIds.forEach(room_id => {
+    for (let n = 0; n < perRoom; n++) {
+      duties.push({ room_id, invigilator_username: invigilators[next++].username });
+    }
+  });
+  return duties;
+};
+
+const loadPlan = async (planId, tenantId) => {
+  const plan = await ExamSeatingModel.getPlanById(planId);
+  if (!plan || plan.tenant_id !== tenantId) throw new Error('Seating plan not found');
+  return plan;
+};
+
+const ExamSeatingService = {
+  interleave,
+
+  /**
+   * Build and save a seating plan.
+   * planData: { exam_date, plan_name?, room_ids?, invigilators_per_room? (default 1),
+   *             exams: [{ exam_id, section_ids?, class_names?, student_usernames? }] }
+   * Rooms default to every room of the campus with a capacity that is not already in use that day.
+   */
+  generatePlan: async (planData, tenantId, campusId, createdBy) => {
+    const { exam_date } = planData;
+    if (!exam_date || isNaN(new Date(exam_date).getTime())) throw new Error('exam_date is invalid');
+    if (!Array.isArray(planData.exams) || planData.exams.length === 0) throw new Error('exams must be a non-empty array');
+
+    const perRoom = planData.invigilators_per_room !== undefined ? Number(planData.invigilators_per_room) : 1;
+    if (!Number.isInteger(perRoom) || perRoom < 0) throw new Error('invigilators_per_room must be a whole number');
+
+    const examIds = planData.exams.map(e => e.exam_id);
+    const exams = await ExamSeatingModel.getExamsOnDate(campusId, exam_date, examIds);
+    const examMap = new Map(exams.map(e => [e.exam_id, e]));
+    examIds.forEach(id => {
+      if (!examMap.has(id)) throw new Error(`Exam ${id} is not scheduled on ${exam_date} at this campus`);
+    });
+
+    // Students sitting each exam; a student can only take one seat in a plan
+    const candidates = [];
+    const seen = new Map();
+    for (const entry of planData.exams) {
+      const students = await ExamSeatingModel.getCandidates(campusId, {
+        section_ids: entry.section_ids || [],
+        class_names: entry.class_names || [],
+        student_usernames: entry.student_usernames || []
+      });
+      for (const s of students) {
+        if (seen.has(s.username)) {
+          if (seen.get(s.username) === entry.exam_id) continue;
+          throw new Error(`Student ${s.username} is listed for more than one exam in this plan`);
+        }
+        seen.set(s.username, entry.exam_id);
+        candidates.push({ ...s, exam_id: entry.exam_id });
+      }
+    }
+    if (candidates.length === 0) throw new Error('No students found for the selected exams');
+
+    const rooms = await ExamSeatingModel.getFreeRooms(campusId, exam_date, planData.room_ids);
+    if (planData.room_ids && planData.room_ids.length > rooms.length) {
+      throw new Error('Some of the selected rooms do not exist, have no capacity or are already in use that day');
+    }
+    const capacity = rooms.reduce((s, r) => s + Number(r.capacity), 0);
+    if (capacity < candidates.length) {
+      throw new Error(`${candidates.length} students but only ${capacity} seats in the available rooms`);
+    }
+
+    const seats = assignSeats(interleave(candidates), rooms);
+    const usedRoomIds = [...new Set(seats.map(s => s.room_id))];
+    const invigilators = perRoom > 0 ? await ExamSeatingModel.getAvailableInvigilators(campusId, exam_date) : [];
+    const duties = assignInvigilators(usedRoomIds, invigilators, perRoom);
+
+    const client = await pool.connect();
+    let plan;
+    try {
+      await client.query('BEGIN');
+      plan = await ExamSeatingModel.createPlan(client, {
+        tenant_id: tenantId,
+        campus_id: campusId,
+        plan_name: planData.plan_name || `Seating ${exam_date}`,
+        exam_date,
+        exam_ids: examIds,
+        invigilators_per_room: perRoom,
+        created_by: createdBy
+      });
+      await ExamSeatingModel.insertAllocations(client, plan.plan_id, seats);
+      await ExamSeatingModel.insertDuties(client, plan.plan_id, duties);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error('Some students already have a seat for one of these exams, or a room/invigilator was taken meanwhile');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return await ExamSeatingService.getPlanDetail(plan.plan_id, tenantId);
+  },
+
+  getPlans: async (tenantId, campusId, filters) => {
+    return await ExamSeatingModel.getPlans(tenantId, campusId, filters);
+  },
+
+  // Plan with seats grouped room-wise (with invigilators) and a student-wise list
+  getPlanDetail: async (planId, tenantId) => {
+    const plan = await loadPlan(planId, tenantId);
+    const [seats, duties] = await Promise.all([
+      ExamSeatingModel.getPlanSeats(planId),
+      ExamSeatingModel.getPlanDuties(planId)
+    ]);
+
+    const rooms = {};
+    seats.forEach(s => {
+      if (!rooms[s.room_id]) {
+        rooms[s.room_id] = {
+          room_id: s.room_id,
+          room_number: s.room_number,
+          floor_number: s.floor_number,
+          building_name: s.building_name,
+          invigilators: duties
+            .filter(d => d.room_id === s.room_id)
+            .map(d => ({ username: d.invigilator_username, name: `${d.first_name} ${d.last_name}` })),
+          seats: []
+        };
+      }
+      rooms[s.room_id].seats.push({
+        seat_number: s.seat_number,
+        student_username: s.student_username,
+        student_name: `${s.first_name} ${s.last_name}`,
+        admission_number: s.admission_number,
+        roll_number: s.roll_number,
+        class_name: s.class_name,
+        section_name: s.section_name,
+        subject_name: s.subject_name
+      });
+    });
+
+    const students = seats
+      .map(s => ({
+        student_username: s.student_username,
+        student_name: `${s.first_name} ${s.last_name}`,
+        admission_number: s.admission_number,
+        roll_number: s.roll_number,
+        class_name: s.class_name,
+        section_name: s.section_name,
+        subject_name: s.subject_name,
+        building_name: s.building_name,
+        room_number: s.room_number,
+        seat_number: s.seat_number
+      }))
+      .sort((a, b) =>
+        String(a.class_name || '').localeCompare(String(b.class_name || ''), undefined, { numeric: true }) ||
+        String(a.section_name || '').localeCompare(String(b.section_name || '')) ||
+        String(a.roll_number || '').localeCompare(String(b.roll_number || ''), undefined, { numeric: true }) ||
+        a.student_name.localeCompare(b.student_name)
+      );
+
+    return { plan, rooms: Object.values(rooms), students };
+  },
+
+  deletePlan: async (planId, tenantId) => {
+    await loadPlan(planId, tenantId);
+    return await ExamSeatingModel.deletePlan(planId);
+  },
+
+  getSchoolHeader: async (campusId) => {
+    return await ReportCardModel.getSchoolHeader(campusId);
+  }
+};
+
+module.exports = { ExamSeatingService };
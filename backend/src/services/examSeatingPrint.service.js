@@ -0,0 +1,93 @@
+// Printable seating charts (HTML): one page per room for doors/invigilators, one list for notice boards
+
+const { escapeHtml, formatDate } = require('../utils/html');
+
+const roomLabel = (r) => `${r.building_name ? `${r.building_name} - ` : ''}Room ${r.room_number}`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 24px; }
+    .sheet { page-break-after: always; }
+    .sheet:last-child { page-break-after: auto; }
+    .header { text-align: center; border-bottom: 2px solid #222; padding-bottom: 8px; margin-bottom: 12px; }
+    .header h1 { font-size: 20px; margin: 0; }
+    .header p { margin: 2px 0; }
+    table.items { width: 100%; border-collapse: collapse; }
+    table.items th, table.items td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    table.items th { background: #eee; }
+    .num { text-align: right !important; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>${body}
+</body>
+</html>`;
+
+const header = (school, plan, subtitle) => `
+    <div class="header">
+      <h1>${escapeHtml(school.tenant_name)}</h1>
+      <p>${escapeHtml(school.campus_name)}</p>
+      <p><strong>${escapeHtml(plan.plan_name)} - ${formatDate(plan.exam_date)}</strong></p>
+      <p>${escapeHtml(subtitle)}</p>
+    </div>`;
+
+/**
+ * Room-wise charts (as returned by ExamSeatingService.getPlanDetail), one page per room
+ * @param {Object} detail - { plan, rooms }
+ * @param {Object} school - { tenant_name, campus_name }
+ * @returns {string}
+ */
+const renderRoomChartsHtml = (detail, school = {}) => page('Seating - Room-wise', detail.rooms.map(room => `
+  <div class="sheet">${header(school, detail.plan, roomLabel(room))}
+    <p><strong>Invigilator(s):</strong> ${escapeHtml(room.invigilators.map(i => i.name).join(', ') || '-')}</p>
+    <table class="items">
+      <thead>
+        <tr><th class="num">Seat</th><th>Student</th><th>Admission No</th><th>Class</th><th>Subject</th><th>Signature</th></tr>
+      </thead>
+      <tbody>${room.seats.map(s => `
+        <tr>
+          <td class="num">${s.seat_number}</td>
+          <td>${escapeHtml(s.student_name)}</td>
+          <td>${escapeHtml(s.admission_number)}</td>
+          <td>${escapeHtml(s.class_name)} ${escapeHtml(s.section_name)}</td>
+          <td>${escapeHtml(s.subject_name)}</td>
+          <td></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>`).join(''));
+
+/**
+ * Student-wise chart: every student with their room and seat, ordered by class, section and roll number
+ * @param {Object} detail - { plan, students }
+ * @param {Object} school - { tenant_name, campus_name }
+ * @returns {string}
+ */
+const renderStudentChartHtml = (detail, school = {}) => page('Seating - Student-wise', `
+  <div class="sheet">${header(school, detail.plan, 'Student-wise Seating')}
+    <table class="items">
+      <thead>
+        <tr><th>Class</th><th>Roll No</th><th>Student</th><th>Admission No</th><th>Subject</th><th>Room</th><th class="num">Seat</th></tr>
+      </thead>
+      <tbody>${detail.students.map(s => `
+        <tr>
+          <td>${escapeHtml(s.class_name)} ${escapeHtml(s.section_name)}</td>
+          <td>${escapeHtml(s.roll_number)}</td>
+          <td>${escapeHtml(s.student_name)}</td>
+          <td>${escapeHtml(s.admission_number)}</td>
+          <td>${escapeHtml(s.subject_name)}</td>
+          <td>${escapeHtml(roomLabel(s))}</td>
+          <td class="num">${s.seat_number}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>`);
+
+module.exports = {
+  renderRoomChartsHtml,
+  renderStudentChartHtml
+};
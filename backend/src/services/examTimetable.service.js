@@ -0,0 +1,388 @@
+const { pool } = require('../config/database');
+const ExamTimetableModel = require('../models/examTimetable.model');
+const ExamModel = require('../models/exam.model');
+const EventModel = require('../models/event.model');
+const holidayService = require('./holiday.service');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateStr = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  : String(value).split('T')[0]);
+
+const dayDiff = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+
+const datesBetween = (start, end) => {
+  const dates = [];
+  for (let t = Date.parse(start); t <= Date.parse(end); t += DAY_MS) {
+    dates.push(new Date(t).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+const validateSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) throw new Error('slots must be a non-empty array');
+  const normalised = slots.map((s, i) => {
+    if (!TIME_PATTERN.test(s.start_time || '') || !TIME_PATTERN.test(s.end_time || '')) {
+      throw new Error(`slots[${i}] needs start_time and end_time as HH:MM`);
+    }
+    const start_time = s.start_time.slice(0, 5);
+    const end_time = s.end_time.slice(0, 5);
+    if (start_time >= end_time) throw new Error(`slots[${i}] must end after it starts`);
+    return { slot_name: s.slot_name || `Slot ${i + 1}`, start_time, end_time };
+  });
+
+  const sorted = [...normalised].sort((a, b) => a.start_time.localeCompare(b.start_time));
+  sorted.forEach((s, i) => {
+    if (i > 0 && s.start_time < sorted[i - 1].end_time) throw new Error(`Slot ${s.slot_name} overlaps ${sorted[i - 1].slot_name}`);
+  });
+  return normalised;
+};
+
+// Holiday/weekend status of each date, as the attendance calendar sees it
+const checkDates = async (campusId, academicYearId, dates) => {
+  const status = new Map();
+  for (const date of dates) {
+    const { isHoliday, details } = await holidayService.checkDateStatus(campusId, date, academicYearId);
+    status.set(date, {
+      isHoliday,
+      reason: details.isHolidayEvent ? `Holiday: ${details.holidayName}` : (details.isWeekendHoliday ? 'Weekend' : null)
+    });
+  }
+  return status;
+};
+
+/**
+ * Problems that would stop a timetable being published. Each class sits at most one paper a day
+ * (exams allow one paper per event per day), papers of a class must be more than min_gap_days apart,
+ * and no paper may fall on a holiday, outside the date range, or on a day the class already has an exam.
+ */
+const findIssues = (timetable, entries, dateStatus, existing) => {
+  const issues = [];
+  const slots = timetable.slots || [];
+  const start = toDateStr(timetable.start_date);
+  const end = toDateStr(timetable.end_date);
+  const gap = Number(timetable.min_gap_days);
+  const add = (entry, type, message) => issues.push({ entry_id: entry.entry_id, class_name: entry.class_name, subject_name: entry.subject_name, type, message });
+
+  const byClass = new Map();
+  entries.forEach(e => {
+    if (!byClass.has(e.class_name)) byClass.set(e.class_name, []);
+    byClass.get(e.class_name).push(e);
+
+    if (e.slot_index < 0 || e.slot_index >= slots.length) add(e, 'slot', `Slot ${e.slot_index} does not exist`);
+    if (e.exam_date < start || e.exam_date > end) add(e, 'range', `${e.exam_date} is outside ${start} to ${end}`);
+    const status = dateStatus.get(e.exam_date);
+    if (status && status.isHoliday) add(e, 'holiday', `${e.exam_date} is not a working day (${status.reason})`);
+  });
+
+  const existingByClass = new Map();
+  existing.forEach(x => {
+    if (!existingByClass.has(x.class_name)) existingByClass.set(x.class_name, []);
+    existingByClass.get(x.class_name).push(x);
+  });
+
+  byClass.forEach((classEntries, className) => {
+    const sorted = [...classEntries].sort((a, b) => a.exam_date.localeCompare(b.exam_date));
+    // Both papers of a clashing or too-close pair are reported, so moving either one is checked
+    sorted.forEach((e, i) => {
+      if (i === 0) return;
+      const prev = sorted[i - 1];
+      const diff = dayDiff(prev.exam_date, e.exam_date);
+      if (diff === 0) {
+        add(e, 'clash', `Class ${className} also sits ${prev.subject_name} on ${e.exam_date}`);
+        add(prev, 'clash', `Class ${className} also sits ${e.subject_name} on ${e.exam_date}`);
+      } else if (diff <= gap) {
+        add(e, 'gap', `Only ${diff - 1} free day(s) after ${prev.subject_name}; at least ${gap} required`);
+        add(prev, 'gap', `Only ${diff - 1} free day(s) before ${e.subject_name}; at least ${gap} required`);
+      }
+    });
+
+    (existingByClass.get(className) || []).forEach(x => {
+      classEntries.forEach(e => {
+        const diff = Math.abs(dayDiff(x.exam_date, e.exam_date));
+        if (diff === 0) add(e, 'clash', `Class ${className} already has ${x.subject_name} scheduled on ${e.exam_date}`);
+        else if (diff <= gap) add(e, 'gap', `Too close to the ${x.subject_name} exam already scheduled on ${x.exam_date}`);
+      });
+    });
+  });
+
+  return issues;
+};
+
+const loadTimetable = async (timetableId, tenantId) => {
+  const timetable = await ExamTimetableModel.getTimetableById(timetableId);
+  if (!timetable || timetable.tenant_id !== tenantId) throw new Error('Exam timetable not found');
+  return timetable;
+};
+
+const loadDraft = async (timetableId, tenantId) => {
+  const timetable = await loadTimetable(timetableId, tenantId);
+  if (timetable.status !== 'Draft') throw new Error('A published timetable cannot be changed; edit its exams instead');
+  return timetable;
+};
+
+// The timetable's entries with everything needed to check them
+const validateTimetable = async (timetable, entries) => {
+  const classNames = [...new Set(entries.map(e => e.class_name))];
+  const dates = [...new Set(entries.map(e => e.exam_date))];
+  const [dateStatus, existing] = await Promise.all([
+    checkDates(timetable.campus_id, timetable.academic_year_id, dates),
+    classNames.length > 0
+      ? ExamTimetableModel.getExistingClassExams(
+        timetable.campus_id, classNames, toDateStr(timetable.start_date), toDateStr(timetable.end_date), timetable.timetable_id
+      )
+      : Promise.resolve([])
+  ]);
+  return findIssues(timetable, entries, dateStatus, existing);
+};
+
+const withSlots = (timetable, entries) => entries.map(e => ({ ...e, slot: timetable.slots[e.slot_index] || null }));
+
+const parseEntry = (data, timetable, current = {}) => {
+  const entry = {
+    exam_date: data.exam_date !== undefined ? toDateStr(data.exam_date) : current.exam_date,
+    slot_index: data.slot_index !== undefined ? Number(data.slot_index) : current.slot_index,
+    total_score: data.total_score !== undefined ? Number(data.total_score) : (current.total_score ?? Number(timetable.default_total_score))
+  };
+  if (!entry.exam_date || isNaN(Date.parse(entry.exam_date))) throw new Error('exam_date must be a valid date');
+  if (!Number.isInteger(entry.slot_index)) throw new Error('slot_index must be a whole number');
+  if (isNaN(entry.total_score) || entry.total_score <= 0) throw new Error('total_score must be positive');
+  return entry;
+};
+
+// An edit is rejected when it would leave the edited paper with a problem
+const assertEntryValid = async (timetable, entries, entryKey) => {
+  const issues = (await validateTimetable(timetable, entries)).filter(i => i.entry_id === entryKey);
+  if (issues.length > 0) throw new Error(issues.map(i => i.message).join('; '));
+};
+
+const ExamTimetableService = {
+  /**
+   * Build and save a draft timetable. Classes with the most papers are placed first; each paper
+   * goes on the earliest working day that keeps the class's gap, in that day's least-used slot.
+   * Papers that do not fit are returned as unscheduled rather than failing the whole draft.
+   */
+  generateTimetable: async (data, tenantId, campusId, createdBy) => {
+    const { timetable_name, academic_year_id, start_date, end_date } = data;
+    if (!timetable_name || !academic_year_id || !start_date || !end_date) {
+      throw new Error('timetable_name, academic_year_id, start_date and end_date required');
+    }
+    if (isNaN(Date.parse(start_date)) || isNaN(Date.parse(end_date)) || start_date > end_date) {
+      throw new Error('start_date and end_date must be valid dates with start_date <= end_date');
+    }
+    if (datesBetween(start_date, end_date).length > 90) throw new Error('A timetable can span at most 90 days');
+
+    const slots = validateSlots(data.slots);
+    const minGap = data.min_gap_days !== undefined ? Number(data.min_gap_days) : 0;
+    if (!Number.isInteger(minGap) || minGap < 0) throw new Error('min_gap_days must be a non-negative whole number');
+    const totalScore = data.total_score !== undefined ? Number(data.total_score) : 100;
+    if (isNaN(totalScore) || totalScore <= 0) throw new Error('total_score must be positive');
+
+    const subjects = await ExamTimetableModel.getClassSubjects(campusId, academic_year_id, data.class_names, data.include_non_academic);
+    if (subjects.length === 0) throw new Error('No subjects are assigned to the sections of these classes');
+
+    const classes = new Map();
+    subjects.forEach(s => {
+      if (!classes.has(s.class_name)) classes.set(s.class_name, []);
+      classes.get(s.class_name).push(s.subject_name);
+    });
+
+    const allDates = datesBetween(start_date, end_date);
+    const dateStatus = await checkDates(campusId, academic_year_id, allDates);
+    const examDays = allDates.filter(d => !dateStatus.get(d).isHoliday);
+    const skipped_days = allDates.filter(d => dateStatus.get(d).isHoliday).map(d => ({ date: d, reason: dateStatus.get(d).reason }));
+
+    const existing = await ExamTimetableModel.getExistingClassExams(campusId, [...classes.keys()], start_date, end_date);
+    const load = new Map(examDays.map(d => [d, slots.map(() => 0)]));
+    const entries = [];
+    const unscheduled = [];
+
+    [...classes.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .forEach(([className, classSubjects]) => {
+        const taken = existing.filter(x => x.class_name === className).map(x => x.exam_date);
+
+        classSubjects.forEach(subject => {
+          const day = examDays.find(d => taken.every(t => Math.abs(dayDiff(t, d)) > minGap));
+          if (!day) {
+            unscheduled.push({ class_name: className, subject_name: subject, reason: 'No working day left that keeps the minimum gap' });
+            return;
+          }
+          const dayLoad = load.get(day);
+          const slotIndex = dayLoad.indexOf(Math.min(...dayLoad));
+          dayLoad[slotIndex]++;
+          taken.push(day);
+          entries.push({ class_name: className, subject_name: subject, exam_date: day, slot_index: slotIndex, total_score: totalScore });
+        });
+      });
+
+    const client = await pool.connect();
+    let timetable;
+    try {
+      await client.query('BEGIN');
+      timetable = await ExamTimetableModel.createTimetable(client, {
+        tenant_id: tenantId,
+        campus_id: campusId,
+        academic_year_id,
+        timetable_name,
+        start_date,
+        end_date,
+        slots,
+        min_gap_days: minGap,
+        default_total_score: totalScore,
+        created_by: createdBy
+      });
+      await ExamTimetableModel.insertEntries(client, timetable.timetable_id, entries);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const saved = await ExamTimetableModel.getEntries(timetable.timetable_id);
+    return { timetable, entries: withSlots(timetable, saved), unscheduled, skipped_days };
+  },
+
+  getTimetables: async (tenantId, campusId, filters) => {
+    return await ExamTimetableModel.getTimetables(tenantId, campusId, filters);
+  },
+
+  // The timetable, its papers and (for a draft) anything that would stop it being published
+  getTimetableDetail: async (timetableId, tenantId) => {
+    const timetable = await loadTimetable(timetableId, tenantId);
+    const entries = await ExamTimetableModel.getEntries(timetableId);
+    const issues = timetable.status === 'Draft' ? await validateTimetable(timetable, entries) : [];
+    return { timetable, entries: withSlots(timetable, entries), issues };
+  },
+
+  addEntry: async (timetableId, data, tenantId) => {
+    const timetable = await loadDraft(timetableId, tenantId);
+    if (!data.class_name || !data.subject_name) throw new Error('class_name and subject_name required');
+    const entry = { ...parseEntry(data, timetable), class_name: data.class_name, subject_name: data.subject_name };
+
+    const entries = await ExamTimetableModel.getEntries(timetableId);
+    if (entries.some(e => e.class_name === entry.class_name && e.subject_name.toLowerCase() === entry.subject_name.toLowerCase())) {
+      throw new Error(`Class ${entry.class_name} already has ${entry.subject_name} in this timetable`);
+    }
+    await assertEntryValid(timetable, [...entries, { ...entry, entry_id: 'new' }], 'new');
+
+    const created = await ExamTimetableModel.createEntry(timetableId, entry);
+    await ExamTimetableModel.touchTimetable(timetableId);
+    return created;
+  },
+
+  // Move a paper to another day/slot or change its marks
+  updateEntry: async (timetableId, entryId, data, tenantId) => {
+    const timetable = await loadDraft(timetableId, tenantId);
+    const entries = await ExamTimetableModel.getEntries(timetableId);
+    const current = entries.find(e => e.entry_id === entryId);
+    if (!current) throw new Error('Timetable entry not found');
+
+    const changes = parseEntry(data, timetable, { ...current, total_score: Number(current.total_score) });
+    await assertEntryValid(timetable, entries.map(e => (e.entry_id === entryId ? { ...e, ...changes } : e)), entryId);
+
+    const updated = await ExamTimetableModel.updateEntry(entryId, changes);
+    await ExamTimetableModel.touchTimetable(timetableId);
+    return updated;
+  },
+
+  removeEntry: async (timetableId, entryId, tenantId) => {
+    await loadDraft(timetableId, tenantId);
+    const entries = await ExamTimetableModel.getEntries(timetableId);
+    if (!entries.some(e => e.entry_id === entryId)) throw new Error('Timetable entry not found');
+    return await ExamTimetableModel.deleteEntry(entryId);
+  },
+
+  /**
+   * Create one calendar event per class (its exam series, spanning its papers) and an exam per paper,
+   * all in one transaction. Nothing is created if any paper still has a problem.
+   */
+  publishTimetable: async (timetableId, tenantId, publishedBy) => {
+    await loadDraft(timetableId, tenantId);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const timetable = await ExamTimetableModel.getTimetableForUpdate(client, timetableId);
+      if (timetable.status !== 'Draft') throw new Error('This timetable has already been published');
+
+      const entries = await ExamTimetableModel.getEntries(timetableId, client);
+      if (entries.length === 0) throw new Error('The timetable has no papers');
+
+      const issues = await validateTimetable(timetable, entries);
+      if (issues.length > 0) {
+        const error = new Error(`Resolve ${issues.length} timetable issue(s) before publishing`);
+        error.issues = issues;
+        throw error;
+      }
+
+      const byClass = new Map();
+      entries.forEach(e => {
+        if (!byClass.has(e.class_name)) byClass.set(e.class_name, []);
+        byClass.get(e.class_name).push(e);
+      });
+
+      const created = [];
+      for (const [className, classEntries] of byClass) {
+        const dates = classEntries.map(e => e.exam_date).sort();
+        const classSlots = classEntries.map(e => timetable.slots[e.slot_index]);
+
+        const event = await EventModel.createEvent({
+          tenant_id: timetable.tenant_id,
+          campus_id: timetable.campus_id,
+          academic_year_id: timetable.academic_year_id,
+          event_name: `${timetable.timetable_name} - ${className}`,
+          event_description: `Exam timetable for class ${className}`,
+          event_type: 'Test',
+          scheduled_by: publishedBy,
+          start_date: dates[0],
+          end_date: dates[dates.length - 1],
+          start_time: classSlots.map(s => s.start_time).sort()[0],
+          end_time: classSlots.map(s => s.end_time).sort().reverse()[0],
+          recurrence_rule: null,
+          audience_target: { target_type: 'Class', target_id: className },
+          room_id: null,
+          event_status: 'Yet to be start'
+        }, client);
+
+        for (const entry of classEntries) {
+          const slot = timetable.slots[entry.slot_index];
+          const exam = await ExamModel.createExam({
+            tenant_id: timetable.tenant_id,
+            campus_id: timetable.campus_id,
+            event_id: event.event_id,
+            subject_name: entry.subject_name,
+            exam_date: entry.exam_date,
+            total_score: entry.total_score,
+            class_name: className,
+            start_time: slot.start_time,
+            end_time: slot.end_time
+          }, client);
+          await ExamTimetableModel.setEntryPublished(client, entry.entry_id, event.event_id, exam.exam_id);
+          created.push(exam);
+        }
+      }
+
+      const published = await ExamTimetableModel.markPublished(client, timetableId);
+      await client.query('COMMIT');
+      return { timetable: published, events_created: byClass.size, exams_created: created.length };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  deleteTimetable: async (timetableId, tenantId) => {
+    await loadDraft(timetableId, tenantId);
+    return await ExamTimetableModel.deleteTimetable(timetableId);
+  }
+};
+
+module.exports = { ExamTimetableService };
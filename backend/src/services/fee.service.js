@@ -1,5 +1,7 @@
 const { pool } = require('../config/database');
 const feeModel = require('../models/fee.model');
+const feeConcessionService = require('./feeConcession.service');
+const feeInstallmentPlanModel = require('../models/feeInstallmentPlan.model');
 const logger = require('../utils/logger');
 const { v5: uuidv5 } = require('uuid');
 
@@ -11,6 +13,35 @@ const NAMESPACE_STUDENT = '4d8a1f6c-0cb0-4c3e-9e5d-4f9fd1fbb002';
 const toClassUUID = (campus_id, class_name) => uuidv5(`${campus_id}::${class_name}`, NAMESPACE_CLASS);
 const toStudentUUID = (username) => uuidv5(username, NAMESPACE_STUDENT);
 
+// Indian financial year runs April to March, e.g. 2025-26
+const toFinancialYear = (date) => {
+  const d = date ? new Date(date) : new Date();
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Numbers are unique per campus and year. The campus code (unique within a tenant) tells campuses
+// apart on paper; campuses without one print the plain number.
+const formatReceiptNumber = (campus_code, financial_year, sequence) =>
+  ['RCPT', campus_code, financial_year, String(sequence).padStart(6, '0')].filter(Boolean).join('/');
+
+// Reverse lookup of student UUIDs to enrolled users of a tenant
+const getStudentUUIDMap = async (tenant_id) => {
+  const q = `
+    SELECT u.username, u.first_name, u.last_name, se.admission_number
+    FROM users u
+    JOIN student_enrollment se ON u.username = se.username
+    WHERE u.tenant_id = $1
+  `;
+  const studentRes = await pool.query(q, [tenant_id]);
+
+  const uuidMap = {};
+  studentRes.rows.forEach(s => {
+    uuidMap[toStudentUUID(s.username)] = s;
+  });
+  return uuidMap;
+};
+
 // ==================== FEE TYPES ====================
 const createFeeType = async (tenant_id, data) => {
   if (!tenant_id) throw new Error('tenant_id required');
@@ -244,20 +275,35 @@ const assignFeesForEnrollmentWithClient = async (client, { tenant_id, campus_id,
 
   // 2. Get all fee structures for this class
   const feeStructures = await feeModel.getFeeStructuresForClass(campus_id, academic_year_id, class_id);
+
+  // Approved concessions decide each installment's discount
+  const concessions = await feeConcessionService.getApprovedConcessionsForStudent(client, campus_id, username);
   
   let assignedCount = 0;
 
   for (const fs of feeStructures) {
-    // Get installments
-    const installments = await feeModel.getInstallmentsByStructure(fs.fee_structure_id);
+    // Get installments; an approved per-student plan replaces the class schedule
+    const planInstallments = await feeInstallmentPlanModel.getApprovedPlanInstallments(client, student_id, fs.fee_structure_id);
+    const installments = planInstallments.length > 0
+      ? planInstallments
+      : await feeModel.getInstallmentsByStructure(fs.fee_structure_id);
     
     for (const ins of installments) {
+      const discounts = feeConcessionService.computeInstallmentDiscounts(concessions, {
+        fee_type_id: fs.fee_type_id,
+        structure_total: fs.total_amount,
+        installment: ins
+      });
+      const discount_amount = discounts.reduce((sum, d) => sum + d.discount_amount, 0);
+
       // Create student due
-      await feeModel.upsertStudentDue(client, {
+      const due = await feeModel.upsertStudentDue(client, {
         student_id,
         installment_id: ins.installment_id,
-        amount: ins.amount
+        amount: ins.amount,
+        discount_amount
       });
+      await feeConcessionService.recordDueDiscounts(client, due.due_id, discounts);
     }
     assignedCount++;
   }
@@ -347,19 +393,7 @@ const getStudentFeeDues = async (tenant_id, campus_id, filters) => {
   const dues = await feeModel.getStudentFeeDues(tenant_id, campus_id, newFilters);
 
   // Enrich with student details
-  const q = `
-    SELECT u.username, u.first_name, u.last_name, se.admission_number
-    FROM users u
-    JOIN student_enrollment se ON u.username = se.username
-    WHERE u.tenant_id = $1
-  `;
-  const studentRes = await pool.query(q, [tenant_id]);
-  
-  const uuidMap = {};
-  studentRes.rows.forEach(s => {
-    const u = toStudentUUID(s.username);
-    uuidMap[u] = s;
-  });
+  const uuidMap = await getStudentUUIDMap(tenant_id);
 
   return dues.map(d => {
     const s = uuidMap[d.student_id];
@@ -376,19 +410,7 @@ const getAllPayments = async (tenant_id, campus_id, filters) => {
   const payments = await feeModel.getAllPayments(tenant_id, campus_id, filters);
 
   // Enrich with student details (reverse UUID lookup)
-  const q = `
-    SELECT u.username, u.first_name, u.last_name, se.admission_number
-    FROM users u
-    JOIN student_enrollment se ON u.username = se.username
-    WHERE u.tenant_id = $1
-  `;
-  const studentRes = await pool.query(q, [tenant_id]);
-  
-  const uuidMap = {};
-  studentRes.rows.forEach(s => {
-    const u = toStudentUUID(s.username);
-    uuidMap[u] = s;
-  });
+  const uuidMap = await getStudentUUIDMap(tenant_id);
 
   return payments.map(p => {
     const s = uuidMap[p.student_id];
@@ -402,13 +424,147 @@ const getAllPayments = async (tenant_id, campus_id, filters) => {
   });
 };
 
+// ==================== RECEIPTS ====================
+/**
+ * Issue the next receipt number for a payment. Must run inside the payment transaction
+ * so a rolled back payment also gives its number back.
+ */
+const issueReceiptWithClient = async (client, { tenant_id, campus_id, payment }) => {
+  const financial_year = toFinancialYear(payment.payment_date);
+  const receipt_sequence = await feeModel.nextReceiptSequence(client, { tenant_id, campus_id, financial_year });
+  const balance_after = await feeModel.getStudentOutstandingBalance(client, payment.student_id);
+  const campus_code = await feeModel.getCampusCode(client, campus_id);
+
+  return await feeModel.insertReceipt(client, {
+    tenant_id,
+    campus_id,
+    payment_id: payment.payment_id,
+    financial_year,
+    receipt_sequence,
+    receipt_number: formatReceiptNumber(campus_code, financial_year, receipt_sequence),
+    balance_after
+  });
+};
+
+const getPaymentReceipt = async (tenant_id, campus_id, payment_id) => {
+  const receipt = await feeModel.getReceiptByPaymentId(tenant_id, campus_id, payment_id);
+  if (!receipt) return null;
+
+  const allocations = await feeModel.getAllocationsByPayment(payment_id);
+  const uuidMap = await getStudentUUIDMap(tenant_id);
+  const s = uuidMap[receipt.student_id];
+
+  const amount_allocated = allocations.reduce((sum, a) => sum + Number(a.amount_allocated), 0);
+
+  return {
+    ...receipt,
+    student_name: s ? `${s.first_name} ${s.last_name}` : 'Unknown Student',
+    admission_number: s?.admission_number,
+    username: s?.username,
+    collector_name: receipt.collector_first_name
+      ? `${receipt.collector_first_name} ${receipt.collector_last_name || ''}`.trim()
+      : null,
+    allocations,
+    amount_unallocated: Math.max(Number(receipt.amount_paid) - amount_allocated, 0)
+  };
+};
+
 // ==================== COLLECTION LOGIC ====================
+/**
+ * Record a payment, allocate it to dues and issue its receipt.
+ * Shared by counter collection and captured gateway orders; the caller owns the transaction.
+ */
+const recordPaymentWithClient = async (client, { tenant_id, campus_id, student_id, total_amount_received, payment_method, transaction_reference = null, collected_by, remarks, allocations, allow_unallocated = false }) => {
+  // Fetch unpaid dues to validate against
+  const dues = await feeModel.getUnpaidDuesByStudent(client, student_id);
+  const duesMap = new Map(dues.map(d => [String(d.due_id), d]));
+
+  let amountLeft = Number(total_amount_received);
+
+  // Create payment record now
+  const payment = await feeModel.insertPayment(client, {
+    tenant_id,
+    student_id,
+    amount_paid: Number(total_amount_received),
+    payment_method,
+    transaction_reference,
+    collected_by,
+    remarks: remarks || null
+  });
+
+  if (allocations && Array.isArray(allocations) && allocations.length > 0) {
+    // Manual Allocation Logic
+    for (const alloc of allocations) {
+      const { due_id, amount } = alloc;
+      const amountToPay = Number(amount);
+
+      if (amountToPay <= 0) continue;
+
+      const due = duesMap.get(String(due_id));
+      if (!due) {
+         throw new Error(`Due item ${due_id} is not valid or already paid.`);
+      }
+
+      if (amountToPay > Number(due.balance_amount) + 0.01) { // 0.01 tolerance
+           throw new Error(`Allocation amount ${amountToPay} exceeds balance ${due.balance_amount} for due ${due.fee_type_name || due_id}`);
+      }
+
+      // Reduce balance and mark paid if zero
+      await feeModel.reduceDueBalance(client, due_id, amountToPay);
+
+      // Create allocation record
+      await feeModel.insertPaymentAllocation(client, {
+        payment_id: payment.payment_id,
+        due_id: due_id,
+        amount_allocated: amountToPay
+      });
+
+      amountLeft -= amountToPay;
+    }
+
+    if (amountLeft < -0.01) {
+       throw new Error(`Allocated amount exceeds total payment received by ${Math.abs(amountLeft)}`);
+    }
+    
+  } else {
+    // Existing Waterfall Allocation Logic
+    if (!dues.length && !allow_unallocated) {
+       // It's possible they are paying in advance or just paying despite no dues? 
+       // Original code threw error. Let's keep it but maybe relax if we want to support advance payments later.
+       throw new Error('No unpaid dues for student');
+    }
+
+    for (const due of dues) {
+      if (amountLeft <= 0) break;
+      const allocate = Math.min(amountLeft, Number(due.balance_amount));
+      if (allocate <= 0) continue;
+
+      // Reduce balance and mark paid if zero
+      await feeModel.reduceDueBalance(client, due.due_id, allocate);
+
+      // Create allocation record
+      await feeModel.insertPaymentAllocation(client, {
+        payment_id: payment.payment_id,
+        due_id: due.due_id,
+        amount_allocated: allocate
+      });
+
+      amountLeft -= allocate;
+    }
+  }
+
+  const receipt = await issueReceiptWithClient(client, { tenant_id, campus_id, payment });
+
+  return { payment, receipt, amount_unallocated: amountLeft };
+};
+
 /**
  * Collect a payment and allocate to dues by oldest due date first
- * input: { tenant_id, student_username or student_id, total_amount_received, payment_method, collected_by, remarks }
+ * input: { tenant_id, campus_id, student_username or student_id, total_amount_received, payment_method, collected_by, remarks }
  */
-const collectPayment = async ({ tenant_id, student_username, student_id: inputStudentId, total_amount_received, payment_method, collected_by, remarks, allocations }) => {
+const collectPayment = async ({ tenant_id, campus_id, student_username, student_id: inputStudentId, total_amount_received, payment_method, collected_by, remarks, allocations }) => {
   if (!tenant_id) throw new Error('tenant_id required');
+  if (!campus_id) throw new Error('campus_id required');
   if (!total_amount_received || Number(total_amount_received) <= 0) throw new Error('total_amount_received must be > 0');
   if (!payment_method) throw new Error('payment_method required');
 
@@ -423,87 +579,22 @@ const collectPayment = async ({ tenant_id, student_username, student_id: inputSt
   try {
     await client.query('BEGIN');
 
-    // Fetch unpaid dues to validate against
-    const dues = await feeModel.getUnpaidDuesByStudent(client, student_id);
-    const duesMap = new Map(dues.map(d => [String(d.due_id), d]));
-
-    let amountLeft = Number(total_amount_received);
-
-    // Create payment record now
-    const payment = await feeModel.insertPayment(client, {
+    const { payment, receipt, amount_unallocated: amountLeft } = await recordPaymentWithClient(client, {
       tenant_id,
+      campus_id,
       student_id,
-      amount_paid: Number(total_amount_received),
+      total_amount_received,
       payment_method,
       collected_by,
-      remarks: remarks || null
+      remarks,
+      allocations
     });
 
-    if (allocations && Array.isArray(allocations) && allocations.length > 0) {
-      // Manual Allocation Logic
-      for (const alloc of allocations) {
-        const { due_id, amount } = alloc;
-        const amountToPay = Number(amount);
-
-        if (amountToPay <= 0) continue;
-
-        const due = duesMap.get(String(due_id));
-        if (!due) {
-           throw new Error(`Due item ${due_id} is not valid or already paid.`);
-        }
-
-        if (amountToPay > Number(due.balance_amount) + 0.01) { // 0.01 tolerance
-             throw new Error(`Allocation amount ${amountToPay} exceeds balance ${due.balance_amount} for due ${due.fee_type_name || due_id}`);
-        }
-
-        // Reduce balance and mark paid if zero
-        await feeModel.reduceDueBalance(client, due_id, amountToPay);
-
-        // Create allocation record
-        await feeModel.insertPaymentAllocation(client, {
-          payment_id: payment.payment_id,
-          due_id: due_id,
-          amount_allocated: amountToPay
-        });
-
-        amountLeft -= amountToPay;
-      }
-
-      if (amountLeft < -0.01) {
-         throw new Error(`Allocated amount exceeds total payment received by ${Math.abs(amountLeft)}`);
-      }
-      
-    } else {
-      // Existing Waterfall Allocation Logic
-      if (!dues.length) {
-         // It's possible they are paying in advance or just paying despite no dues? 
-         // Original code threw error. Let's keep it but maybe relax if we want to support advance payments later.
-         throw new Error('No unpaid dues for student');
-      }
-
-      for (const due of dues) {
-        if (amountLeft <= 0) break;
-        const allocate = Math.min(amountLeft, Number(due.balance_amount));
-        if (allocate <= 0) continue;
-
-        // Reduce balance and mark paid if zero
-        await feeModel.reduceDueBalance(client, due.due_id, allocate);
-
-        // Create allocation record
-        await feeModel.insertPaymentAllocation(client, {
-          payment_id: payment.payment_id,
-          due_id: due.due_id,
-          amount_allocated: allocate
-        });
-
-        amountLeft -= allocate;
-      }
-    }
-
     await client.query('COMMIT');
 
     return {
       payment,
+      receipt,
       amount_unallocated: amountLeft,
       message: amountLeft > 0 ? 'Payment recorded with surplus amount' : 'Payment recorded and fully allocated'
     };
@@ -520,6 +611,7 @@ module.exports = {
   createFeeStructure,
   assignFeesForEnrollment,
   assignFeesForEnrollmentWithClient,
+  recordPaymentWithClient,
   collectPayment,
   createFeeType,
   getFeeTypes,
@@ -532,5 +624,8 @@ module.exports = {
   updateFeeStructure,
   generateDuesForClass,
   getStudentFeeDues,
-  getAllPayments
+  getAllPayments,
+  getPaymentReceipt,
+  toStudentUUID,
+  getStudentUUIDMap
 };
\ No newline at end of file
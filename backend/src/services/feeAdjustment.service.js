@@ -0,0 +1,162 @@
+const { pool } = require('../config/database');
+const feeModel = require('../models/fee.model');
+const feeAdjustmentModel = require('../models/feeAdjustment.model');
+const logger = require('../utils/logger');
+
+const VALID_TYPES = ['reversal', 'refund'];
+const VALID_REASONS = ['Cheque Bounce', 'Wrong Student', 'Duplicate Payment', 'Excess Payment', 'Withdrawal', 'Other'];
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Amount of the original payment not yet reversed or refunded
+const getRemainingAmount = async (client, payment) => {
+  const reversed = await feeAdjustmentModel.getReversedTotal(client, payment.payment_id);
+  return round2(Number(payment.amount_paid) - reversed);
+};
+
+/**
+ * Raise a reversal or refund against a collected payment. Nothing moves until an Admin approves it.
+ * A reversal always covers the whole remaining amount; a refund may be partial.
+ * data: { adjustment_type, reason_code, amount?, notes? }
+ */
+const requestAdjustment = async (tenant_id, payment_id, data, requested_by) => {
+  if (!VALID_TYPES.includes(data.adjustment_type)) {
+    throw new Error(`adjustment_type must be one of: ${VALID_TYPES.join(', ')}`);
+  }
+  if (!VALID_REASONS.includes(data.reason_code)) {
+    throw new Error(`reason_code must be one of: ${VALID_REASONS.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const payment = await feeAdjustmentModel.getPaymentForUpdate(client, payment_id);
+    if (!payment || payment.tenant_id !== tenant_id) throw new Error('Payment not found');
+    if (payment.entry_type && payment.entry_type !== 'payment') {
+      throw new Error('Only original payments can be reversed or refunded');
+    }
+
+    const remaining = await getRemainingAmount(client, payment);
+    if (remaining <= 0) throw new Error('Payment has already been fully reversed or refunded');
+
+    let amount = remaining;
+    if (data.adjustment_type === 'refund') {
+      amount = round2(data.amount);
+      if (isNaN(amount) || amount <= 0) throw new Error('amount must be > 0');
+      if (amount > remaining + 0.01) throw new Error(`Refund amount exceeds refundable balance of ${remaining}`);
+    }
+
+    const adjustment = await feeAdjustmentModel.createAdjustment(client, {
+      tenant_id,
+      payment_id,
+      adjustment_type: data.adjustment_type,
+      reason_code: data.reason_code,
+      amount,
+      notes: data.notes,
+      requested_by
+    });
+
+    await client.query('COMMIT');
+    return adjustment;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error requesting payment adjustment:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Post the compensating entry for an approved adjustment.
+ * Unallocated surplus is given back first, then allocations are unwound from the latest due
+ * backwards, restoring balance_amount on each due through negative allocation rows.
+ */
+const executeAdjustmentWithClient = async (client, adjustment, approved_by) => {
+  const payment = await feeAdjustmentModel.getPaymentForUpdate(client, adjustment.payment_id);
+  const remaining = await getRemainingAmount(client, payment);
+  const amount = round2(adjustment.amount);
+  if (amount > remaining + 0.01) {
+    throw new Error(`Adjustment amount exceeds refundable balance of ${remaining}`);
+  }
+
+  const compensating = await feeAdjustmentModel.insertCompensatingPayment(client, {
+    original: payment,
+    entry_type: adjustment.adjustment_type,
+    amount,
+    collected_by: approved_by,
+    remarks: `${adjustment.adjustment_type === 'reversal' ? 'Reversal' : 'Refund'} (${adjustment.reason_code})${adjustment.notes ? `: ${adjustment.notes}` : ''}`
+  });
+
+  const netAllocations = await feeAdjustmentModel.getNetAllocations(client, payment.payment_id);
+  const allocatedTotal = netAllocations.reduce((sum, a) => sum + Number(a.net_allocated), 0);
+  const unallocated = Math.max(round2(remaining - allocatedTotal), 0);
+
+  let toUnwind = round2(amount - Math.min(amount, unallocated));
+  const restored = [];
+
+  for (const alloc of netAllocations) {
+    if (toUnwind <= 0) break;
+    const take = round2(Math.min(toUnwind, Number(alloc.net_allocated)));
+    if (take <= 0) continue;
+
+    await feeAdjustmentModel.restoreDueBalance(client, alloc.due_id, take);
+    await feeModel.insertPaymentAllocation(client, {
+      payment_id: compensating.payment_id,
+      due_id: alloc.due_id,
+      amount_allocated: -take
+    });
+
+    restored.push({ due_id: alloc.due_id, amount_restored: take });
+    toUnwind = round2(toUnwind - take);
+  }
+
+  return { compensating_payment: compensating, restored_dues: restored };
+};
+
+const decideAdjustment = async (tenant_id, adjustment_id, { status, notes }, approved_by) => {
+  if (!['approved', 'rejected'].includes(String(status))) {
+    throw new Error('status must be approved or rejected');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const adjustment = await feeAdjustmentModel.getAdjustmentForUpdate(client, adjustment_id);
+    if (!adjustment || adjustment.tenant_id !== tenant_id) throw new Error('Adjustment not found');
+    if (adjustment.status !== 'pending') throw new Error(`Adjustment is already ${adjustment.status}`);
+
+    let execution = null;
+    if (status === 'approved') {
+      execution = await executeAdjustmentWithClient(client, adjustment, approved_by);
+    }
+
+    const updated = await feeAdjustmentModel.closeAdjustment(client, adjustment_id, {
+      status,
+      approved_by,
+      compensating_payment_id: execution?.compensating_payment.payment_id || null,
+      notes
+    });
+
+    await client.query('COMMIT');
+    return { adjustment: updated, ...(execution || {}) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error deciding payment adjustment:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getAdjustments = async (tenant_id, filters) => {
+  return await feeAdjustmentModel.getAdjustments(tenant_id, filters);
+};
+
+module.exports = {
+  requestAdjustment,
+  decideAdjustment,
+  getAdjustments
+};
@@ -0,0 +1,210 @@
+const { pool } = require('../config/database');
+const feeConcessionModel = require('../models/feeConcession.model');
+const logger = require('../utils/logger');
+
+const VALID_CATEGORIES = ['General', 'Sibling', 'Staff Ward', 'Merit Scholarship'];
+const VALID_DISCOUNT_TYPES = ['Percentage', 'Flat'];
+const VALID_DECISIONS = ['approved', 'rejected', 'revoked'];
+// Decisions allowed from each status; rejected and revoked concessions are final
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['revoked']
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const validateRulePayload = (data) => {
+  if (!data.rule_name) throw new Error('rule_name required');
+  if (!VALID_DISCOUNT_TYPES.includes(data.discount_type)) {
+    throw new Error(`discount_type must be one of: ${VALID_DISCOUNT_TYPES.join(', ')}`);
+  }
+  const category = data.category || 'General';
+  if (!VALID_CATEGORIES.includes(category)) {
+    throw new Error(`category must be one of: ${VALID_CATEGORIES.join(', ')}`);
+  }
+  const value = Number(data.discount_value);
+  if (isNaN(value) || value < 0) throw new Error('discount_value must be a non-negative number');
+  if (data.discount_type === 'Percentage' && value > 100) throw new Error('Percentage discount cannot exceed 100');
+
+  return { ...data, category, discount_value: value };
+};
+
+// ==================== RULES ====================
+const createRule = async (tenant_id, data) => {
+  if (!tenant_id) throw new Error('tenant_id required');
+  if (!data.campus_id) throw new Error('campus_id required');
+  const payload = validateRulePayload(data);
+
+  const client = await pool.connect();
+  try {
+    return await feeConcessionModel.createRule(client, { ...payload, tenant_id });
+  } finally {
+    client.release();
+  }
+};
+
+const getRules = async (tenant_id, campus_id) => {
+  return await feeConcessionModel.getRules(tenant_id, campus_id);
+};
+
+const updateRule = async (tenant_id, rule_id, data) => {
+  const existing = await feeConcessionModel.getRuleById(rule_id);
+  if (!existing || existing.tenant_id !== tenant_id) throw new Error('Concession rule not found');
+  const payload = validateRulePayload({ ...existing, ...data });
+
+  const client = await pool.connect();
+  try {
+    return await feeConcessionModel.updateRule(client, rule_id, payload);
+  } finally {
+    client.release();
+  }
+};
+
+// ==================== STUDENT ASSIGNMENTS ====================
+/**
+ * Assign a concession rule to a student. The assignment stays pending until an Admin approves it.
+ * data: { campus_id, student_username, rule_id, valid_from, valid_to?, remarks? }
+ */
+const assignConcession = async (tenant_id, data, requested_by) => {
+  if (!tenant_id) throw new Error('tenant_id required');
+  if (!data.campus_id) throw new Error('campus_id required');
+  if (!data.student_username) throw new Error('student_username required');
+  if (!data.rule_id) throw new Error('rule_id required');
+  if (!data.valid_from) throw new Error('valid_from required');
+  if (data.valid_to && new Date(data.valid_to) < new Date(data.valid_from)) {
+    throw new Error('valid_to must be on or after valid_from');
+  }
+
+  const rule = await feeConcessionModel.getRuleById(data.rule_id);
+  if (!rule || rule.campus_id !== data.campus_id) throw new Error('Concession rule not found');
+  if (!rule.is_active) throw new Error('Concession rule is inactive');
+
+  if (rule.category === 'Sibling') {
+    const siblings = await feeConcessionModel.countSiblings(data.campus_id, data.student_username);
+    if (siblings < Number(rule.min_siblings || 1)) {
+      throw new Error(`Student has ${siblings} enrolled sibling(s); rule requires at least ${rule.min_siblings}`);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    return await feeConcessionModel.createStudentConcession(client, {
+      ...data,
+      tenant_id,
+      requested_by
+    });
+  } finally {
+    client.release();
+  }
+};
+
+const getStudentConcessions = async (tenant_id, campus_id, filters) => {
+  return await feeConcessionModel.getStudentConcessions(tenant_id, campus_id, filters);
+};
+
+const updateConcessionStatus = async (tenant_id, campus_id, student_concession_id, { status, remarks }, approved_by) => {
+  if (!VALID_DECISIONS.includes(String(status))) {
+    throw new Error(`status must be one of: ${VALID_DECISIONS.join(', ')}`);
+  }
+  if (status !== 'approved' && (!remarks || String(remarks).trim().length === 0)) {
+    throw new Error('remarks are required when rejecting or revoking a concession');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await feeConcessionModel.getStudentConcessionForUpdate(client, student_concession_id);
+    if (!current || current.tenant_id !== tenant_id || current.campus_id !== campus_id) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (!(STATUS_TRANSITIONS[current.status] || []).includes(status)) {
+      throw new Error(`Cannot change a ${current.status} concession to ${status}`);
+    }
+
+    const updated = await feeConcessionModel.updateStudentConcessionStatus(client, student_concession_id, {
+      status,
+      approved_by,
+      remarks
+    });
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getDueDiscounts = async (tenant_id, campus_id, filters) => {
+  return await feeConcessionModel.getDueDiscounts(tenant_id, campus_id, filters);
+};
+
+// ==================== DISCOUNT COMPUTATION ====================
+/**
+ * Work out which concessions apply to one installment and how much each one takes off.
+ * Percentage rules apply to the installment amount; flat rules are an amount off the
+ * structure total, spread across installments in proportion to their amounts.
+ * The combined discount never exceeds the installment amount.
+ * @returns {Array<{ student_concession_id, rule_id, discount_amount }>}
+ */
+const computeInstallmentDiscounts = (concessions, { fee_type_id, structure_total, installment }) => {
+  const amount = Number(installment.amount);
+  const dueTime = new Date(installment.due_date).getTime();
+  const total = Number(structure_total) || amount;
+
+  const applied = [];
+  let remaining = amount;
+
+  for (const c of concessions) {
+    if (remaining <= 0) break;
+    if (c.fee_type_id && c.fee_type_id !== fee_type_id) continue;
+    if (new Date(c.valid_from).getTime() > dueTime) continue;
+    if (c.valid_to && new Date(c.valid_to).getTime() < dueTime) continue;
+
+    const raw = c.discount_type === 'Percentage'
+      ? amount * Number(c.discount_value) / 100
+      : Number(c.discount_value) * (amount / total);
+    const discount_amount = round2(Math.min(raw, remaining));
+    if (discount_amount <= 0) continue;
+
+    applied.push({
+      student_concession_id: c.student_concession_id,
+      rule_id: c.rule_id,
+      discount_amount
+    });
+    remaining = round2(remaining - discount_amount);
+  }
+
+  return applied;
+};
+
+// Replace the audit rows for a due with the concessions that produced its current discount
+const recordDueDiscounts = async (client, due_id, applied) => {
+  await feeConcessionModel.deleteDueDiscounts(client, due_id);
+  for (const a of applied) {
+    await feeConcessionModel.insertDueDiscount(client, { due_id, ...a });
+  }
+  if (applied.length > 0) {
+    logger.debug('Applied concessions to due', { due_id, rules: applied.map(a => a.rule_id) });
+  }
+};
+
+const getApprovedConcessionsForStudent = async (client, campus_id, student_username) => {
+  return await feeConcessionModel.getApprovedConcessionsForStudent(client, campus_id, student_username);
+};
+
+module.exports = {
+  createRule,
+  getRules,
+  updateRule,
+  assignConcession,
+  getStudentConcessions,
+  updateConcessionStatus,
+  getDueDiscounts,
+  computeInstallmentDiscounts,
+  recordDueDiscounts,
+  getApprovedConcessionsForStudent
+};
@@ -0,0 +1,228 @@
+const { pool } = require('../config/database');
+const feeModel = require('../models/fee.model');
+const feeInstallmentPlanModel = require('../models/feeInstallmentPlan.model');
+const feePenaltyModel = require('../models/feePenalty.model');
+const feeConcessionService = require('./feeConcession.service');
+const feeService = require('./fee.service');
+const logger = require('../utils/logger');
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const validateInstallments = (installments, structure_total) => {
+  if (!Array.isArray(installments) || installments.length === 0) {
+    throw new Error('installments must be a non-empty array');
+  }
+
+  const names = new Set();
+  installments.forEach((ins, i) => {
+    if (!ins.installment_name) throw new Error(`installments[${i}].installment_name required`);
+    if (names.has(ins.installment_name)) throw new Error(`Duplicate installment name: ${ins.installment_name}`);
+    names.add(ins.installment_name);
+    if (!ins.due_date || isNaN(new Date(ins.due_date).getTime())) throw new Error(`installments[${i}].due_date is invalid`);
+    if (!(Number(ins.amount) > 0)) throw new Error(`installments[${i}].amount must be > 0`);
+  });
+
+  const total = round2(installments.reduce((sum, ins) => sum + Number(ins.amount), 0));
+  if (Math.abs(total - Number(structure_total)) > 0.01) {
+    throw new Error(`Installments total ${total} must equal the fee structure total ${structure_total}`);
+  }
+};
+
+/**
+ * Request a custom schedule for one student and fee structure. It stays inactive until an Admin approves it.
+ * data: { student_username, fee_structure_id, reason, installments: [{ installment_name, due_date, amount, penalty_amount? }] }
+ * penalty_amount defaults to the late fee rate of the class schedule.
+ */
+const requestPlan = async (tenant_id, campus_id, data, requested_by) => {
+  if (!data.student_username) throw new Error('student_username required');
+  if (!data.fee_structure_id) throw new Error('fee_structure_id required');
+  if (!data.reason || String(data.reason).trim().length === 0) throw new Error('reason is required');
+
+  const structure = await feeModel.getFeeStructureById(data.fee_structure_id);
+  if (!structure || structure.tenant_id !== tenant_id || structure.campus_id !== campus_id) {
+    throw new Error('Fee structure not found');
+  }
+  validateInstallments(data.installments, structure.total_amount);
+
+  const pending = await feeInstallmentPlanModel.getPlans(tenant_id, campus_id, {
+    status: 'pending',
+    student_username: data.student_username,
+    fee_structure_id: data.fee_structure_id
+  });
+  if (pending.length > 0) throw new Error('A plan for this student and fee structure is already awaiting approval');
+
+  const defaultPenalty = Number((structure.installments || [])[0]?.penalty_amount || 0);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const plan = await feeInstallmentPlanModel.createPlan(client, {
+      tenant_id,
+      campus_id,
+      student_id: feeService.toStudentUUID(data.student_username),
+      student_username: data.student_username,
+      fee_structure_id: data.fee_structure_id,
+      reason: String(data.reason).trim(),
+      requested_by
+    });
+
+    const installments = [];
+    for (const ins of data.installments) {
+      installments.push(await feeInstallmentPlanModel.insertPlanInstallment(client, {
+        fee_structure_id: data.fee_structure_id,
+        plan_id: plan.plan_id,
+        installment_name: ins.installment_name,
+        due_date: ins.due_date,
+        amount: round2(ins.amount),
+        penalty_amount: ins.penalty_amount !== undefined ? ins.penalty_amount : defaultPenalty
+      }));
+    }
+
+    await client.query('COMMIT');
+    return { ...plan, installments };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error requesting installment plan:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getPlans = async (tenant_id, campus_id, filters) => {
+  return await feeInstallmentPlanModel.getPlans(tenant_id, campus_id, filters);
+};
+
+/**
+ * Put an approved plan into force. Existing dues for the structure are superseded (kept with a zero
+ * balance), any unpaid late fee on them is waived, and what was already paid moves onto the new dues
+ * earliest first. Anything that no longer fits stays on the payment as surplus.
+ */
+const applyPlanWithClient = async (client, plan, structure) => {
+  const planInstallments = await feeInstallmentPlanModel.getPlanInstallments(client, plan.plan_id);
+  validateInstallments(planInstallments, structure.total_amount);
+
+  const oldDues = await feeInstallmentPlanModel.getActiveDuesForStructure(client, plan.student_id, plan.fee_structure_id);
+
+  // Dues not generated yet: generation picks the plan up on its own
+  if (oldDues.length === 0) return { superseded_dues: 0, new_dues: [], moved_amount: 0, unallocated: 0 };
+
+  const concessions = await feeConcessionService.getApprovedConcessionsForStudent(client, plan.campus_id, plan.student_username);
+
+  const newDues = [];
+  for (const ins of planInstallments) {
+    const discounts = feeConcessionService.computeInstallmentDiscounts(concessions, {
+      fee_type_id: structure.fee_type_id,
+      structure_total: structure.total_amount,
+      installment: ins
+    });
+    const discount_amount = discounts.reduce((sum, d) => sum + d.discount_amount, 0);
+
+    const due = await feeModel.upsertStudentDue(client, {
+      student_id: plan.student_id,
+      installment_id: ins.installment_id,
+      amount: ins.amount,
+      discount_amount
+    });
+    await feeConcessionService.recordDueDiscounts(client, due.due_id, discounts);
+    newDues.push({ ...due, capacity: Number(due.balance_amount) });
+  }
+
+  // Pull payments off the old dues
+  const moved = [];
+  for (const old of oldDues) {
+    const unpaidPenalty = round2(Number(old.penalty_amount || 0) - Number(old.penalty_waived || 0));
+    if (unpaidPenalty > 0) {
+      await feePenaltyModel.waivePenaltyOnDue(client, old.due_id, unpaidPenalty);
+      await feePenaltyModel.insertHistory(client, {
+        due_id: old.due_id,
+        entry_type: 'waived',
+        amount: unpaidPenalty,
+        reason: 'Superseded by custom installment plan',
+        created_by: plan.approved_by
+      });
+    }
+
+    const allocations = await feeInstallmentPlanModel.getNetAllocationsByDue(client, old.due_id);
+    for (const a of allocations) {
+      const amount = round2(a.net_allocated);
+      await feeModel.insertPaymentAllocation(client, { payment_id: a.payment_id, due_id: old.due_id, amount_allocated: -amount });
+      moved.push({ payment_id: a.payment_id, amount });
+    }
+
+    await feeInstallmentPlanModel.markDueSuperseded(client, old.due_id, plan.plan_id);
+  }
+
+  // Re-allocate them onto the new schedule
+  let movedTotal = 0;
+  let unallocated = 0;
+  for (const m of moved) {
+    let left = m.amount;
+    movedTotal = round2(movedTotal + m.amount);
+    for (const due of newDues) {
+      if (left <= 0) break;
+      const take = round2(Math.min(left, due.capacity));
+      if (take <= 0) continue;
+
+      await feeModel.reduceDueBalance(client, due.due_id, take);
+      await feeModel.insertPaymentAllocation(client, { payment_id: m.payment_id, due_id: due.due_id, amount_allocated: take });
+      due.capacity = round2(due.capacity - take);
+      left = round2(left - take);
+    }
+    unallocated = round2(unallocated + left);
+  }
+
+  return {
+    superseded_dues: oldDues.length,
+    new_dues: newDues.map(({ capacity, ...d }) => ({ ...d, balance_amount: capacity })),
+    moved_amount: movedTotal,
+    unallocated
+  };
+};
+
+// Admin decision; remarks are required to reject
+const decidePlan = async (tenant_id, plan_id, { status, remarks }, approved_by) => {
+  if (!['approved', 'rejected'].includes(String(status))) {
+    throw new Error('status must be approved or rejected');
+  }
+  if (status === 'rejected' && (!remarks || String(remarks).trim().length === 0)) {
+    throw new Error('remarks are required to reject a plan');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const plan = await feeInstallmentPlanModel.getPlanForUpdate(client, plan_id);
+    if (!plan || plan.tenant_id !== tenant_id) throw new Error('Installment plan not found');
+    if (plan.status !== 'pending') throw new Error(`Installment plan is already ${plan.status}`);
+
+    // Only one plan may be in force, so an earlier approved plan steps aside first
+    if (status === 'approved') {
+      await feeInstallmentPlanModel.supersedeApprovedPlans(client, plan.student_id, plan.fee_structure_id);
+    }
+    const updated = await feeInstallmentPlanModel.setPlanStatus(client, plan_id, { status, approved_by, remarks });
+
+    let applied = {};
+    if (status === 'approved') {
+      const structure = await feeModel.getFeeStructureById(plan.fee_structure_id);
+      applied = await applyPlanWithClient(client, updated, structure);
+    }
+
+    await client.query('COMMIT');
+    return { plan: updated, ...applied };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error deciding installment plan:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  requestPlan,
+  getPlans,
+  decidePlan
+};
@@ -0,0 +1,308 @@
+const ExcelJS = require('exceljs');
+const feeLedgerModel = require('../models/feeLedger.model');
+const feeService = require('./fee.service');
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Same-day entries are listed in the order they affect the balance
+const ENTRY_ORDER = ['due', 'discount', 'penalty', 'penalty_waiver', 'superseded', 'payment', 'allocation', 'reversal', 'refund'];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-5][0-9a-f]{3}-[089ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const toTime = (value) => (value ? new Date(value).getTime() : 0);
+
+const toDateStr = (value) => {
+  if (!value) return '';
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const resolveStudentId = (student_id) => (UUID_REGEX.test(student_id) ? student_id : feeService.toStudentUUID(student_id));
+
+/**
+ * Payments are not tied to a year, so place them in the year whose date range contains them,
+ * falling back to the year of the first due they were allocated to.
+ */
+const pickPaymentYear = (payment_date, years, allocatedYearId) => {
+  const t = toTime(payment_date);
+  const byRange = years.find(y => y.start_date && y.end_date && t >= toTime(y.start_date) && t < toTime(y.end_date) + 24 * 60 * 60 * 1000);
+  if (byRange) return byRange.academic_year_id;
+  if (allocatedYearId) return allocatedYearId;
+  const previous = years.filter(y => y.start_date && toTime(y.start_date) <= t).pop();
+  return previous ? previous.academic_year_id : (years[0]?.academic_year_id || null);
+};
+
+/**
+ * Chronological statement of account for a student across academic years.
+ * Debits raise what the student owes (dues, penalties, reversals, refunds), credits lower it
+ * (discounts, waivers, payments, dues replaced by an installment plan). Allocation rows are informational and do not move the balance.
+ * Each year carries the previous year's closing balance forward as its opening balance.
+ * @param {string} student_id - student UUID or username
+ */
+const getStudentLedger = async (tenant_id, campus_id, student_id, filters = {}) => {
+  if (!student_id) throw new Error('student_id required');
+  const studentUUID = resolveStudentId(student_id);
+
+  const [dues, discounts, penalties, payments, allocations, uuidMap] = await Promise.all([
+    feeLedgerModel.getLedgerDues(tenant_id, campus_id, studentUUID),
+    feeLedgerModel.getLedgerDiscounts(studentUUID),
+    feeLedgerModel.getLedgerPenalties(studentUUID),
+    feeLedgerModel.getLedgerPayments(tenant_id, studentUUID),
+    feeLedgerModel.getLedgerAllocations(tenant_id, studentUUID),
+    feeService.getStudentUUIDMap(tenant_id)
+  ]);
+
+  const dueMap = {};
+  const yearMap = {};
+  dues.forEach(d => {
+    dueMap[d.due_id] = d;
+    if (!yearMap[d.academic_year_id]) {
+      yearMap[d.academic_year_id] = {
+        academic_year_id: d.academic_year_id,
+        year_name: d.year_name,
+        start_date: d.year_start_date,
+        end_date: d.year_end_date
+      };
+    }
+  });
+  const years = Object.values(yearMap).sort((a, b) => toTime(a.start_date) - toTime(b.start_date));
+
+  const dueLabel = (d) => `${d.fee_type_name} - ${d.installment_name}`;
+  const entries = [];
+
+  dues.forEach(d => {
+    entries.push({
+      date: d.due_date,
+      entry_type: 'due',
+      description: `Fee due: ${dueLabel(d)}`,
+      reference: null,
+      due_id: d.due_id,
+      academic_year_id: d.academic_year_id,
+      debit: round2(d.amount),
+      credit: 0
+    });
+  });
+
+  // Discounts recorded per concession; anything on the due not covered by them predates the audit trail
+  const recordedDiscount = {};
+  discounts.forEach(dd => {
+    const due = dueMap[dd.due_id];
+    if (!due) return;
+    recordedDiscount[dd.due_id] = round2((recordedDiscount[dd.due_id] || 0) + Number(dd.discount_amount));
+    entries.push({
+      date: dd.applied_at,
+      entry_type: 'discount',
+      description: `Concession (${dd.rule_name}): ${dueLabel(due)}`,
+      reference: null,
+      due_id: dd.due_id,
+      academic_year_id: due.academic_year_id,
+      debit: 0,
+      credit: round2(dd.discount_amount)
+    });
+  });
+  // A due replaced by a custom installment plan is written off; the plan's own dues take its place
+  dues.filter(d => d.superseded_at).forEach(d => {
+    entries.push({
+      date: d.superseded_at,
+      entry_type: 'superseded',
+      description: `Replaced by installment plan: ${dueLabel(d)}`,
+      reference: null,
+      due_id: d.due_id,
+      academic_year_id: d.academic_year_id,
+      debit: 0,
+      credit: round2(Number(d.amount) - Number(d.discount_amount || 0))
+    });
+  });
+
+  dues.forEach(d => {
+    const residual = round2(Number(d.discount_amount || 0) - (recordedDiscount[d.due_id] || 0));
+    if (residual > 0) {
+      entries.push({
+        date: d.due_date,
+        entry_type: 'discount',
+        description: `Discount: ${dueLabel(d)}`,
+        reference: null,
+        due_id: d.due_id,
+        academic_year_id: d.academic_year_id,
+        debit: 0,
+        credit: residual
+      });
+    }
+  });
+
+  penalties.forEach(h => {
+    const due = dueMap[h.due_id];
+    if (!due) return;
+    const applied = h.entry_type === 'applied';
+    entries.push({
+      date: h.created_at,
+      entry_type: applied ? 'penalty' : 'penalty_waiver',
+      description: `${applied ? 'Late fee' : 'Late fee waived'}: ${dueLabel(due)}${h.reason ? ` (${h.reason})` : ''}`,
+      reference: null,
+      due_id: h.due_id,
+      academic_year_id: due.academic_year_id,
+      debit: applied ? round2(h.amount) : 0,
+      credit: applied ? 0 : round2(h.amount)
+    });
+  });
+
+  const allocationsByPayment = {};
+  allocations.forEach(a => {
+    const due = dueMap[a.due_id];
+    if (!due) return;
+    (allocationsByPayment[a.payment_id] = allocationsByPayment[a.payment_id] || []).push(a);
+    entries.push({
+      date: a.payment_date,
+      entry_type: 'allocation',
+      description: `${Number(a.amount_allocated) < 0 ? 'Allocation reversed from' : 'Allocated to'} ${dueLabel(due)}`,
+      reference: null,
+      due_id: a.due_id,
+      payment_id: a.payment_id,
+      academic_year_id: due.academic_year_id,
+      allocated: round2(a.amount_allocated),
+      debit: 0,
+      credit: 0
+    });
+  });
+
+  payments.forEach(p => {
+    const firstAlloc = (allocationsByPayment[p.payment_id] || [])[0];
+    const entry_type = p.entry_type || 'payment';
+    const amount = round2(p.amount_paid);
+    entries.push({
+      date: p.payment_date,
+      entry_type,
+      description: entry_type === 'payment'
+        ? `Payment received (${p.payment_method})`
+        : (p.remarks || (entry_type === 'refund' ? 'Refund' : 'Reversal')),
+      reference: p.receipt_number || p.transaction_reference || null,
+      payment_id: p.payment_id,
+      reverses_payment_id: p.reverses_payment_id,
+      academic_year_id: pickPaymentYear(p.payment_date, years, firstAlloc && dueMap[firstAlloc.due_id]?.academic_year_id),
+      debit: amount < 0 ? -amount : 0,
+      credit: amount > 0 ? amount : 0
+    });
+  });
+
+  // Order by year first so each year's running balance starts from its opening balance
+  const yearRank = {};
+  years.forEach((y, i) => { yearRank[y.academic_year_id] = i; });
+  const rankOf = (e) => (yearRank[e.academic_year_id] !== undefined ? yearRank[e.academic_year_id] : years.length);
+
+  entries.sort((a, b) =>
+    rankOf(a) - rankOf(b) ||
+    toTime(a.date) - toTime(b.date) ||
+    ENTRY_ORDER.indexOf(a.entry_type) - ENTRY_ORDER.indexOf(b.entry_type)
+  );
+
+  let balance = 0;
+  entries.forEach(e => {
+    balance = round2(balance + e.debit - e.credit);
+    e.balance = balance;
+  });
+
+  const periods = [];
+  let opening = 0;
+  [...years, { academic_year_id: null, year_name: 'Unassigned' }].forEach((y, i) => {
+    const yearEntries = entries.filter(e => rankOf(e) === i);
+    if (i === years.length && yearEntries.length === 0) return;
+
+    const total_debit = round2(yearEntries.reduce((s, e) => s + e.debit, 0));
+    const total_credit = round2(yearEntries.reduce((s, e) => s + e.credit, 0));
+    const closing = round2(opening + total_debit - total_credit);
+
+    periods.push({
+      academic_year_id: y.academic_year_id,
+      year_name: y.year_name,
+      opening_balance: opening,
+      total_debit,
+      total_credit,
+      closing_balance: closing,
+      entries: yearEntries
+    });
+    opening = closing;
+  });
+
+  const s = uuidMap[studentUUID];
+  const selected = filters.academic_year_id
+    ? periods.filter(p => String(p.academic_year_id) === String(filters.academic_year_id))
+    : periods;
+
+  return {
+    student_id: studentUUID,
+    username: s?.username,
+    student_name: s ? `${s.first_name} ${s.last_name}` : 'Unknown Student',
+    admission_number: s?.admission_number,
+    closing_balance: balance,
+    years: selected
+  };
+};
+
+/**
+ * Excel statement of account built the same way as the student export.
+ * @returns {Promise<Buffer>}
+ */
+const exportStudentLedger = async (tenant_id, campus_id, student_id, filters = {}) => {
+  const ledger = await getStudentLedger(tenant_id, campus_id, student_id, filters);
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Fee Ledger');
+
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Academic Year', key: 'year', width: 16 },
+    { header: 'Type', key: 'type', width: 16 },
+    { header: 'Description', key: 'description', width: 50 },
+    { header: 'Reference', key: 'reference', width: 24 },
+    { header: 'Debit', key: 'debit', width: 14 },
+    { header: 'Credit', key: 'credit', width: 14 },
+    { header: 'Allocated', key: 'allocated', width: 14 },
+    { header: 'Balance', key: 'balance', width: 14 }
+  ];
+
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+  worksheet.insertRow(1, [`Statement of Account: ${ledger.student_name} (${ledger.admission_number || ledger.username || ledger.student_id})`]);
+  worksheet.getRow(1).font = { bold: true, size: 13 };
+
+  for (const period of ledger.years) {
+    const openingRow = worksheet.addRow({ year: period.year_name, description: 'Opening Balance', balance: period.opening_balance });
+    openingRow.font = { bold: true };
+
+    period.entries.forEach(e => {
+      worksheet.addRow({
+        date: toDateStr(e.date),
+        year: period.year_name,
+        type: e.entry_type,
+        description: e.description,
+        reference: e.reference || '',
+        debit: e.debit || null,
+        credit: e.credit || null,
+        allocated: e.allocated ?? null,
+        balance: e.balance
+      });
+    });
+
+    const closingRow = worksheet.addRow({
+      year: period.year_name,
+      description: 'Closing Balance',
+      debit: period.total_debit,
+      credit: period.total_credit,
+      balance: period.closing_balance
+    });
+    closingRow.font = { bold: true };
+  }
+
+  ['debit', 'credit', 'allocated', 'balance'].forEach(key => {
+    worksheet.getColumn(key).numFmt = '#,##0.00';
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return { buffer, ledger };
+};
+
+module.exports = {
+  getStudentLedger,
+  exportStudentLedger
+};
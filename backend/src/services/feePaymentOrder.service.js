@@ -0,0 +1,309 @@
+const { pool } = require('../config/database');
+const config = require('../config');
+const feeModel = require('../models/fee.model');
+const feePaymentOrderModel = require('../models/feePaymentOrder.model');
+const feeService = require('./fee.service');
+const { PAYMENTS_NOT_CONFIGURED, getGateway, isGatewayConfigured } = require('./gateways');
+const logger = require('../utils/logger');
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Parents may only pay for their own children and students only for themselves
+const assertCanPayFor = async (user, campus_id, student_username) => {
+  const roles = user?.roles || [user?.role];
+  if (roles.includes('Admin') || roles.includes('Employee')) return;
+
+  if (roles.includes('Student') && user.username === student_username) return;
+  if (roles.includes('Parent') && await feePaymentOrderModel.isParentOfStudent(campus_id, user.username, student_username)) return;
+
+  throw new Error('You are not allowed to pay fees for this student');
+};
+
+/**
+ * Create a gateway order for selected dues and return where to send the payer.
+ * data: { student_username, dues: [{ due_id, amount? }] }
+ * amount defaults to the due's outstanding balance. The gateway is the configured provider;
+ * payers never choose it.
+ */
+const createPaymentOrder = async ({ tenant_id, campus_id, user }, data) => {
+  if (!tenant_id) throw new Error('tenant_id required');
+  if (!campus_id) throw new Error('campus_id required');
+  if (!data.student_username) throw new Error('student_username required');
+  if (!Array.isArray(data.dues) || data.dues.length === 0) throw new Error('Select at least one due to pay');
+
+  await assertCanPayFor(user, campus_id, data.student_username);
+
+  const gateway = getGateway();
+  const student_id = feeService.toStudentUUID(data.student_username);
+
+  const client = await pool.connect();
+  let order;
+  try {
+    await client.query('BEGIN');
+
+    const unpaid = await feeModel.getUnpaidDuesByStudent(client, student_id);
+    const unpaidMap = new Map(unpaid.map(d => [String(d.due_id), d]));
+
+    const seen = new Set();
+    const dues = data.dues.map(sel => {
+      const due = unpaidMap.get(String(sel.due_id));
+      if (!due) throw new Error(`Due item ${sel.due_id} is not valid or already paid.`);
+      if (seen.has(String(sel.due_id))) throw new Error(`Due item ${sel.due_id} selected more than once`);
+      seen.add(String(sel.due_id));
+
+      const balance = Number(due.balance_amount);
+      const amount = sel.amount !== undefined && sel.amount !== null && sel.amount !== '' ? round2(sel.amount) : round2(balance);
+      if (isNaN(amount) || amount <= 0) throw new Error(`Amount for due ${sel.due_id} must be > 0`);
+      if (amount > balance + 0.01) throw new Error(`Amount ${amount} exceeds balance ${balance} for due ${sel.due_id}`);
+
+      return { due_id: due.due_id, amount };
+    });
+
+    order = await feePaymentOrderModel.createOrder(client, {
+      tenant_id,
+      campus_id,
+      student_id,
+      provider: gateway.name,
+      amount: round2(dues.reduce((s, d) => s + d.amount, 0)),
+      currency: config.paymentGateway.currency,
+      dues,
+      created_by: user?.userId || user?.user_id
+    });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating payment order:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // The gateway call happens outside the transaction so a slow provider never holds row locks
+  const updateClient = await pool.connect();
+  try {
+    const checkout = await gateway.createOrder({
+      order_id: order.order_id,
+      amount: Number(order.amount),
+      currency: order.currency,
+      description: `School fees (${data.student_username})`,
+      customer: { username: data.student_username }
+    });
+
+    const updated = await feePaymentOrderModel.setProviderOrderId(updateClient, order.order_id, checkout.provider_order_id);
+    return { order: updated, redirect_url: checkout.redirect_url };
+  } catch (err) {
+    await feePaymentOrderModel.markOrderClosed(updateClient, order.order_id, { status: 'failed', failure_reason: err.message });
+    logger.error('Error creating gateway order:', err);
+    throw new Error('Payment gateway is unavailable, please try again');
+  } finally {
+    updateClient.release();
+  }
+};
+
+// Why a capture must not be turned into a payment, or null when it can be
+const captureRejection = (order, amount) => {
+  if (order.status !== 'pending') return `Payment order is ${order.status}`;
+  if (amount === null || amount === undefined || isNaN(Number(amount))) return 'Captured amount missing';
+  if (Math.abs(round2(amount) - Number(order.amount)) > 0.01) {
+    return `Captured amount ${round2(amount)} does not match order amount ${Number(order.amount)}`;
+  }
+  return null;
+};
+
+/**
+ * Refuse a capture. A pending order is closed as failed so it is settled by hand (refund or
+ * counter payment) instead of being picked up again by reconciliation.
+ */
+const rejectCaptureWithClient = async (client, order, { provider_payment_id, amount }, reason) => {
+  logger.warn('Payment capture rejected', { order_id: order.order_id, order_amount: order.amount, captured: amount, reason });
+  if (order.status !== 'pending') return order;
+  return await feePaymentOrderModel.markOrderClosed(client, order.order_id, {
+    status: 'failed',
+    failure_reason: `${reason}; settle manually`,
+    provider_payment_id
+  });
+};
+
+/**
+ * Turn a captured order into a payment through the same allocation path as counter collection.
+ * Dues settled elsewhere since checkout are skipped; whatever cannot be allocated stays as surplus.
+ * Callers check captureRejection first.
+ */
+const captureOrderWithClient = async (client, order, { provider_payment_id, amount }) => {
+  const captured = round2(amount);
+
+  const unpaid = await feeModel.getUnpaidDuesByStudent(client, order.student_id);
+  const unpaidMap = new Map(unpaid.map(d => [String(d.due_id), d]));
+
+  let left = captured;
+  const allocations = [];
+  for (const sel of order.dues || []) {
+    const due = unpaidMap.get(String(sel.due_id));
+    if (!due || left <= 0) continue;
+    const amountToPay = round2(Math.min(Number(sel.amount), Number(due.balance_amount), left));
+    if (amountToPay <= 0) continue;
+    allocations.push({ due_id: sel.due_id, amount: amountToPay });
+    left = round2(left - amountToPay);
+  }
+
+  const result = await feeService.recordPaymentWithClient(client, {
+    tenant_id: order.tenant_id,
+    campus_id: order.campus_id,
+    student_id: order.student_id,
+    total_amount_received: captured,
+    payment_method: 'Online',
+    transaction_reference: provider_payment_id,
+    collected_by: null,
+    remarks: `Online payment via ${order.provider} (order ${order.order_id})`,
+    allocations,
+    allow_unallocated: true
+  });
+
+  const updated = await feePaymentOrderModel.markOrderCaptured(client, order.order_id, {
+    payment_id: result.payment.payment_id,
+    provider_payment_id
+  });
+
+  return { order: updated, ...result };
+};
+
+/**
+ * Handle a gateway webhook. Signature is checked against the raw body; each provider event id
+ * is processed once, so redeliveries are acknowledged without side effects.
+ */
+const processWebhook = async (provider, rawBody, headers, body) => {
+  const gateway = getGateway(provider);
+  if (!gateway.verifyWebhook(rawBody, headers)) throw new Error('Invalid webhook signature');
+
+  const event = gateway.parseWebhook(body || {});
+  if (!event.event_id || !event.event_type) throw new Error('Malformed webhook payload');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const order = event.provider_order_id
+      ? await feePaymentOrderModel.getOrderByProviderIdForUpdate(client, gateway.name, event.provider_order_id)
+      : null;
+
+    const recorded = await feePaymentOrderModel.recordEvent(client, {
+      provider: gateway.name,
+      provider_event_id: event.event_id,
+      event_type: event.event_type,
+      order_id: order?.order_id,
+      payload: body
+    });
+
+    if (!recorded) {
+      await client.query('COMMIT');
+      return { duplicate: true, event_id: event.event_id };
+    }
+
+    let outcome = 'ignored';
+    if (!order) {
+      logger.warn('Webhook for unknown payment order', { provider: gateway.name, provider_order_id: event.provider_order_id });
+    } else if (event.event_type === 'payment.captured' && order.status !== 'captured') {
+      const rejection = captureRejection(order, event.amount);
+      if (rejection) {
+        await rejectCaptureWithClient(client, order, event, rejection);
+        outcome = 'rejected';
+      } else {
+        await captureOrderWithClient(client, order, event);
+        outcome = 'captured';
+      }
+    } else if (event.event_type === 'payment.failed' && order.status === 'pending') {
+      await feePaymentOrderModel.markOrderClosed(client, order.order_id, {
+        status: 'failed',
+        failure_reason: event.failure_reason,
+        provider_payment_id: event.provider_payment_id
+      });
+      outcome = 'failed';
+    }
+
+    await client.query('COMMIT');
+    return { duplicate: false, event_id: event.event_id, order_id: order?.order_id || null, outcome };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error processing payment webhook:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Ask the gateway about orders still pending after the stale window, in case a webhook was lost.
+ * Orders the gateway still reports as pending are expired once they pass the expiry window.
+ * scope: { tenant_id, campus_id } for an Admin's on-demand run; the scheduled job passes none.
+ */
+const reconcilePendingOrders = async (scope = {}) => {
+  if (!isGatewayConfigured()) throw new Error(PAYMENTS_NOT_CONFIGURED);
+
+  const { staleAfterMinutes, expireAfterMinutes } = config.jobs.paymentReconciliation;
+  const orders = await feePaymentOrderModel.getStalePendingOrders(staleAfterMinutes, scope);
+
+  const summary = { checked: orders.length, captured: 0, rejected: 0, failed: 0, expired: 0, errors: 0 };
+
+  for (const stale of orders) {
+    const client = await pool.connect();
+    try {
+      const status = await getGateway(stale.provider).fetchOrderStatus(stale.provider_order_id);
+
+      await client.query('BEGIN');
+      const order = await feePaymentOrderModel.getOrderForUpdate(client, stale.order_id);
+
+      if (order && order.status === 'pending') {
+        if (status.status === 'captured') {
+          const rejection = captureRejection(order, status.amount);
+          if (rejection) {
+            await rejectCaptureWithClient(client, order, status, rejection);
+            summary.rejected++;
+          } else {
+            await captureOrderWithClient(client, order, status);
+            summary.captured++;
+          }
+        } else if (status.status === 'failed') {
+          await feePaymentOrderModel.markOrderClosed(client, order.order_id, {
+            status: 'failed',
+            failure_reason: status.failure_reason,
+            provider_payment_id: status.provider_payment_id
+          });
+          summary.failed++;
+        } else if (Date.now() - new Date(order.created_at).getTime() > expireAfterMinutes * 60 * 1000) {
+          await feePaymentOrderModel.markOrderClosed(client, order.order_id, { status: 'expired', failure_reason: 'No confirmation from gateway' });
+          summary.expired++;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      summary.errors++;
+      logger.error('Error reconciling payment order', { order_id: stale.order_id, error: err.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  logger.info('Payment orders reconciled', summary);
+  return summary;
+};
+
+const getPaymentOrder = async ({ tenant_id, campus_id, user }, order_id) => {
+  const order = await feePaymentOrderModel.getOrderById(tenant_id, order_id);
+  if (!order) return null;
+
+  const uuidMap = await feeService.getStudentUUIDMap(tenant_id);
+  const student = uuidMap[order.student_id];
+  await assertCanPayFor(user, campus_id, student?.username);
+
+  return { ...order, student_username: student?.username };
+};
+
+module.exports = {
+  createPaymentOrder,
+  processWebhook,
+  reconcilePendingOrders,
+  getPaymentOrder
+};
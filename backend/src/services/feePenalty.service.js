@@ -0,0 +1,201 @@
+const { pool } = require('../config/database');
+const feeModel = require('../models/fee.model');
+const feePenaltyModel = require('../models/feePenalty.model');
+const logger = require('../utils/logger');
+
+const VALID_MODES = ['one_time', 'per_day', 'per_week'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// pg returns DATE columns as local-midnight Date objects; compare calendar days, not instants
+const toDayNumber = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return Date.UTC(y, m - 1, d) / MS_PER_DAY;
+  }
+  const dt = new Date(value);
+  return Date.UTC(dt.getFullYear(), dt.getMonth(), dt.getDate()) / MS_PER_DAY;
+};
+
+const todayStr = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// YYYY-MM-DD naming a real day (rejects 2025-02-30)
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const dt = new Date(`${value}T00:00:00Z`);
+  return !isNaN(dt.getTime()) && dt.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Penalty an overdue due should carry as of a date, before waivers.
+ * Days overdue are counted after the grace period.
+ * @returns {{ days_overdue: number, penalty: number }}
+ */
+const computePenalty = ({ due_date, penalty_rate, penalty_mode, grace_days, max_penalty }, as_of_date) => {
+  const days_overdue = toDayNumber(as_of_date) - toDayNumber(due_date) - Number(grace_days || 0);
+  if (days_overdue <= 0) return { days_overdue: 0, penalty: 0 };
+
+  const rate = Number(penalty_rate || 0);
+  let penalty = rate;
+  if (penalty_mode === 'per_day') penalty = rate * days_overdue;
+  if (penalty_mode === 'per_week') penalty = rate * Math.ceil(days_overdue / 7);
+
+  if (max_penalty !== null && max_penalty !== undefined) {
+    penalty = Math.min(penalty, Number(max_penalty));
+  }
+
+  return { days_overdue, penalty: round2(penalty) };
+};
+
+const inScope = (row, { tenant_id, campus_id }) => Boolean(row) && row.tenant_id === tenant_id && row.campus_id === campus_id;
+
+// ==================== POLICIES ====================
+const upsertPolicy = async (scope, fee_structure_id, data) => {
+  if (!inScope(await feeModel.getFeeStructureById(fee_structure_id), scope)) throw new Error('Fee structure not found');
+
+  const penalty_mode = data.penalty_mode || 'one_time';
+  if (!VALID_MODES.includes(penalty_mode)) {
+    throw new Error(`penalty_mode must be one of: ${VALID_MODES.join(', ')}`);
+  }
+  const grace_days = Number(data.grace_days || 0);
+  if (!Number.isInteger(grace_days) || grace_days < 0) throw new Error('grace_days must be a non-negative integer');
+
+  let max_penalty = null;
+  if (data.max_penalty !== undefined && data.max_penalty !== null && data.max_penalty !== '') {
+    max_penalty = Number(data.max_penalty);
+    if (isNaN(max_penalty) || max_penalty < 0) throw new Error('max_penalty must be a non-negative number');
+  }
+
+  const client = await pool.connect();
+  try {
+    return await feePenaltyModel.upsertPolicy(client, fee_structure_id, {
+      penalty_mode,
+      grace_days,
+      max_penalty,
+      is_active: data.is_active !== undefined ? Boolean(data.is_active) : true
+    });
+  } finally {
+    client.release();
+  }
+};
+
+const getPolicy = async (scope, fee_structure_id) => {
+  if (!inScope(await feeModel.getFeeStructureById(fee_structure_id), scope)) return null;
+  return await feePenaltyModel.getPolicy(fee_structure_id);
+};
+
+// ==================== APPLICATION ====================
+/**
+ * Bring every overdue due up to the penalty its policy allows as of a date.
+ * Safe to run repeatedly: only the difference from the penalty already accrued is added.
+ * Scope with tenant_id/campus_id for the on-demand endpoint; the scheduled job runs unscoped.
+ */
+const applyLatePenalties = async ({ tenant_id = null, campus_id = null, as_of_date = null } = {}) => {
+  const asOf = as_of_date || todayStr();
+  if (!isCalendarDate(asOf)) {
+    throw new Error('as_of_date must be a valid date in YYYY-MM-DD format');
+  }
+  // Accrued penalties are never taken back, so a date ahead of today would charge days not yet overdue
+  if (asOf > todayStr()) throw new Error('as_of_date cannot be in the future');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const dues = await feePenaltyModel.getOverdueDuesWithPolicy(client, { as_of_date: asOf, tenant_id, campus_id });
+
+    let penalisedDues = 0;
+    let totalAdded = 0;
+
+    for (const due of dues) {
+      const { days_overdue, penalty } = computePenalty(due, asOf);
+      const delta = round2(penalty - Number(due.penalty_amount || 0));
+      if (delta <= 0) continue;
+
+      await feePenaltyModel.addPenaltyToDue(client, due.due_id, delta);
+      await feePenaltyModel.insertHistory(client, {
+        due_id: due.due_id,
+        entry_type: 'applied',
+        amount: delta,
+        days_overdue,
+        reason: `Late fee (${due.penalty_mode}) as of ${asOf}`
+      });
+
+      penalisedDues++;
+      totalAdded = round2(totalAdded + delta);
+    }
+
+    await client.query('COMMIT');
+    logger.info('Late penalties applied', { tenant_id, campus_id, as_of_date: asOf, scanned: dues.length, penalisedDues, totalAdded });
+
+    return { as_of_date: asOf, scanned: dues.length, penalised_dues: penalisedDues, total_penalty_added: totalAdded };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error applying late penalties:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Waive part or all of the outstanding penalty on a due. Admin only; reason is mandatory.
+ * amount defaults to the full unwaived penalty.
+ */
+const waivePenalty = async (scope, due_id, { amount, reason }, waived_by) => {
+  if (!reason || String(reason).trim().length === 0) throw new Error('reason is required to waive a penalty');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const due = await feePenaltyModel.getDueForUpdate(client, due_id);
+    if (!inScope(due, scope)) throw new Error('Due not found');
+
+    const waivable = round2(Math.min(
+      Number(due.penalty_amount) - Number(due.penalty_waived),
+      Number(due.balance_amount)
+    ));
+    if (waivable <= 0) throw new Error('No outstanding penalty to waive on this due');
+
+    const waiveAmount = amount !== undefined && amount !== null && amount !== '' ? round2(amount) : waivable;
+    if (isNaN(waiveAmount) || waiveAmount <= 0) throw new Error('amount must be > 0');
+    if (waiveAmount > waivable + 0.01) throw new Error(`amount exceeds waivable penalty of ${waivable}`);
+
+    const updated = await feePenaltyModel.waivePenaltyOnDue(client, due_id, waiveAmount);
+    const entry = await feePenaltyModel.insertHistory(client, {
+      due_id,
+      entry_type: 'waived',
+      amount: waiveAmount,
+      reason: String(reason).trim(),
+      created_by: waived_by
+    });
+
+    await client.query('COMMIT');
+    return { due: updated, waiver: entry };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error waiving penalty:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getPenaltyHistory = async (scope, due_id) => {
+  if (!inScope(await feePenaltyModel.getDueScope(due_id), scope)) return null;
+  return await feePenaltyModel.getHistoryByDue(due_id);
+};
+
+module.exports = {
+  computePenalty,
+  upsertPolicy,
+  getPolicy,
+  applyLatePenalties,
+  waivePenalty,
+  getPenaltyHistory
+};
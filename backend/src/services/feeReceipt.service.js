@@ -0,0 +1,109 @@
+// Printable fee receipt rendering (HTML, sized for A5/A4 print from the browser)
+
+const { escapeHtml, formatDate } = require('../utils/html');
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+/**
+ * Render a receipt (as returned by feeService.getPaymentReceipt) to a standalone HTML page
+ * @param {Object} receipt
+ * @returns {string}
+ */
+const renderReceiptHtml = (receipt) => {
+  const allocationRows = (receipt.allocations || []).map((a, idx) => `
+        <tr>
+          <td>${idx + 1}</td>
+          <td>${escapeHtml(a.fee_type_name)}</td>
+          <td>${escapeHtml(a.installment_name)}</td>
+          <td>${formatDate(a.due_date)}</td>
+          <td class="num">${formatAmount(a.amount_allocated)}</td>
+        </tr>`).join('');
+
+  const unallocatedRow = Number(receipt.amount_unallocated) > 0 ? `
+        <tr>
+          <td colspan="4">Unallocated (advance)</td>
+          <td class="num">${formatAmount(receipt.amount_unallocated)}</td>
+        </tr>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Fee Receipt ${escapeHtml(receipt.receipt_number)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 24px; }
+    .header { text-align: center; border-bottom: 2px solid #222; padding-bottom: 8px; margin-bottom: 12px; }
+    .header h1 { font-size: 20px; margin: 0; }
+    .header p { margin: 2px 0; }
+    .meta { width: 100%; margin-bottom: 12px; }
+    .meta td { padding: 2px 4px; }
+    table.items { width: 100%; border-collapse: collapse; }
+    table.items th, table.items td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    table.items th { background: #eee; }
+    .num { text-align: right !important; }
+    .totals td { font-weight: bold; }
+    .footer { margin-top: 40px; display: flex; justify-content: space-between; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${escapeHtml(receipt.tenant_name)}</h1>
+    <p>${escapeHtml(receipt.campus_name)}</p>
+    <p>${escapeHtml(receipt.campus_address)}${receipt.campus_phone ? ` | ${escapeHtml(receipt.campus_phone)}` : ''}</p>
+    <p><strong>FEE RECEIPT</strong></p>
+  </div>
+
+  <table class="meta">
+    <tr>
+      <td><strong>Receipt No:</strong> ${escapeHtml(receipt.receipt_number)}</td>
+      <td><strong>Date:</strong> ${formatDate(receipt.payment_date)}</td>
+    </tr>
+    <tr>
+      <td><strong>Student:</strong> ${escapeHtml(receipt.student_name)}</td>
+      <td><strong>Admission No:</strong> ${escapeHtml(receipt.admission_number)}</td>
+    </tr>
+    <tr>
+      <td><strong>Payment Method:</strong> ${escapeHtml(receipt.payment_method)}</td>
+      <td><strong>Reference:</strong> ${escapeHtml(receipt.transaction_reference)}</td>
+    </tr>
+  </table>
+
+  <table class="items">
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Fee Type</th>
+        <th>Installment</th>
+        <th>Due Date</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${allocationRows}${unallocatedRow}
+      <tr class="totals">
+        <td colspan="4">Total Received</td>
+        <td class="num">${formatAmount(receipt.amount_paid)}</td>
+      </tr>
+      <tr class="totals">
+        <td colspan="4">Balance Outstanding</td>
+        <td class="num">${formatAmount(receipt.balance_after)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  ${receipt.remarks ? `<p><strong>Remarks:</strong> ${escapeHtml(receipt.remarks)}</p>` : ''}
+
+  <div class="footer">
+    <span>Collected by: ${escapeHtml(receipt.collector_name)}</span>
+    <span>Authorised Signatory</span>
+  </div>
+</body>
+</html>`;
+};
+
+module.exports = {
+  renderReceiptHtml
+};
@@ -0,0 +1,241 @@
+const feeReportModel = require('../models/feeReport.model');
+const feeService = require('./fee.service');
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const AGEING_BUCKETS = [
+  { label: '0-30', min: 0, max: 30 },
+  { label: '31-60', min: 31, max: 60 },
+  { label: '61-90', min: 61, max: 90 },
+  { label: '90+', min: 91, max: Infinity }
+];
+
+const todayStr = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const bucketFor = (days) => AGEING_BUCKETS.find(b => days >= b.min && days <= b.max).label;
+
+const emptyBuckets = () => AGEING_BUCKETS.reduce((acc, b) => ({ ...acc, [b.label]: 0 }), {});
+
+// Overdue dues joined to the student's current class and section
+const loadOverdue = async (tenant_id, campus_id, filters) => {
+  const as_of_date = filters.as_of_date || todayStr();
+  const [dues, enrollments] = await Promise.all([
+    feeReportModel.getOverdueDues(tenant_id, campus_id, as_of_date, filters),
+    feeReportModel.getCampusEnrollments(tenant_id, campus_id)
+  ]);
+
+  const byUUID = {};
+  enrollments.forEach(e => { byUUID[feeService.toStudentUUID(e.username)] = e; });
+
+  const rows = dues
+    .map(d => ({ ...d, days_overdue: Number(d.days_overdue), balance_amount: Number(d.balance_amount), student: byUUID[d.student_id] }))
+    .filter(d => !filters.class_name || d.student?.class_name === filters.class_name)
+    .filter(d => !filters.section_id || String(d.student?.section_id) === String(filters.section_id));
+
+  return { as_of_date, rows };
+};
+
+/**
+ * Students with overdue balances, grouped per student and sorted by class, section
+ * and then the largest outstanding amount.
+ * filters: { as_of_date, academic_year_id, fee_type_id, class_name, section_id, min_days_overdue }
+ */
+const getDefaulters = async (tenant_id, campus_id, filters = {}) => {
+  const { as_of_date, rows } = await loadOverdue(tenant_id, campus_id, filters);
+  const minDays = Number(filters.min_days_overdue || 0);
+
+  const students = {};
+  rows.forEach(d => {
+    if (!students[d.student_id]) {
+      const s = d.student;
+      students[d.student_id] = {
+        student_id: d.student_id,
+        username: s?.username,
+        student_name: s ? `${s.first_name} ${s.last_name}` : 'Unknown Student',
+        admission_number: s?.admission_number,
+        phone_number: s?.phone_number,
+        class_name: s?.class_name || null,
+        section_id: s?.section_id || null,
+        section_name: s?.section_name || null,
+        overdue_installments: 0,
+        amount_outstanding: 0,
+        max_days_overdue: 0,
+        oldest_due_date: d.due_date,
+        dues: []
+      };
+    }
+    const st = students[d.student_id];
+    st.overdue_installments++;
+    st.amount_outstanding = round2(st.amount_outstanding + d.balance_amount);
+    st.max_days_overdue = Math.max(st.max_days_overdue, d.days_overdue);
+    st.dues.push({
+      due_id: d.due_id,
+      fee_type_name: d.fee_type_name,
+      installment_name: d.installment_name,
+      due_date: d.due_date,
+      days_overdue: d.days_overdue,
+      balance_amount: d.balance_amount
+    });
+  });
+
+  const defaulters = Object.values(students)
+    .filter(s => s.max_days_overdue >= minDays)
+    .sort((a, b) =>
+      String(a.class_name || '').localeCompare(String(b.class_name || ''), undefined, { numeric: true }) ||
+      String(a.section_name || '').localeCompare(String(b.section_name || '')) ||
+      b.amount_outstanding - a.amount_outstanding
+    );
+
+  return {
+    as_of_date,
+    total_defaulters: defaulters.length,
+    total_outstanding: round2(defaulters.reduce((s, d) => s + d.amount_outstanding, 0)),
+    defaulters
+  };
+};
+
+/**
+ * Overdue amounts split into ageing buckets by days overdue, campus-wide and per class/section.
+ */
+const getAgeingReport = async (tenant_id, campus_id, filters = {}) => {
+  const { as_of_date, rows } = await loadOverdue(tenant_id, campus_id, filters);
+
+  const totals = emptyBuckets();
+  const groups = {};
+
+  rows.forEach(d => {
+    const bucket = bucketFor(d.days_overdue);
+    totals[bucket] = round2(totals[bucket] + d.balance_amount);
+
+    const key = `${d.student?.class_name || ''}::${d.student?.section_id || ''}`;
+    if (!groups[key]) {
+      groups[key] = {
+        class_name: d.student?.class_name || null,
+        section_id: d.student?.section_id || null,
+        section_name: d.student?.section_name || null,
+        buckets: emptyBuckets(),
+        total: 0
+      };
+    }
+    groups[key].buckets[bucket] = round2(groups[key].buckets[bucket] + d.balance_amount);
+    groups[key].total = round2(groups[key].total + d.balance_amount);
+  });
+
+  return {
+    as_of_date,
+    buckets: AGEING_BUCKETS.map(b => b.label),
+    totals,
+    total_outstanding: round2(Object.values(totals).reduce((s, v) => s + v, 0)),
+    by_class_section: Object.values(groups).sort((a, b) =>
+      String(a.class_name || '').localeCompare(String(b.class_name || ''), undefined, { numeric: true }) ||
+      String(a.section_name || '').localeCompare(String(b.section_name || ''))
+    )
+  };
+};
+
+/**
+ * Expected (net of discounts, by due month) against collected (net of reversals, by payment month)
+ * per fee type and month. filters: { from_date, to_date, academic_year_id }
+ */
+const getCollectionVsExpected = async (tenant_id, campus_id, filters = {}) => {
+  if (!filters.from_date || !filters.to_date) throw new Error('from_date and to_date required');
+
+  const [expected, collected] = await Promise.all([
+    feeReportModel.getExpectedByFeeTypeMonth(tenant_id, campus_id, filters),
+    feeReportModel.getCollectedByFeeTypeMonth(tenant_id, campus_id, filters)
+  ]);
+
+  const rows = {};
+  const rowFor = (r) => {
+    const key = `${r.fee_type_id}::${r.month}`;
+    if (!rows[key]) {
+      rows[key] = { fee_type_id: r.fee_type_id, fee_type_name: r.fee_type_name, month: r.month, expected: 0, collected: 0 };
+    }
+    return rows[key];
+  };
+
+  expected.forEach(r => { rowFor(r).expected = round2(r.expected); });
+  collected.forEach(r => { rowFor(r).collected = round2(r.collected); });
+
+  const result = Object.values(rows)
+    .map(r => ({
+      ...r,
+      variance: round2(r.collected - r.expected),
+      collection_percentage: r.expected > 0 ? round2((r.collected / r.expected) * 100) : null
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month) || a.fee_type_name.localeCompare(b.fee_type_name));
+
+  const total_expected = round2(result.reduce((s, r) => s + r.expected, 0));
+  const total_collected = round2(result.reduce((s, r) => s + r.collected, 0));
+
+  return {
+    from_date: filters.from_date,
+    to_date: filters.to_date,
+    total_expected,
+    total_collected,
+    collection_percentage: total_expected > 0 ? round2((total_collected / total_expected) * 100) : null,
+    rows: result
+  };
+};
+
+/**
+ * Day-end closing: what each collector took in per payment method, with reversals and refunds
+ * netted off against the day's receipts.
+ */
+const getDailyClosing = async (tenant_id, campus_id, filters = {}) => {
+  const date = filters.date || todayStr();
+  const rows = await feeReportModel.getDailyCollections(tenant_id, campus_id, date);
+
+  const collectors = {};
+  const byMethod = {};
+
+  rows.forEach(r => {
+    const amount = round2(r.total_amount);
+    const key = r.collected_by || 'online';
+    if (!collectors[key]) {
+      collectors[key] = {
+        collected_by: r.collected_by,
+        // Gateway payments have no collector
+        collector_name: r.collector_first_name ? `${r.collector_first_name} ${r.collector_last_name}` : 'Online',
+        methods: {},
+        gross_collected: 0,
+        reversed: 0,
+        net_collected: 0
+      };
+    }
+    const c = collectors[key];
+    const m = c.methods[r.payment_method] || (c.methods[r.payment_method] = { transactions: 0, gross: 0, reversed: 0, net: 0 });
+
+    m.transactions += Number(r.transactions);
+    if (r.entry_type === 'payment') {
+      m.gross = round2(m.gross + amount);
+      c.gross_collected = round2(c.gross_collected + amount);
+    } else {
+      m.reversed = round2(m.reversed - amount);
+      c.reversed = round2(c.reversed - amount);
+    }
+    m.net = round2(m.net + amount);
+    c.net_collected = round2(c.net_collected + amount);
+    byMethod[r.payment_method] = round2((byMethod[r.payment_method] || 0) + amount);
+  });
+
+  const list = Object.values(collectors);
+  return {
+    date,
+    collectors: list,
+    by_payment_method: byMethod,
+    gross_collected: round2(list.reduce((s, c) => s + c.gross_collected, 0)),
+    reversed: round2(list.reduce((s, c) => s + c.reversed, 0)),
+    net_collected: round2(list.reduce((s, c) => s + c.net_collected, 0))
+  };
+};
+
+module.exports = {
+  getDefaulters,
+  getAgeingReport,
+  getCollectionVsExpected,
+  getDailyClosing
+};
@@ -0,0 +1,51 @@
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const mockGateway = require('./mock.gateway');
+
+/**
+ * Payment gateway adapters. Every adapter exposes:
+ *   name
+ *   isConfigured() -> boolean, false while credentials are missing
+ *   createOrder({ order_id, amount, currency, description, customer }) -> { provider_order_id, redirect_url }
+ *   verifyWebhook(rawBody, headers) -> boolean
+ *   parseWebhook(body) -> { event_id, event_type, provider_order_id, provider_payment_id, amount, failure_reason }
+ *     event_type is normalised to 'payment.captured' or 'payment.failed'; anything else is recorded and ignored
+ *   fetchOrderStatus(provider_order_id) -> { status: 'captured' | 'failed' | 'pending', provider_payment_id, amount, failure_reason }
+ * Register real providers here. The mock settles payments on request, so it is only
+ * registered for test and development.
+ */
+const gateways = {};
+
+if (['test', 'development'].includes(process.env.NODE_ENV)) {
+  gateways[mockGateway.name] = mockGateway;
+}
+
+// Raised when no usable provider is set up; controllers answer it with 503
+const PAYMENTS_NOT_CONFIGURED = 'Online payments are not configured';
+
+/**
+ * Adapter by name, the configured provider by default. A missing or unregistered default
+ * provider, or one without its credentials, fails only the payment endpoints, not the rest of the API.
+ */
+const getGateway = (name = config.paymentGateway.defaultProvider) => {
+  const gateway = name ? gateways[name] : null;
+  if (!gateway && name && name !== config.paymentGateway.defaultProvider) {
+    throw new Error(`Unsupported payment gateway: ${name}`);
+  }
+  if (!gateway || !gateway.isConfigured()) {
+    logger.warn('Online payment requested without a configured gateway', { provider: name || null });
+    throw new Error(PAYMENTS_NOT_CONFIGURED);
+  }
+  return gateway;
+};
+
+const isGatewayConfigured = () => {
+  const gateway = gateways[config.paymentGateway.defaultProvider];
+  return Boolean(gateway && gateway.isConfigured());
+};
+
+module.exports = {
+  PAYMENTS_NOT_CONFIGURED,
+  getGateway,
+  isGatewayConfigured
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const config = require('../../config');
+
+// In-memory gateway for local development and tests. Orders live only as long as the process.
+const orders = new Map();
+
+// Without a webhook secret no webhook can be trusted, so the mock stays unusable
+const isConfigured = () => Boolean(config.paymentGateway.mock.webhookSecret);
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', config.paymentGateway.mock.webhookSecret)
+  .update(rawBody)
+  .digest('hex');
+
+const createOrder = async ({ order_id, amount, currency }) => {
+  const provider_order_id = `mock_order_${crypto.randomBytes(8).toString('hex')}`;
+  orders.set(provider_order_id, { order_id, amount: Number(amount), currency, status: 'pending' });
+
+  return {
+    provider_order_id,
+    redirect_url: `${config.paymentGateway.mock.checkoutUrl}?order_id=${encodeURIComponent(provider_order_id)}`
+  };
+};
+
+const verifyWebhook = (rawBody, headers = {}) => {
+  const signature = headers['x-mock-signature'];
+  if (!isConfigured() || !signature || !rawBody) return false;
+
+  const expected = Buffer.from(sign(rawBody), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const parseWebhook = (body) => ({
+  event_id: body.id,
+  event_type: body.type,
+  provider_order_id: body.data?.order_id,
+  provider_payment_id: body.data?.payment_id || null,
+  amount: body.data?.amount !== undefined ? Number(body.data.amount) : null,
+  failure_reason: body.data?.failure_reason || null
+});
+
+const fetchOrderStatus = async (provider_order_id) => {
+  const order = orders.get(provider_order_id);
+  if (!order) return { status: 'pending' };
+  return {
+    status: order.status,
+    provider_payment_id: order.provider_payment_id || null,
+    amount: order.amount,
+    failure_reason: order.failure_reason || null
+  };
+};
+
+/**
+ * Complete a mock checkout and build the signed webhook the gateway would send.
+ * Tests post { rawBody, headers } to /api/fees/gateway/mock/webhook.
+ * @param {'captured'|'failed'} outcome
+ */
+const simulatePayment = (provider_order_id, outcome = 'captured', overrides = {}) => {
+  const order = orders.get(provider_order_id) || { amount: overrides.amount };
+  const provider_payment_id = `mock_pay_${crypto.randomBytes(8).toString('hex')}`;
+
+  order.status = outcome;
+  order.provider_payment_id = provider_payment_id;
+  if (outcome === 'failed') order.failure_reason = overrides.failure_reason || 'Declined by mock gateway';
+  orders.set(provider_order_id, order);
+
+  const body = {
+    id: overrides.event_id || `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: outcome === 'captured' ? 'payment.captured' : 'payment.failed',
+    data: {
+      order_id: provider_order_id,
+      payment_id: provider_payment_id,
+      amount: overrides.amount !== undefined ? overrides.amount : order.amount,
+      failure_reason: order.failure_reason || null
+    }
+  };
+  const rawBody = JSON.stringify(body);
+
+  return { rawBody, headers: { 'content-type': 'application/json', 'x-mock-signature': sign(rawBody) } };
+};
+
+module.exports = {
+  name: 'mock',
+  isConfigured,
+  createOrder,
+  verifyWebhook,
+  parseWebhook,
+  fetchOrderStatus,
+  simulatePayment
+};
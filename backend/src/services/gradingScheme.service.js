@@ -0,0 +1,326 @@
+const { pool } = require('../config/database');
+const GradingSchemeModel = require('../models/gradingScheme.model');
+const ExamResultModel = require('../models/examResult.model');
+const { ExamResultWorkflowService } = require('./examResultWorkflow.service');
+
+const SCHEME_TYPES = ['bands', 'points', 'pass_fail'];
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Bands must cover 0-100 without overlapping; points schemes need a grade point on every band
+const validateBands = (schemeType, bands) => {
+  if (schemeType === 'pass_fail') return [];
+
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error('bands must be a non-empty array');
+  }
+
+  const sorted = bands.map((b, i) => {
+    if (!b.grade) throw new Error(`bands[${i}].grade required`);
+    const min = Number(b.min_percentage);
+    const max = Number(b.max_percentage);
+    if (isNaN(min) || isNaN(max) || min < 0 || max > 100 || min > max) {
+      throw new Error(`bands[${i}] must have 0 <= min_percentage <= max_percentage <= 100`);
+    }
+    if (schemeType === 'points' && (b.grade_point === undefined || b.grade_point === null || isNaN(Number(b.grade_point)))) {
+      throw new Error(`bands[${i}].grade_point required for a points scheme`);
+    }
+    return { ...b, min_percentage: min, max_percentage: max };
+  }).sort((a, b) => a.min_percentage - b.min_percentage);
+
+  const grades = new Set();
+  sorted.forEach((b, i) => {
+    if (grades.has(b.grade)) throw new Error(`Duplicate grade: ${b.grade}`);
+    grades.add(b.grade);
+    if (i > 0 && b.min_percentage <= sorted[i - 1].max_percentage) {
+      throw new Error(`Band ${b.grade} overlaps band ${sorted[i - 1].grade}`);
+    }
+  });
+
+  if (sorted[0].min_percentage !== 0) throw new Error('The lowest band must start at 0');
+  if (sorted[sorted.length - 1].max_percentage !== 100) throw new Error('The highest band must end at 100');
+  if (!sorted.some(b => b.is_pass !== false)) throw new Error('At least one band must be a pass');
+
+  return sorted;
+};
+
+const validateScheme = (data) => {
+  if (!SCHEME_TYPES.includes(data.scheme_type)) {
+    throw new Error(`scheme_type must be one of ${SCHEME_TYPES.join(', ')}`);
+  }
+  ['pass_percentage', 'grace_percentage'].forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      const v = Number(data[field]);
+      if (isNaN(v) || v < 0 || v > 100) throw new Error(`${field} must be between 0 and 100`);
+    }
+  });
+};
+
+/**
+ * Pick the scheme that applies to an exam: one for its academic year beats one for its curriculum,
+ * which beats the campus-wide default. Schemes scoped to another year or curriculum never apply.
+ */
+const resolveScheme = (schemes, { academic_year_id, curriculum_id }) => {
+  let best = null;
+  let bestRank = -1;
+
+  for (const s of schemes) {
+    if (s.academic_year_id && String(s.academic_year_id) !== String(academic_year_id)) continue;
+    if (s.curriculum_id && String(s.curriculum_id) !== String(curriculum_id)) continue;
+
+    const rank = (s.academic_year_id ? 2 : 0) + (s.curriculum_id ? 1 : 0);
+    if (rank > bestRank) {
+      best = s;
+      bestRank = rank;
+    }
+  }
+  return best;
+};
+
+/**
+ * Grade one result under a scheme. Absentees get AB and fail; Excused results are left ungraded
+ * (null) so the caller keeps its own pass mark. Grace lifts a fail that is within grace_percentage
+ * of the lowest pass up to that pass.
+ */
+const computeGrade = (scheme, exam, result) => {
+  if (result.attendance_status === 'Excused') return null;
+
+  const base = { grading_scheme_id: scheme.scheme_id, grace_applied: false };
+
+  if (result.attendance_status === 'Absent') {
+    return { ...base, grade: 'AB', grade_point: scheme.scheme_type === 'pass_fail' ? null : 0, is_passed: false };
+  }
+
+  const total = Number(exam.total_score);
+  const percentage = total > 0 ? round2((Number(result.obtained_score || 0) / total) * 100) : 0;
+  const grace = Number(scheme.grace_percentage || 0);
+
+  if (scheme.scheme_type === 'pass_fail') {
+    const pass = Number(scheme.pass_percentage);
+    if (percentage >= pass) return { ...base, grade: 'P', grade_point: null, is_passed: true };
+    if (grace > 0 && percentage + grace >= pass) return { ...base, grade: 'P', grade_point: null, is_passed: true, grace_applied: true };
+    return { ...base, grade: 'F', grade_point: null, is_passed: false };
+  }
+
+  // Bands come highest first; the first whose floor is reached applies, so gaps like 89.99-90 fall down
+  const bands = scheme.bands || [];
+  let band = bands.find(b => percentage >= Number(b.min_percentage)) || bands[bands.length - 1];
+  let grace_applied = false;
+
+  if (band && !band.is_pass && grace > 0) {
+    const lowestPass = bands.filter(b => b.is_pass).sort((a, b) => Number(a.min_percentage) - Number(b.min_percentage))[0];
+    if (lowestPass && percentage + grace >= Number(lowestPass.min_percentage)) {
+      band = lowestPass;
+      grace_applied = true;
+    }
+  }
+
+  if (!band) return null;
+
+  return {
+    ...base,
+    grade: band.grade,
+    grade_point: band.grade_point !== null && band.grade_point !== undefined ? Number(band.grade_point) : null,
+    is_passed: band.is_pass,
+    grace_applied
+  };
+};
+
+// Result fields when no scheme applies: pass mark from the exam, no grade
+const ungraded = (exam, result) => ({
+  grade: null,
+  grade_point: null,
+  grading_scheme_id: null,
+  grace_applied: false,
+  is_passed: parseFloat(result.obtained_score || 0) >= parseFloat(exam.passing_score)
+});
+
+// The grading fields a regrade can change, as recorded in the moderation log
+const gradeSnapshot = (r) => ({
+  is_passed: r.is_passed,
+  grade: r.grade,
+  grade_point: r.grade_point === null || r.grade_point === undefined ? null : Number(r.grade_point),
+  grace_applied: r.grace_applied
+});
+
+/**
+ * Re-grade the campus's stored results against the schemes now active. Runs inside the caller's
+ * transaction so a scheme change and its regrade land together; only changed rows are written.
+ * Locked exams are left alone, and changes to results already past Draft go to the moderation log.
+ */
+const regradeCampusWithClient = async (client, campusId, changedBy) => {
+  const schemes = await GradingSchemeModel.getActiveSchemes(campusId, client);
+  const results = await ExamResultModel.getResultsForRegrade(client, campusId);
+
+  const changedExams = new Map();
+  for (const r of results) {
+    const scheme = resolveScheme(schemes, r);
+    const graded = (scheme && computeGrade(scheme, r, r)) || ungraded(r, r);
+
+    const changed =
+      graded.is_passed !== r.is_passed ||
+      graded.grade !== r.grade ||
+      (graded.grade_point === null ? r.grade_point !== null : Number(r.grade_point) !== graded.grade_point) ||
+      graded.grading_scheme_id !== r.grading_scheme_id ||
+      graded.grace_applied !== r.grace_applied;
+
+    if (changed) {
+      await ExamResultModel.setResultGrade(client, r.result_id, graded);
+      if (!changedExams.has(r.exam_id)) {
+        changedExams.set(r.exam_id, { exam: { exam_id: r.exam_id, result_status: r.result_status }, changes: [] });
+      }
+      changedExams.get(r.exam_id).changes.push({
+        result_id: r.result_id,
+        student_username: r.student_username,
+        change_type: 'update',
+        old_values: gradeSnapshot(r),
+        new_values: gradeSnapshot(graded)
+      });
+    }
+  }
+
+  for (const { exam, changes } of changedExams.values()) {
+    if (ExamResultWorkflowService.needsModerationLog(exam)) {
+      await ExamResultWorkflowService.logChanges(exam, changes, 'Regraded against the active grading schemes', { userId: changedBy }, client);
+    }
+  }
+
+  const updated = [...changedExams.values()].reduce((n, e) => n + e.changes.length, 0);
+  return { results_checked: results.length, results_regraded: updated, exam_ids: [...changedExams.keys()] };
+};
+
+// Exams whose grades changed get their ranks (and their terms' ranks) recomputed after the commit.
+// Required here rather than at the top: the rank service loads report cards, which load this module.
+const refreshRegradedRanks = async ({ exam_ids, ...summary }) => {
+  const { ExamRankService } = require('./examRank.service');
+  await ExamRankService.refreshForExams(exam_ids);
+  return summary;
+};
+
+// Run a scheme change and the regrade it causes in one transaction
+const withRegrade = async (campusId, changedBy, work) => {
+  const client = await pool.connect();
+  let scheme;
+  let regrade;
+  try {
+    await client.query('BEGIN');
+    scheme = await work(client);
+    regrade = await regradeCampusWithClient(client, campusId, changedBy);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw new Error('An active grading scheme already exists for this academic year / curriculum');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+  return { scheme, ...await refreshRegradedRanks(regrade) };
+};
+
+const GradingSchemeService = {
+  resolveScheme,
+  computeGrade,
+
+  /**
+   * Grade a result of an exam (as returned by ExamModel.getExamGradingContext). Falls back to the
+   * exam's passing_score with no grade when the campus has no applicable scheme.
+   */
+  gradeResult: async (exam, result, schemes) => {
+    const active = schemes || await GradingSchemeModel.getActiveSchemes(exam.campus_id);
+    const scheme = resolveScheme(active, exam);
+    return (scheme && computeGrade(scheme, exam, result)) || ungraded(exam, result);
+  },
+
+  /**
+   * Lowest score that passes the exam before any scheme grace: the floor of the lowest passing band,
+   * or the pass_fail percentage, of the applicable scheme; otherwise the exam's passing_score.
+   */
+  getPassMark: (exam, schemes) => {
+    const scheme = resolveScheme(schemes, exam);
+    const total = Number(exam.total_score);
+    if (!scheme) return Number(exam.passing_score);
+    if (scheme.scheme_type === 'pass_fail') return round2((Number(scheme.pass_percentage) * total) / 100);
+
+    const passing = (scheme.bands || []).filter(b => b.is_pass).map(b => Number(b.min_percentage));
+    return passing.length > 0 ? round2((Math.min(...passing) * total) / 100) : Number(exam.passing_score);
+  },
+
+  getActiveSchemes: async (campusId) => {
+    return await GradingSchemeModel.getActiveSchemes(campusId);
+  },
+
+  createScheme: async (schemeData, tenantId, campusId, createdBy) => {
+    if (!schemeData.scheme_name) throw new Error('scheme_name required');
+    const data = { ...schemeData, scheme_type: schemeData.scheme_type || 'bands' };
+    validateScheme(data);
+    const bands = validateBands(data.scheme_type, data.bands);
+
+    return await withRegrade(campusId, createdBy, async (client) => {
+      const scheme = await GradingSchemeModel.createScheme(client, {
+        ...data,
+        tenant_id: tenantId,
+        campus_id: campusId,
+        created_by: createdBy
+      });
+      await GradingSchemeModel.replaceBands(client, scheme.scheme_id, bands);
+      return await GradingSchemeModel.getSchemeById(scheme.scheme_id, client);
+    });
+  },
+
+  getSchemes: async (tenantId, campusId, filters) => {
+    return await GradingSchemeModel.getSchemes(tenantId, campusId, filters);
+  },
+
+  getSchemeById: async (schemeId) => {
+    return await GradingSchemeModel.getSchemeById(schemeId);
+  },
+
+  // Any change, including replacing bands or (de)activating, re-grades the campus's stored results
+  updateScheme: async (schemeId, schemeData, tenantId, updatedBy) => {
+    const existing = await GradingSchemeModel.getSchemeById(schemeId);
+    if (!existing || existing.tenant_id !== tenantId) throw new Error('Grading scheme not found');
+
+    const merged = { ...existing, ...schemeData };
+    validateScheme(merged);
+
+    const typeChanged = schemeData.scheme_type !== undefined && schemeData.scheme_type !== existing.scheme_type;
+    const bands = schemeData.bands !== undefined || typeChanged
+      ? validateBands(merged.scheme_type, schemeData.bands !== undefined ? schemeData.bands : existing.bands)
+      : null;
+
+    return await withRegrade(existing.campus_id, updatedBy, async (client) => {
+      await GradingSchemeModel.updateScheme(client, schemeId, schemeData);
+      if (bands) await GradingSchemeModel.replaceBands(client, schemeId, bands);
+      return await GradingSchemeModel.getSchemeById(schemeId, client);
+    });
+  },
+
+  deleteScheme: async (schemeId, tenantId, deletedBy) => {
+    const existing = await GradingSchemeModel.getSchemeById(schemeId);
+    if (!existing || existing.tenant_id !== tenantId) throw new Error('Grading scheme not found');
+
+    return await withRegrade(existing.campus_id, deletedBy, async (client) => {
+      return await GradingSchemeModel.deleteScheme(client, schemeId);
+    });
+  },
+
+  regradeCampus: async (campusId, requestedBy) => {
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await regradeCampusWithClient(client, campusId, requestedBy);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    return await refreshRegradedRanks(result);
+  }
+};
+
+module.exports = { GradingSchemeService };
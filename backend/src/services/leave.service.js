@@ -45,6 +45,74 @@ const determineApprovers = async (tenantId, campusId, requesterUsername, request
   return unique;
 };
 
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'casual', name: 'Casual Leave' },
+  { code: 'sick', name: 'Sick Leave' },
+  { code: 'earned', name: 'Earned Leave' },
+  { code: 'maternity', name: 'Maternity Leave' },
+  { code: 'on_duty', name: 'On Duty', deducts_balance: false }
+];
+const EXCEED_ACTIONS = ['reject', 'flag'];
+const QUOTA_ROLES = ['Admin', 'Teacher', 'Employee', 'Student'];
+
+const leaveYearOf = (leaveDate) => {
+  const match = /^(\d{4})-\d{2}-\d{2}/.exec(String(leaveDate));
+  const year = match ? Number(match[1]) : new Date(leaveDate).getFullYear();
+  if (!year || isNaN(year)) throw new Error('leave_date must be a valid date');
+  return year;
+};
+
+// Balance row of a user for a type and year, opened from the applicable quota on first use.
+// Unused days of the previous year are carried forward up to the quota's carry_forward_max.
+const ensureLeaveBalance = async (campusId, username, role, leaveTypeId, leaveYear) => {
+  const existing = await leaveModel.getLeaveBalance(username, leaveTypeId, leaveYear);
+  if (existing) return existing;
+
+  const designation = await leaveModel.getDesignationForCampus(username, campusId);
+  const quota = await leaveModel.findLeaveQuota(leaveTypeId, role, designation);
+  let carried = 0;
+  if (quota && quota.carry_forward_max > 0) {
+    const previous = await leaveModel.getLeaveBalance(username, leaveTypeId, leaveYear - 1);
+    if (previous) carried = Math.min(quota.carry_forward_max, Math.max(0, previous.available_days));
+  }
+
+  await leaveModel.createLeaveBalance({
+    username,
+    leave_type_id: leaveTypeId,
+    leave_year: leaveYear,
+    entitled_days: quota ? quota.annual_days : 0,
+    carried_forward_days: carried
+  });
+  return await leaveModel.getLeaveBalance(username, leaveTypeId, leaveYear);
+};
+
+// Resolve the leave type of a new request and whether it goes beyond the balance.
+// Once a tenant has leave types, every request must name one.
+const checkLeaveBalance = async (tenantId, campusId, data) => {
+  if (!data.leave_type_id) {
+    const types = await leaveModel.getLeaveTypes(tenantId, true);
+    if (types.length > 0) throw new Error('leave_type_id is required');
+    return { leave_type_id: null, exceeds_balance: false };
+  }
+
+  const leaveType = await leaveModel.getLeaveTypeById(data.leave_type_id);
+  if (!leaveType || leaveType.tenant_id !== tenantId || !leaveType.is_active) {
+    throw new Error('Invalid leave_type_id');
+  }
+  if (!leaveType.deducts_balance) return { leave_type_id: leaveType.id, exceeds_balance: false };
+
+  const year = leaveYearOf(data.leave_date);
+  const balance = await ensureLeaveBalance(campusId, data.username, data.requester_role, leaveType.id, year);
+  const pending = (await leaveModel.getPendingLeaveDays(data.username, year)).get(leaveType.id) || 0;
+  const available = balance.available_days - pending;
+
+  if (Number(data.duration_days) <= available) return { leave_type_id: leaveType.id, exceeds_balance: false };
+  if (leaveType.on_exceed === 'reject') {
+    throw new Error(`Insufficient ${leaveType.name} balance: ${Math.max(0, available)} day(s) available`);
+  }
+  return { leave_type_id: leaveType.id, exceeds_balance: true };
+};
+
 const createLeaveRequest = async (tenantId, campusId, requesterUsername, payload) => {
   const resolvedRole = await leaveModel.resolveUserRoleForCampus(requesterUsername, campusId);
   const requester_role = resolvedRole || payload.requester_role || null;
@@ -63,6 +131,8 @@ const createLeaveRequest = async (tenantId, campusId, requesterUsername, payload
   if (!data.duration_days || Number(data.duration_days) <= 0) throw new Error('duration_days must be > 0');
   if (!data.duration_category) throw new Error('duration_category is required');
 
+  Object.assign(data, await checkLeaveBalance(tenantId, campusId, { ...data, leave_type_id: payload.leave_type_id }));
+
   const approverChain = await determineApprovers(tenantId, campusId, requesterUsername, requester_role);
   if (approverChain.length === 0) {
     approverChain.push({ username: requesterUsername, role: requester_role });
@@ -117,12 +187,21 @@ const updateLeaveStatus = async (tenantId, campusId, id, status, status_reason,
   const step = await leaveModel.updateApproverStepStatus(tenantId, campusId, id, approverUsername, status, status_reason);
   if (!step) return null;
   if (status === 'approved' || status === 'rejected') {
-    await leaveModel.recomputeOverallStatus(id);
+    const overall = await leaveModel.recomputeOverallStatus(id);
+    // Approval debits the balance; a later rejection gives the days back
+    if (overall && overall.status === 'approved' && overall.leave_type_id) {
+      await ensureLeaveBalance(overall.campus_id, overall.username, overall.requester_role, overall.leave_type_id, leaveYearOf(overall.leave_date));
+      await leaveModel.debitBalanceForRequest(id);
+    } else if (overall) {
+      await leaveModel.creditBalanceForRequest(id);
+    }
   }
   return step;
 };
 
 const deleteLeaveRequest = async (tenantId, campusId, id) => {
+  const req = await leaveModel.getLeaveRequestById(id);
+  if (req && req.campus_id === campusId) await leaveModel.creditBalanceForRequest(id);
   return await leaveModel.deleteLeaveRequest(tenantId, campusId, id);
 };
 
@@ -133,15 +212,168 @@ const cancelLeaveByRequester = async (tenantId, campusId, id, requesterUsername,
     throw new Error('Student can only cancel the request.');
   }
   const updatedRows = await leaveModel.cancelRequestAndStepsById(id, status_reason || null);
+  await leaveModel.creditBalanceForRequest(id);
   return updatedRows;
 };
 
+// ---------- Leave types and quotas ----------
+
+const normalizeLeaveType = (payload, existing = null) => {
+  const type = { is_paid: true, deducts_balance: true, on_exceed: 'reject', is_active: true, ...existing, ...payload };
+  if (existing) type.code = existing.code; // requests and balances refer to the type by id, the code stays
+  if (!type.code || !/^[a-z0-9_]+$/.test(String(type.code))) throw new Error('code is required (lowercase letters, digits and _)');
+  if (!type.name) throw new Error('name is required');
+  if (!EXCEED_ACTIONS.includes(type.on_exceed)) throw new Error(`on_exceed must be one of ${EXCEED_ACTIONS.join(', ')}`);
+  return {
+    code: String(type.code),
+    name: type.name,
+    is_paid: type.is_paid !== false,
+    deducts_balance: type.deducts_balance !== false,
+    on_exceed: type.on_exceed,
+    is_active: type.is_active !== false
+  };
+};
+
+const getLeaveTypes = async (tenantId) => {
+  return await leaveModel.getLeaveTypes(tenantId);
+};
+
+const createLeaveType = async (tenantId, payload) => {
+  try {
+    return await leaveModel.createLeaveType(tenantId, normalizeLeaveType(payload));
+  } catch (err) {
+    if (err.code === '23505') throw new Error('A leave type with this code already exists');
+    throw err;
+  }
+};
+
+// Add the standard types (casual, sick, earned, maternity, on duty) the tenant does not have yet
+const createDefaultLeaveTypes = async (tenantId) => {
+  const created = [];
+  for (const t of DEFAULT_LEAVE_TYPES) {
+    const row = await leaveModel.createLeaveType(tenantId, normalizeLeaveType(t), true);
+    if (row) created.push(row);
+  }
+  return created;
+};
+
+const updateLeaveType = async (tenantId, id, payload) => {
+  const existing = await leaveModel.getLeaveTypeById(id);
+  if (!existing || existing.tenant_id !== tenantId) throw new Error('Leave type not found');
+  return await leaveModel.updateLeaveType(id, normalizeLeaveType(payload, existing));
+};
+
+const getLeaveQuotas = async (tenantId) => {
+  return await leaveModel.getLeaveQuotas(tenantId);
+};
+
+// Quotas apply to balances opened after the change; existing years keep their entitlement
+const saveLeaveQuota = async (tenantId, payload) => {
+  const type = await leaveModel.getLeaveTypeById(payload.leave_type_id);
+  if (!type || type.tenant_id !== tenantId) throw new Error('Leave type not found');
+  if (payload.role && !QUOTA_ROLES.includes(payload.role)) throw new Error(`role must be one of ${QUOTA_ROLES.join(', ')}`);
+
+  const quota = {
+    leave_type_id: type.id,
+    role: payload.role || null,
+    designation: payload.designation ? String(payload.designation).trim() : null,
+    annual_days: Number(payload.annual_days),
+    carry_forward_max: Number(payload.carry_forward_max ?? 0),
+    encashable_max: Number(payload.encashable_max ?? 0)
+  };
+  ['annual_days', 'carry_forward_max', 'encashable_max'].forEach(field => {
+    if (isNaN(quota[field]) || quota[field] < 0 || quota[field] > 366) throw new Error(`${field} must be between 0 and 366`);
+  });
+  return await leaveModel.upsertLeaveQuota(quota);
+};
+
+const deleteLeaveQuota = async (tenantId, id) => {
+  return await leaveModel.deleteLeaveQuota(tenantId, id);
+};
+
+// ---------- Balances ----------
+
+// Balance of every active leave type for a user and year. Users see their own,
+// parents their children's, and Admins anyone's.
+const getLeaveBalances = async (tenantId, campusId, viewer, username, year) => {
+  const target = username || viewer.username;
+  const viewerRoles = Array.isArray(viewer.roles) ? viewer.roles : [viewer.role];
+  if (target !== viewer.username && !viewerRoles.includes('Admin')) {
+    const children = viewerRoles.includes('Parent') ? await leaveModel.findStudentsForParent(viewer.username, campusId) : [];
+    if (!children.includes(target)) throw new Error('You can only view your own leave balance');
+  }
+
+  const role = await leaveModel.resolveUserRoleForCampus(target, campusId);
+  if (!role) throw new Error('User not found in this campus');
+  const leaveYear = year ? Number(year) : new Date().getFullYear();
+  if (!Number.isInteger(leaveYear)) throw new Error('year must be a year like 2026');
+
+  const types = await leaveModel.getLeaveTypes(tenantId, true);
+  const pending = await leaveModel.getPendingLeaveDays(target, leaveYear);
+  const balances = [];
+  for (const t of types) {
+    const row = {
+      leave_type_id: t.id,
+      code: t.code,
+      name: t.name,
+      is_paid: t.is_paid,
+      deducts_balance: t.deducts_balance,
+      pending_days: pending.get(t.id) || 0
+    };
+    if (t.deducts_balance) {
+      const b = await ensureLeaveBalance(campusId, target, role, t.id, leaveYear);
+      Object.assign(row, {
+        entitled_days: b.entitled_days,
+        carried_forward_days: b.carried_forward_days,
+        used_days: b.used_days,
+        encashed_days: b.encashed_days,
+        available_days: b.available_days
+      });
+    }
+    balances.push(row);
+  }
+  return { username: target, leave_year: leaveYear, balances };
+};
+
+// Pay out unused days of a year, within the quota's encashable_max
+const encashLeave = async (tenantId, campusId, payload) => {
+  const { username, leave_type_id, leave_year } = payload;
+  const days = Number(payload.days);
+  if (!username || !leave_type_id || !leave_year) throw new Error('username, leave_type_id and leave_year are required');
+  if (isNaN(days) || days <= 0) throw new Error('days must be > 0');
+
+  const type = await leaveModel.getLeaveTypeById(leave_type_id);
+  if (!type || type.tenant_id !== tenantId || !type.deducts_balance) throw new Error('Leave type not found');
+  const role = await leaveModel.resolveUserRoleForCampus(username, campusId);
+  if (!role) throw new Error('User not found in this campus');
+
+  const balance = await ensureLeaveBalance(campusId, username, role, type.id, Number(leave_year));
+  const designation = await leaveModel.getDesignationForCampus(username, campusId);
+  const quota = await leaveModel.findLeaveQuota(type.id, role, designation);
+  const encashable = Math.max(0, (quota ? quota.encashable_max : 0) - balance.encashed_days);
+  if (days > encashable) throw new Error(`Only ${encashable} day(s) of ${type.name} can be encashed for ${leave_year}`);
+
+  const ok = await leaveModel.encashLeaveBalance(username, type.id, Number(leave_year), days);
+  if (!ok) throw new Error(`Only ${Math.max(0, balance.available_days)} day(s) of ${type.name} are available`);
+  return await leaveModel.getLeaveBalance(username, type.id, Number(leave_year));
+};
+
 module.exports = {
+  determineApprovers,
   createLeaveRequest,
   getMyLeaveRequests,
   getPendingApprovals,
   getCompletedApprovals,
   updateLeaveStatus,
   deleteLeaveRequest,
-  cancelLeaveByRequester
+  cancelLeaveByRequester,
+  getLeaveTypes,
+  createLeaveType,
+  createDefaultLeaveTypes,
+  updateLeaveType,
+  getLeaveQuotas,
+  saveLeaveQuota,
+  deleteLeaveQuota,
+  getLeaveBalances,
+  encashLeave
 };
@@ -0,0 +1,336 @@
+const { pool } = require('../config/database');
+const ModerationPolicyModel = require('../models/moderationPolicy.model');
+const ExamResultModel = require('../models/examResult.model');
+const ExamResultWorkflowModel = require('../models/examResultWorkflow.model');
+const ExamModel = require('../models/exam.model');
+const { GradingSchemeService } = require('./gradingScheme.service');
+const { ExamRankService } = require('./examRank.service');
+const { ExamResultWorkflowService } = require('./examResultWorkflow.service');
+
+const POLICY_TYPES = ['grace', 'scale', 'cap'];
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const isSet = (v) => v !== undefined && v !== null && v !== '';
+
+const inRange = (v, min, max) => !isNaN(Number(v)) && Number(v) >= min && Number(v) <= max;
+
+// Each type needs its own parameter: grace_marks, one of scale_factor / scale_top_percentage, or cap_percentage
+const validatePolicy = (data) => {
+  if (!data.policy_name) throw new Error('policy_name required');
+  if (!POLICY_TYPES.includes(data.policy_type)) {
+    throw new Error(`policy_type must be one of ${POLICY_TYPES.join(', ')}`);
+  }
+
+  if (data.policy_type === 'grace') {
+    if (!isSet(data.grace_marks) || !(Number(data.grace_marks) > 0)) throw new Error('grace_marks must be a positive number');
+  }
+  if (data.policy_type === 'scale') {
+    if (isSet(data.scale_factor) === isSet(data.scale_top_percentage)) {
+      throw new Error('A scale policy needs exactly one of scale_factor or scale_top_percentage');
+    }
+    if (isSet(data.scale_factor) && !(Number(data.scale_factor) > 0)) throw new Error('scale_factor must be positive');
+    if (isSet(data.scale_top_percentage) && !(Number(data.scale_top_percentage) > 0 && inRange(data.scale_top_percentage, 0, 100))) {
+      throw new Error('scale_top_percentage must be above 0 and at most 100');
+    }
+  }
+  if (data.policy_type === 'cap') {
+    if (!isSet(data.cap_percentage) || !inRange(data.cap_percentage, 0, 100)) throw new Error('cap_percentage must be between 0 and 100');
+  }
+};
+
+// Only the parameter of the policy's own type is kept, so a type change does not leave stale settings behind
+const policyParams = (data) => ({
+  grace_marks: data.policy_type === 'grace' ? Number(data.grace_marks) : null,
+  scale_factor: data.policy_type === 'scale' && isSet(data.scale_factor) ? Number(data.scale_factor) : null,
+  scale_top_percentage: data.policy_type === 'scale' && isSet(data.scale_top_percentage) ? Number(data.scale_top_percentage) : null,
+  cap_percentage: data.policy_type === 'cap' ? Number(data.cap_percentage) : null
+});
+
+/**
+ * Apply one policy to the working scores ({ score }) of the students who sat the paper.
+ * Grace lifts a fail to the pass mark when it is short by at most grace_marks; scaling multiplies
+ * by scale_factor, or stretches so the top score reaches scale_top_percentage (never scaling down);
+ * a cap clips scores to cap_percentage of the total. Scores never leave 0..total_score.
+ */
+const applyPolicy = (policy, entries, total, passMark) => {
+  if (policy.policy_type === 'grace') {
+    const grace = Number(policy.grace_marks);
+    entries.forEach(e => {
+      const short = passMark - e.score;
+      if (short > 0 && short <= grace) e.score = passMark;
+    });
+  } else if (policy.policy_type === 'scale') {
+    let factor = Number(policy.scale_factor);
+    if (!isSet(policy.scale_factor)) {
+      const top = Math.max(0, ...entries.map(e => e.score));
+      factor = top > 0 ? Math.max(1, (Number(policy.scale_top_percentage) * total) / 100 / top) : 1;
+    }
+    entries.forEach(e => { e.score = Math.min(total, round2(e.score * factor)); });
+  } else if (policy.policy_type === 'cap') {
+    const cap = round2((Number(policy.cap_percentage) * total) / 100);
+    entries.forEach(e => { e.score = Math.min(e.score, cap); });
+  }
+};
+
+const loadExam = async (examId, tenantId) => {
+  const exam = await ExamModel.getExamGradingContext(examId);
+  if (!exam || exam.tenant_id !== tenantId) throw new Error('Exam not found');
+  return exam;
+};
+
+// Policies in the order given; each must be active, on the exam's campus and for its subject (or any subject)
+const loadPolicies = async (policyIds, exam) => {
+  if (!Array.isArray(policyIds) || policyIds.length === 0) throw new Error('policy_ids must be a non-empty array');
+  if (new Set(policyIds).size !== policyIds.length) throw new Error('policy_ids must not repeat a policy');
+
+  const found = await ModerationPolicyModel.getPoliciesByIds(policyIds);
+  const byId = new Map(found.map(p => [String(p.policy_id), p]));
+
+  return policyIds.map(id => {
+    const policy = byId.get(String(id));
+    if (!policy || policy.campus_id !== exam.campus_id) throw new Error(`Moderation policy ${id} not found`);
+    if (!policy.is_active) throw new Error(`Moderation policy ${policy.policy_name} is inactive`);
+    if (policy.subject_name && policy.subject_name.toLowerCase() !== String(exam.subject_name).toLowerCase()) {
+      throw new Error(`Moderation policy ${policy.policy_name} is for ${policy.subject_name}, not ${exam.subject_name}`);
+    }
+    return policy;
+  });
+};
+
+/**
+ * Work out the moderated result of every student. Policies always run over the original (as entered)
+ * score, so applying a run again replaces the previous moderation rather than stacking on it.
+ * Absent and Excused results are left untouched.
+ */
+const computeModeration = (exam, results, policies, schemes) => {
+  const total = Number(exam.total_score);
+  const passMark = GradingSchemeService.getPassMark(exam, schemes);
+
+  const rows = results.map(r => ({
+    result: r,
+    base: Number(r.original_score ?? r.obtained_score),
+    sat: r.attendance_status !== 'Absent' && r.attendance_status !== 'Excused'
+  }));
+  const entries = rows.filter(row => row.sat).map(row => ({ row, score: row.base }));
+
+  policies.forEach(policy => applyPolicy(policy, entries, total, passMark));
+  entries.forEach(e => { e.row.moderated = round2(e.score); });
+
+  return {
+    pass_mark: passMark,
+    rows: rows.map(row => ({ ...row, moderated: row.sat ? row.moderated : Number(row.result.obtained_score) }))
+  };
+};
+
+const gradeRows = async (exam, rows, schemes) => {
+  const graded = [];
+  for (const row of rows) {
+    const after = await GradingSchemeService.gradeResult(exam, { ...row.result, obtained_score: row.moderated }, schemes);
+    graded.push({ ...row, after });
+  }
+  return graded;
+};
+
+const policySummary = (p) => ({
+  policy_id: p.policy_id,
+  policy_name: p.policy_name,
+  policy_type: p.policy_type,
+  ...policyParams(p)
+});
+
+// What the moderation log records of each changed result
+const loggedFields = (r) => ({
+  obtained_score: r.obtained_score,
+  original_score: r.original_score,
+  is_passed: r.is_passed,
+  grade: r.grade,
+  grade_point: r.grade_point
+});
+
+/**
+ * Commit a moderation run (or, with no policies, a reset to the original scores) in one transaction.
+ * The exam row is locked so the run cannot race a workflow transition.
+ */
+const commitModeration = async (exam, policies, reason, user) => {
+  const schemes = await GradingSchemeService.getActiveSchemes(exam.campus_id);
+  const appliedBy = user.userId || user.user_id || null;
+  const client = await pool.connect();
+  let changes = [];
+  let application;
+
+  try {
+    await client.query('BEGIN');
+
+    const lockedExam = await ExamResultWorkflowModel.getExamForUpdate(client, exam.exam_id);
+    ExamResultWorkflowService.assertEditable(lockedExam, reason);
+
+    const results = await ExamResultModel.getResultsForModeration(client, exam.exam_id);
+    if (results.length === 0) throw new Error('No results have been entered for this exam');
+
+    const { rows } = computeModeration(exam, results, policies, schemes);
+    const graded = await gradeRows(exam, rows, schemes);
+
+    application = await ModerationPolicyModel.createApplication(client, {
+      tenant_id: exam.tenant_id,
+      exam_id: exam.exam_id,
+      policy_ids: policies.map(p => p.policy_id),
+      policies: policies.map(policySummary),
+      reason: reason ? String(reason).trim() : null,
+      applied_by: appliedBy
+    });
+
+    for (const row of graded) {
+      const r = row.result;
+      const moderated = row.sat && row.moderated !== row.base;
+      const next = {
+        obtained_score: row.moderated,
+        original_score: moderated ? row.base : null,
+        moderation_application_id: moderated ? application.application_id : null,
+        ...row.after
+      };
+
+      const unchanged = Number(r.obtained_score) === next.obtained_score &&
+        (r.original_score === null ? next.original_score === null : Number(r.original_score) === next.original_score);
+      if (unchanged && !moderated) continue;
+
+      const updated = await ExamResultModel.setModeratedScore(client, r.result_id, next);
+      changes.push({ before: r, after: updated });
+    }
+
+    await ModerationPolicyModel.setAffectedCount(client, application.application_id, changes.length);
+
+    if (ExamResultWorkflowService.needsModerationLog(lockedExam) && changes.length > 0) {
+      await ExamResultWorkflowService.logChanges(lockedExam, changes.map(c => ({
+        result_id: c.after.result_id,
+        student_username: c.after.student_username,
+        change_type: 'update',
+        old_values: loggedFields(c.before),
+        new_values: loggedFields(c.after)
+      })), reason, user, client);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await ExamRankService.refreshForExams([exam.exam_id]);
+
+  return { application: { ...application, affected_count: changes.length }, results_changed: changes.length };
+};
+
+const ModerationPolicyService = {
+  applyPolicy,
+  computeModeration,
+
+  createPolicy: async (policyData, tenantId, campusId, createdBy) => {
+    validatePolicy(policyData);
+    try {
+      return await ModerationPolicyModel.createPolicy({
+        ...policyData,
+        ...policyParams(policyData),
+        tenant_id: tenantId,
+        campus_id: campusId,
+        created_by: createdBy
+      });
+    } catch (error) {
+      if (error.code === '23505') throw new Error('A moderation policy with this name already exists');
+      throw error;
+    }
+  },
+
+  getPolicies: async (tenantId, campusId, filters) => {
+    return await ModerationPolicyModel.getPolicies(tenantId, campusId, filters);
+  },
+
+  getPolicyById: async (policyId) => {
+    return await ModerationPolicyModel.getPolicyById(policyId);
+  },
+
+  // Editing a policy does not touch results it was already applied to; re-apply to take effect
+  updatePolicy: async (policyId, policyData, tenantId) => {
+    const existing = await ModerationPolicyModel.getPolicyById(policyId);
+    if (!existing || existing.tenant_id !== tenantId) throw new Error('Moderation policy not found');
+
+    const merged = { ...existing, ...policyData };
+    validatePolicy(merged);
+    try {
+      return await ModerationPolicyModel.updatePolicy(policyId, { ...policyData, ...policyParams(merged) });
+    } catch (error) {
+      if (error.code === '23505') throw new Error('A moderation policy with this name already exists');
+      throw error;
+    }
+  },
+
+  deletePolicy: async (policyId, tenantId) => {
+    const existing = await ModerationPolicyModel.getPolicyById(policyId);
+    if (!existing || existing.tenant_id !== tenantId) throw new Error('Moderation policy not found');
+    return await ModerationPolicyModel.deletePolicy(policyId);
+  },
+
+  /**
+   * What applying the policies (in order) would do to an exam's results, without saving anything
+   */
+  previewModeration: async (examId, { policy_ids }, tenantId) => {
+    const exam = await loadExam(examId, tenantId);
+    const policies = await loadPolicies(policy_ids, exam);
+    const results = await ExamResultModel.getResultsByExamId(examId);
+    const schemes = await GradingSchemeService.getActiveSchemes(exam.campus_id);
+
+    const { pass_mark, rows } = computeModeration(exam, results, policies, schemes);
+    const graded = await gradeRows(exam, rows, schemes);
+
+    const preview = graded.map(row => ({
+      result_id: row.result.result_id,
+      student_username: row.result.student_username,
+      attendance_status: row.result.attendance_status,
+      original_score: row.base,
+      current_score: Number(row.result.obtained_score),
+      moderated_score: row.moderated,
+      change: round2(row.moderated - row.base),
+      is_passed_before: row.result.is_passed,
+      is_passed_after: row.after.is_passed,
+      grade_before: row.result.grade,
+      grade_after: row.after.grade
+    }));
+
+    return {
+      exam_id: exam.exam_id,
+      subject_name: exam.subject_name,
+      total_score: Number(exam.total_score),
+      pass_mark,
+      result_status: exam.result_status,
+      policies: policies.map(policySummary),
+      summary: {
+        results: preview.length,
+        changed: preview.filter(p => p.moderated_score !== p.current_score).length,
+        passed_before: preview.filter(p => p.is_passed_before).length,
+        passed_after: preview.filter(p => p.is_passed_after).length
+      },
+      results: preview
+    };
+  },
+
+  applyModeration: async (examId, { policy_ids, reason }, tenantId, user) => {
+    const exam = await loadExam(examId, tenantId);
+    const policies = await loadPolicies(policy_ids, exam);
+    return await commitModeration(exam, policies, reason, user);
+  },
+
+  // Put every moderated result of the exam back to its original score
+  resetModeration: async (examId, { reason }, tenantId, user) => {
+    const exam = await loadExam(examId, tenantId);
+    return await commitModeration(exam, [], reason, user);
+  },
+
+  getApplications: async (examId, tenantId) => {
+    await loadExam(examId, tenantId);
+    return await ModerationPolicyModel.getApplications(examId);
+  }
+};
+
+module.exports = { ModerationPolicyService };
@@ -1,6 +1,7 @@
 const { pool } = require('../config/database');
 const logger = require('../utils/logger');
 const consolidatedAttendanceService = require('./consolidatedAttendance.service');
+const staffPunctualityService = require('./staffPunctuality.service');
 
 async function getPayrollReport(campusId, roles, yearName, startDate, endDate, tenantId) {
     try {
@@ -38,7 +39,8 @@ async function getPayrollReport(campusId, roles, yearName, startDate, endDate, t
             // If record.status is 'No Attendance', we check if it's a holiday
             const status = (record.status || 'No Attendance').toLowerCase();
             
-            if (status === 'present') {
+            // Late arrival and early leaving are present days; their cost comes from the deduction rules
+            if (status === 'present' || status === 'late' || status === 'left early') {
                 stats.present_days++;
             } else if (status === 'half day') {
                 stats.present_days += 0.5;
@@ -73,12 +75,22 @@ async function getPayrollReport(campusId, roles, yearName, startDate, endDate, t
             });
         }
 
+        // Late-coming / early-leaving counters and the loss of pay their rules add up to
+        const punctuality = await staffPunctualityService.getPunctualityByUser(campusId, roles, startDate, endDate);
+        userMap.forEach(u => {
+            const p = punctuality.get(u.username);
+            u.late_count = p ? p.late_count : 0;
+            u.early_leave_count = p ? p.early_leave_count : 0;
+            u.lop_days = p ? p.lop_days : 0;
+            u.deductions = p ? p.deductions : [];
+        });
+
         // Calculate Pay
         const results = Array.from(userMap.values()).map(u => {
             // Daily pay = Salary / 30 (Standard approximation)
             const daily_pay = u.salary > 0 ? u.salary / 30 : 0; 
             
-            // Payroll days = Present + Holidays
+            // Payroll days = Present + Holidays - loss of pay from the late/early deduction rules
             // Note: Leaves are excluded from "Payroll days" per user request "Payroll days (present + holidays)"
             // But usually Paid Leaves should be included. 
             // If the user meant "Payable Days", then Paid Leaves should be there.
@@ -86,7 +98,7 @@ async function getPayrollReport(campusId, roles, yearName, startDate, endDate, t
             // If "Leaves" are separate, maybe they are deducted?
             // But I'll calculate Total Pay based on Payroll Days.
             
-            const payroll_days = u.present_days + u.holidays; 
+            const payroll_days = Math.max(0, u.present_days + u.holidays - u.lop_days);
             const total_pay = payroll_days * daily_pay;
             
             return {
@@ -0,0 +1,457 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const periodAttendanceModel = require('../models/periodAttendance.model');
+const UserModel = require('../models/user.model');
+const attendanceCorrectionModel = require('../models/attendanceCorrection.model');
+const holidayService = require('./holiday.service');
+
+const STATUSES = ['Present', 'Absent', 'Late', 'Excused', 'Left Early'];
+const RULE_TYPES = ['missed_percentage', 'missed_count'];
+
+// Used until a campus saves its own rule: absent when more than half the periods were missed
+const DEFAULT_RULE = { rule_type: 'missed_percentage', threshold: 50, late_counts_as_present: true };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const rolesOf = (user) => user?.roles || [user?.role];
+const canManageAll = (user) => rolesOf(user).some(r => r === 'Admin' || r === 'Principal');
+
+const dayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const assertDate = (value, field) => {
+    if (!value || !DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`))) {
+        throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+    }
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const ruleOf = async (campusId, client = pool) => {
+    const rule = await periodAttendanceModel.getRule(campusId, client);
+    return rule
+        ? { rule_type: rule.rule_type, threshold: Number(rule.threshold), late_counts_as_present: rule.late_counts_as_present }
+        : { ...DEFAULT_RULE };
+};
+
+const isAttended = (status, rule) => status === 'Present' || status === 'Left Early' || (status === 'Late' && rule.late_counts_as_present);
+
+/**
+ * Daily status of one student from the periods marked for them that day.
+ * Excused periods are left out; a day with only Excused periods is Excused.
+ * @param {Array<{status, duration_minutes}>} periods
+ * @param {Object} rule - { rule_type, threshold, late_counts_as_present }
+ * @returns {{status: string, attendedMinutes: number, totalMinutes: number}}
+ */
+const rollupDay = (periods, rule) => {
+    const countable = periods.filter(p => p.status !== 'Excused');
+    if (countable.length === 0) {
+        return { status: 'Excused', attendedMinutes: 0, totalMinutes: 0 };
+    }
+
+    const missed = countable.filter(p => !isAttended(p.status, rule)).length;
+    const overThreshold = rule.rule_type === 'missed_count'
+        ? missed > rule.threshold
+        : (missed / countable.length) * 100 > rule.threshold;
+
+    return {
+        status: overThreshold ? 'Absent' : 'Present',
+        attendedMinutes: countable.filter(p => isAttended(p.status, rule)).reduce((sum, p) => sum + Number(p.duration_minutes), 0),
+        totalMinutes: countable.reduce((sum, p) => sum + Number(p.duration_minutes), 0)
+    };
+};
+
+/**
+ * Recompute user_attendance for every student/day that has period attendance matching the filters.
+ * Days settled by an approved attendance correction are left as corrected.
+ * @param {Object} client - Database client for transaction
+ * @param {string} campusId
+ * @param {Object} filters - { usernames | section_id, from_date, to_date }
+ * @returns {Promise<number>} Daily records written
+ */
+const rollupToDaily = async (client, campusId, filters) => {
+    const rule = await ruleOf(campusId, client);
+    const periods = await periodAttendanceModel.getStudentPeriods(client, filters);
+
+    // user_attendance is written one date and academic year at a time
+    const days = new Map();
+    for (const p of periods) {
+        const batchKey = `${p.attendance_date}|${p.year_name}`;
+        if (!days.has(batchKey)) days.set(batchKey, { date: p.attendance_date, yearName: p.year_name, students: new Map() });
+        const students = days.get(batchKey).students;
+        if (!students.has(p.username)) students.set(p.username, []);
+        students.get(p.username).push(p);
+    }
+
+    let written = 0;
+    for (const { date, yearName, students } of days.values()) {
+        const corrected = await attendanceCorrectionModel.getCorrectedUsernames(client, [...students.keys()], date);
+        const records = [];
+        for (const [username, studentPeriods] of students) {
+            if (corrected.has(username)) continue;
+            const day = rollupDay(studentPeriods, rule);
+            records.push({
+                username,
+                role: 'Student',
+                status: day.status,
+                duration: `${day.attendedMinutes} minutes`,
+                total_duration: `${day.totalMinutes} minutes`
+            });
+        }
+        if (records.length === 0) continue;
+        await UserModel.saveUserAttendance(date, yearName, campusId, records, client);
+        written += records.length;
+    }
+    return written;
+};
+
+/**
+ * Validate slot fields and check the section, subject and clashes
+ */
+const validateSlot = async (campusId, data) => {
+    const dayNumber = Number(data.day_of_week);
+    const periodNumber = Number(data.period_number);
+    if (!Number.isInteger(dayNumber) || dayNumber < 0 || dayNumber > 6) {
+        throw new Error('day_of_week must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!Number.isInteger(periodNumber) || periodNumber < 1) {
+        throw new Error('period_number must be a positive whole number');
+    }
+    if (!TIME_PATTERN.test(data.start_time || '') || !TIME_PATTERN.test(data.end_time || '')) {
+        throw new Error('start_time and end_time must be times in HH:MM format');
+    }
+    if (data.start_time.slice(0, 5) >= data.end_time.slice(0, 5)) {
+        throw new Error('start_time must be before end_time');
+    }
+
+    const section = await periodAttendanceModel.getSection(data.section_id);
+    if (!section || section.campus_id !== campusId) {
+        throw new Error('Section not found');
+    }
+
+    const sectionSubject = await periodAttendanceModel.getSectionSubject(data.section_subject_id);
+    if (!sectionSubject || String(sectionSubject.section_id) !== String(section.section_id)) {
+        throw new Error('Subject is not assigned to this section');
+    }
+
+    const teacherUserId = data.teacher_user_id || sectionSubject.teacher_user_id || null;
+    const slot = {
+        slot_id: data.slot_id,
+        section_id: section.section_id,
+        day_of_week: dayNumber,
+        period_number: periodNumber,
+        start_time: data.start_time,
+        end_time: data.end_time,
+        section_subject_id: sectionSubject.section_subject_id,
+        teacher_user_id: data.teacher_user_id || null
+    };
+
+    const clashes = await periodAttendanceModel.findSlotClashes({ ...slot, teacher_user_id: teacherUserId });
+    if (clashes.length > 0) {
+        const c = clashes[0];
+        const where = String(c.section_id) === String(section.section_id)
+            ? `period ${c.period_number} (${c.subject_name}) of this section`
+            : `${c.class_name} ${c.section_name} period ${c.period_number}, taken by the same teacher`;
+        throw new Error(`Slot clashes with ${where} at ${c.start_time}-${c.end_time}`);
+    }
+
+    return slot;
+};
+
+/**
+ * Load a slot of the campus, failing when it does not exist
+ */
+const loadSlot = async (slotId, campusId) => {
+    const slot = await periodAttendanceModel.getSlotById(slotId);
+    if (!slot || slot.campus_id !== campusId) {
+        throw new Error('Timetable slot not found');
+    }
+    return slot;
+};
+
+// ==================== TIMETABLE SLOTS ====================
+
+/**
+ * Get the weekly timetable slots of a campus
+ */
+const getSlots = async (campusId, filters) => {
+    return periodAttendanceModel.getSlots(campusId, filters);
+};
+
+/**
+ * Create a timetable slot
+ */
+const createSlot = async (campusId, data) => {
+    const slot = await validateSlot(campusId, data);
+    const { slot_id } = await periodAttendanceModel.createSlot({ ...slot, campus_id: campusId });
+    logger.info('SERVICE.createSlot: Created', { slotId: slot_id, sectionId: slot.section_id });
+    return periodAttendanceModel.getSlotById(slot_id);
+};
+
+/**
+ * Update a timetable slot; the section of a slot cannot change
+ */
+const updateSlot = async (slotId, campusId, data) => {
+    const existing = await loadSlot(slotId, campusId);
+    if (!existing.is_active) {
+        throw new Error('Retired timetable slots cannot be changed');
+    }
+
+    const merged = {
+        day_of_week: existing.day_of_week,
+        period_number: existing.period_number,
+        start_time: existing.start_time,
+        end_time: existing.end_time,
+        section_subject_id: existing.section_subject_id,
+        teacher_user_id: existing.slot_teacher_user_id,
+        ...data,
+        slot_id: slotId,
+        section_id: existing.section_id
+    };
+    const slot = await validateSlot(campusId, merged);
+    await periodAttendanceModel.updateSlot(slotId, slot);
+    return periodAttendanceModel.getSlotById(slotId);
+};
+
+/**
+ * Delete a timetable slot. Slots that already have attendance are retired instead, so the
+ * attendance keeps pointing at the period it was taken in.
+ */
+const deleteSlot = async (slotId, campusId) => {
+    await loadSlot(slotId, campusId);
+    if (await periodAttendanceModel.slotHasAttendance(slotId)) {
+        await periodAttendanceModel.deactivateSlot(slotId);
+        return { slot_id: slotId, retired: true };
+    }
+    await periodAttendanceModel.deleteSlot(slotId);
+    return { slot_id: slotId, retired: false };
+};
+
+// ==================== PERIOD ATTENDANCE ====================
+
+/**
+ * Students of the slot's section with what has been marked for the period on a date
+ */
+const getPeriodRoster = async (slotId, campusId, date) => {
+    assertDate(date, 'date');
+    const slot = await loadSlot(slotId, campusId);
+    const [students, marked] = await Promise.all([
+        periodAttendanceModel.getSectionStudents(slot.section_id),
+        periodAttendanceModel.getSlotAttendance(slotId, date)
+    ]);
+    const markedBy = new Map(marked.map(m => [m.username, m]));
+
+    return {
+        slot,
+        date,
+        students: students.map(s => ({
+            username: s.username,
+            name: `${s.first_name} ${s.last_name}`,
+            roll_number: s.roll_number,
+            status: markedBy.get(s.username)?.status || null,
+            remarks: markedBy.get(s.username)?.remarks || null
+        }))
+    };
+};
+
+/**
+ * Mark (or correct) the attendance of a period and roll the affected students up into user_attendance.
+ * Teachers can only mark the periods they take; Admin and Principal can mark any period.
+ * @param {string} slotId
+ * @param {Object} data - { date, records: [{ username, status, remarks }] }
+ * @param {Object} user - req.user
+ */
+const markPeriodAttendance = async (slotId, data, user) => {
+    const { campusId } = user;
+    const userId = user.userId || user.user_id;
+    const { date, records } = data;
+
+    assertDate(date, 'date');
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new Error('records must be a non-empty array');
+    }
+
+    const slot = await loadSlot(slotId, campusId);
+    if (!slot.is_active) {
+        throw new Error('Attendance cannot be marked for a retired timetable slot');
+    }
+    if (!canManageAll(user) && String(slot.teacher_user_id) !== String(userId)) {
+        throw new Error('Only the teacher of this period can mark its attendance');
+    }
+    if (dayOfWeek(date) !== slot.day_of_week) {
+        throw new Error('This period is not on the timetable for the given date');
+    }
+    if (date > new Date().toISOString().split('T')[0]) {
+        throw new Error('Attendance cannot be marked for a future date');
+    }
+
+    const { isHoliday, details } = await holidayService.checkDateStatus(campusId, date, slot.academic_year_id);
+    if (isHoliday) {
+        throw new Error(`${date} is a holiday${details.holidayName ? ` (${details.holidayName})` : ''}`);
+    }
+
+    const seen = new Set();
+    const normalized = records.map((r, i) => {
+        const status = STATUSES.find(s => s.toLowerCase() === String(r?.status || '').toLowerCase());
+        if (!r?.username) throw new Error(`records[${i}]: username is required`);
+        if (!status) throw new Error(`records[${i}]: status must be one of ${STATUSES.join(', ')}`);
+        if (seen.has(r.username)) throw new Error(`records[${i}]: ${r.username} appears more than once`);
+        seen.add(r.username);
+        return { username: r.username, status, remarks: r.remarks || null };
+    });
+
+    const usernames = normalized.map(r => r.username);
+    const enrolled = await periodAttendanceModel.getSectionStudents(slot.section_id, usernames);
+    const enrolledSet = new Set(enrolled.map(s => s.username));
+    const outsiders = usernames.filter(u => !enrolledSet.has(u));
+    if (outsiders.length > 0) {
+        throw new Error(`Not enrolled in this section: ${outsiders.join(', ')}`);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const savedCount = await periodAttendanceModel.upsertPeriodAttendance(client, slot, date, normalized, userId);
+        const dailyCount = await rollupToDaily(client, campusId, { usernames, from_date: date, to_date: date });
+
+        await client.query('COMMIT');
+        logger.info('SERVICE.markPeriodAttendance: Success', { slotId, date, savedCount, dailyCount });
+        return { savedCount, dailyCount };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('SERVICE: Error marking period attendance:', error);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Subject-wise attendance percentage of each student. Excused periods are left out of the percentage
+ * and Late counts as attended when the campus rule says so. Students only see their own.
+ * @param {string} campusId
+ * @param {Object} filters - { section_id, username, subject_id, from_date, to_date }
+ * @param {Object} user - req.user
+ */
+const getSubjectSummary = async (campusId, filters, user) => {
+    if (filters.from_date) assertDate(filters.from_date, 'from_date');
+    if (filters.to_date) assertDate(filters.to_date, 'to_date');
+
+    const roles = rolesOf(user);
+    const scoped = roles.includes('Student') && !roles.some(r => r === 'Admin' || r === 'Principal' || r === 'Teacher')
+        ? { ...filters, username: user.username }
+        : filters;
+    if (!scoped.section_id && !scoped.username) {
+        throw new Error('section_id or username required');
+    }
+
+    const [rows, rule] = await Promise.all([
+        periodAttendanceModel.getSubjectSummary(campusId, scoped),
+        ruleOf(campusId)
+    ]);
+
+    const students = new Map();
+    for (const r of rows) {
+        if (!students.has(r.username)) {
+            students.set(r.username, {
+                username: r.username,
+                name: `${r.first_name} ${r.last_name}`,
+                section_id: r.section_id,
+                subjects: []
+            });
+        }
+        const attended = r.present + r.left_early + (rule.late_counts_as_present ? r.late : 0);
+        const counted = r.total_periods - r.excused;
+        students.get(r.username).subjects.push({
+            subject_id: r.subject_id,
+            subject_name: r.subject_name,
+            total_periods: r.total_periods,
+            present: r.present,
+            absent: r.absent,
+            late: r.late,
+            left_early: r.left_early,
+            excused: r.excused,
+            attended,
+            percentage: counted > 0 ? round2((attended / counted) * 100) : null
+        });
+    }
+
+    return [...students.values()].map(s => {
+        const attended = s.subjects.reduce((sum, sub) => sum + sub.attended, 0);
+        const counted = s.subjects.reduce((sum, sub) => sum + sub.total_periods - sub.excused, 0);
+        return { ...s, overall_percentage: counted > 0 ? round2((attended / counted) * 100) : null };
+    });
+};
+
+// ==================== ROLL-UP RULE ====================
+
+/**
+ * Get the roll-up rule of a campus (the default when none is saved)
+ */
+const getRule = async (campusId) => {
+    return ruleOf(campusId);
+};
+
+/**
+ * Save the roll-up rule of a campus. Existing daily records keep their status until re-rolled with rerunRollup.
+ */
+const updateRule = async (campusId, data, updatedBy) => {
+    const rule = { ...(await ruleOf(campusId)), ...data };
+    if (!RULE_TYPES.includes(rule.rule_type)) {
+        throw new Error(`rule_type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+    const threshold = Number(rule.threshold);
+    if (isNaN(threshold) || threshold < 0 || (rule.rule_type === 'missed_percentage' && threshold > 100)) {
+        throw new Error('threshold must be a percentage between 0 and 100 for missed_percentage, or a non-negative count');
+    }
+    if (typeof rule.late_counts_as_present !== 'boolean') {
+        throw new Error('late_counts_as_present must be true or false');
+    }
+
+    const saved = await periodAttendanceModel.upsertRule(campusId, { ...rule, threshold }, updatedBy);
+    return { rule_type: saved.rule_type, threshold: Number(saved.threshold), late_counts_as_present: saved.late_counts_as_present };
+};
+
+/**
+ * Re-apply the current rule to the daily records of a section over a date range
+ */
+const rerunRollup = async (campusId, { section_id, from_date, to_date }) => {
+    if (!section_id) throw new Error('section_id required');
+    assertDate(from_date, 'from_date');
+    assertDate(to_date, 'to_date');
+    if (from_date > to_date) throw new Error('from_date must not be after to_date');
+
+    const section = await periodAttendanceModel.getSection(section_id);
+    if (!section || section.campus_id !== campusId) {
+        throw new Error('Section not found');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const dailyCount = await rollupToDaily(client, campusId, { section_id, from_date, to_date });
+        await client.query('COMMIT');
+        return { dailyCount };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('SERVICE: Error re-running period attendance roll-up:', error);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    getSlots,
+    createSlot,
+    updateSlot,
+    deleteSlot,
+    getPeriodRoster,
+    markPeriodAttendance,
+    getSubjectSummary,
+    getRule,
+    updateRule,
+    rerunRollup,
+    rollupDay
+};
@@ -0,0 +1,462 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const attendanceDeviceModel = require('../models/attendanceDevice.model');
+const attendanceCorrectionModel = require('../models/attendanceCorrection.model');
+const UserModel = require('../models/user.model');
+const holidayService = require('./holiday.service');
+const { resolveShift } = require('./attendanceDevice.service');
+
+// Punches of the same user this close together are one punch registered twice
+const DUPLICATE_SECONDS = 120;
+
+const IN_VALUES = ['in', 'i', '0', 'check in', 'check-in', 'checkin', 'c/in'];
+const OUT_VALUES = ['out', 'o', '1', 'check out', 'check-out', 'checkout', 'c/out'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Normalise a punch time to 'YYYY-MM-DD HH:MM:SS' (device-local wall clock).
+ * Accepts YYYY-MM-DD HH:MM[:SS], DD/MM/YYYY HH:MM[:SS], ISO strings and spreadsheet dates.
+ * @returns {string|null} null when it cannot be read
+ */
+const parsePunchTime = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+
+    let parts;
+    if (value instanceof Date) {
+        if (isNaN(value)) return null;
+        // Spreadsheet date cells carry the wall-clock time as UTC
+        parts = [value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(), value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds()];
+    } else {
+        const text = String(value).trim();
+        let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (m) {
+            parts = [m[1], m[2], m[3], m[4], m[5], m[6] || 0].map(Number);
+        } else {
+            m = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+            if (!m) return null;
+            parts = [m[3], m[2], m[1], m[4], m[5], m[6] || 0].map(Number);
+        }
+    }
+
+    const [year, month, day, hour, minute, second] = parts;
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+const parseDirection = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim().toLowerCase();
+    if (IN_VALUES.includes(text)) return 'in';
+    if (OUT_VALUES.includes(text)) return 'out';
+    return undefined;
+};
+
+const secondsOfDay = (punchTime) => {
+    const [h, m, s] = punchTime.slice(11).split(':').map(Number);
+    return h * 3600 + m * 60 + s;
+};
+
+const minutesOfTime = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Pair one user's punches of one day (sorted) into in/out sessions. Without directions punches
+ * alternate in, out, in, ... Close repeats are dropped as duplicates.
+ * @returns {{ sessions: Array, firstPunch: string, lastOut: string|null, anomalies: Array }}
+ */
+const pairPunches = (punches) => {
+    const anomalies = [];
+    const cleaned = [];
+    for (const p of punches) {
+        const prev = cleaned[cleaned.length - 1];
+        const sameKind = !p.direction || !prev?.direction || p.direction === prev.direction;
+        if (prev && sameKind && secondsOfDay(p.punch_time) - secondsOfDay(prev.punch_time) < DUPLICATE_SECONDS) {
+            anomalies.push({ type: 'duplicate_punch', punch_time: p.punch_time });
+            continue;
+        }
+        cleaned.push(p);
+    }
+
+    const sessions = [];
+    let open = null;
+    for (const p of cleaned) {
+        const direction = p.direction || (open ? 'out' : 'in');
+        if (direction === 'in') {
+            if (open) anomalies.push({ type: 'missing_out', punch_time: open.punch_time });
+            open = p;
+        } else if (!open) {
+            anomalies.push({ type: 'missing_in', punch_time: p.punch_time });
+        } else {
+            sessions.push({ in: open.punch_time, out: p.punch_time });
+            open = null;
+        }
+    }
+    if (open) anomalies.push({ type: 'missing_out', punch_time: open.punch_time });
+
+    return {
+        sessions,
+        firstPunch: cleaned[0].punch_time,
+        lastOut: sessions.length > 0 ? sessions[sessions.length - 1].out : null,
+        anomalies
+    };
+};
+
+/**
+ * Daily status from a day's sessions and the user's shift. A day without a complete in/out pair
+ * cannot be measured, so only the arrival is judged (and the missing punch is reported).
+ */
+const deriveStatus = (day, shift) => {
+    const workedMinutes = Math.round(
+        day.sessions.reduce((sum, s) => sum + (secondsOfDay(s.out) - secondsOfDay(s.in)), 0) / 60
+    );
+    const arrival = Math.floor(secondsOfDay(day.firstPunch) / 60);
+    const late = arrival > minutesOfTime(shift.start_time) + shift.late_grace_minutes;
+
+    let status;
+    if (day.sessions.length > 0 && workedMinutes < shift.absent_minutes) status = 'Absent';
+    else if (day.sessions.length > 0 && workedMinutes < shift.half_day_minutes) status = 'Half Day';
+    else status = late ? 'Late' : 'Present';
+
+    return {
+        status,
+        workedMinutes,
+        shiftMinutes: minutesOfTime(shift.end_time) - minutesOfTime(shift.start_time)
+    };
+};
+
+const runningYears = (years, date) => years.filter(y => y.start_date <= date && (!y.end_date || y.end_date >= date));
+
+// Students are written under their enrollment year, everyone else under the year running on the day
+const yearNameFor = (mapping, years, date) => mapping.student_year_name || runningYears(years, date)[0]?.year_name || null;
+
+/**
+ * Validate raw rows into punches, collecting row-level errors
+ */
+const validateRows = (rows) => {
+    const punches = [];
+    const invalidRows = [];
+    const seen = new Set();
+
+    rows.forEach(r => {
+        const fail = (message) => invalidRows.push({ row: r.row, device_user_id: r.device_user_id || null, message });
+        const deviceUserId = r.device_user_id !== null && r.device_user_id !== undefined ? String(r.device_user_id).trim() : '';
+        if (!deviceUserId) return fail('Device user ID is required');
+
+        const punchTime = parsePunchTime(r.punch_time);
+        if (!punchTime) return fail(`Punch time "${r.punch_time}" could not be read`);
+
+        const direction = parseDirection(r.direction);
+        if (direction === undefined) return fail(`Direction "${r.direction}" must be in or out`);
+
+        const key = `${deviceUserId}|${punchTime}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        punches.push({ device_user_id: deviceUserId, punch_time: punchTime, direction });
+    });
+
+    return { punches, invalidRows };
+};
+
+/**
+ * Store punches and (re)write user_attendance for every mapped user and day they cover. Days are
+ * rebuilt from all stored punches of that user and day, so overlapping uploads and several devices
+ * give the same result. Unmapped device users' punches are kept and used once they are mapped and
+ * the log is imported again.
+ * @param {Object} context - { tenantId, campusId, deviceId, source, fileName, importedBy, markAbsentees }
+ * @param {Array<{row, device_user_id, punch_time, direction}>} rows
+ * @returns {Promise<Object>} Import report
+ */
+const ingestPunches = async (context, rows) => {
+    const { tenantId, campusId, deviceId, source, fileName, importedBy, markAbsentees } = context;
+    const { punches, invalidRows } = validateRows(rows);
+
+    const deviceUserIds = [...new Set(punches.map(p => p.device_user_id))];
+    const [mappings, shifts, years] = await Promise.all([
+        deviceUserIds.length > 0 ? attendanceDeviceModel.getMappings(campusId, deviceUserIds) : [],
+        attendanceDeviceModel.getShifts(campusId),
+        attendanceDeviceModel.getAcademicYears(campusId)
+    ]);
+    const mappingBy = new Map(mappings.map(m => [m.device_user_id, m]));
+
+    const unmapped = deviceUserIds
+        .filter(id => !mappingBy.has(id))
+        .map(id => ({ device_user_id: id, punches: punches.filter(p => p.device_user_id === id).length }));
+
+    const dates = [...new Set(punches.map(p => p.punch_time.slice(0, 10)))].sort();
+    const anomalies = [];
+    const report = { invalid_rows: invalidRows, unmapped, anomalies, absentees_marked: 0 };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const batchId = await attendanceDeviceModel.createBatch(client, {
+            tenant_id: tenantId,
+            campus_id: campusId,
+            device_id: deviceId,
+            source,
+            file_name: fileName,
+            total_rows: rows.length,
+            imported_by: importedBy
+        });
+        const newPunches = await attendanceDeviceModel.insertPunches(client, { campus_id: campusId, device_id: deviceId, batch_id: batchId }, punches);
+
+        // Rebuild each mapped user's days from everything stored for them
+        const mappedIds = deviceUserIds.filter(id => mappingBy.has(id));
+        const stored = mappedIds.length > 0
+            ? await attendanceDeviceModel.getPunches(client, campusId, mappedIds, dates[0], dates[dates.length - 1])
+            : [];
+        const uploadedDays = new Set(punches.map(p => `${p.device_user_id}|${p.punch_time.slice(0, 10)}`));
+        const days = new Map();
+        stored.forEach(p => {
+            const key = `${p.device_user_id}|${p.punch_time.slice(0, 10)}`;
+            if (!uploadedDays.has(key)) return;
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(p);
+        });
+
+        // user_attendance is written one date and academic year at a time
+        const batches = new Map();
+        const addRecord = (date, yearName, record) => {
+            const key = `${date}|${yearName}`;
+            if (!batches.has(key)) batches.set(key, { date, yearName, records: [] });
+            batches.get(key).records.push(record);
+        };
+
+        for (const [key, dayPunches] of days) {
+            const [deviceUserId, date] = key.split('|');
+            const mapping = mappingBy.get(deviceUserId);
+            const note = (type, detail = {}) => anomalies.push({ username: mapping.username, device_user_id: deviceUserId, date, type, ...detail });
+
+            const day = pairPunches(dayPunches);
+            day.anomalies.forEach(a => note(a.type, { punch_time: a.punch_time }));
+
+            const shift = resolveShift(mapping, shifts);
+            if (!shift) {
+                note('no_shift');
+                continue;
+            }
+            const yearName = yearNameFor(mapping, years, date);
+            if (!yearName) {
+                note('no_academic_year');
+                continue;
+            }
+
+            const derived = deriveStatus(day, shift);
+            if (day.firstPunch.slice(11, 16) > shift.end_time || (day.lastOut && day.lastOut.slice(11, 16) < shift.start_time)) {
+                note('outside_shift', { first_punch: day.firstPunch, shift: shift.shift_name });
+            }
+
+            addRecord(date, yearName, {
+                username: mapping.username,
+                role: mapping.role,
+                status: derived.status,
+                duration: `${derived.workedMinutes} minutes`,
+                total_duration: `${derived.shiftMinutes} minutes`,
+                login_time: day.firstPunch.slice(11),
+                logout_time: day.lastOut ? day.lastOut.slice(11) : null
+            });
+        }
+
+        if (markAbsentees) {
+            report.absentees_marked = await addAbsentees(client, campusId, dates, days, shifts, years, addRecord);
+        }
+
+        // A day settled by an approved correction keeps it; the punches are only reported
+        let daysWritten = 0;
+        for (const { date, yearName, records } of batches.values()) {
+            const corrected = await attendanceCorrectionModel.getCorrectedUsernames(client, records.map(r => r.username), date);
+            const toWrite = records.filter(r => !corrected.has(r.username));
+            records
+                .filter(r => corrected.has(r.username))
+                .forEach(r => anomalies.push({ username: r.username, date, type: 'corrected_day_kept', derived_status: r.status }));
+
+            if (toWrite.length === 0) continue;
+            await UserModel.saveUserAttendance(date, yearName, campusId, toWrite, client);
+            daysWritten += toWrite.length;
+        }
+
+        await attendanceDeviceModel.finishBatch(client, batchId, { new_punches: newPunches, days_written: daysWritten, report });
+        await client.query('COMMIT');
+
+        logger.info('Punch log ingested', { batchId, campusId, source, rows: rows.length, newPunches, daysWritten });
+        return {
+            batch_id: batchId,
+            total_rows: rows.length,
+            valid_punches: punches.length,
+            new_punches: newPunches,
+            already_imported: punches.length - newPunches,
+            days_written: daysWritten,
+            ...report
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error ingesting punch log', { error: error.message });
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Mark mapped users with a shift Absent on the log's working days when they have no punch and no
+ * attendance recorded any other way
+ */
+const addAbsentees = async (client, campusId, dates, days, shifts, years, addRecord) => {
+    const everyone = (await attendanceDeviceModel.getMappings(campusId)).filter(m => resolveShift(m, shifts));
+    let marked = 0;
+
+    for (const date of dates) {
+        const running = runningYears(years, date);
+        const statuses = await Promise.all(running.map(y => holidayService.checkDateStatus(campusId, date, y.academic_year_id)));
+        if (running.length === 0 || statuses.every(s => s.isHoliday)) continue;
+
+        const missing = everyone.filter(m => !days.has(`${m.device_user_id}|${date}`));
+        if (missing.length === 0) continue;
+        const recorded = await attendanceDeviceModel.getRecordedUsernames(client, missing.map(m => m.username), date);
+
+        for (const m of missing) {
+            const yearName = yearNameFor(m, years, date);
+            if (recorded.has(m.username) || !yearName) continue;
+            const shift = resolveShift(m, shifts);
+            addRecord(date, yearName, {
+                username: m.username,
+                role: m.role,
+                status: 'Absent',
+                duration: '0 minutes',
+                total_duration: `${minutesOfTime(shift.end_time) - minutesOfTime(shift.start_time)} minutes`
+            });
+            marked++;
+        }
+    }
+    return marked;
+};
+
+/**
+ * Read an uploaded punch log (.csv or .xlsx). Columns are found by header: device user ID
+ * (user id / emp code / enroll no), punch time (or separate date and time), and optional direction.
+ * @param {string} filePath
+ * @param {string} originalName
+ * @returns {Promise<Array>} Raw rows for ingestPunches
+ */
+const readPunchFile = async (filePath, originalName) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (path.extname(originalName || filePath).toLowerCase() === '.csv') {
+        // Keep every value as text so punch times are not shifted by date parsing
+        worksheet = await workbook.csv.readFile(filePath, { map: (value) => value });
+    } else {
+        await workbook.xlsx.readFile(filePath);
+        worksheet = workbook.getWorksheet(1);
+    }
+    if (!worksheet) {
+        throw new Error('Invalid file: No worksheet found');
+    }
+
+    const headers = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        headers[colNumber] = cell.value ? cell.value.toString().trim().toLowerCase() : '';
+    });
+    const column = (...keys) => {
+        const found = Object.entries(headers).find(([, header]) => keys.some(k => header === k || header.includes(k)));
+        return found ? parseInt(found[0]) : null;
+    };
+
+    const userCol = column('device user id', 'user id', 'userid', 'emp code', 'employee code', 'enroll', 'card');
+    const timeCol = column('punch time', 'datetime', 'date time', 'timestamp', 'log time');
+    const dateCol = timeCol ? null : column('date');
+    const clockCol = timeCol ? null : column('time');
+    const directionCol = column('direction', 'in/out', 'punch type', 'state', 'status');
+    if (!userCol || (!timeCol && !(dateCol && clockCol))) {
+        throw new Error('Invalid punch log: a device user ID column and a punch time (or date and time) column are required');
+    }
+
+    const value = (row, col) => {
+        const v = row.getCell(col).value;
+        if (v && typeof v === 'object' && !(v instanceof Date)) return v.text || v.result || null;
+        return v;
+    };
+    const dateText = (v) => (v instanceof Date ? parsePunchTime(v)?.slice(0, 10) : v);
+    const timeText = (v) => (v instanceof Date ? parsePunchTime(v)?.slice(11) : v);
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const deviceUserId = value(row, userCol);
+        const punchTime = timeCol
+            ? value(row, timeCol)
+            : `${dateText(value(row, dateCol)) || ''} ${timeText(value(row, clockCol)) || ''}`.trim();
+        const direction = directionCol ? value(row, directionCol) : null;
+        if (!deviceUserId && !punchTime) return; // Empty row
+        rows.push({ row: rowNumber, device_user_id: deviceUserId, punch_time: punchTime, direction });
+    });
+    return rows;
+};
+
+/**
+ * Import an uploaded punch log file
+ * @param {string} filePath
+ * @param {Object} context - { tenantId, campusId, deviceId, fileName, importedBy, markAbsentees }
+ */
+const importPunchFile = async (filePath, context) => {
+    if (context.deviceId) {
+        const device = await attendanceDeviceModel.getDeviceById(context.deviceId);
+        if (!device || device.campus_id !== context.campusId) throw new Error('Device not found');
+    }
+    const rows = await readPunchFile(filePath, context.fileName);
+    if (rows.length === 0) throw new Error('The punch log has no rows');
+    return ingestPunches({ ...context, source: 'file' }, rows);
+};
+
+/**
+ * Ingest punches pushed by a device
+ * @param {Object} device - Authenticated device
+ * @param {Array<{device_user_id, punch_time, direction}>} punches
+ */
+const ingestDevicePush = async (device, punches) => {
+    if (!Array.isArray(punches) || punches.length === 0) throw new Error('punches must be a non-empty array');
+    const rows = punches.map((p, i) => ({ row: i + 1, device_user_id: p?.device_user_id, punch_time: p?.punch_time, direction: p?.direction }));
+    const result = await ingestPunches({
+        tenantId: device.tenant_id,
+        campusId: device.campus_id,
+        deviceId: device.device_id,
+        source: 'push',
+        importedBy: null,
+        markAbsentees: false
+    }, rows);
+    await attendanceDeviceModel.touchDevice(device.device_id);
+    return result;
+};
+
+/**
+ * Import batches of a campus
+ */
+const getBatches = async (campusId) => {
+    return attendanceDeviceModel.getBatches(campusId);
+};
+
+/**
+ * One import batch with its report
+ */
+const getBatch = async (batchId, campusId) => {
+    const batch = await attendanceDeviceModel.getBatchById(batchId);
+    if (!batch || batch.campus_id !== campusId) throw new Error('Import batch not found');
+    return batch;
+};
+
+module.exports = {
+    importPunchFile,
+    ingestDevicePush,
+    getBatches,
+    getBatch,
+    pairPunches,
+    deriveStatus
+};
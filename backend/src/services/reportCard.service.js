@@ -0,0 +1,286 @@
+const { pool } = require('../config/database');
+const ReportCardModel = require('../models/reportCard.model');
+const GradingSchemeModel = require('../models/gradingScheme.model');
+const { GradingSchemeService } = require('./gradingScheme.service');
+const { attendedWeight } = require('../utils/attendanceWeight');
+
+// Same ratio as the generated exams.passing_score, used when no grading scheme applies
+const DEFAULT_PASS_PERCENTAGE = 35;
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const validateGroups = async (groups, campusId, academicYearId, client) => {
+  if (!Array.isArray(groups) || groups.length === 0) {
+    throw new Error('groups must be a non-empty array');
+  }
+
+  const names = new Set();
+  const examIds = new Set();
+  groups.forEach((g, i) => {
+    if (!g.group_name) throw new Error(`groups[${i}].group_name required`);
+    if (names.has(g.group_name)) throw new Error(`Duplicate group name: ${g.group_name}`);
+    names.add(g.group_name);
+    const w = Number(g.weightage);
+    if (isNaN(w) || w <= 0 || w > 100) throw new Error(`groups[${i}].weightage must be between 0 and 100`);
+    (g.exam_ids || []).forEach(id => {
+      if (examIds.has(id)) throw new Error(`Exam ${id} is listed in more than one group`);
+      examIds.add(id);
+    });
+  });
+
+  const totalWeight = round2(groups.reduce((s, g) => s + Number(g.weightage), 0));
+  if (totalWeight !== 100) throw new Error(`Group weightages must add up to 100 (got ${totalWeight})`);
+
+  if (examIds.size > 0) {
+    const exams = await ReportCardModel.getExamsWithYear([...examIds], client);
+    const found = new Map(exams.map(e => [e.exam_id, e]));
+    for (const id of examIds) {
+      const exam = found.get(id);
+      if (!exam || exam.campus_id !== campusId) throw new Error(`Exam ${id} not found`);
+      if (String(exam.academic_year_id) !== String(academicYearId)) {
+        throw new Error(`Exam ${id} (${exam.subject_name}) is not in the term's academic year`);
+      }
+    }
+  }
+};
+
+const gradeFor = (scheme, percentage) => {
+  const graded = scheme && GradingSchemeService.computeGrade(scheme, { total_score: 100 }, { obtained_score: percentage });
+  if (graded) return { grade: graded.grade, grade_point: graded.grade_point, is_passed: graded.is_passed };
+  return { grade: null, grade_point: null, is_passed: percentage >= DEFAULT_PASS_PERCENTAGE };
+};
+
+/**
+ * Work out one student's card. Per subject, each group's percentage is obtained over total of its
+ * exams (Excused papers left out, Absent counted as zero); the subject's term percentage is the
+ * weighted mean over the groups it was assessed in. The overall percentage is the mean across subjects.
+ */
+const computeReportCard = ({ term, student, results, attendance, remarks, scheme }) => {
+  const groups = term.groups.map(g => ({ ...g, weightage: Number(g.weightage) }));
+
+  const subjects = {};
+  results.forEach(r => {
+    if (r.attendance_status === 'Excused') return;
+    const subject = subjects[r.subject_name] || (subjects[r.subject_name] = {});
+    const cell = subject[r.group_id] || (subject[r.group_id] = { obtained: 0, total: 0 });
+    cell.obtained = round2(cell.obtained + (r.attendance_status === 'Absent' ? 0 : Number(r.obtained_score || 0)));
+    cell.total = round2(cell.total + Number(r.total_score));
+  });
+
+  const subjectRows = Object.keys(subjects).sort().map(subject_name => {
+    let weighted = 0;
+    let weight = 0;
+    const byGroup = {};
+
+    groups.forEach(g => {
+      const cell = subjects[subject_name][g.group_id];
+      if (!cell || cell.total <= 0) {
+        byGroup[g.group_name] = null;
+        return;
+      }
+      const percentage = round2((cell.obtained / cell.total) * 100);
+      byGroup[g.group_name] = { obtained: cell.obtained, total: cell.total, percentage };
+      weighted += percentage * g.weightage;
+      weight += g.weightage;
+    });
+
+    const percentage = weight > 0 ? round2(weighted / weight) : 0;
+    return { subject_name, groups: byGroup, percentage, ...gradeFor(scheme, percentage) };
+  });
+
+  const overallPercentage = subjectRows.length > 0
+    ? round2(subjectRows.reduce((s, r) => s + r.percentage, 0) / subjectRows.length)
+    : 0;
+  const overall = gradeFor(scheme, overallPercentage);
+
+  // CGPA on points schemes is the mean of subject grade points
+  const points = subjectRows.map(r => r.grade_point).filter(p => p !== null && p !== undefined);
+  const gpa = points.length > 0 && points.length === subjectRows.length
+    ? round2(points.reduce((s, p) => s + Number(p), 0) / points.length)
+    : null;
+
+  const days = {};
+  attendance.forEach(a => { days[a.status] = Number(a.days); });
+  // A half day counts as half; Excused days are left out of the working days
+  const presentDays = round2(Object.entries(days).reduce((s, [st, n]) => s + n * attendedWeight(st), 0));
+  const workingDays = Object.entries(days).reduce((s, [st, n]) => s + (st === 'Excused' ? 0 : n), 0);
+
+  return {
+    term: {
+      term_id: term.term_id,
+      term_name: term.term_name,
+      academic_year_id: term.academic_year_id,
+      year_name: term.year_name,
+      start_date: term.start_date,
+      end_date: term.end_date
+    },
+    student: {
+      username: student.username,
+      student_name: `${student.first_name} ${student.last_name}`,
+      admission_number: student.admission_number,
+      roll_number: student.roll_number,
+      class_name: student.class_name,
+      section_id: student.section_id,
+      section_name: student.section_name
+    },
+    grading_scheme: scheme ? { scheme_id: scheme.scheme_id, scheme_name: scheme.scheme_name, scheme_type: scheme.scheme_type } : null,
+    groups: groups.map(g => ({ group_name: g.group_name, weightage: g.weightage })),
+    subjects: subjectRows,
+    overall: {
+      percentage: overallPercentage,
+      grade: overall.grade,
+      grade_point: gpa,
+      is_passed: subjectRows.length > 0 && overall.is_passed && subjectRows.every(r => r.is_passed)
+    },
+    attendance: {
+      working_days: workingDays,
+      present_days: presentDays,
+      percentage: workingDays > 0 ? round2((presentDays / workingDays) * 100) : null
+    },
+    remarks: remarks || null
+  };
+};
+
+const loadTerm = async (termId, tenantId) => {
+  const term = await ReportCardModel.getTermById(termId);
+  if (!term || term.tenant_id !== tenantId) throw new Error('Term not found');
+  return term;
+};
+
+// Build cards for a set of enrolled students in one pass over results, attendance and remarks
+const buildReportCards = async (term, students) => {
+  if (students.length === 0) return [];
+  const usernames = students.map(s => s.username);
+
+  const [results, attendance, remarks, schemes] = await Promise.all([
+    ReportCardModel.getTermResults(term.term_id, usernames),
+    ReportCardModel.getAttendanceCounts(term.campus_id, usernames, term.start_date, term.end_date),
+    ReportCardModel.getRemarks(term.term_id, usernames),
+    GradingSchemeModel.getActiveSchemes(term.campus_id)
+  ]);
+  const scheme = GradingSchemeService.resolveScheme(schemes, term);
+
+  const groupBy = (rows, key) => rows.reduce((acc, r) => {
+    (acc[r[key]] = acc[r[key]] || []).push(r);
+    return acc;
+  }, {});
+  const resultsBy = groupBy(results, 'student_username');
+  const attendanceBy = groupBy(attendance, 'username');
+  const remarksBy = Object.fromEntries(remarks.map(r => [r.student_username, r.remarks]));
+
+  return students.map(student => computeReportCard({
+    term,
+    student,
+    results: resultsBy[student.username] || [],
+    attendance: attendanceBy[student.username] || [],
+    remarks: remarksBy[student.username],
+    scheme
+  }));
+};
+
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw new Error('Term name already used for this academic year, or an exam is already mapped to another term');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const ReportCardService = {
+  computeReportCard,
+
+  /**
+   * Create a term with its assessment groups.
+   * termData: { academic_year_id, term_name, start_date, end_date, display_order?,
+   *             groups: [{ group_name, weightage, display_order?, exam_ids: [] }] }
+   */
+  createTerm: async (termData, tenantId, campusId) => {
+    if (!termData.academic_year_id) throw new Error('academic_year_id required');
+    if (!termData.term_name) throw new Error('term_name required');
+    if (!termData.start_date || !termData.end_date) throw new Error('start_date and end_date required');
+    if (new Date(termData.start_date) > new Date(termData.end_date)) throw new Error('start_date must be on or before end_date');
+
+    await validateGroups(termData.groups, campusId, termData.academic_year_id);
+
+    return await withTransaction(async (client) => {
+      const term = await ReportCardModel.createTerm(client, { ...termData, tenant_id: tenantId, campus_id: campusId });
+      await ReportCardModel.replaceGroups(client, term.term_id, termData.groups);
+      return await ReportCardModel.getTermById(term.term_id, client);
+    });
+  },
+
+  getTerms: async (tenantId, campusId, filters) => {
+    return await ReportCardModel.getTerms(tenantId, campusId, filters);
+  },
+
+  getTermById: async (termId, tenantId) => {
+    return await loadTerm(termId, tenantId);
+  },
+
+  // groups, when sent, replace the existing groups and their exam mappings
+  updateTerm: async (termId, termData, tenantId) => {
+    const term = await loadTerm(termId, tenantId);
+    const start = termData.start_date || term.start_date;
+    const end = termData.end_date || term.end_date;
+    if (new Date(start) > new Date(end)) throw new Error('start_date must be on or before end_date');
+
+    if (termData.groups !== undefined) {
+      await validateGroups(termData.groups, term.campus_id, term.academic_year_id);
+    }
+
+    return await withTransaction(async (client) => {
+      await ReportCardModel.updateTerm(client, termId, termData);
+      if (termData.groups !== undefined) await ReportCardModel.replaceGroups(client, termId, termData.groups);
+      return await ReportCardModel.getTermById(termId, client);
+    });
+  },
+
+  deleteTerm: async (termId, tenantId) => {
+    await loadTerm(termId, tenantId);
+    return await ReportCardModel.deleteTerm(termId);
+  },
+
+  saveRemarks: async (termId, studentUsername, remarks, tenantId, remarkedBy) => {
+    await loadTerm(termId, tenantId);
+    if (!remarks || String(remarks).trim().length === 0) throw new Error('remarks required');
+    return await ReportCardModel.upsertRemarks(termId, studentUsername, String(remarks).trim(), remarkedBy);
+  },
+
+  getStudentReportCard: async (termId, studentUsername, tenantId) => {
+    const term = await loadTerm(termId, tenantId);
+    const students = await ReportCardModel.getStudents(term.campus_id, { usernames: [studentUsername] });
+    if (students.length === 0) throw new Error('Student not found on this campus');
+
+    const [card] = await buildReportCards(term, students.slice(0, 1));
+    return card;
+  },
+
+  // Cards for every student enrolled in a section, in roll number order
+  getSectionReportCards: async (termId, sectionId, tenantId) => {
+    const term = await loadTerm(termId, tenantId);
+    const students = await ReportCardModel.getStudents(term.campus_id, { section_id: sectionId });
+    return await buildReportCards(term, students);
+  },
+
+  // Cards for everyone with results counted in the term (term row as from ReportCardModel.getTermById)
+  getTermReportCards: async (term) => {
+    const students = await ReportCardModel.getStudents(term.campus_id, { term_id: term.term_id });
+    return await buildReportCards(term, students);
+  },
+
+  getSchoolHeader: async (campusId) => {
+    return await ReportCardModel.getSchoolHeader(campusId);
+  }
+};
+
+module.exports = { ReportCardService };
@@ -0,0 +1,113 @@
+// Printable report card rendering (HTML, one A4 page per student)
+
+const { escapeHtml, formatDate } = require('../utils/html');
+
+const formatNumber = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+const renderCard = (card, header) => {
+  const groupHeads = card.groups.map(g => `<th>${escapeHtml(g.group_name)}<br><small>${formatNumber(g.weightage)}%</small></th>`).join('');
+
+  const subjectRows = card.subjects.map(s => `
+        <tr>
+          <td>${escapeHtml(s.subject_name)}</td>
+          ${card.groups.map(g => {
+            const cell = s.groups[g.group_name];
+            return `<td class="num">${cell ? `${formatNumber(cell.obtained)} / ${formatNumber(cell.total)}` : '-'}</td>`;
+          }).join('')}
+          <td class="num">${formatNumber(s.percentage)}</td>
+          <td>${escapeHtml(s.grade || '-')}</td>
+        </tr>`).join('');
+
+  return `
+  <div class="card">
+    <div class="header">
+      <h1>${escapeHtml(header.tenant_name)}</h1>
+      <p>${escapeHtml(header.campus_name)}</p>
+      <p>${escapeHtml(header.campus_address)}${header.campus_phone ? ` | ${escapeHtml(header.campus_phone)}` : ''}</p>
+      <p><strong>REPORT CARD - ${escapeHtml(card.term.term_name)} (${escapeHtml(card.term.year_name)})</strong></p>
+    </div>
+
+    <table class="meta">
+      <tr>
+        <td><strong>Student:</strong> ${escapeHtml(card.student.student_name)}</td>
+        <td><strong>Admission No:</strong> ${escapeHtml(card.student.admission_number)}</td>
+      </tr>
+      <tr>
+        <td><strong>Class:</strong> ${escapeHtml(card.student.class_name)} ${escapeHtml(card.student.section_name)}</td>
+        <td><strong>Roll No:</strong> ${escapeHtml(card.student.roll_number)}</td>
+      </tr>
+    </table>
+
+    <table class="items">
+      <thead>
+        <tr>
+          <th>Subject</th>
+          ${groupHeads}
+          <th class="num">Term %</th>
+          <th>Grade</th>
+        </tr>
+      </thead>
+      <tbody>${subjectRows}
+        <tr class="totals">
+          <td colspan="${card.groups.length + 1}">Overall${card.overall.grade_point !== null ? ` (GPA ${formatNumber(card.overall.grade_point)})` : ''}</td>
+          <td class="num">${formatNumber(card.overall.percentage)}</td>
+          <td>${escapeHtml(card.overall.grade || (card.overall.is_passed ? 'Pass' : 'Fail'))}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    <table class="meta">
+      <tr>
+        <td><strong>Attendance:</strong> ${card.attendance.present_days} / ${card.attendance.working_days} days
+          (${card.attendance.percentage === null ? '-' : `${formatNumber(card.attendance.percentage)}%`})</td>
+        <td><strong>Period:</strong> ${formatDate(card.term.start_date)} to ${formatDate(card.term.end_date)}</td>
+      </tr>
+    </table>
+
+    <div class="remarks"><strong>Teacher's Remarks:</strong> ${escapeHtml(card.remarks || '')}</div>
+
+    <div class="footer">
+      <span>Class Teacher</span>
+      <span>Parent</span>
+      <span>Principal</span>
+    </div>
+  </div>`;
+};
+
+/**
+ * Render report cards (as returned by ReportCardService) to a standalone HTML page, one card per page
+ * @param {Object[]} cards
+ * @param {Object} header - { tenant_name, campus_name, campus_address, campus_phone }
+ * @returns {string}
+ */
+const renderReportCardsHtml = (cards, header = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Report Cards</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 24px; }
+    .card { page-break-after: always; }
+    .card:last-child { page-break-after: auto; }
+    .header { text-align: center; border-bottom: 2px solid #222; padding-bottom: 8px; margin-bottom: 12px; }
+    .header h1 { font-size: 20px; margin: 0; }
+    .header p { margin: 2px 0; }
+    .meta { width: 100%; margin: 12px 0; }
+    .meta td { padding: 2px 4px; }
+    table.items { width: 100%; border-collapse: collapse; }
+    table.items th, table.items td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    table.items th { background: #eee; }
+    .num { text-align: right !important; }
+    .totals td { font-weight: bold; }
+    .remarks { min-height: 48px; border: 1px solid #999; padding: 6px; }
+    .footer { margin-top: 48px; display: flex; justify-content: space-between; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>${cards.map(card => renderCard(card, header)).join('')}
+</body>
+</html>`;
+
+module.exports = {
+  renderReportCardsHtml
+};
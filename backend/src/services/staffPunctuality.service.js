@@ -0,0 +1,279 @@
+const logger = require('../utils/logger');
+const staffPunctualityModel = require('../models/staffPunctuality.model');
+const attendanceDeviceModel = require('../models/attendanceDevice.model');
+const { resolveShift } = require('./attendanceDevice.service');
+
+const STAFF_ROLES = ['Admin', 'Teacher', 'Employee'];
+const EVENT_TYPES = ['late', 'early_leave', 'late_or_early'];
+// Days someone came in on; Half Day is already a deduction, Absent/Excused days have no times to judge
+const ATTENDED = ['Present', 'Late', 'Left Early'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const rolesOf = (user) => user?.roles || [user?.role];
+
+const minutesOf = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+const validateRange = (startDate, endDate) => {
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+        throw new Error('from_date and to_date must be dates in YYYY-MM-DD format');
+    }
+    if (startDate > endDate) throw new Error('from_date must not be after to_date');
+};
+
+const staffRoles = (roles) => {
+    const list = roles && roles.length > 0 ? roles : STAFF_ROLES;
+    const bad = list.find(r => !STAFF_ROLES.includes(r));
+    if (bad) throw new Error(`roles must be among ${STAFF_ROLES.join(', ')}`);
+    return list;
+};
+
+// ==================== DEDUCTION RULES ====================
+
+/**
+ * Validate rule fields, merged over the existing rule when updating
+ */
+const normalizeRule = (data, existing = null) => {
+    const rule = { roles: [], is_active: true, ...existing, ...data };
+
+    if (!rule.rule_name) throw new Error('rule_name required');
+    if (!EVENT_TYPES.includes(rule.event_type)) throw new Error(`event_type must be one of ${EVENT_TYPES.join(', ')}`);
+
+    const occurrences = Number(rule.occurrences);
+    if (!Number.isInteger(occurrences) || occurrences < 1) throw new Error('occurrences must be a positive whole number');
+    const deduction = Number(rule.deduction_days);
+    if (isNaN(deduction) || deduction <= 0 || deduction > 31) throw new Error('deduction_days must be more than 0 and at most 31');
+
+    if (!Array.isArray(rule.roles) || rule.roles.some(r => !STAFF_ROLES.includes(r))) {
+        throw new Error(`roles must be a list of ${STAFF_ROLES.join(', ')}`);
+    }
+
+    return {
+        rule_name: rule.rule_name,
+        event_type: rule.event_type,
+        occurrences,
+        deduction_days: deduction,
+        roles: rule.roles,
+        is_active: rule.is_active !== false
+    };
+};
+
+const saveRuleError = (error) => (error.code === '23505' ? new Error('A deduction rule with this name already exists') : error);
+
+/**
+ * Get the deduction rules of a campus
+ */
+const getRules = async (campusId) => {
+    return staffPunctualityModel.getRules(campusId);
+};
+
+/**
+ * Create a deduction rule, e.g. 3 late marks = 0.5 day loss of pay
+ */
+const createRule = async (campusId, data) => {
+    const rule = normalizeRule(data);
+    try {
+        const ruleId = await staffPunctualityModel.createRule({ ...rule, campus_id: campusId });
+        return staffPunctualityModel.getRuleById(ruleId);
+    } catch (error) {
+        throw saveRuleError(error);
+    }
+};
+
+/**
+ * Update a deduction rule; payroll reports pick it up on their next run
+ */
+const updateRule = async (ruleId, campusId, data) => {
+    const existing = await staffPunctualityModel.getRuleById(ruleId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Deduction rule not found');
+    const rule = normalizeRule(data, existing);
+    try {
+        await staffPunctualityModel.updateRule(ruleId, rule);
+    } catch (error) {
+        throw saveRuleError(error);
+    }
+    return staffPunctualityModel.getRuleById(ruleId);
+};
+
+/**
+ * Delete a deduction rule
+ */
+const deleteRule = async (ruleId, campusId) => {
+    const existing = await staffPunctualityModel.getRuleById(ruleId);
+    if (!existing || existing.campus_id !== campusId) throw new Error('Deduction rule not found');
+    await staffPunctualityModel.deleteRule(ruleId);
+};
+
+// ==================== PUNCTUALITY ====================
+
+/**
+ * Late and early-leaving marks of one day. A day marked Late or Left Early counts as such; otherwise
+ * the check-in/check-out times are compared with the shift and its grace minutes.
+ */
+const judgeDay = (row, shift) => {
+    const day = {
+        attendance_date: row.attendance_date,
+        status: row.status,
+        login_time: row.login_time,
+        logout_time: row.logout_time,
+        late: false,
+        late_minutes: 0,
+        early_leave: false,
+        early_leave_minutes: 0
+    };
+    if (!ATTENDED.includes(row.status)) return day;
+
+    if (shift && row.login_time) {
+        const lateBy = minutesOf(row.login_time) - minutesOf(shift.start_time);
+        if (lateBy > shift.late_grace_minutes) {
+            day.late = true;
+            day.late_minutes = lateBy;
+        }
+    }
+    if (shift && row.logout_time) {
+        const earlyBy = minutesOf(shift.end_time) - minutesOf(row.logout_time);
+        if (earlyBy > shift.early_leave_grace_minutes) {
+            day.early_leave = true;
+            day.early_leave_minutes = earlyBy;
+        }
+    }
+    if (row.status === 'Late') day.late = true;
+    if (row.status === 'Left Early') day.early_leave = true;
+    return day;
+};
+
+/**
+ * Loss-of-pay days from the rules that apply to a person. Each rule deducts deduction_days for every
+ * full set of occurrences; several rules add up.
+ */
+const applyRules = (summary, rules) => {
+    const counts = {
+        late: summary.late_count,
+        early_leave: summary.early_leave_count,
+        late_or_early: summary.late_count + summary.early_leave_count
+    };
+    const deductions = rules
+        .filter(rule => rule.roles.length === 0 || rule.roles.includes(summary.role))
+        .map(rule => ({
+            rule_id: rule.rule_id,
+            rule_name: rule.rule_name,
+            marks: counts[rule.event_type],
+            deduction_days: Math.floor(counts[rule.event_type] / rule.occurrences) * rule.deduction_days
+        }))
+        .filter(d => d.deduction_days > 0);
+
+    return {
+        deductions,
+        lop_days: deductions.reduce((sum, d) => sum + d.deduction_days, 0)
+    };
+};
+
+/**
+ * Per-person late/early counters and loss of pay over a period
+ * @param {string} campusId
+ * @param {Array<string>} roles - Staff roles (all staff when empty)
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {Object} options - { username, includeDays }
+ * @returns {Promise<Array>}
+ */
+const summarize = async (campusId, roles, startDate, endDate, { username = null, includeDays = false } = {}) => {
+    const [rows, shifts, rules] = await Promise.all([
+        staffPunctualityModel.getStaffAttendance(campusId, roles, startDate, endDate, username),
+        attendanceDeviceModel.getShifts(campusId),
+        staffPunctualityModel.getRules(campusId, true)
+    ]);
+
+    const people = new Map();
+    rows.forEach(row => {
+        if (!people.has(row.username)) {
+            const shift = resolveShift(row, shifts);
+            people.set(row.username, {
+                summary: {
+                    username: row.username,
+                    first_name: row.first_name,
+                    last_name: row.last_name,
+                    role: row.role,
+                    department: row.department,
+                    shift_name: shift ? shift.shift_name : null,
+                    days_attended: 0,
+                    late_count: 0,
+                    late_minutes: 0,
+                    early_leave_count: 0,
+                    early_leave_minutes: 0
+                },
+                shift,
+                days: []
+            });
+        }
+        const person = people.get(row.username);
+        const day = judgeDay(row, person.shift);
+        const s = person.summary;
+
+        if (ATTENDED.includes(row.status)) s.days_attended++;
+        if (day.late) {
+            s.late_count++;
+            s.late_minutes += day.late_minutes;
+        }
+        if (day.early_leave) {
+            s.early_leave_count++;
+            s.early_leave_minutes += day.early_leave_minutes;
+        }
+        if (includeDays) person.days.push(day);
+    });
+
+    return [...people.values()].map(({ summary, days }) => ({
+        ...summary,
+        ...applyRules(summary, rules),
+        ...(includeDays ? { days } : {})
+    }));
+};
+
+/**
+ * Late-coming and early-leaving counters of the campus staff
+ * @param {string} campusId
+ * @param {Object} filters - { from_date, to_date, roles }
+ */
+const getPunctualityReport = async (campusId, { from_date, to_date, roles }) => {
+    validateRange(from_date, to_date);
+    const report = await summarize(campusId, staffRoles(roles), from_date, to_date);
+    logger.info('Staff punctuality report generated', { campusId, from_date, to_date, people: report.length });
+    return report;
+};
+
+/**
+ * One staff member's counters with the day-by-day marks; staff can see their own
+ */
+const getStaffPunctuality = async (campusId, username, { from_date, to_date }, user) => {
+    validateRange(from_date, to_date);
+    if (!rolesOf(user).includes('Admin') && user.username !== username) {
+        throw new Error('You can only view your own punctuality');
+    }
+    const [summary] = await summarize(campusId, STAFF_ROLES, from_date, to_date, { username, includeDays: true });
+    if (!summary) throw new Error('No attendance recorded for this staff member in the period');
+    return summary;
+};
+
+/**
+ * Counters and loss of pay by username, for the payroll report
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getPunctualityByUser = async (campusId, roles, startDate, endDate) => {
+    const staff = (roles || []).filter(r => STAFF_ROLES.includes(r));
+    if (staff.length === 0) return new Map();
+    const report = await summarize(campusId, staff, startDate, endDate);
+    return new Map(report.map(r => [r.username, r]));
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    getPunctualityReport,
+    getStaffPunctuality,
+    getPunctualityByUser,
+    applyRules
+};
@@ -494,6 +494,7 @@ const transformCompleteStudentToFrontend = (dbStudent) => {
         weight: dbStudent.weight_kg,
         medicalConditions: dbStudent.medical_conditions,
         allergies: dbStudent.allergies,
+        photoUrl: dbStudent.photo_url,
         
         // Address Details
         currentAddress: dbStudent.current_address,
@@ -614,6 +615,7 @@ const transformStudentToFrontendFromNewSchema = (dbStudent) => {
         weight: dbStudent.weight_kg,
         medicalConditions: dbStudent.medical_conditions,
         allergies: dbStudent.allergies,
+        photoUrl: dbStudent.photo_url,
         scholarshipApplied: dbStudent.scholarship_applied,
         
         // Contact details
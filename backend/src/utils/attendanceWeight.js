@@ -0,0 +1,22 @@
+/**
+ * Attendance Weight Utility
+ * How much each user_attendance status counts as attended, shared by alerts, registers and report cards
+ */
+
+// Statuses not listed (Absent) count as 0; Excused and unmarked days are left out by the callers
+const ATTENDED_WEIGHT = {
+  'Present': 1,
+  'Late': 1,
+  'Left Early': 1,
+  'Half Day': 0.5
+};
+
+/**
+ * Attended weight of one status
+ */
+const attendedWeight = (status) => ATTENDED_WEIGHT[status] || 0;
+
+module.exports = {
+  ATTENDED_WEIGHT,
+  attendedWeight
+};
@@ -0,0 +1,24 @@
+/**
+ * HTML Utility
+ * Helpers shared by the printable pages (receipts, report cards, admit cards, seating charts)
+ */
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute; null and undefined print as empty
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Date as YYYY-MM-DD, or empty when there is none
+ */
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+module.exports = {
+  escapeHtml,
+  formatDate
+};
@@ -179,7 +179,7 @@ const createEmployeeValidation = [
             // Administrative Roles
             'Principal', 'Vice-Principal', 'Headmaster', 'Administrator',
             // Teaching Roles
-            'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
+            'Head of Department', 'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
             // Support Staff
             'Librarian', 'Lab Assistant', 'IT Support',
             // Office Staff
@@ -470,7 +470,7 @@ const updateEmployeeValidation = [
             // Administrative Roles
             'Principal', 'Vice-Principal', 'Headmaster', 'Administrator',
             // Teaching Roles
-            'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
+            'Head of Department', 'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
             // Support Staff
             'Librarian', 'Lab Assistant', 'IT Support',
             // Office Staff
@@ -714,7 +714,7 @@ const paginationAndFilterValidation = [
             // Administrative Roles
             'Principal', 'Vice-Principal', 'Headmaster', 'Administrator',
             // Teaching Roles
-            'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
+            'Head of Department', 'Senior Teacher', 'Teacher', 'Assistant Teacher', 'Substitute Teacher',
             // Support Staff
             'Librarian', 'Lab Assistant', 'IT Support',
             // Office Staff
@@ -0,0 +1,73 @@
+jest.mock('../src/models/examRank.model');
+jest.mock('../src/models/reportCard.model');
+
+const ExamRankModel = require('../src/models/examRank.model');
+const ReportCardModel = require('../src/models/reportCard.model');
+const { ExamRankService } = require('../src/services/examRank.service');
+
+const entries = [
+  { student_username: 'asha', score: 92 },
+  { student_username: 'ravi', score: 85 },
+  { student_username: 'meera', score: 92 },
+  { student_username: 'kabir', score: 70 }
+];
+
+const ranksOf = (ranked) => Object.fromEntries(ranked.map(r => [r.student_username, r.rank]));
+
+describe('ExamRankService.rankEntries', () => {
+  it('skips ranks after a tie with competition ranking', () => {
+    expect(ranksOf(ExamRankService.rankEntries(entries, 'competition'))).toEqual({ asha: 1, meera: 1, ravi: 3, kabir: 4 });
+  });
+
+  it('does not skip ranks after a tie with dense ranking', () => {
+    expect(ranksOf(ExamRankService.rankEntries(entries, 'dense'))).toEqual({ asha: 1, meera: 1, ravi: 2, kabir: 3 });
+  });
+
+  it('gives tied students the same percentile whatever the tie method', () => {
+    const ranked = ExamRankService.rankEntries(entries, 'dense');
+    const percentile = Object.fromEntries(ranked.map(r => [r.student_username, r.percentile]));
+
+    expect(percentile).toEqual({ asha: 100, meera: 100, ravi: 50, kabir: 25 });
+    expect(ranked.every(r => r.group_size === 4)).toBe(true);
+  });
+});
+
+describe('term rank refresh', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('flags the terms of edited exams instead of rebuilding them in process', async () => {
+    jest.spyOn(ExamRankService, 'recomputeExam').mockResolvedValue({});
+    const recomputeTerm = jest.spyOn(ExamRankService, 'recomputeTerm');
+    ReportCardModel.getTermIdsForExam.mockResolvedValue(['term-1', 'term-2']);
+
+    await ExamRankService.refreshForExams(['exam-1', 'exam-1', null]);
+
+    expect(ExamRankService.recomputeExam).toHaveBeenCalledTimes(1);
+    expect(ExamRankModel.markTermsStale).toHaveBeenCalledWith(['term-1', 'term-2']);
+    expect(recomputeTerm).not.toHaveBeenCalled();
+  });
+
+  it('clears the flag of a rebuilt term and releases the claim of a failed one', async () => {
+    ExamRankModel.claimStaleTerms.mockResolvedValue([
+      { term_id: 'term-1', requested_at: '2026-03-02 10:00:00.123456+00' },
+      { term_id: 'term-2', requested_at: '2026-03-02 10:00:05+00' }
+    ]);
+    jest.spyOn(ExamRankService, 'recomputeTerm')
+      .mockResolvedValueOnce({ term_id: 'term-1' })
+      .mockRejectedValueOnce(new Error('report cards unavailable'));
+
+    const summary = await ExamRankService.refreshStaleTerms();
+
+    expect(summary).toEqual({ refreshed: 1, failed: 1 });
+    expect(ExamRankModel.finishTermRefresh).toHaveBeenCalledWith('term-1', '2026-03-02 10:00:00.123456+00');
+    expect(ExamRankModel.finishTermRefresh).not.toHaveBeenCalledWith('term-2', expect.anything());
+    expect(ExamRankModel.releaseTermRefresh).toHaveBeenCalledWith('term-2');
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../src/config/database', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() }
+}));
+jest.mock('../src/models/feeAdjustment.model');
+jest.mock('../src/models/fee.model');
+
+const { pool } = require('../src/config/database');
+const feeModel = require('../src/models/fee.model');
+const feeAdjustmentModel = require('../src/models/feeAdjustment.model');
+const feeAdjustmentService = require('../src/services/feeAdjustment.service');
+
+const adjustment = (overrides = {}) => ({
+  adjustment_id: 'adj-1',
+  tenant_id: 'tenant-1',
+  payment_id: 'pay-1',
+  status: 'pending',
+  adjustment_type: 'refund',
+  reason_code: 'Excess Payment',
+  amount: '1000.00',
+  notes: null,
+  ...overrides
+});
+
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+  pool.connect.mockResolvedValue(client);
+
+  // 5000 collected: 500 left as surplus, the rest on two dues (latest first)
+  feeAdjustmentModel.getPaymentForUpdate.mockResolvedValue({ payment_id: 'pay-1', amount_paid: '5000.00' });
+  feeAdjustmentModel.getReversedTotal.mockResolvedValue(0);
+  feeAdjustmentModel.getNetAllocations.mockResolvedValue([
+    { due_id: 'due-2', net_allocated: '3000.00' },
+    { due_id: 'due-1', net_allocated: '1500.00' }
+  ]);
+  feeAdjustmentModel.insertCompensatingPayment.mockResolvedValue({ payment_id: 'pay-comp' });
+  feeAdjustmentModel.closeAdjustment.mockImplementation(async (c, id, data) => ({ adjustment_id: id, ...data }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('decideAdjustment compensating entries', () => {
+  it('gives surplus back first on a refund, then unwinds the latest due', async () => {
+    feeAdjustmentModel.getAdjustmentForUpdate.mockResolvedValue(adjustment());
+
+    const result = await feeAdjustmentService.decideAdjustment('tenant-1', 'adj-1', { status: 'approved' }, 7);
+
+    expect(feeAdjustmentModel.insertCompensatingPayment).toHaveBeenCalledWith(client, expect.objectContaining({
+      entry_type: 'refund',
+      amount: 1000,
+      collected_by: 7,
+      remarks: 'Refund (Excess Payment)'
+    }));
+    expect(result.restored_dues).toEqual([{ due_id: 'due-2', amount_restored: 500 }]);
+    expect(feeAdjustmentModel.restoreDueBalance).toHaveBeenCalledWith(client, 'due-2', 500);
+    expect(feeModel.insertPaymentAllocation).toHaveBeenCalledWith(client, { payment_id: 'pay-comp', due_id: 'due-2', amount_allocated: -500 });
+    expect(feeAdjustmentModel.closeAdjustment).toHaveBeenCalledWith(client, 'adj-1', expect.objectContaining({
+      status: 'approved',
+      compensating_payment_id: 'pay-comp'
+    }));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('restores every due on a full reversal', async () => {
+    feeAdjustmentModel.getAdjustmentForUpdate.mockResolvedValue(adjustment({
+      adjustment_type: 'reversal',
+      reason_code: 'Cheque Bounce',
+      amount: '5000.00'
+    }));
+
+    const result = await feeAdjustmentService.decideAdjustment('tenant-1', 'adj-1', { status: 'approved' }, 7);
+
+    expect(result.restored_dues).toEqual([
+      { due_id: 'due-2', amount_restored: 3000 },
+      { due_id: 'due-1', amount_restored: 1500 }
+    ]);
+    expect(feeModel.insertPaymentAllocation).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses to post more than is left after earlier refunds', async () => {
+    feeAdjustmentModel.getAdjustmentForUpdate.mockResolvedValue(adjustment({ amount: '1000.00' }));
+    feeAdjustmentModel.getReversedTotal.mockResolvedValue(4500);
+
+    await expect(feeAdjustmentService.decideAdjustment('tenant-1', 'adj-1', { status: 'approved' }, 7))
+      .rejects.toThrow('Adjustment amount exceeds refundable balance of 500');
+
+    expect(feeAdjustmentModel.insertCompensatingPayment).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('posts nothing when the adjustment is rejected', async () => {
+    feeAdjustmentModel.getAdjustmentForUpdate.mockResolvedValue(adjustment());
+
+    const result = await feeAdjustmentService.decideAdjustment('tenant-1', 'adj-1', { status: 'rejected' }, 7);
+
+    expect(feeAdjustmentModel.insertCompensatingPayment).not.toHaveBeenCalled();
+    expect(result.adjustment).toMatchObject({ status: 'rejected', compensating_payment_id: null });
+  });
+
+  it('does not decide another tenant\'s adjustment', async () => {
+    feeAdjustmentModel.getAdjustmentForUpdate.mockResolvedValue(adjustment({ tenant_id: 'tenant-2' }));
+
+    await expect(feeAdjustmentService.decideAdjustment('tenant-1', 'adj-1', { status: 'approved' }, 7))
+      .rejects.toThrow('Adjustment not found');
+  });
+});
@@ -0,0 +1,50 @@
+const { computeInstallmentDiscounts } = require('../src/services/feeConcession.service');
+
+describe('computeInstallmentDiscounts', () => {
+  const installment = { amount: '5000.00', due_date: '2025-07-10' };
+  const concession = (overrides) => ({
+    student_concession_id: 1,
+    rule_id: 10,
+    fee_type_id: null,
+    valid_from: '2025-04-01',
+    valid_to: null,
+    ...overrides
+  });
+
+  it('takes a percentage off the installment amount', () => {
+    const applied = computeInstallmentDiscounts(
+      [concession({ discount_type: 'Percentage', discount_value: '10' })],
+      { fee_type_id: 'tuition', structure_total: '20000.00', installment }
+    );
+
+    expect(applied).toEqual([{ student_concession_id: 1, rule_id: 10, discount_amount: 500 }]);
+  });
+
+  it('spreads a flat concession across installments in proportion to their amounts', () => {
+    const applied = computeInstallmentDiscounts(
+      [concession({ discount_type: 'Flat', discount_value: '3000' })],
+      { fee_type_id: 'tuition', structure_total: '20000.00', installment }
+    );
+
+    expect(applied[0].discount_amount).toBe(750);
+  });
+
+  it('never takes more than the installment amount across stacked concessions', () => {
+    const applied = computeInstallmentDiscounts([
+      concession({ discount_type: 'Percentage', discount_value: '80' }),
+      concession({ student_concession_id: 2, rule_id: 11, discount_type: 'Percentage', discount_value: '50' })
+    ], { fee_type_id: 'tuition', structure_total: '20000.00', installment });
+
+    expect(applied.map(a => a.discount_amount)).toEqual([4000, 1000]);
+  });
+
+  it('skips concessions for another fee type or not valid on the due date', () => {
+    const applied = computeInstallmentDiscounts([
+      concession({ fee_type_id: 'transport', discount_type: 'Percentage', discount_value: '10' }),
+      concession({ valid_from: '2025-08-01', discount_type: 'Percentage', discount_value: '10' }),
+      concession({ valid_to: '2025-06-30', discount_type: 'Percentage', discount_value: '10' })
+    ], { fee_type_id: 'tuition', structure_total: '20000.00', installment });
+
+    expect(applied).toEqual([]);
+  });
+});
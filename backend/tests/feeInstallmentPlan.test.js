@@ -0,0 +1,114 @@
+jest.mock('../src/config/database', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() }
+}));
+jest.mock('../src/models/fee.model');
+jest.mock('../src/models/feeInstallmentPlan.model');
+jest.mock('../src/models/feePenalty.model');
+jest.mock('../src/services/feeConcession.service');
+
+const { pool } = require('../src/config/database');
+const feeModel = require('../src/models/fee.model');
+const feeInstallmentPlanModel = require('../src/models/feeInstallmentPlan.model');
+const feePenaltyModel = require('../src/models/feePenalty.model');
+const feeConcessionService = require('../src/services/feeConcession.service');
+const feeInstallmentPlanService = require('../src/services/feeInstallmentPlan.service');
+
+const plan = {
+  plan_id: 'plan-1',
+  tenant_id: 'tenant-1',
+  campus_id: 'campus-1',
+  student_id: 'student-1',
+  student_username: 'stu1',
+  fee_structure_id: 'fs-1',
+  status: 'pending'
+};
+
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+  pool.connect.mockResolvedValue(client);
+
+  feeInstallmentPlanModel.getPlanForUpdate.mockResolvedValue(plan);
+  feeInstallmentPlanModel.setPlanStatus.mockImplementation(async (c, id, data) => ({ ...plan, ...data, approved_by: 7 }));
+  feeModel.getFeeStructureById.mockResolvedValue({ fee_structure_id: 'fs-1', fee_type_id: 'tuition', total_amount: '9000.00' });
+  feeInstallmentPlanModel.getPlanInstallments.mockResolvedValue([
+    { installment_id: 'ins-a', installment_name: 'Q1', due_date: '2025-05-01', amount: '3000.00' },
+    { installment_id: 'ins-b', installment_name: 'Q2', due_date: '2025-08-01', amount: '3000.00' },
+    { installment_id: 'ins-c', installment_name: 'Q3', due_date: '2025-11-01', amount: '3000.00' }
+  ]);
+  feeInstallmentPlanModel.getActiveDuesForStructure.mockResolvedValue([
+    { due_id: 'old-1', penalty_amount: '100.00', penalty_waived: '0.00' },
+    { due_id: 'old-2', penalty_amount: '0.00', penalty_waived: '0.00' }
+  ]);
+  feeInstallmentPlanModel.getNetAllocationsByDue.mockImplementation(async (c, due_id) => (
+    due_id === 'old-1' ? [{ payment_id: 'pay-1', net_allocated: '4500.00' }] : []
+  ));
+  feeConcessionService.getApprovedConcessionsForStudent.mockResolvedValue([]);
+  feeConcessionService.computeInstallmentDiscounts.mockReturnValue([]);
+  feeModel.upsertStudentDue.mockImplementation(async (c, d) => ({ due_id: `new-${d.installment_id}`, balance_amount: d.amount }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('decidePlan supersession', () => {
+  it('steps an earlier approved plan aside before approving', async () => {
+    await feeInstallmentPlanService.decidePlan('tenant-1', 'plan-1', { status: 'approved' }, 7);
+
+    const supersedeOrder = feeInstallmentPlanModel.supersedeApprovedPlans.mock.invocationCallOrder[0];
+    const approveOrder = feeInstallmentPlanModel.setPlanStatus.mock.invocationCallOrder[0];
+    expect(feeInstallmentPlanModel.supersedeApprovedPlans).toHaveBeenCalledWith(client, 'student-1', 'fs-1');
+    expect(supersedeOrder).toBeLessThan(approveOrder);
+  });
+
+  it('waives late fees on the old dues and moves payments onto the new schedule earliest first', async () => {
+    const result = await feeInstallmentPlanService.decidePlan('tenant-1', 'plan-1', { status: 'approved' }, 7);
+
+    expect(feePenaltyModel.waivePenaltyOnDue).toHaveBeenCalledWith(client, 'old-1', 100);
+    expect(feePenaltyModel.waivePenaltyOnDue).toHaveBeenCalledTimes(1);
+    expect(feeModel.insertPaymentAllocation).toHaveBeenCalledWith(client, { payment_id: 'pay-1', due_id: 'old-1', amount_allocated: -4500 });
+    expect(feeInstallmentPlanModel.markDueSuperseded).toHaveBeenCalledWith(client, 'old-1', 'plan-1');
+    expect(feeInstallmentPlanModel.markDueSuperseded).toHaveBeenCalledWith(client, 'old-2', 'plan-1');
+
+    expect(feeModel.insertPaymentAllocation).toHaveBeenCalledWith(client, { payment_id: 'pay-1', due_id: 'new-ins-a', amount_allocated: 3000 });
+    expect(feeModel.insertPaymentAllocation).toHaveBeenCalledWith(client, { payment_id: 'pay-1', due_id: 'new-ins-b', amount_allocated: 1500 });
+    expect(result).toMatchObject({ superseded_dues: 2, moved_amount: 4500, unallocated: 0 });
+    expect(result.new_dues.map(d => d.balance_amount)).toEqual([0, 1500, 3000]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('leaves what no longer fits on the payment as surplus', async () => {
+    feeConcessionService.computeInstallmentDiscounts.mockReturnValue([{ rule_id: 1, discount_amount: 1000 }]);
+    feeModel.upsertStudentDue.mockImplementation(async (c, d) => ({
+      due_id: `new-${d.installment_id}`,
+      balance_amount: Number(d.amount) - d.discount_amount
+    }));
+    feeInstallmentPlanModel.getNetAllocationsByDue.mockImplementation(async (c, due_id) => (
+      due_id === 'old-1' ? [{ payment_id: 'pay-1', net_allocated: '6500.00' }] : []
+    ));
+
+    const result = await feeInstallmentPlanService.decidePlan('tenant-1', 'plan-1', { status: 'approved' }, 7);
+
+    expect(result).toMatchObject({ moved_amount: 6500, unallocated: 500 });
+    expect(result.new_dues.map(d => d.balance_amount)).toEqual([0, 0, 0]);
+  });
+
+  it('supersedes nothing when the plan is rejected', async () => {
+    await feeInstallmentPlanService.decidePlan('tenant-1', 'plan-1', { status: 'rejected', remarks: 'Not justified' }, 7);
+
+    expect(feeInstallmentPlanModel.supersedeApprovedPlans).not.toHaveBeenCalled();
+    expect(feeInstallmentPlanModel.markDueSuperseded).not.toHaveBeenCalled();
+  });
+
+  it('only decides pending plans', async () => {
+    feeInstallmentPlanModel.getPlanForUpdate.mockResolvedValue({ ...plan, status: 'superseded' });
+
+    await expect(feeInstallmentPlanService.decidePlan('tenant-1', 'plan-1', { status: 'approved' }, 7))
+      .rejects.toThrow('Installment plan is already superseded');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+});
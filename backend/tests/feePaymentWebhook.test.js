@@ -0,0 +1,138 @@
+process.env.MOCK_GATEWAY_WEBHOOK_SECRET = 'test-webhook-secret';
+
+jest.mock('../src/config/database', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() },
+  healthCheck: jest.fn()
+}));
+jest.mock('../src/models/feePaymentOrder.model');
+jest.mock('../src/models/fee.model');
+
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const { pool } = require('../src/config/database');
+const feeModel = require('../src/models/fee.model');
+const feePaymentOrderModel = require('../src/models/feePaymentOrder.model');
+const feeService = require('../src/services/fee.service');
+const mockGateway = require('../src/services/gateways/mock.gateway');
+
+const WEBHOOK_URL = '/api/fees/gateway/mock/webhook';
+
+const pendingOrder = (overrides = {}) => ({
+  order_id: 'order-1',
+  tenant_id: 'tenant-1',
+  campus_id: 'campus-1',
+  student_id: 'student-1',
+  provider: 'mock',
+  provider_order_id: 'mock_order_1',
+  amount: '1500.00',
+  status: 'pending',
+  dues: [{ due_id: 'due-1', amount: 1500 }],
+  ...overrides
+});
+
+const postWebhook = ({ rawBody, headers }) => request(app)
+  .post(WEBHOOK_URL)
+  .set(headers)
+  .send(rawBody);
+
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+  pool.connect.mockResolvedValue(client);
+
+  feeModel.getUnpaidDuesByStudent.mockResolvedValue([{ due_id: 'due-1', balance_amount: '1500.00' }]);
+  feePaymentOrderModel.recordEvent.mockImplementation(async (c, event) => ({ event_id: 'evt-row', ...event }));
+  feePaymentOrderModel.markOrderCaptured.mockImplementation(async (c, order_id, data) => ({ order_id, status: 'captured', ...data }));
+  jest.spyOn(feeService, 'recordPaymentWithClient').mockResolvedValue({ payment: { payment_id: 'payment-1' }, allocations: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/fees/gateway/:provider/webhook', () => {
+  it('rejects a webhook with a bad signature without touching the database', async () => {
+    const { rawBody, headers } = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1500 });
+
+    const res = await postWebhook({ rawBody, headers: { ...headers, 'x-mock-signature': 'ab'.repeat(32) } });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('answers 503 while the gateway has no webhook secret', async () => {
+    const delivery = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1500 });
+    const secret = config.paymentGateway.mock.webhookSecret;
+    config.paymentGateway.mock.webhookSecret = undefined;
+
+    try {
+      const res = await postWebhook(delivery);
+
+      expect(res.status).toBe(503);
+      expect(res.body.message).toBe('Online payments are not configured');
+      expect(pool.connect).not.toHaveBeenCalled();
+    } finally {
+      config.paymentGateway.mock.webhookSecret = secret;
+    }
+  });
+
+  it('turns a captured payment into a fee payment', async () => {
+    feePaymentOrderModel.getOrderByProviderIdForUpdate.mockResolvedValue(pendingOrder());
+    const delivery = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1500 });
+
+    const res = await postWebhook(delivery);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ duplicate: false, order_id: 'order-1', outcome: 'captured' });
+    expect(feeService.recordPaymentWithClient).toHaveBeenCalledWith(client, expect.objectContaining({
+      student_id: 'student-1',
+      total_amount_received: 1500,
+      payment_method: 'Online',
+      allocations: [{ due_id: 'due-1', amount: 1500 }]
+    }));
+    expect(feePaymentOrderModel.markOrderCaptured).toHaveBeenCalledWith(client, 'order-1', expect.objectContaining({ payment_id: 'payment-1' }));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('acknowledges a redelivered event without recording the payment again', async () => {
+    feePaymentOrderModel.getOrderByProviderIdForUpdate.mockResolvedValue(pendingOrder());
+    const delivery = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1500, event_id: 'mock_evt_repeat' });
+
+    const first = await postWebhook(delivery);
+    expect(first.body.data.outcome).toBe('captured');
+
+    feePaymentOrderModel.recordEvent.mockResolvedValue(null);
+    const second = await postWebhook(delivery);
+
+    expect(second.status).toBe(200);
+    expect(second.body.data).toEqual({ duplicate: true, event_id: 'mock_evt_repeat' });
+    expect(feeService.recordPaymentWithClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a capture whose amount differs from the order', async () => {
+    feePaymentOrderModel.getOrderByProviderIdForUpdate.mockResolvedValue(pendingOrder());
+    const delivery = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1 });
+
+    const res = await postWebhook(delivery);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.outcome).toBe('rejected');
+    expect(feeService.recordPaymentWithClient).not.toHaveBeenCalled();
+    expect(feePaymentOrderModel.markOrderClosed).toHaveBeenCalledWith(client, 'order-1', expect.objectContaining({ status: 'failed' }));
+  });
+
+  it('rejects a capture on an expired order', async () => {
+    feePaymentOrderModel.getOrderByProviderIdForUpdate.mockResolvedValue(pendingOrder({ status: 'expired' }));
+    const delivery = mockGateway.simulatePayment('mock_order_1', 'captured', { amount: 1500 });
+
+    const res = await postWebhook(delivery);
+
+    expect(res.body.data.outcome).toBe('rejected');
+    expect(feeService.recordPaymentWithClient).not.toHaveBeenCalled();
+    expect(feePaymentOrderModel.markOrderClosed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,22 @@
+const { computePenalty } = require('../src/services/feePenalty.service');
+
+describe('computePenalty', () => {
+  const due = { due_date: '2025-07-10', penalty_rate: '50', grace_days: 5, max_penalty: null };
+
+  it('charges nothing within the grace period', () => {
+    expect(computePenalty({ ...due, penalty_mode: 'per_day' }, '2025-07-15')).toEqual({ days_overdue: 0, penalty: 0 });
+  });
+
+  it('charges a one-time penalty once overdue', () => {
+    expect(computePenalty({ ...due, penalty_mode: 'one_time' }, '2025-08-30')).toEqual({ days_overdue: 46, penalty: 50 });
+  });
+
+  it('charges per day and per started week after the grace period', () => {
+    expect(computePenalty({ ...due, penalty_mode: 'per_day' }, '2025-07-18')).toEqual({ days_overdue: 3, penalty: 150 });
+    expect(computePenalty({ ...due, penalty_mode: 'per_week' }, '2025-07-24')).toEqual({ days_overdue: 9, penalty: 100 });
+  });
+
+  it('caps the penalty at max_penalty', () => {
+    expect(computePenalty({ ...due, penalty_mode: 'per_day', max_penalty: '200' }, '2025-08-30').penalty).toBe(200);
+  });
+});
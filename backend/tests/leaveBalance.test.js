@@ -0,0 +1,106 @@
+jest.mock('../src/config/database', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() }
+}));
+
+const { pool } = require('../src/config/database');
+const leaveModel = require('../src/models/leave.model');
+const leaveService = require('../src/services/leave.service');
+
+const approvedRequest = {
+  id: 'leave-1',
+  campus_id: 'campus-1',
+  username: 't1',
+  requester_role: 'Teacher',
+  leave_type_id: 'casual',
+  leave_date: '2025-07-14',
+  status: 'approved'
+};
+
+describe('leave balance on status changes', () => {
+  beforeEach(() => {
+    jest.spyOn(leaveModel, 'updateApproverStepStatus').mockResolvedValue({ id: 'step-1' });
+    jest.spyOn(leaveModel, 'getLeaveBalance').mockResolvedValue({ available_days: 10 });
+    jest.spyOn(leaveModel, 'debitBalanceForRequest').mockResolvedValue(true);
+    jest.spyOn(leaveModel, 'creditBalanceForRequest').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('debits the balance once the request is approved overall', async () => {
+    jest.spyOn(leaveModel, 'recomputeOverallStatus').mockResolvedValue(approvedRequest);
+
+    await leaveService.updateLeaveStatus('tenant-1', 'campus-1', 'leave-1', 'approved', null, 'admin');
+
+    expect(leaveModel.getLeaveBalance).toHaveBeenCalledWith('t1', 'casual', 2025);
+    expect(leaveModel.debitBalanceForRequest).toHaveBeenCalledWith('leave-1');
+    expect(leaveModel.creditBalanceForRequest).not.toHaveBeenCalled();
+  });
+
+  it('does not debit while other approvers are still pending', async () => {
+    jest.spyOn(leaveModel, 'recomputeOverallStatus').mockResolvedValue({ ...approvedRequest, status: 'pending' });
+
+    await leaveService.updateLeaveStatus('tenant-1', 'campus-1', 'leave-1', 'approved', null, 'hod');
+
+    expect(leaveModel.debitBalanceForRequest).not.toHaveBeenCalled();
+  });
+
+  it('gives the days back when the request is rejected', async () => {
+    jest.spyOn(leaveModel, 'recomputeOverallStatus').mockResolvedValue({ ...approvedRequest, status: 'rejected' });
+
+    await leaveService.updateLeaveStatus('tenant-1', 'campus-1', 'leave-1', 'rejected', 'Exams week', 'admin');
+
+    expect(leaveModel.creditBalanceForRequest).toHaveBeenCalledWith('leave-1');
+    expect(leaveModel.debitBalanceForRequest).not.toHaveBeenCalled();
+  });
+
+  it('gives the days back when the requester cancels', async () => {
+    jest.spyOn(leaveModel, 'getLeaveRequestById').mockResolvedValue(approvedRequest);
+    jest.spyOn(leaveModel, 'cancelRequestAndStepsById').mockResolvedValue(1);
+
+    await leaveService.cancelLeaveByRequester('tenant-1', 'campus-1', 'leave-1', 't1');
+
+    expect(leaveModel.creditBalanceForRequest).toHaveBeenCalledWith('leave-1');
+  });
+});
+
+describe('leave balance ledger', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  const flagged = { rows: [{ username: 't1', leave_type_id: 'casual', leave_year: 2025, duration_days: '1.5' }] };
+
+  it('adds the request days to used_days on debit', async () => {
+    client.query.mockImplementation(async (sql) => (/UPDATE leave_requests/.test(sql) ? flagged : { rows: [] }));
+
+    expect(await leaveModel.debitBalanceForRequest('leave-1')).toBe(true);
+
+    const balanceUpdate = client.query.mock.calls.find(([sql]) => /UPDATE leave_balances/.test(sql));
+    expect(balanceUpdate[0]).toMatch(/used_days = used_days \+ \$4/);
+    expect(balanceUpdate[1]).toEqual(['t1', 'casual', 2025, '1.5']);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('leaves the balance alone when the request was already debited or never was', async () => {
+    expect(await leaveModel.debitBalanceForRequest('leave-1')).toBe(false);
+    expect(await leaveModel.creditBalanceForRequest('leave-1')).toBe(false);
+
+    expect(client.query.mock.calls.some(([sql]) => /UPDATE leave_balances/.test(sql))).toBe(false);
+  });
+
+  it('takes the request days off used_days on credit without going below zero', async () => {
+    client.query.mockImplementation(async (sql) => (/UPDATE leave_requests/.test(sql) ? flagged : { rows: [] }));
+
+    expect(await leaveModel.creditBalanceForRequest('leave-1')).toBe(true);
+
+    const balanceUpdate = client.query.mock.calls.find(([sql]) => /UPDATE leave_balances/.test(sql));
+    expect(balanceUpdate[0]).toMatch(/GREATEST\(used_days - \$4, 0\)/);
+    expect(balanceUpdate[1]).toEqual(['t1', 'casual', 2025, '1.5']);
+  });
+});
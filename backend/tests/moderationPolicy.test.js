@@ -0,0 +1,69 @@
+const { ModerationPolicyService } = require('../src/services/moderationPolicy.service');
+
+const scores = (...values) => values.map(score => ({ score }));
+
+describe('ModerationPolicyService.applyPolicy', () => {
+  it('lifts a fail to the pass mark only when it is within the grace marks', () => {
+    const entries = scores(30, 33, 35, 50);
+    ModerationPolicyService.applyPolicy({ policy_type: 'grace', grace_marks: '3' }, entries, 100, 35);
+
+    expect(entries.map(e => e.score)).toEqual([30, 35, 35, 50]);
+  });
+
+  it('scales by a fixed factor without passing the total', () => {
+    const entries = scores(40, 90);
+    ModerationPolicyService.applyPolicy({ policy_type: 'scale', scale_factor: '1.2' }, entries, 100, 35);
+
+    expect(entries.map(e => e.score)).toEqual([48, 100]);
+  });
+
+  it('stretches scores so the top one reaches the target, but never scales down', () => {
+    const stretched = scores(40, 80);
+    ModerationPolicyService.applyPolicy({ policy_type: 'scale', scale_top_percentage: '90' }, stretched, 100, 35);
+    expect(stretched.map(e => e.score)).toEqual([45, 90]);
+
+    const untouched = scores(40, 95);
+    ModerationPolicyService.applyPolicy({ policy_type: 'scale', scale_top_percentage: '90' }, untouched, 100, 35);
+    expect(untouched.map(e => e.score)).toEqual([40, 95]);
+  });
+
+  it('caps scores at a share of the total', () => {
+    const entries = scores(45, 60);
+    ModerationPolicyService.applyPolicy({ policy_type: 'cap', cap_percentage: '50' }, entries, 80, 28);
+
+    expect(entries.map(e => e.score)).toEqual([40, 40]);
+  });
+});
+
+describe('ModerationPolicyService.computeModeration', () => {
+  const exam = { total_score: '100', passing_score: '35', subject_name: 'Maths' };
+
+  it('runs policies in order over the original scores and leaves absentees alone', () => {
+    const results = [
+      { student_username: 'a', attendance_status: 'Present', obtained_score: '35', original_score: '32' },
+      { student_username: 'b', attendance_status: 'Present', obtained_score: '80', original_score: null },
+      { student_username: 'c', attendance_status: 'Absent', obtained_score: '0', original_score: null }
+    ];
+    const policies = [
+      { policy_type: 'grace', grace_marks: '3' },
+      { policy_type: 'scale', scale_factor: '1.1' }
+    ];
+
+    const { pass_mark, rows } = ModerationPolicyService.computeModeration(exam, results, policies, []);
+
+    expect(pass_mark).toBe(35);
+    expect(rows.map(r => [r.result.student_username, r.base, r.moderated])).toEqual([
+      ['a', 32, 38.5],
+      ['b', 80, 88],
+      ['c', 0, 0]
+    ]);
+  });
+
+  it('restores the original scores when no policy is given', () => {
+    const results = [{ attendance_status: 'Present', obtained_score: '38.5', original_score: '32' }];
+
+    const { rows } = ModerationPolicyService.computeModeration(exam, results, [], []);
+
+    expect(rows[0].moderated).toBe(32);
+  });
+});
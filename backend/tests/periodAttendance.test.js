@@ -0,0 +1,39 @@
+const { rollupDay } = require('../src/services/periodAttendance.service');
+
+const periods = (...statuses) => statuses.map(status => ({ status, duration_minutes: 40 }));
+
+describe('rollupDay', () => {
+  const byPercentage = { rule_type: 'missed_percentage', threshold: 50, late_counts_as_present: true };
+
+  it('marks the day Absent only when more than the threshold share of periods was missed', () => {
+    expect(rollupDay(periods('Present', 'Absent', 'Present', 'Absent'), byPercentage).status).toBe('Present');
+    expect(rollupDay(periods('Absent', 'Absent', 'Present', 'Absent'), byPercentage).status).toBe('Absent');
+  });
+
+  it('counts missed periods against a fixed number with the missed_count rule', () => {
+    const rule = { rule_type: 'missed_count', threshold: 1, late_counts_as_present: true };
+
+    expect(rollupDay(periods('Absent', 'Present', 'Present'), rule).status).toBe('Present');
+    expect(rollupDay(periods('Absent', 'Absent', 'Present'), rule).status).toBe('Absent');
+  });
+
+  it('treats Late as missed when the rule says so', () => {
+    const strict = { ...byPercentage, late_counts_as_present: false };
+
+    expect(rollupDay(periods('Late', 'Late', 'Present'), byPercentage).status).toBe('Present');
+    expect(rollupDay(periods('Late', 'Late', 'Present'), strict).status).toBe('Absent');
+  });
+
+  it('leaves Excused periods out, and a fully excused day is Excused', () => {
+    expect(rollupDay(periods('Excused', 'Excused', 'Absent', 'Present'), byPercentage)).toEqual({
+      status: 'Present',
+      attendedMinutes: 40,
+      totalMinutes: 80
+    });
+    expect(rollupDay(periods('Excused', 'Excused'), byPercentage)).toEqual({
+      status: 'Excused',
+      attendedMinutes: 0,
+      totalMinutes: 0
+    });
+  });
+});
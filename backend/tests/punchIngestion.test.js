@@ -0,0 +1,68 @@
+const { pairPunches, deriveStatus } = require('../src/services/punchIngestion.service');
+
+const at = (time, direction) => ({ punch_time: `2025-07-14 ${time}`, ...(direction ? { direction } : {}) });
+
+const shift = {
+  start_time: '09:00:00',
+  end_time: '17:00:00',
+  late_grace_minutes: 10,
+  absent_minutes: 120,
+  half_day_minutes: 240
+};
+
+describe('pairPunches', () => {
+  it('alternates in and out when the device sends no direction and drops close repeats', () => {
+    const day = pairPunches([at('09:00:00'), at('09:00:40'), at('13:00:00'), at('14:00:00'), at('17:30:00')]);
+
+    expect(day.sessions).toEqual([
+      { in: '2025-07-14 09:00:00', out: '2025-07-14 13:00:00' },
+      { in: '2025-07-14 14:00:00', out: '2025-07-14 17:30:00' }
+    ]);
+    expect(day.anomalies).toEqual([{ type: 'duplicate_punch', punch_time: '2025-07-14 09:00:40' }]);
+    expect(day.firstPunch).toBe('2025-07-14 09:00:00');
+    expect(day.lastOut).toBe('2025-07-14 17:30:00');
+  });
+
+  it('reports a missing out when two ins follow each other and a missing in for a lone out', () => {
+    const day = pairPunches([at('08:55:00', 'in'), at('09:30:00', 'in'), at('12:00:00', 'out'), at('12:30:00', 'out')]);
+
+    expect(day.sessions).toEqual([{ in: '2025-07-14 09:30:00', out: '2025-07-14 12:00:00' }]);
+    expect(day.anomalies).toEqual([
+      { type: 'missing_out', punch_time: '2025-07-14 08:55:00' },
+      { type: 'missing_in', punch_time: '2025-07-14 12:30:00' }
+    ]);
+  });
+
+  it('keeps a directed punch that repeats quickly in the other direction', () => {
+    const day = pairPunches([at('09:00:00', 'in'), at('09:01:00', 'out')]);
+
+    expect(day.sessions).toHaveLength(1);
+    expect(day.anomalies).toEqual([]);
+  });
+
+  it('reports an in without an out at the end of the day', () => {
+    const day = pairPunches([at('09:00:00')]);
+
+    expect(day.sessions).toEqual([]);
+    expect(day.lastOut).toBeNull();
+    expect(day.anomalies).toEqual([{ type: 'missing_out', punch_time: '2025-07-14 09:00:00' }]);
+  });
+});
+
+describe('deriveStatus', () => {
+  const day = (inTime, outTime) => pairPunches([at(inTime), at(outTime)]);
+
+  it('is Present within the late grace and Late after it', () => {
+    expect(deriveStatus(day('09:10:00', '17:00:00'), shift)).toEqual({ status: 'Present', workedMinutes: 470, shiftMinutes: 480 });
+    expect(deriveStatus(day('09:11:00', '17:00:00'), shift).status).toBe('Late');
+  });
+
+  it('is a Half Day below the half-day minutes and Absent below the absent minutes', () => {
+    expect(deriveStatus(day('09:00:00', '12:00:00'), shift).status).toBe('Half Day');
+    expect(deriveStatus(day('09:00:00', '10:00:00'), shift).status).toBe('Absent');
+  });
+
+  it('judges only the arrival when there is no complete in/out pair', () => {
+    expect(deriveStatus(pairPunches([at('09:30:00')]), shift)).toMatchObject({ status: 'Late', workedMinutes: 0 });
+  });
+});
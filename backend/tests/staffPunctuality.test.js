@@ -0,0 +1,97 @@
+jest.mock('../src/config/database', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() }
+}));
+jest.mock('../src/models/staffPunctuality.model');
+jest.mock('../src/models/attendanceDevice.model');
+
+const staffPunctualityModel = require('../src/models/staffPunctuality.model');
+const attendanceDeviceModel = require('../src/models/attendanceDevice.model');
+const staffPunctualityService = require('../src/services/staffPunctuality.service');
+
+const rule = (overrides = {}) => ({
+  rule_id: 'rule-1',
+  rule_name: '3 lates = half day',
+  event_type: 'late',
+  occurrences: 3,
+  deduction_days: 0.5,
+  roles: [],
+  ...overrides
+});
+
+const summary = (overrides = {}) => ({ username: 't1', role: 'Teacher', late_count: 0, early_leave_count: 0, ...overrides });
+
+describe('applyRules', () => {
+  it('deducts once per full set of occurrences', () => {
+    expect(staffPunctualityService.applyRules(summary({ late_count: 7 }), [rule()])).toEqual({
+      deductions: [{ rule_id: 'rule-1', rule_name: '3 lates = half day', marks: 7, deduction_days: 1 }],
+      lop_days: 1
+    });
+  });
+
+  it('deducts nothing short of the first set', () => {
+    expect(staffPunctualityService.applyRules(summary({ late_count: 2 }), [rule()])).toEqual({ deductions: [], lop_days: 0 });
+  });
+
+  it('counts late arrivals and early departures together for a late_or_early rule', () => {
+    const result = staffPunctualityService.applyRules(
+      summary({ late_count: 2, early_leave_count: 2 }),
+      [rule({ event_type: 'late_or_early', occurrences: 4, deduction_days: 1 })]
+    );
+
+    expect(result.deductions[0]).toMatchObject({ marks: 4, deduction_days: 1 });
+  });
+
+  it('adds up several rules and skips those meant for other roles', () => {
+    const result = staffPunctualityService.applyRules(summary({ late_count: 3, early_leave_count: 2 }), [
+      rule(),
+      rule({ rule_id: 'rule-2', event_type: 'early_leave', occurrences: 2, deduction_days: 1 }),
+      rule({ rule_id: 'rule-3', roles: ['Employee'], occurrences: 1, deduction_days: 1 })
+    ]);
+
+    expect(result.deductions.map(d => d.rule_id)).toEqual(['rule-1', 'rule-2']);
+    expect(result.lop_days).toBe(1.5);
+  });
+});
+
+describe('getPunctualityReport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    attendanceDeviceModel.getShifts.mockResolvedValue([{
+      shift_id: 'shift-1',
+      shift_name: 'Day',
+      start_time: '09:00:00',
+      end_time: '17:00:00',
+      late_grace_minutes: 10,
+      early_leave_grace_minutes: 15,
+      roles: ['Teacher'],
+      departments: []
+    }]);
+    staffPunctualityModel.getRules.mockResolvedValue([rule({ occurrences: 2, deduction_days: 1 })]);
+  });
+
+  it('marks days against the shift grace and charges loss of pay from the counts', async () => {
+    const day = (attendance_date, status, login_time, logout_time) => ({
+      username: 't1', first_name: 'Tara', last_name: 'Iyer', role: 'Teacher', department: null,
+      attendance_date, status, login_time, logout_time
+    });
+    staffPunctualityModel.getStaffAttendance.mockResolvedValue([
+      day('2025-07-01', 'Present', '09:10:00', '17:00:00'),
+      day('2025-07-02', 'Present', '09:25:00', '16:40:00'),
+      day('2025-07-03', 'Late', '09:05:00', '17:00:00'),
+      day('2025-07-04', 'Absent', null, null)
+    ]);
+
+    const [report] = await staffPunctualityService.getPunctualityReport('campus-1', { from_date: '2025-07-01', to_date: '2025-07-31' });
+
+    expect(report).toMatchObject({
+      username: 't1',
+      shift_name: 'Day',
+      days_attended: 3,
+      late_count: 2,
+      late_minutes: 25,
+      early_leave_count: 1,
+      early_leave_minutes: 20,
+      lop_days: 1
+    });
+  });
+});